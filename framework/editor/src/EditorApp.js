@@ -6,6 +6,7 @@ import { AIPromptInterpreter } from './ai/AIPromptInterpreter.js';
 import { ObjectPreviewFactory } from './ai/ObjectPreviewFactory.js';
 import { UndoRedoManager } from './ai/UndoRedoManager.js';
 import { LevelConfigSerializer } from './serializer/LevelConfigSerializer.js';
+import { SessionReportReader } from './serializer/SessionReportReader.js';
 import { OpenAIClient } from './ai/OpenAIClient.js';
 
 export class EditorApp {
@@ -25,6 +26,7 @@ export class EditorApp {
     this.previewFactory = new ObjectPreviewFactory();
     this.undoManager = new UndoRedoManager();
     this.serializer = new LevelConfigSerializer(gameSlug, levelNumber);
+    this.sessionReader = new SessionReportReader(gameSlug, levelNumber);
 
     // Game server state
     this._gameServerRunning = false;
@@ -38,7 +40,14 @@ export class EditorApp {
     this._levelName = `Level ${levelNumber}`;
     this._playerSpawn = { position: [0, 0, 8], rotationY: Math.PI };
     this._exitConfig = null;
+    this._puzzlesConfig = [];
+    this._completionConfig = null;
+    this._platformsConfig = [];
+    this._socketsConfig = [];
+    this._controlsConfig = [];
+    this._soundsConfig = [];
     this._objectCounter = {}; // Tracks numbering per type: { rock: 5, tree: 3, ... }
+    this._sessionReports = []; // Imported playtest session reports
 
     this._raycaster = new THREE.Raycaster();
   }
@@ -437,6 +446,12 @@ export class EditorApp {
     this._environmentConfig = config.environment || null;
     this._playerSpawn = config.playerSpawn || this._playerSpawn;
     this._exitConfig = config.exit || null;
+    this._puzzlesConfig = config.puzzles || [];
+    this._completionConfig = config.completion || null;
+    this._platformsConfig = config.platforms || [];
+    this._socketsConfig = config.sockets || [];
+    this._controlsConfig = config.controls || [];
+    this._soundsConfig = config.sounds || [];
 
     // Restore engine instructions
     if (config.engineInstructions) {
@@ -542,6 +557,30 @@ export class EditorApp {
       input.click();
     });
 
+    // Import playtest session reports (downloaded from the game's pause menu)
+    this.layout.on('importSessions', () => {
+      const input = document.createElement('input');
+      input.type = 'file';
+      input.accept = '.json';
+      input.multiple = true;
+      input.addEventListener('change', () => {
+        if (input.files.length > 0) {
+          this._handleImportSessions(input.files);
+        }
+      });
+      input.click();
+    });
+
+    this.layout.on('sessionFilter', (filter) => {
+      this.viewportManager.setSessionFilter(filter);
+    });
+
+    this.layout.on('clearSessions', () => {
+      this._sessionReports = [];
+      this.viewportManager.clearSessions();
+      this.layout.updateStatus({ lastAction: 'Sessions cleared' });
+    });
+
     // Undo / Redo (toolbar buttons — UndoRedoManager already handles keyboard)
     this.layout.on('undo', () => {
       const action = this.undoManager.undo();
@@ -688,6 +727,11 @@ export class EditorApp {
         this._changePartColor(parentId, partIndex, value);
         return;
       }
+      // Environment audio: prop is a path into environment.audio
+      if (prop.startsWith('audio.')) {
+        this._handleAudioChange(prop.slice(6), value);
+        return;
+      }
       this._handlePropertyChange(prop, value);
     });
 
@@ -1292,6 +1336,12 @@ Return the MODIFIED version of this object in the "objects" array with the same
     // 6. Reset level metadata
     this._levelName = `Level ${this.levelNumber}`;
     this._exitConfig = null;
+    this._puzzlesConfig = [];
+    this._completionConfig = null;
+    this._platformsConfig = [];
+    this._socketsConfig = [];
+    this._controlsConfig = [];
+    this._soundsConfig = [];
 
     // 7. Clear engine panel instructions
     this.layout.enginePanel.setInstructions([]);
@@ -1516,6 +1566,12 @@ Return the MODIFIED version of this object in the "objects" array with the same
       props: this._collectProps(),
       playerSpawn: this._playerSpawn,
       exit: this._exitConfig,
+      puzzles: this._puzzlesConfig,
+      completion: this._completionConfig,
+      platforms: this._platformsConfig,
+      sockets: this._socketsConfig,
+      controls: this._controlsConfig,
+      sounds: this._soundsConfig,
       engineInstructions: engineInstructions.length > 0 ? engineInstructions : undefined,
     };
 
@@ -1548,6 +1604,12 @@ Return the MODIFIED version of this object in the "objects" array with the same
     this._environmentConfig = config.environment || null;
     this._playerSpawn = config.playerSpawn || { position: [0, 0, 8], rotationY: Math.PI };
     this._exitConfig = config.exit || null;
+    this._puzzlesConfig = config.puzzles || [];
+    this._completionConfig = config.completion || null;
+    this._platformsConfig = config.platforms || [];
+    this._socketsConfig = config.sockets || [];
+    this._controlsConfig = config.controls || [];
+    this._soundsConfig = config.sounds || [];
 
     // Restore engine instructions
     this.layout.enginePanel.setInstructions(config.engineInstructions || []);
@@ -1600,6 +1662,65 @@ Return the MODIFIED version of this object in the "objects" array with the same
     this.layout.updateStatus({ lastAction: `Changed ${prop}` });
   }
 
+  _audioTreeItem() {
+    return {
+      id: 'env-audio',
+      name: 'Audio',
+      type: 'audio',
+      category: 'environment',
+      data: this._environmentConfig?.audio || {},
+    };
+  }
+
+  /**
+   * Edit environment.audio from the properties panel.
+   * @param {string} path — e.g. 'ambient', 'layers.0.volume', 'layers.0.filter.type',
+   *   'oneShots.1.interval', 'layers.add', 'oneShots.remove.0'
+   * @param {*} value — null clears a setting back to the game's default
+   */
+  _handleAudioChange(path, value) {
+    if (!this._environmentConfig) return;
+    const audio = this._environmentConfig.audio || {};
+    const [list, index, key, subKey] = path.split('.');
+
+    if (path === 'ambient' || path === 'volume') {
+      if (value === '' || value === null) delete audio[path];
+      else audio[path] = value;
+    } else if (index === 'add') {
+      const defaults = { layers: { type: 'wind' }, oneShots: { type: 'bird' } };
+      audio[list] = [...(audio[list] || []), { ...defaults[list] }];
+    } else if (index === 'remove') {
+      audio[list].splice(parseInt(key, 10), 1);
+      if (audio[list].length === 0) delete audio[list];
+    } else {
+      const entry = audio[list][parseInt(index, 10)];
+      if (key === 'filter') {
+        // 'default' leaves the generator's own filter, 'none' plays it unfiltered
+        if (subKey === 'type') {
+          if (value === 'default') delete entry.filter;
+          else entry.filter = value === 'none' ? null : { ...entry.filter, type: value };
+        } else {
+          entry.filter = { type: 'lowpass', ...entry.filter, [subKey]: value };
+        }
+      } else if (key === 'interval') {
+        const [min, max] = String(value).split(',').map(v => parseFloat(v));
+        if (isNaN(min)) delete entry.interval;
+        else entry.interval = [min, isNaN(max) ? min : max];
+      } else if (value === null) {
+        delete entry[key];
+      } else {
+        entry[key] = value;
+      }
+    }
+
+    if (Object.keys(audio).length > 0) this._environmentConfig.audio = audio;
+    else delete this._environmentConfig.audio;
+
+    this.layout.updateProperties(this._audioTreeItem());
+    this._refreshSceneTree();
+    this.layout.updateStatus({ lastAction: `Changed audio ${path}` });
+  }
+
   // ---- Delete ----
 
   _handleDelete() {
@@ -1671,11 +1792,13 @@ Return the MODIFIED version of this object in the "objects" array with the same
         envItems.push({ id: 'env-ground', name: 'Ground', type: 'ground', category: 'environment' });
       }
       envItems.push({ id: 'env-lights', name: 'Lights', type: 'lights', category: 'environment' });
+      envItems.push(this._audioTreeItem());
     }
 
     const decorationItems = [];
     const propItems = [];
     const exitItems = [];
+    const puzzleItems = [];
 
     for (const obj of this._editorObjects) {
       const id = obj.name || obj.uuid;
@@ -1740,11 +1863,25 @@ Return the MODIFIED version of this object in the "objects" array with the same
       }
     }
 
+    // Puzzles (declarative level puzzles — built by the game's PuzzleRegistry)
+    for (let i = 0; i < this._puzzlesConfig.length; i++) {
+      const puzzle = this._puzzlesConfig[i];
+      puzzleItems.push({
+        id: `puzzle-${i}`,
+        name: puzzle.id || puzzle.type || `Puzzle ${i + 1}`,
+        type: 'puzzle',
+        category: 'puzzles',
+        position: puzzle.params?.position || [0, 0, 0],
+        data: puzzle,
+      });
+    }
+
     this.layout.updateSceneTree({
       environment: envItems,
       decorations: decorationItems,
       props: propItems,
       exits: exitItems,
+      puzzles: puzzleItems,
     });
   }
 
@@ -2011,6 +2148,42 @@ Return the MODIFIED version of this object in the "objects" array with the same
     };
   }
 
+  /**
+   * Read playtest session reports, summarize this level's visits and overlay
+   * them in the viewports. Reports that can't be read are listed in an error
+   * popup; the rest are added to those already imported.
+   */
+  async _handleImportSessions(files) {
+    const errors = [];
+    for (const file of files) {
+      try {
+        this._sessionReports.push(this.sessionReader.parse(await file.text(), file.name));
+      } catch (err) {
+        errors.push(err.message);
+      }
+    }
+    if (errors.length > 0) {
+      this.layout.showError('Session Import Error', `${errors.length} file(s) could not be read`, errors.join('\n'));
+    }
+
+    const visits = this.sessionReader.visits(this._sessionReports);
+    this.viewportManager.showSessions(visits);
+    const overlay = this.viewportManager.sessionOverlay;
+    const summary = this.sessionReader.summarize(this._sessionReports);
+    if (this._sessionReports.length > 0) {
+      this.layout.sessionPanel.show(this._sessionReports.map((report, i) => {
+        const count = visits.filter(v => v.session === i).length;
+        return { label: `${report.file || `Session ${i + 1}`} (${count})`, color: overlay.sessionColor(i) };
+      }), overlay.duration);
+      this.layout.sessionPanel.showPuzzles(summary.puzzles);
+    }
+    const avg = summary.avgTime === null ? '' : `, avg ${Math.round(summary.avgTime)}s`;
+    this.layout.updateStatus({
+      lastAction: `Sessions: ${summary.sessions} loaded — ${summary.visits} visit(s) to this level${avg}, `
+        + `${summary.completed} completed, ${summary.respawns} respawn(s)`,
+    });
+  }
+
   async _handleImportAssets(files) {
     const hideSpinner = this._showImportSpinner();
     const loader = new GLTFLoader();
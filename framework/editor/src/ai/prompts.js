@@ -98,7 +98,9 @@ Material: color(REQUIRED), emissive, emissiveIntensity, metalness, roughness, op
 - Include 3-5 decoration types with generous counts for atmosphere
 - Rotation values as plain radians (1.5708 not Math.PI/2). NEVER use Math.PI
 - Use rich, themed colors throughout — lights, fog, ground, decorations should all match the mood
-- Use water decoration type for oceans/rivers/ponds: {"type":"water","count":1,"radius":[0,1],"position":[x,y,z],"scale":N}`;
+- Use water decoration type for oceans/rivers/ponds: {"type":"water","count":1,"radius":[0,1],"position":[x,y,z],"scale":N}
+- Add "audio" to the environment to match the theme: {"ambient":"outdoor"|"indoor"|"cave"|"water"|"beach"|"none","layers":[{"type":"wind"|"ocean"|"rain"|"hum"|"drips"|"fire"|"portal","volume":0.2}],"oneShots":[{"type":"bird"|"thunder"|"drip","interval":[min,max]}]} — layers add to the ambient preset (e.g. beach = ocean; add birds for a sunny shore, rain and thunder for a storm)
+- A decoration can carry a positional sound on each object it spawns: "sound":{"type":"fire","volume":0.3} for lanterns and torches, "drip" in a cave corner — only on decorations with a small count`;
 
 // ---- ENGINE CUSTOMIZATION MODE ----
 
@@ -184,8 +186,20 @@ export function update(engine, dt) {
 - engine.scene — THREE.Scene
 - engine.cameraRig — THREE.Group (player position)
 - engine.eventBus — .on(event, cb), .emit(event, data)
-- engine.collisionSystem — .addCollider(box3)
-- engine.locomotion — .moveSpeed, .snapAngle
+- engine.collisionSystem — .addCollider(box3, 'behavior') returns a handle for .removeCollider(handle); behavior colliders are cleared on level load
+- engine.collisionSystem shapes — .addBoxCollider(x, y, z, w, h, d), .addOrientedBoxCollider(x, y, z, w, h, d, rotY), .addCylinderCollider(x, y, z, r, h), .addRampCollider(x, y, z, w, d, rise, rotY) — (x, y, z) is the base center; pass 'behavior' as the last argument
+- engine.collisionSystem.addKinematicCollider(mesh, 'behavior') — collider follows the mesh; the player rides it when standing on top
+- engine.collisionSystem queries — .raycast(origin, dir, maxDist), .overlapBox(box3), .sphereCast(origin, radius, dir, maxDist), .groundHeightAt(x, z)
+- engine.locomotion — .moveSpeed, .snapAngle, .mode ('smooth' | 'teleport' | 'armswing'), .setMode(mode); teleports emit 'player:teleported' { from, to }
+- mesh.userData.climbable = true lets VR players grip and climb a mesh; climbing emits 'climb:start' / 'climb:end' { hand, object }
+- engine.comfort — per-player comfort settings: .get(key), .set(key, value); emits 'comfort:changed' { key, value } (keys: mode, turn, snapAngle, turnSpeed, vignette, seated, seatedHeight, dominantHand)
+- engine.paused — true while the pause menu is open; engine.pause() / engine.resume() emit 'game:paused' / 'game:resumed'. behaviors.js update() is not called while paused
+- engine.hintManager.request() — show the current puzzle's next hint; puzzles declare tiered hints in puzzle.hints (strings or { text, target }) and call this.mistake() on wrong actions
+- engine.audioManager.attach(objectOrVector3, { type: 'hum'|'fire'|'portal'|'drips'|'drip'|..., volume, refDistance, interval }) — positional sound following the object; .detach(emitter) when done. .playSound('solved', object) plays a one-off sound from an object
+- engine.analytics records playtest sessions (download from the pause menu); engine.respawnPlayer(reason) puts the player back at playerSpawn and emits 'player:respawned' { reason } (playerSpawn.respawnBelow: y, below the spawn height, respawns on a fall)
+- engine.saveManager.register('key', { save: () => data, load: (data) => {...} }) — include behaviors.js state in game saves (register in init). Events: 'level:loaded' { level, config } after init; 'game:loaded' { data } after a save is restored
+- VR/desktop menus: import { UIPanel, UILabel, UIButton, UIButtonRow, UIToggle, UISlider, UISelect, UIList } from '../ui/UIPanel.js'; const panel = new UIPanel(engine, { title: 'Shop', anchor: 'world' }); panel.add(new UIButton('Buy', () => {...})); panel.placeInFront(1); panel.show(). Anchors: 'world', 'head', 'wrist'. panel.hide() / panel.dispose() when done
+- engine.inputManager — .get('MOVE_X') reads an action; button actions emit '<NAME>_DOWN' / '<NAME>_UP' (TRIGGER_RIGHT, GRIP_LEFT, JUMP, GRAB, ...); add actions with .actionMap.define('CROUCH', { type: 'button', bindings: ['key:KeyC', 'xr:left/button/3', 'pad:button/1'] })
 
 ## Finding Scene Objects in behaviors.js
 
@@ -219,6 +233,7 @@ behaviors.js can trigger level transitions programmatically:
 - Reach position: check player distance to a target point each frame
 - Defeat enemies: track enemy count, transition when all defeated
 - Puzzle completion: listen for 'puzzle:solved' events
+- Levers, buttons, knobs and sliders from the level config: listen for 'control:changed' ({ id, value } with value 0..1)
 
 Example — transition to level 2 when player reaches position [0, 0, -20]:
 {"files":{"custom/behaviors.js":"import * as THREE from 'three';\\nconst target=new THREE.Vector3(0,0,-20);\\nexport function init(engine){}\\nexport function update(engine,dt){const pos=new THREE.Vector3();engine.camera.getWorldPosition(pos);if(pos.distanceTo(target)<2.0)engine.levelTransition.triggerTransition(2);}"},"summary":"Level completes when player reaches end zone"}`;
@@ -2,7 +2,7 @@
  * LevelConfigSerializer — save editor scene → levelN.js ES module, load levelN.js → editor scene.
  *
  * Output format matches Immersio's level config spec exactly:
- *   export default { id, name, environment, decorations, props, playerSpawn, exit }
+ *   export default { id, name, environment, decorations, props, platforms, sockets, controls, sounds, playerSpawn, exit, puzzles, completion }
  */
 export class LevelConfigSerializer {
   /**
@@ -24,8 +24,14 @@ export class LevelConfigSerializer {
    *   environment: object,
    *   decorations: object[],
    *   props: object[],
-   *   playerSpawn: { position: [x,y,z], rotationY?: number },
-   *   exit: object | object[] | null
+   *   platforms: object[],
+   *   sockets: object[],
+   *   controls: object[],
+   *   sounds: object[],
+   *   playerSpawn: { position: [x,y,z], rotationY?: number, respawnBelow?: number },
+   *   exit: object | object[] | null,
+   *   puzzles: object[],
+   *   completion: Array | null
    * }
    * @returns {string} — valid ES module source code
    */
@@ -39,10 +45,34 @@ export class LevelConfigSerializer {
       playerSpawn: state.playerSpawn || { position: [0, 0, 8], rotationY: Math.PI },
     };
 
+    if (state.platforms?.length > 0) {
+      config.platforms = state.platforms.map(p => this._cleanObject(p));
+    }
+
+    if (state.sockets?.length > 0) {
+      config.sockets = state.sockets.map(s => this._cleanObject(s));
+    }
+
+    if (state.controls?.length > 0) {
+      config.controls = state.controls.map(c => this._cleanObject(c));
+    }
+
+    if (state.sounds?.length > 0) {
+      config.sounds = state.sounds.map(s => this._cleanObject(s));
+    }
+
     if (state.exit) {
       config.exit = state.exit;
     }
 
+    if (state.puzzles?.length > 0) {
+      config.puzzles = state.puzzles.map(p => this._cleanObject(p));
+    }
+
+    if (state.completion) {
+      config.completion = state.completion;
+    }
+
     if (state.engineInstructions?.length > 0) {
       config._editorMeta = { engineInstructions: state.engineInstructions };
     }
@@ -154,6 +184,7 @@ export class LevelConfigSerializer {
       this._pick(l, ['color', 'intensity', 'distance', 'angle', 'penumbra', 'position', 'target'])
     );
     if (env.particles) cleaned.particles = this._pick(env.particles, ['count', 'color']);
+    if (env.audio) cleaned.audio = this._cleanObject(env.audio);
 
     return cleaned;
   }
@@ -218,6 +249,42 @@ export class LevelConfigSerializer {
     }
     lines.push('  ],');
 
+    // Moving platforms
+    if (config.platforms) {
+      lines.push('  platforms: [');
+      for (const platform of config.platforms) {
+        lines.push(`    ${this._inlineObject(platform)},`);
+      }
+      lines.push('  ],');
+    }
+
+    // Snap zones
+    if (config.sockets) {
+      lines.push('  sockets: [');
+      for (const socket of config.sockets) {
+        lines.push(`    ${this._inlineObject(socket)},`);
+      }
+      lines.push('  ],');
+    }
+
+    // Levers, buttons, knobs and sliders
+    if (config.controls) {
+      lines.push('  controls: [');
+      for (const control of config.controls) {
+        lines.push(`    ${this._inlineObject(control)},`);
+      }
+      lines.push('  ],');
+    }
+
+    // Positional sound sources
+    if (config.sounds) {
+      lines.push('  sounds: [');
+      for (const sound of config.sounds) {
+        lines.push(`    ${this._inlineObject(sound)},`);
+      }
+      lines.push('  ],');
+    }
+
     // Player spawn
     lines.push(`  playerSpawn: ${this._serializePlayerSpawn(config.playerSpawn)},`);
 
@@ -234,6 +301,18 @@ export class LevelConfigSerializer {
       }
     }
 
+    // Puzzles
+    if (config.puzzles) {
+      lines.push('  puzzles: [');
+      for (const puzzle of config.puzzles) {
+        lines.push(`    ${this._inlineObject(puzzle)},`);
+      }
+      lines.push('  ],');
+    }
+    if (config.completion) {
+      lines.push(`  completion: ${this._jsValue(config.completion)},`);
+    }
+
     // Editor metadata (engine instructions, etc.) — preserved across save/load
     if (config._editorMeta) {
       lines.push(`  _editorMeta: ${JSON.stringify(config._editorMeta)},`);
@@ -268,6 +347,9 @@ export class LevelConfigSerializer {
     if (spawn.rotationY !== undefined && spawn.rotationY !== 0) {
       parts.push(`rotationY: ${this._serializeAngle(spawn.rotationY)}`);
     }
+    if (spawn.respawnBelow != null) {
+      parts.push(`respawnBelow: ${this._round(spawn.respawnBelow)}`);
+    }
     return `{ ${parts.join(', ')} }`;
   }
 
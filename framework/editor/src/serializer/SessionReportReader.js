@@ -0,0 +1,104 @@
+/**
+ * SessionReportReader — read playtest session reports downloaded from a game
+ * (src/analytics/SessionRecorder.js) and summarize them for the level being edited.
+ *
+ * Report format: { format: 'immersio-session', version, game, startedAt, playTime,
+ *   totals, levels: [{ level, name, start, end, time, completed, puzzles, respawns, path }], events }
+ */
+const REPORT_FORMAT = 'immersio-session';
+const REPORT_VERSION = 1;
+
+export class SessionReportReader {
+  /**
+   * @param {string} gameSlug — game directory slug
+   * @param {number} levelNumber — level index
+   */
+  constructor(gameSlug, levelNumber) {
+    this.gameSlug = gameSlug;
+    this.levelNumber = levelNumber;
+  }
+
+  /**
+   * Parse a report file's text.
+   * @param {string} text
+   * @param {string} [filename] — kept on the report as `file`
+   * @returns {object} the report
+   * @throws {Error} when the text is not a session report this editor can read
+   */
+  parse(text, filename = '') {
+    let report;
+    try {
+      report = JSON.parse(text);
+    } catch (e) {
+      throw new Error(`${filename || 'Session file'} is not valid JSON: ${e.message}`);
+    }
+    if (report?.format !== REPORT_FORMAT || !Array.isArray(report.levels)) {
+      throw new Error(`${filename || 'Session file'} is not an Immersio session report`);
+    }
+    if (report.version > REPORT_VERSION) {
+      throw new Error(`${filename || 'Session file'} has report version ${report.version}; this editor reads up to ${REPORT_VERSION}`);
+    }
+    if (report.game !== this.gameSlug) {
+      console.warn(`[SessionReportReader] ${filename} was recorded in "${report.game}", not "${this.gameSlug}"`);
+    }
+    report.file = filename;
+    return report;
+  }
+
+  /**
+   * Every visit to this level across reports, each with the index of the
+   * `session` (report) it came from, that report's `sampleRate` and the
+   * `hintTimes` at which hints were shown during the visit.
+   * @param {object[]} reports
+   * @returns {object[]}
+   */
+  visits(reports) {
+    return reports.flatMap((report, session) => report.levels
+      .filter(visit => visit.level === this.levelNumber)
+      .map(visit => ({
+        ...visit,
+        session,
+        sampleRate: report.sampleRate,
+        hintTimes: (report.events || [])
+          .filter(e => e.type === 'hint:shown' && e.t >= visit.start && e.t <= visit.end)
+          .map(e => e.t),
+      })));
+  }
+
+  /**
+   * Totals for this level: visits, completions, average time, respawns and,
+   * per puzzle, how often it was solved, how long it took, mistakes and hints.
+   * @param {object[]} reports
+   * @returns {{ sessions: number, visits: number, completed: number, avgTime: number|null,
+   *   respawns: number, puzzles: object[] }}
+   */
+  summarize(reports) {
+    const visits = this.visits(reports);
+    const puzzles = new Map();
+    for (const visit of visits) {
+      for (const p of visit.puzzles || []) {
+        const entry = puzzles.get(p.id) || { id: p.id, attempts: 0, solved: 0, totalTime: 0, mistakes: 0, hints: 0, failures: 0 };
+        entry.attempts++;
+        if (p.solvedAt !== null) entry.solved++;
+        if (p.time !== null) entry.totalTime += p.time;
+        entry.mistakes += p.mistakes;
+        entry.hints += p.hints;
+        entry.failures += p.failures;
+        puzzles.set(p.id, entry);
+      }
+    }
+
+    const average = (total, count) => (count > 0 ? Math.round((total / count) * 10) / 10 : null);
+    return {
+      sessions: reports.length,
+      visits: visits.length,
+      completed: visits.filter(v => v.completed).length,
+      avgTime: average(visits.reduce((sum, v) => sum + v.time, 0), visits.length),
+      respawns: visits.reduce((sum, v) => sum + v.respawns.length, 0),
+      puzzles: [...puzzles.values()].map(({ totalTime, ...entry }) => ({
+        ...entry,
+        avgTime: average(totalTime, entry.solved),
+      })),
+    };
+  }
+}
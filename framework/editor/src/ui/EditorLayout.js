@@ -7,6 +7,7 @@ import { EngineCustomPanel } from './EngineCustomPanel.js';
 import { StatusBar } from './StatusBar.js';
 import { ContextMenu } from './ContextMenu.js';
 import { ErrorPopup } from './ErrorPopup.js';
+import { SessionPanel } from './SessionPanel.js';
 import './editor.css';
 
 export class EditorLayout {
@@ -21,6 +22,7 @@ export class EditorLayout {
     this.sceneTree = null;
     this.properties = null;
     this.aiPrompt = null;
+    this.sessionPanel = null;
     this.settingsPanel = null;
     this.enginePanel = null;
     this.statusBar = null;
@@ -83,6 +85,13 @@ export class EditorLayout {
     });
     this.viewportEl.appendChild(this.aiPrompt.build());
 
+    // Playtest session filters (on viewport, shown once sessions are imported)
+    this.sessionPanel = new SessionPanel({
+      onChange: (filter) => this.emit('sessionFilter', filter),
+      onClear: () => this.emit('clearSessions'),
+    });
+    this.viewportEl.appendChild(this.sessionPanel.build());
+
     // Settings Panel (modal, appended to body)
     this.settingsPanel = new SettingsPanel({
       onSave: (settings) => this.emit('settingsChanged', settings),
@@ -1,3 +1,9 @@
+// Choices for the environment audio controls (generators of the game's AudioManager)
+const AUDIO_PRESETS = ['outdoor', 'indoor', 'cave', 'water', 'beach', 'none'];
+const AUDIO_LAYERS = ['wind', 'ocean', 'rain', 'hum', 'drips', 'fire', 'portal'];
+const AUDIO_ONE_SHOTS = ['bird', 'thunder', 'drip'];
+const AUDIO_FILTERS = ['lowpass', 'highpass', 'bandpass'];
+
 export class PropertiesPanel {
   constructor({ onChange }) {
     this.onChange = onChange;
@@ -50,6 +56,11 @@ export class PropertiesPanel {
       { label: 'Type', value: obj.type || 'object', type: 'readonly' },
     ]);
 
+    if (obj.type === 'audio') {
+      this._renderAudio(obj.data || {});
+      return;
+    }
+
     // Transform section (Position, Rotation, Scale)
     const transformFields = [];
     if (obj.position) {
@@ -99,6 +110,10 @@ export class PropertiesPanel {
         valueEl.appendChild(this._createColorInput(field));
       } else if (field.type === 'number') {
         valueEl.appendChild(this._createNumberInput(field));
+      } else if (field.type === 'select') {
+        valueEl.appendChild(this._createSelect(field));
+      } else if (field.type === 'button') {
+        valueEl.appendChild(this._createButton(field));
       } else if (field.type === 'readonly') {
         const span = document.createElement('span');
         span.style.cssText = 'font-size: 12px; color: var(--text-muted); padding: 0 6px;';
@@ -152,21 +167,56 @@ export class PropertiesPanel {
     const input = document.createElement('input');
     input.type = 'number';
     input.className = 'props-input';
-    input.value = this._formatNum(field.value);
+    input.value = field.value === '' ? '' : this._formatNum(field.value);
     input.step = field.step || 0.01;
     if (field.min !== undefined) input.min = field.min;
     if (field.max !== undefined) input.max = field.max;
+    // With a placeholder the field may be left empty (null = use the default)
+    if (field.placeholder) input.placeholder = field.placeholder;
     input.addEventListener('change', () => {
+      if (field.placeholder && input.value === '') {
+        this.onChange?.(field.prop, null);
+        return;
+      }
       this.onChange?.(field.prop, parseFloat(input.value) || 0);
     });
     return input;
   }
 
+  /** Dropdown; field.options are strings or { value, label } */
+  _createSelect(field) {
+    const select = document.createElement('select');
+    select.className = 'props-input';
+    for (const option of field.options) {
+      const { value, label } = typeof option === 'string' ? { value: option, label: option } : option;
+      const el = document.createElement('option');
+      el.value = value;
+      el.textContent = label;
+      select.appendChild(el);
+    }
+    select.value = field.value;
+    select.addEventListener('change', () => {
+      this.onChange?.(field.prop, select.value);
+    });
+    return select;
+  }
+
+  _createButton(field) {
+    const button = document.createElement('button');
+    button.className = 'props-button';
+    button.textContent = field.text;
+    button.addEventListener('click', () => {
+      this.onChange?.(field.prop, true);
+    });
+    return button;
+  }
+
   _createTextInput(field) {
     const input = document.createElement('input');
     input.type = 'text';
     input.className = 'props-input';
     input.value = field.value;
+    if (field.placeholder) input.placeholder = field.placeholder;
     input.addEventListener('change', () => {
       this.onChange?.(field.prop, input.value);
     });
@@ -273,6 +323,7 @@ export class PropertiesPanel {
       if (data.rotationY !== undefined) {
         props.push({ label: 'Rot Y', value: data.rotationY, type: 'number', prop: 'data.rotationY', step: 0.1 });
       }
+      props.push({ label: 'Collider', value: data.collider || 'box', type: 'text', prop: 'data.collider' });
     }
 
     if (obj.category === 'exits') {
@@ -287,9 +338,77 @@ export class PropertiesPanel {
       }
     }
 
+    if (obj.category === 'puzzles') {
+      props.push({ label: 'Type', value: data.type, type: 'readonly' });
+      if (data.dependencies?.length > 0) {
+        const requires = data.dependencies.map(dep => (typeof dep === 'string' ? dep : `any of ${dep.any?.join(' / ')}`));
+        props.push({ label: 'Requires', value: requires.join(', '), type: 'readonly' });
+      }
+      if (data.optional) {
+        props.push({ label: 'Optional', value: 'yes', type: 'readonly' });
+      }
+      if (data.onFail) {
+        props.push({ label: 'On fail', value: data.onFail, type: 'readonly' });
+      }
+    }
+
     return props;
   }
 
+  /**
+   * Environment audio: the ambient preset, then a section per extra layer
+   * and per one-shot. Props are paths into environment.audio ('audio.layers.0.volume');
+   * 'audio.layers.add' / 'audio.layers.remove.0' add and remove entries.
+   */
+  _renderAudio(audio) {
+    this._addSection('Ambient', [
+      {
+        label: 'Preset',
+        value: audio.ambient || '',
+        type: 'select',
+        prop: 'audio.ambient',
+        options: [{ value: '', label: 'by enclosure' }, ...AUDIO_PRESETS],
+      },
+      { label: 'Volume', value: audio.volume ?? 1, type: 'number', prop: 'audio.volume', min: 0, step: 0.05 },
+    ]);
+
+    (audio.layers || []).forEach((layer, i) => {
+      const path = `audio.layers.${i}`;
+      const filter = layer.filter === undefined ? 'default' : layer.filter === null ? 'none' : layer.filter.type || 'lowpass';
+      const fields = [
+        { label: 'Type', value: layer.type, type: 'select', prop: `${path}.type`, options: AUDIO_LAYERS },
+        { label: 'Volume', value: layer.volume ?? '', type: 'number', prop: `${path}.volume`, min: 0, step: 0.05, placeholder: 'default' },
+        {
+          label: 'Filter',
+          value: filter,
+          type: 'select',
+          prop: `${path}.filter.type`,
+          options: [{ value: 'default', label: 'default' }, { value: 'none', label: 'none' }, ...AUDIO_FILTERS],
+        },
+      ];
+      if (layer.filter) {
+        fields.push({ label: 'Freq Hz', value: layer.filter.frequency ?? 1000, type: 'number', prop: `${path}.filter.frequency`, min: 20, step: 10 });
+      }
+      fields.push({ label: '', text: 'Remove layer', type: 'button', prop: `audio.layers.remove.${i}` });
+      this._addSection(`Layer ${i + 1}`, fields);
+    });
+
+    (audio.oneShots || []).forEach((shot, i) => {
+      const path = `audio.oneShots.${i}`;
+      this._addSection(`One-shot ${i + 1}`, [
+        { label: 'Type', value: shot.type, type: 'select', prop: `${path}.type`, options: AUDIO_ONE_SHOTS },
+        { label: 'Volume', value: shot.volume ?? '', type: 'number', prop: `${path}.volume`, min: 0, step: 0.05, placeholder: 'default' },
+        { label: 'Every s', value: shot.interval ? shot.interval.join(', ') : '', type: 'text', prop: `${path}.interval`, placeholder: 'min, max' },
+        { label: '', text: 'Remove one-shot', type: 'button', prop: `audio.oneShots.remove.${i}` },
+      ]);
+    });
+
+    this._addSection('Add', [
+      { label: '', text: 'Add layer', type: 'button', prop: 'audio.layers.add' },
+      { label: '', text: 'Add one-shot', type: 'button', prop: 'audio.oneShots.add' },
+    ]);
+  }
+
   _formatNum(n) {
     return parseFloat(parseFloat(n).toFixed(3)).toString();
   }
@@ -3,6 +3,7 @@ const CATEGORIES = [
   { key: 'decorations', label: 'Decorations', iconClass: 'deco' },
   { key: 'props', label: 'Props', iconClass: 'prop' },
   { key: 'exits', label: 'Exits', iconClass: 'exit' },
+  { key: 'puzzles', label: 'Puzzles', iconClass: 'puzzle' },
 ];
 
 export class SceneTreePanel {
@@ -12,7 +13,7 @@ export class SceneTreePanel {
     this.el = null;
     this.contentEl = null;
     this.selectedId = null;
-    this._data = { environment: [], decorations: [], props: [], exits: [] };
+    this._data = { environment: [], decorations: [], props: [], exits: [], puzzles: [] };
     this._collapsed = {};
     this._expandedItems = {}; // Track expanded composite items
   }
@@ -48,7 +49,7 @@ export class SceneTreePanel {
     return this.el;
   }
 
-  /** Update tree data. Expected shape: { environment: [], decorations: [], props: [], exits: [] } */
+  /** Update tree data. Expected shape: { environment: [], decorations: [], props: [], exits: [], puzzles: [] } */
   update(data) {
     this._data = data || this._data;
     this._render();
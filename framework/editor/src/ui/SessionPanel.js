@@ -0,0 +1,201 @@
+/**
+ * SessionPanel — floating viewport panel for imported playtest sessions:
+ * pick which sessions to show, narrow them to a time range within each
+ * level visit and toggle the heatmap, path and marker layers. Below the
+ * list, a table sums up each puzzle of the level across all sessions.
+ */
+export class SessionPanel {
+  constructor({ onChange, onClear }) {
+    this.onChange = onChange;
+    this.onClear = onClear;
+    this.el = null;
+    this._listEl = null;
+    this._puzzlesEl = null;
+    this._fromInput = null;
+    this._toInput = null;
+    this._rangeLabel = null;
+    this._sessions = []; // { label, color, enabled }
+    this._layers = { heatmap: true, paths: true, markers: true };
+  }
+
+  build() {
+    this.el = document.createElement('div');
+    this.el.className = 'session-panel';
+    this.el.style.display = 'none';
+
+    // Header
+    const header = document.createElement('div');
+    header.className = 'session-panel-header';
+    header.innerHTML = `<span>Playtest Sessions</span>`;
+    const closeBtn = document.createElement('button');
+    closeBtn.className = 'session-panel-close';
+    closeBtn.title = 'Clear sessions';
+    closeBtn.innerHTML = '&times;';
+    closeBtn.addEventListener('click', () => {
+      this.hide();
+      this.onClear?.();
+    });
+    header.appendChild(closeBtn);
+    this.el.appendChild(header);
+
+    // Session list
+    this._listEl = document.createElement('div');
+    this._listEl.className = 'session-panel-list';
+    this.el.appendChild(this._listEl);
+
+    // Per-puzzle summary
+    this._puzzlesEl = document.createElement('div');
+    this._puzzlesEl.className = 'session-panel-puzzles';
+    this.el.appendChild(this._puzzlesEl);
+
+    // Time range within each visit
+    const range = document.createElement('div');
+    range.className = 'session-panel-range';
+    this._rangeLabel = document.createElement('div');
+    this._rangeLabel.className = 'session-panel-range-label';
+    range.appendChild(this._rangeLabel);
+    this._fromInput = this._slider(range);
+    this._toInput = this._slider(range);
+    this.el.appendChild(range);
+
+    // Layers
+    const layers = document.createElement('div');
+    layers.className = 'session-panel-layers';
+    for (const [key, label] of [['heatmap', 'Heatmap'], ['paths', 'Paths'], ['markers', 'Markers']]) {
+      layers.appendChild(this._checkbox(label, this._layers[key], (checked) => {
+        this._layers[key] = checked;
+        this._emit();
+      }));
+    }
+    this.el.appendChild(layers);
+
+    // Marker legend
+    const legend = document.createElement('div');
+    legend.className = 'session-panel-legend';
+    legend.innerHTML = '<span style="color:#ef5350">◆ respawn</span>'
+      + '<span style="color:#ffee58">▼ hint shown</span>'
+      + '<span style="color:#ff9800">○ long stay</span>';
+    this.el.appendChild(legend);
+
+    return this.el;
+  }
+
+  /**
+   * Show the panel for a new set of sessions, all enabled, full time range.
+   * @param {{ label: string, color: number }[]} sessions
+   * @param {number} duration — longest visit in seconds
+   */
+  show(sessions, duration) {
+    this._sessions = sessions.map(s => ({ ...s, enabled: true }));
+    this._listEl.innerHTML = '';
+    this._sessions.forEach((session) => {
+      const row = this._checkbox(session.label, true, (checked) => {
+        session.enabled = checked;
+        this._emit();
+      });
+      const swatch = document.createElement('span');
+      swatch.className = 'session-panel-swatch';
+      swatch.style.background = `#${session.color.toString(16).padStart(6, '0')}`;
+      row.insertBefore(swatch, row.lastChild);
+      this._listEl.appendChild(row);
+    });
+
+    const max = Math.max(1, Math.ceil(duration));
+    for (const input of [this._fromInput, this._toInput]) input.max = max;
+    this._fromInput.value = 0;
+    this._toInput.value = max;
+    this._updateRangeLabel();
+    this.el.style.display = '';
+  }
+
+  /**
+   * Fill the per-puzzle table; hidden when the level has no puzzle figures.
+   * @param {{ id: string, attempts: number, solved: number, avgTime: number|null,
+   *   mistakes: number, hints: number, failures: number }[]} puzzles — SessionReportReader.summarize().puzzles
+   */
+  showPuzzles(puzzles) {
+    this._puzzlesEl.innerHTML = '';
+    this._puzzlesEl.style.display = puzzles.length > 0 ? '' : 'none';
+    if (puzzles.length === 0) return;
+
+    const table = document.createElement('table');
+    const columns = [
+      ['Puzzle', 'Puzzle id'],
+      ['Solved', 'Visits that solved it / visits that reached it'],
+      ['Avg', 'Average seconds from activation to solve'],
+      ['Mis', 'Mistakes'],
+      ['Hnt', 'Hints shown'],
+      ['Fail', 'Failures'],
+    ];
+    const head = table.createTHead().insertRow();
+    for (const [label, title] of columns) {
+      const th = document.createElement('th');
+      th.textContent = label;
+      th.title = title;
+      head.appendChild(th);
+    }
+    const body = table.createTBody();
+    for (const p of puzzles) {
+      const row = body.insertRow();
+      const cells = [
+        p.id,
+        `${p.solved}/${p.attempts}`,
+        p.avgTime === null ? '–' : `${Math.round(p.avgTime)}s`,
+        p.mistakes,
+        p.hints,
+        p.failures,
+      ];
+      for (const value of cells) row.insertCell().textContent = value;
+      row.cells[0].title = p.id;
+    }
+    this._puzzlesEl.appendChild(table);
+  }
+
+  hide() {
+    if (this.el) this.el.style.display = 'none';
+  }
+
+  _emit() {
+    const from = Number(this._fromInput.value);
+    const to = Number(this._toInput.value);
+    this.onChange?.({
+      sessions: this._sessions.map((s, i) => (s.enabled ? i : -1)).filter(i => i >= 0),
+      from: Math.min(from, to),
+      // The last step of the slider means "to the end"
+      to: Math.max(from, to) >= Number(this._toInput.max) ? Infinity : Math.max(from, to),
+      layers: { ...this._layers },
+    });
+  }
+
+  _updateRangeLabel() {
+    const a = Number(this._fromInput.value);
+    const b = Number(this._toInput.value);
+    const fmt = (s) => `${Math.floor(s / 60)}:${String(Math.round(s % 60)).padStart(2, '0')}`;
+    this._rangeLabel.textContent = `Time in level: ${fmt(Math.min(a, b))} – ${fmt(Math.max(a, b))}`;
+  }
+
+  _slider(parent) {
+    const input = document.createElement('input');
+    input.type = 'range';
+    input.min = 0;
+    input.step = 1;
+    input.addEventListener('input', () => this._updateRangeLabel());
+    input.addEventListener('change', () => this._emit());
+    parent.appendChild(input);
+    return input;
+  }
+
+  _checkbox(label, checked, onToggle) {
+    const row = document.createElement('label');
+    row.className = 'session-panel-check';
+    const input = document.createElement('input');
+    input.type = 'checkbox';
+    input.checked = checked;
+    input.addEventListener('change', () => onToggle(input.checked));
+    const text = document.createElement('span');
+    text.textContent = label;
+    row.appendChild(input);
+    row.appendChild(text);
+    return row;
+  }
+}
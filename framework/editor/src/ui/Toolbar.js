@@ -8,6 +8,7 @@ const ICON_FIT = `<svg viewBox="0 0 16 16"><path d="M1 1h4v1H2v3H1V1zm10 0h4v4h-
 const ICON_ENV = `<svg viewBox="0 0 16 16"><circle cx="8" cy="5" r="3"/><path d="M2 14c0-3.3 2.7-6 6-6s6 2.7 6 6"/></svg>`;
 const ICON_AI = `<svg viewBox="0 0 16 16"><path d="M8 1l2 4 4.5.7-3.2 3.1.8 4.5L8 11.2 3.9 13.3l.8-4.5L1.5 5.7 6 5z"/></svg>`;
 const ICON_IMPORT = `<svg viewBox="0 0 16 16"><path d="M8 1v8m0 0L5 6m3 3l3-3" stroke="currentColor" stroke-width="1.5" fill="none" stroke-linecap="round" stroke-linejoin="round"/><path d="M2 10v3a1 1 0 0 0 1 1h10a1 1 0 0 0 1-1v-3" stroke="currentColor" stroke-width="1.5" fill="none" stroke-linecap="round"/></svg>`;
+const ICON_SESSIONS = `<svg viewBox="0 0 16 16"><path d="M1 14h14v1H1v-1zm1-5h2v4H2V9zm4-4h2v8H6V5zm4 2h2v6h-2V7zm3-5h2v11h-2V2z"/></svg>`;
 const ICON_PLAY = `<svg viewBox="0 0 16 16"><path d="M3 2l10 6-10 6V2z"/></svg>`;
 const ICON_PLAY_LEVEL = `<svg viewBox="0 0 16 16"><circle cx="8" cy="8" r="7" fill="none" stroke="currentColor" stroke-width="1.3"/><path d="M6 4.5l6 3.5-6 3.5z"/></svg>`;
 const ICON_ENGINE = `<svg viewBox="0 0 16 16"><path d="M8.5 1v1.05A5.5 5.5 0 0 1 13 7.5c0 .52-.07 1.02-.21 1.5H14a.5.5 0 0 1 0 1h-1.6a5.5 5.5 0 0 1-8.8 0H2a.5.5 0 0 1 0-1h1.21A5.48 5.48 0 0 1 3 7.5a5.5 5.5 0 0 1 4.5-5.45V1a.5.5 0 0 1 1 0zM8 3.5a4 4 0 1 0 0 8 4 4 0 0 0 0-8zM6 7h1V6a.5.5 0 0 1 1 0v1h1a.5.5 0 0 1 0 1H8v1a.5.5 0 0 1-1 0V8H6a.5.5 0 0 1 0-1z"/></svg>`;
@@ -41,6 +42,7 @@ export class Toolbar {
       this._btn('Save', ICON_SAVE, 'save', 'Ctrl+S'),
       this._btn('Load', ICON_FOLDER, 'load', 'Ctrl+O'),
       this._btn('Import', ICON_IMPORT, 'importAssets', 'Ctrl+I'),
+      this._btn('Sessions', ICON_SESSIONS, 'importSessions'),
     ]));
 
     // Edit group
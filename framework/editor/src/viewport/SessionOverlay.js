@@ -0,0 +1,262 @@
+import * as THREE from 'three';
+
+const HEAT_CELL = 0.5; // metres per heatmap cell
+const HEAT_MAX_CELLS = 256; // per side; cells grow for very large levels
+const HEAT_MARGIN = 2; // empty cells around the visited area
+const DWELL_RADIUS = 1.5; // metres a player may drift and still count as standing still
+const DWELL_TIME = 20; // seconds in one spot before it's marked
+const LIFT = 0.05; // draw paths and markers just above the floor
+
+const SESSION_COLORS = [0x4fc3f7, 0x81c784, 0xce93d8, 0xffb74d, 0x4db6ac, 0xf06292, 0x9575cd, 0xaed581];
+const RESPAWN_COLOR = 0xef5350;
+const HINT_COLOR = 0xffee58;
+const DWELL_COLOR = 0xff9800;
+
+/**
+ * Playtest overlay for imported session reports (see SessionReportReader).
+ *
+ * Draws a heatmap of where players spent their time on the ground below
+ * the visited area, each visit's path as a line in its session's colour,
+ * and markers where players respawned (red), were shown a hint (yellow —
+ * they were idle or kept making mistakes) and stood within DWELL_RADIUS for
+ * DWELL_TIME seconds or more (orange ring, larger the longer they stayed).
+ *
+ * Filter by session and by time range, in seconds from the start of each
+ * visit, with setFilter().
+ */
+export class SessionOverlay {
+  constructor(scene) {
+    this.scene = scene;
+    this.group = new THREE.Group();
+    this.group.name = '_sessionOverlay';
+
+    this.visits = [];
+    this.filter = { sessions: null, from: 0, to: Infinity }; // sessions: indices shown, null = all
+    this.layers = { heatmap: true, paths: true, markers: true };
+  }
+
+  /** Colour of a session's paths, also used by the session list. */
+  sessionColor(index) {
+    return SESSION_COLORS[index % SESSION_COLORS.length];
+  }
+
+  /** Longest visit in seconds, for the time range controls. */
+  get duration() {
+    return this.visits.reduce((max, visit) => Math.max(max, visit.time), 0);
+  }
+
+  /**
+   * Show a level's visits, replacing any shown before.
+   * @param {object[]} visits — from SessionReportReader.visits()
+   */
+  setVisits(visits) {
+    this.visits = visits;
+    this.filter = { sessions: null, from: 0, to: Infinity };
+    this._rebuild();
+  }
+
+  /**
+   * @param {{ sessions?: number[]|null, from?: number, to?: number,
+   *   layers?: { heatmap?: boolean, paths?: boolean, markers?: boolean } }} filter
+   */
+  setFilter({ layers, ...filter }) {
+    this.filter = { ...this.filter, ...filter };
+    if (layers) this.layers = { ...this.layers, ...layers };
+    this._rebuild();
+  }
+
+  clear() {
+    this.visits = [];
+    this._rebuild();
+  }
+
+  dispose() {
+    this.clear();
+  }
+
+  // ---- Build ----
+
+  _rebuild() {
+    this._disposeChildren();
+    const { sessions, from, to } = this.filter;
+    const visits = this.visits.filter(visit => !sessions || sessions.includes(visit.session));
+    if (visits.length === 0) {
+      this.group.removeFromParent();
+      return;
+    }
+    this.scene.add(this.group);
+
+    // Samples inside the time range, relative to the start of their visit
+    const inRange = (t, visit) => t - visit.start >= from && t - visit.start <= to;
+    const traces = visits.map(visit => ({
+      visit,
+      points: visit.path.filter(([t]) => inRange(t, visit)),
+    }));
+
+    if (this.layers.heatmap) this._buildHeatmap(traces);
+    if (this.layers.paths) {
+      for (const trace of traces) this._buildPath(trace);
+    }
+    if (this.layers.markers) {
+      for (const trace of traces) this._buildMarkers(trace, inRange);
+    }
+  }
+
+  _buildHeatmap(traces) {
+    const samples = traces.flatMap(({ visit, points }) => points.map(p => ({ p, weight: 1 / (visit.sampleRate || 2) })));
+    if (samples.length === 0) return;
+
+    // Grid over the visited area, on the lowest floor the players stood on
+    let minX = Infinity, maxX = -Infinity, minZ = Infinity, maxZ = -Infinity, floorY = Infinity;
+    for (const { p: [, x, y, z] } of samples) {
+      minX = Math.min(minX, x); maxX = Math.max(maxX, x);
+      minZ = Math.min(minZ, z); maxZ = Math.max(maxZ, z);
+      floorY = Math.min(floorY, y);
+    }
+    const cell = Math.max(HEAT_CELL, (maxX - minX) / HEAT_MAX_CELLS, (maxZ - minZ) / HEAT_MAX_CELLS);
+    const cols = Math.ceil((maxX - minX) / cell) + 1 + HEAT_MARGIN * 2;
+    const rows = Math.ceil((maxZ - minZ) / cell) + 1 + HEAT_MARGIN * 2;
+    const originX = minX - HEAT_MARGIN * cell;
+    const originZ = minZ - HEAT_MARGIN * cell;
+
+    // Seconds spent per cell, spread over the neighbouring cells for a smooth map
+    const heat = new Float32Array(cols * rows);
+    for (const { p: [, x, , z], weight } of samples) {
+      const cx = Math.floor((x - originX) / cell);
+      const cz = Math.floor((z - originZ) / cell);
+      for (let dz = -1; dz <= 1; dz++) {
+        for (let dx = -1; dx <= 1; dx++) {
+          const ix = cx + dx;
+          const iz = cz + dz;
+          if (ix < 0 || iz < 0 || ix >= cols || iz >= rows) continue;
+          heat[iz * cols + ix] += weight * (dx === 0 && dz === 0 ? 0.5 : 0.0625);
+        }
+      }
+    }
+    const max = heat.reduce((m, v) => Math.max(m, v), 0);
+
+    const canvas = document.createElement('canvas');
+    canvas.width = cols;
+    canvas.height = rows;
+    const ctx = canvas.getContext('2d');
+    const image = ctx.createImageData(cols, rows);
+    const color = new THREE.Color();
+    for (let i = 0; i < heat.length; i++) {
+      if (heat[i] === 0) continue;
+      const v = Math.sqrt(heat[i] / max); // sqrt so short visits still show
+      color.setHSL((1 - v) * 0.66, 1, 0.5); // blue → green → yellow → red
+      image.data[i * 4] = color.r * 255;
+      image.data[i * 4 + 1] = color.g * 255;
+      image.data[i * 4 + 2] = color.b * 255;
+      image.data[i * 4 + 3] = 80 + v * 140;
+    }
+    ctx.putImageData(image, 0, 0);
+
+    const texture = new THREE.CanvasTexture(canvas);
+    texture.colorSpace = THREE.SRGBColorSpace;
+    const mesh = new THREE.Mesh(
+      new THREE.PlaneGeometry(cols * cell, rows * cell),
+      new THREE.MeshBasicMaterial({
+        map: texture,
+        transparent: true,
+        depthWrite: false,
+        side: THREE.DoubleSide,
+        polygonOffset: true, // stay on top of a floor at the same height
+        polygonOffsetFactor: -4,
+      })
+    );
+    // Lay flat facing up: canvas row 0 (the texture's top edge) lands at minZ
+    mesh.rotation.x = -Math.PI / 2;
+    mesh.position.set(originX + (cols * cell) / 2, floorY + LIFT / 2, originZ + (rows * cell) / 2);
+    mesh.name = '_sessionHeatmap';
+    this.group.add(mesh);
+  }
+
+  _buildPath({ visit, points }) {
+    if (points.length < 2) return;
+    const geometry = new THREE.BufferGeometry().setFromPoints(
+      points.map(([, x, y, z]) => new THREE.Vector3(x, y + LIFT, z))
+    );
+    const line = new THREE.Line(geometry, new THREE.LineBasicMaterial({
+      color: this.sessionColor(visit.session),
+      depthTest: false, // visible through walls and props
+      transparent: true,
+      opacity: 0.85,
+    }));
+    line.renderOrder = 1;
+    this.group.add(line);
+  }
+
+  _buildMarkers({ visit, points }, inRange) {
+    for (const respawn of visit.respawns) {
+      if (!inRange(respawn.t, visit)) continue;
+      this._addMarker(new THREE.OctahedronGeometry(0.3), RESPAWN_COLOR, respawn.position);
+    }
+
+    for (const t of visit.hintTimes || []) {
+      if (!inRange(t, visit)) continue;
+      const sample = this._sampleAt(visit.path, t);
+      if (!sample) continue;
+      const cone = this._addMarker(new THREE.ConeGeometry(0.2, 0.4, 8), HINT_COLOR, sample.slice(1));
+      cone.rotation.x = Math.PI; // point down, like the game's hint marker
+    }
+
+    for (const dwell of this._findDwells(points)) {
+      const radius = 0.4 + Math.min(dwell.time / 60, 2);
+      const ring = this._addMarker(new THREE.RingGeometry(radius * 0.8, radius, 32), DWELL_COLOR, dwell.position);
+      ring.rotation.x = -Math.PI / 2;
+    }
+  }
+
+  _addMarker(geometry, color, [x, y, z]) {
+    const mesh = new THREE.Mesh(geometry, new THREE.MeshBasicMaterial({
+      color,
+      depthTest: false,
+      transparent: true,
+      opacity: 0.9,
+      side: THREE.DoubleSide,
+    }));
+    mesh.position.set(x, y + LIFT * 4, z);
+    mesh.renderOrder = 2;
+    this.group.add(mesh);
+    return mesh;
+  }
+
+  // Path sample closest in time to t
+  _sampleAt(path, t) {
+    let best = null;
+    for (const sample of path) {
+      if (!best || Math.abs(sample[0] - t) < Math.abs(best[0] - t)) best = sample;
+    }
+    return best;
+  }
+
+  // Stretches of the path spent within DWELL_RADIUS of where they began
+  _findDwells(points) {
+    const dwells = [];
+    let start = 0;
+    for (let i = 1; i <= points.length; i++) {
+      const anchor = points[start];
+      const point = points[i];
+      if (point && Math.hypot(point[1] - anchor[1], point[3] - anchor[3]) <= DWELL_RADIUS) continue;
+
+      const stay = points.slice(start, i);
+      const time = stay[stay.length - 1][0] - anchor[0];
+      if (time >= DWELL_TIME) {
+        const mean = [1, 2, 3].map(k => stay.reduce((sum, p) => sum + p[k], 0) / stay.length);
+        dwells.push({ position: mean, time });
+      }
+      start = i;
+    }
+    return dwells;
+  }
+
+  _disposeChildren() {
+    for (const child of [...this.group.children]) {
+      child.geometry.dispose();
+      child.material.map?.dispose();
+      child.material.dispose();
+      this.group.remove(child);
+    }
+  }
+}
@@ -2,8 +2,10 @@ import * as THREE from 'three';
 import { Viewport } from './Viewport.js';
 import { Selection } from './Selection.js';
 import { TransformGizmo } from './TransformGizmo.js';
+import { SessionOverlay } from './SessionOverlay.js';
 
 const DIVIDER_WIDTH = 2; // pixels
+const SESSION_VIEWS = ['top', 'perspective']; // viewports that show playtest sessions
 
 /**
  * Manages 4 viewports in a 2x2 grid layout, sharing a single WebGL renderer.
@@ -59,6 +61,9 @@ export class ViewportManager {
     // Transform gizmo (created before events so event handlers can reference it)
     this.transformGizmo = new TransformGizmo({ scene: this.scene });
 
+    // Playtest heatmap, paths and markers (added to the scene while sessions are shown)
+    this.sessionOverlay = new SessionOverlay(this.scene);
+
     this._initControls();
     this._initEvents();
     this.layout();
@@ -282,6 +287,8 @@ export class ViewportManager {
         grid.visible = (gk === key) && enabled;
       }
 
+      this.sessionOverlay.group.visible = SESSION_VIEWS.includes(key);
+
       // Ortho viewports get a neutral background — no sky/fog
       if (key !== 'perspective') {
         this.scene.background = null;
@@ -302,6 +309,27 @@ export class ViewportManager {
     this.renderer.setScissorTest(false);
   }
 
+  /**
+   * Overlay playtest sessions in the Top and Perspective viewports.
+   * @param {object[]} visits — this level's visits, from SessionReportReader.visits()
+   */
+  showSessions(visits) {
+    this.sessionOverlay.setVisits(visits);
+  }
+
+  /**
+   * Narrow the shown sessions and pick the overlay layers.
+   * @param {{ sessions?: number[]|null, from?: number, to?: number,
+   *   layers?: { heatmap?: boolean, paths?: boolean, markers?: boolean } }} filter
+   */
+  setSessionFilter(filter) {
+    this.sessionOverlay.setFilter(filter);
+  }
+
+  clearSessions() {
+    this.sessionOverlay.clear();
+  }
+
   /** Get the shared scene (for adding/removing objects) */
   getScene() {
     return this.scene;
@@ -320,6 +348,7 @@ export class ViewportManager {
       vp.dispose();
     }
     this.transformGizmo.dispose();
+    this.sessionOverlay.dispose();
     this.selection.dispose();
     if (this._wrapper.parentNode) {
       this._wrapper.parentNode.removeChild(this._wrapper);
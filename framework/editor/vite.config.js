@@ -626,8 +626,9 @@ function editorResetEnginePlugin() {
                 walkAndReset(fullPath);
               } else if (entry.name.endsWith('.tpl')) {
                 const relPath = relative(templatesDir, fullPath).replace(/\.tpl$/, '');
-                // Skip level configs and puzzle files
+                // Skip level configs, puzzle files and the game's settings and input bindings
                 if (relPath.startsWith('levels/level') || relPath.startsWith('puzzle/puzzles/')) continue;
+                if (relPath === 'settings.js' || relPath === 'input/bindings.js') continue;
 
                 const destPath = resolve(gameDir, 'src', relPath);
                 let content = readFileSync(fullPath, 'utf-8');
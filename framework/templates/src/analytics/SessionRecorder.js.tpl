@@ -0,0 +1,186 @@
+const GAME_ID = '{{GAME_SLUG}}';
+export const REPORT_FORMAT = 'immersio-session';
+const REPORT_VERSION = 1;
+
+// Game events kept in the report's event log
+const LOGGED_EVENTS = [
+  'level:transition', 'level:complete', 'game:complete', 'game:paused', 'game:resumed',
+  'puzzle:activated', 'puzzle:solved', 'puzzle:failed', 'puzzle:reset', 'puzzle:mistake',
+  'hint:shown', 'player:respawned', 'game:saved', 'game:loaded', 'notification',
+];
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+/**
+ * Playtest analytics for one session (page load to close): listens on the
+ * EventBus and samples where the player stands, then builds a report with
+ * time per level visit and per puzzle, mistakes, hints, respawns, the path
+ * walked and the event log. Download it from the pause menu (Session Report)
+ * or with download(), and import it into the editor to see where players went.
+ *
+ * 'player:respawned' comes with { reason } from engine.respawnPlayer() and
+ * the `playerSpawn.respawnBelow` fall check, before the player is moved, so
+ * the report records where it happened. Games with their own respawn emit it
+ * the same way.
+ *
+ * Times are seconds of play since the session started; paused time doesn't count.
+ */
+export class SessionRecorder {
+  /**
+   * @param {Engine} engine
+   * @param {object} [settings] - the `analytics` section of src/settings.js
+   */
+  constructor(engine, settings = {}) {
+    this.engine = engine;
+    this.enabled = settings.enabled !== false;
+    this.sampleInterval = 1 / (settings.sampleRate || 2);
+    this.downloadOnComplete = settings.downloadOnComplete === true;
+
+    this._startedAt = new Date();
+    this._time = 0;
+    this._sampleTimer = 0;
+    this._visits = [];
+    this._visit = null; // level visit being recorded
+    this._sampling = false; // its level is built and the player placed
+    this._events = [];
+    if (!this.enabled) return;
+
+    const bus = engine.eventBus;
+    for (const type of LOGGED_EVENTS) {
+      bus.on(type, (data) => this._log(type, data));
+    }
+    bus.on('level:loading', ({ level }) => this._startVisit(level));
+    bus.on('level:loaded', ({ config }) => {
+      if (!this._visit) return;
+      this._visit.name = config.name || `Level ${this._visit.level}`;
+      this._sampling = true;
+      this._sampleTimer = this.sampleInterval; // sample the spawn point right away
+    });
+    bus.on('level:complete', () => {
+      if (this._visit) this._visit.completed = true;
+    });
+    bus.on('game:complete', () => {
+      if (this.downloadOnComplete) this.download();
+    });
+    bus.on('puzzle:activated', ({ id }) => {
+      this._puzzle(id).activatedAt ??= this._now();
+    });
+    bus.on('puzzle:solved', ({ id }) => {
+      const puzzle = this._puzzle(id);
+      puzzle.solvedAt = this._now();
+      if (puzzle.activatedAt !== null) puzzle.time = round2(puzzle.solvedAt - puzzle.activatedAt);
+    });
+    bus.on('puzzle:failed', ({ id }) => { this._puzzle(id).failures++; });
+    bus.on('puzzle:mistake', ({ id }) => { this._puzzle(id).mistakes++; });
+    bus.on('hint:shown', ({ id }) => { this._puzzle(id).hints++; });
+    bus.on('player:respawned', (data = {}) => {
+      if (!this._visit) return;
+      this._visit.respawns.push({ t: this._now(), position: this._position(), reason: data.reason ?? null });
+    });
+  }
+
+  update(dt) {
+    if (!this.enabled) return;
+    this._time += dt;
+    if (this.engine._titleScreenActive) {
+      this._endVisit();
+      return;
+    }
+    if (!this._sampling) return;
+
+    this._sampleTimer += dt;
+    if (this._sampleTimer < this.sampleInterval) return;
+    this._sampleTimer %= this.sampleInterval;
+    this._visit.path.push([this._now(), ...this._position()]);
+  }
+
+  /** The session so far as a plain, JSON-serializable object. */
+  report() {
+    const visits = this._visits.concat(this._visit ? [this._visit] : []).map(visit => ({
+      ...visit,
+      end: visit.end ?? this._now(),
+      time: round2((visit.end ?? this._now()) - visit.start),
+      puzzles: Object.values(visit.puzzles),
+    }));
+    const puzzles = visits.flatMap(visit => visit.puzzles);
+    return {
+      format: REPORT_FORMAT,
+      version: REPORT_VERSION,
+      game: GAME_ID,
+      startedAt: this._startedAt.toISOString(),
+      duration: round2((Date.now() - this._startedAt.getTime()) / 1000),
+      playTime: this._now(),
+      sampleRate: round2(1 / this.sampleInterval),
+      totals: {
+        levelVisits: visits.length,
+        levelsCompleted: visits.filter(visit => visit.completed).length,
+        puzzlesSolved: puzzles.filter(p => p.solvedAt !== null).length,
+        mistakes: puzzles.reduce((sum, p) => sum + p.mistakes, 0),
+        hints: puzzles.reduce((sum, p) => sum + p.hints, 0),
+        respawns: visits.reduce((sum, visit) => sum + visit.respawns.length, 0),
+      },
+      levels: visits,
+      events: this._events,
+    };
+  }
+
+  /** Download report() as a JSON file. */
+  download() {
+    const report = this.report();
+    const blob = new Blob([JSON.stringify(report)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `${GAME_ID}-session-${report.startedAt.replace(/[:.]/g, '-')}.json`;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+  }
+
+  _now() {
+    return round2(this._time);
+  }
+
+  _position() {
+    return this.engine.cameraRig.position.toArray().map(round2);
+  }
+
+  _log(type, data) {
+    // Only plain values: event payloads may carry scene objects
+    const entry = { t: this._now(), type };
+    if (data && typeof data === 'object') {
+      for (const [key, value] of Object.entries(data)) {
+        if (value === null || ['string', 'number', 'boolean'].includes(typeof value)) entry[key] = value;
+      }
+    }
+    this._events.push(entry);
+  }
+
+  _startVisit(level) {
+    this._endVisit();
+    this._visit = {
+      level,
+      name: `Level ${level}`,
+      start: this._now(),
+      end: null,
+      completed: false,
+      puzzles: {},
+      respawns: [],
+      path: [],
+    };
+  }
+
+  _endVisit() {
+    if (!this._visit) return;
+    this._visit.end = this._now();
+    this._visits.push(this._visit);
+    this._visit = null;
+    this._sampling = false;
+  }
+
+  // This visit's record of a puzzle, created on first mention
+  _puzzle(id) {
+    const puzzles = this._visit ? this._visit.puzzles : {};
+    puzzles[id] ??= { id, activatedAt: null, solvedAt: null, time: null, mistakes: 0, hints: 0, failures: 0 };
+    return puzzles[id];
+  }
+}
@@ -0,0 +1,392 @@
+import * as THREE from 'three';
+
+const _origin = new THREE.Vector3();
+const _dir = new THREE.Vector3();
+const _n = new THREE.Vector3();
+const _fit = new THREE.Box3();
+const _size = new THREE.Vector3();
+const _quat = new THREE.Quaternion();
+const _euler = new THREE.Euler();
+
+/**
+ * Collider shapes beyond plain axis-aligned Box3s. Every shape exposes the
+ * same duck-typed interface CollisionSystem relies on:
+ *
+ *   bounds                  — world-space Box3 (broadphase, overlapBox, sphereCast)
+ *   bottom                  — lowest Y of the shape
+ *   slope                   — walkable-surface angle in radians (0 = flat)
+ *   containsXZ(x, z)        — is the point inside the footprint
+ *   topAt(x, z)             — surface height at the footprint point nearest (x, z)
+ *   pushOut(x, z, r, out)   — horizontal push (out.x/out.z) that moves a circle
+ *                             of radius r out of the footprint; returns depth (0 = clear)
+ *   raycast(ray, point, normal) — true on hit, fills world point + face normal
+ *   updateBounds()          — call after changing the shape's transform
+ */
+
+/**
+ * Box rotated around the Y axis. Position is the center of the base.
+ */
+export class OrientedBoxCollider {
+  constructor(x, y, z, w, h, d, rotationY = 0) {
+    this.position = new THREE.Vector3(x, y, z);
+    this.halfWidth = w / 2;
+    this.halfDepth = d / 2;
+    this.height = h;
+    this.rotationY = rotationY;
+    this.slope = 0;
+    this.bounds = new THREE.Box3();
+    this.updateBounds();
+  }
+
+  get bottom() {
+    return this.position.y;
+  }
+
+  updateBounds() {
+    this._cos = Math.cos(this.rotationY);
+    this._sin = Math.sin(this.rotationY);
+    // Footprint half-extents of the rotated rectangle on world X/Z
+    const ex = Math.abs(this.halfWidth * this._cos) + Math.abs(this.halfDepth * this._sin);
+    const ez = Math.abs(this.halfWidth * this._sin) + Math.abs(this.halfDepth * this._cos);
+    const p = this.position;
+    this.bounds.min.set(p.x - ex, p.y, p.z - ez);
+    this.bounds.max.set(p.x + ex, p.y + this._maxHeight(), p.z + ez);
+  }
+
+  containsXZ(x, z) {
+    const lx = this._localX(x, z);
+    const lz = this._localZ(x, z);
+    return Math.abs(lx) <= this.halfWidth && Math.abs(lz) <= this.halfDepth;
+  }
+
+  topAt(x, z) {
+    return this.position.y + this._heightAtLocal(this._clampZ(this._localZ(x, z)));
+  }
+
+  pushOut(x, z, r, out) {
+    const lx = this._localX(x, z);
+    const lz = this._localZ(x, z);
+    const depth = pushOutOfRect(lx, lz, this.halfWidth, this.halfDepth, r, out);
+    if (depth > 0) {
+      // Rotate the local push back into world space
+      const px = out.x;
+      const pz = out.z;
+      out.x = px * this._cos + pz * this._sin;
+      out.z = -px * this._sin + pz * this._cos;
+    }
+    return depth;
+  }
+
+  raycast(ray, point, normal) {
+    // Transform the ray into the shape's local frame (origin at base center)
+    const p = this.position;
+    _origin.set(
+      this._localX(ray.origin.x, ray.origin.z),
+      ray.origin.y - p.y,
+      this._localZ(ray.origin.x, ray.origin.z)
+    );
+    _dir.set(
+      ray.direction.x * this._cos - ray.direction.z * this._sin,
+      ray.direction.y,
+      ray.direction.x * this._sin + ray.direction.z * this._cos
+    );
+
+    // Clip the ray against the half-spaces n·p <= c bounding the shape
+    let tMin = 0;
+    let tMax = Infinity;
+    let hitPlane = null;
+    for (const plane of this._planes()) {
+      _n.set(plane[0], plane[1], plane[2]);
+      const denom = _n.dot(_dir);
+      const dist = plane[3] - _n.dot(_origin);
+      if (denom === 0) {
+        if (dist < 0) return false;
+        continue;
+      }
+      const t = dist / denom;
+      if (denom < 0) {
+        if (t > tMin) {
+          tMin = t;
+          hitPlane = plane;
+        }
+      } else if (t < tMax) {
+        tMax = t;
+      }
+      if (tMin > tMax) return false;
+    }
+
+    point.copy(ray.direction).multiplyScalar(tMin).add(ray.origin);
+    if (hitPlane) {
+      _n.set(hitPlane[0], hitPlane[1], hitPlane[2]).normalize();
+      normal.set(
+        _n.x * this._cos + _n.z * this._sin,
+        _n.y,
+        -_n.x * this._sin + _n.z * this._cos
+      );
+    } else {
+      // Ray starts inside the shape
+      normal.copy(ray.direction).negate();
+    }
+    return true;
+  }
+
+  // Local frame: x across the width, z along the depth, y up from the base
+  _localX(x, z) {
+    return (x - this.position.x) * this._cos - (z - this.position.z) * this._sin;
+  }
+
+  _localZ(x, z) {
+    return (x - this.position.x) * this._sin + (z - this.position.z) * this._cos;
+  }
+
+  _clampZ(lz) {
+    return Math.max(-this.halfDepth, Math.min(this.halfDepth, lz));
+  }
+
+  _heightAtLocal() {
+    return this.height;
+  }
+
+  _maxHeight() {
+    return this.height;
+  }
+
+  /** Local half-spaces [nx, ny, nz, c] meaning n·p <= c. */
+  _planes() {
+    const hw = this.halfWidth;
+    const hd = this.halfDepth;
+    return [
+      [1, 0, 0, hw], [-1, 0, 0, hw],
+      [0, 0, 1, hd], [0, 0, -1, hd],
+      [0, -1, 0, 0],
+      [0, 1, 0, this.height],
+    ];
+  }
+}
+
+/**
+ * Sloped ramp: a wedge whose top rises from the base at its local +Z edge to
+ * `rise` at its local -Z edge (the far end when rotationY is 0).
+ */
+export class RampCollider extends OrientedBoxCollider {
+  constructor(x, y, z, w, d, rise, rotationY = 0) {
+    super(x, y, z, w, rise, d, rotationY);
+    this.slope = Math.atan2(rise, d);
+  }
+
+  _heightAtLocal(lz) {
+    return this.height * (this.halfDepth - lz) / (2 * this.halfDepth);
+  }
+
+  _planes() {
+    const planes = super._planes();
+    // Replace the flat top with the slope: y + (rise / depth) * z <= rise / 2
+    planes[5] = [0, 1, this.height / (2 * this.halfDepth), this.height / 2];
+    return planes;
+  }
+}
+
+/**
+ * Oriented box that follows an Object3D (moving platforms, elevators).
+ * It is fitted once to the object's unrotated bounds; sync() re-reads the
+ * object's world transform and records how far it moved since the last sync.
+ */
+export class KinematicCollider extends OrientedBoxCollider {
+  constructor(object) {
+    const rotY = object.rotation.y;
+    object.rotation.y = 0;
+    object.updateMatrixWorld(true);
+    _fit.setFromObject(object);
+    object.rotation.y = rotY;
+    object.updateMatrixWorld(true);
+    _fit.getSize(_size);
+
+    super(0, 0, 0, _size.x, _size.y, _size.z, rotY);
+    this.object = object;
+    this.pivot = new THREE.Vector3(); // object's world position
+    this.delta = new THREE.Vector3(); // pivot movement since the previous sync
+    this.deltaYaw = 0;
+
+    // Base center relative to the object's origin, in its unrotated frame
+    object.getWorldPosition(this.pivot);
+    this._offset = new THREE.Vector3(
+      (_fit.min.x + _fit.max.x) / 2 - this.pivot.x,
+      _fit.min.y - this.pivot.y,
+      (_fit.min.z + _fit.max.z) / 2 - this.pivot.z
+    );
+    this._place(rotY);
+  }
+
+  /** Follow the object. Returns true if it moved since the previous sync. */
+  sync() {
+    const prevX = this.pivot.x;
+    const prevY = this.pivot.y;
+    const prevZ = this.pivot.z;
+    const prevYaw = this.rotationY;
+
+    this.object.getWorldPosition(this.pivot);
+    this.object.getWorldQuaternion(_quat);
+    _euler.setFromQuaternion(_quat, 'YXZ');
+    const yaw = _euler.y;
+
+    this.delta.set(this.pivot.x - prevX, this.pivot.y - prevY, this.pivot.z - prevZ);
+    this.deltaYaw = Math.atan2(Math.sin(yaw - prevYaw), Math.cos(yaw - prevYaw));
+    if (this.delta.lengthSq() === 0 && this.deltaYaw === 0) return false;
+
+    this._place(yaw);
+    return true;
+  }
+
+  _place(yaw) {
+    const cos = Math.cos(yaw);
+    const sin = Math.sin(yaw);
+    const o = this._offset;
+    this.position.set(
+      this.pivot.x + o.x * cos + o.z * sin,
+      this.pivot.y + o.y,
+      this.pivot.z - o.x * sin + o.z * cos
+    );
+    this.rotationY = yaw;
+    this.updateBounds();
+  }
+}
+
+/**
+ * Upright cylinder (pillars, columns, barrels). Position is the center of the base.
+ */
+export class CylinderCollider {
+  constructor(x, y, z, radius, height) {
+    this.position = new THREE.Vector3(x, y, z);
+    this.radius = radius;
+    this.height = height;
+    this.slope = 0;
+    this.bounds = new THREE.Box3();
+    this.updateBounds();
+  }
+
+  get bottom() {
+    return this.position.y;
+  }
+
+  updateBounds() {
+    const p = this.position;
+    const r = this.radius;
+    this.bounds.min.set(p.x - r, p.y, p.z - r);
+    this.bounds.max.set(p.x + r, p.y + this.height, p.z + r);
+  }
+
+  containsXZ(x, z) {
+    const dx = x - this.position.x;
+    const dz = z - this.position.z;
+    return dx * dx + dz * dz <= this.radius * this.radius;
+  }
+
+  topAt() {
+    return this.position.y + this.height;
+  }
+
+  pushOut(x, z, r, out) {
+    let dx = x - this.position.x;
+    let dz = z - this.position.z;
+    let dist = Math.sqrt(dx * dx + dz * dz);
+    const depth = this.radius + r - dist;
+    if (depth <= 0) return 0;
+    if (dist < 1e-6) {
+      dx = 1;
+      dz = 0;
+      dist = 1;
+    }
+    out.x = (dx / dist) * depth;
+    out.z = (dz / dist) * depth;
+    return depth;
+  }
+
+  raycast(ray, point, normal) {
+    const p = this.position;
+    const o = ray.origin;
+    const d = ray.direction;
+    const ox = o.x - p.x;
+    const oz = o.z - p.z;
+    const y0 = p.y;
+    const y1 = p.y + this.height;
+    const r2 = this.radius * this.radius;
+
+    if (ox * ox + oz * oz <= r2 && o.y >= y0 && o.y <= y1) {
+      point.copy(o);
+      normal.copy(d).negate();
+      return true;
+    }
+
+    let best = Infinity;
+
+    // Side wall
+    const a = d.x * d.x + d.z * d.z;
+    if (a > 1e-9) {
+      const b = 2 * (ox * d.x + oz * d.z);
+      const c = ox * ox + oz * oz - r2;
+      const disc = b * b - 4 * a * c;
+      if (disc >= 0) {
+        const t = (-b - Math.sqrt(disc)) / (2 * a);
+        const y = o.y + d.y * t;
+        if (t >= 0 && y >= y0 && y <= y1) {
+          best = t;
+          normal.set(ox + d.x * t, 0, oz + d.z * t).normalize();
+        }
+      }
+    }
+
+    // Caps
+    if (Math.abs(d.y) > 1e-9) {
+      for (const [capY, ny] of [[y1, 1], [y0, -1]]) {
+        const t = (capY - o.y) / d.y;
+        if (t < 0 || t >= best) continue;
+        const hx = ox + d.x * t;
+        const hz = oz + d.z * t;
+        if (hx * hx + hz * hz <= r2) {
+          best = t;
+          normal.set(0, ny, 0);
+        }
+      }
+    }
+
+    if (best === Infinity) return false;
+    point.copy(d).multiplyScalar(best).add(o);
+    return true;
+  }
+}
+
+/**
+ * Push a circle (center lx/lz, radius r) out of an axis-aligned rectangle
+ * centered at the origin. Writes the push into out.x/out.z, returns its depth.
+ */
+export function pushOutOfRect(lx, lz, hw, hd, r, out) {
+  const cx = Math.max(-hw, Math.min(hw, lx));
+  const cz = Math.max(-hd, Math.min(hd, lz));
+  const dx = lx - cx;
+  const dz = lz - cz;
+  const distSq = dx * dx + dz * dz;
+
+  if (distSq > 0) {
+    // Center outside the rectangle: push away from the closest point
+    if (distSq >= r * r) return 0;
+    const dist = Math.sqrt(distSq);
+    const depth = r - dist;
+    out.x = (dx / dist) * depth;
+    out.z = (dz / dist) * depth;
+    return depth;
+  }
+
+  // Center inside: leave through the nearest edge
+  const toX = hw - Math.abs(lx);
+  const toZ = hd - Math.abs(lz);
+  if (toX < toZ) {
+    const depth = toX + r;
+    out.x = (lx >= 0 ? 1 : -1) * depth;
+    out.z = 0;
+    return depth;
+  }
+  const depth = toZ + r;
+  out.x = 0;
+  out.z = (lz >= 0 ? 1 : -1) * depth;
+  return depth;
+}
@@ -1,12 +1,65 @@
 import * as THREE from 'three';
+import {
+  OrientedBoxCollider, RampCollider, CylinderCollider, KinematicCollider, pushOutOfRect,
+} from './ColliderShapes.js';
 
-const _playerBox = new THREE.Box3();
+const _push = { x: 0, z: 0 };
+const _hitNormal = new THREE.Vector3();
+const _queryBox = new THREE.Box3();
+const _expanded = new THREE.Box3();
+const _ray = new THREE.Ray();
+const _hitPoint = new THREE.Vector3();
+const _end = new THREE.Vector3();
+const _carry = new THREE.Vector3();
+
+// Broadphase: colliders are bucketed into a uniform grid on the XZ plane.
+// Colliders spanning more cells than MAX_CELLS (floors, huge walls) skip the
+// grid and are tested on every query instead.
+const CELL_SIZE = 4;
+const MAX_CELLS = 256;
+
+// Colliders are plain THREE.Box3s (axis-aligned) or shapes from ColliderShapes.js.
+// These helpers give both the same interface.
+
+function boundsOf(c) {
+  return c.isBox3 ? c : c.bounds;
+}
+
+function bottomOf(c) {
+  return c.isBox3 ? c.min.y : c.bottom;
+}
+
+function topAt(c, x, z) {
+  return c.isBox3 ? c.max.y : c.topAt(x, z);
+}
+
+function containsXZ(c, x, z) {
+  if (!c.isBox3) return c.containsXZ(x, z);
+  return x >= c.min.x && x <= c.max.x && z >= c.min.z && z <= c.max.z;
+}
+
+function pushOut(c, x, z, r, out) {
+  if (!c.isBox3) return c.pushOut(x, z, r, out);
+  const hw = (c.max.x - c.min.x) / 2;
+  const hd = (c.max.z - c.min.z) / 2;
+  return pushOutOfRect(x - (c.min.x + hw), z - (c.min.z + hd), hw, hd, r, out);
+}
 
 export class CollisionSystem {
   constructor() {
     this.colliders = [];
-    this.playerHalfWidth = 0.25;
+    this._owners = new Map(); // collider → owner tag
+    this._grid = new Map(); // "ix,iz" → collider[]
+    this._cellKeys = new Map(); // collider → grid keys it was inserted under
+    this._large = []; // colliders too big for the grid
+    this._nearby = []; // scratch list for update()
+    this._kinematic = []; // colliders following moving objects
+    this._ground = null; // collider the player is standing on
+    // Player capsule: upright, circular footprint
+    this.playerRadius = 0.25;
     this.playerHeight = 1.8;
+    this.maxStepHeight = 0.35; // climb ledges up to this height without jumping
+    this.maxSlope = THREE.MathUtils.degToRad(45); // steeper ramps act as walls
     this.groundY = 0;
     this._onSurface = false;
     this._lastY = null;
@@ -16,22 +69,98 @@ export class CollisionSystem {
     return this._onSurface;
   }
 
-  addCollider(box3) {
-    this.colliders.push(box3);
-    return box3;
+  /**
+   * Add a collider. The returned object is the handle for removeCollider().
+   * @param {THREE.Box3|OrientedBoxCollider|RampCollider|CylinderCollider} collider
+   * @param {string|object} [owner='level'] - 'level' and 'behavior' colliders are
+   *   cleared on level load; puzzles pass themselves and are cleared on dispose
+   * @returns {THREE.Box3|OrientedBoxCollider|RampCollider|CylinderCollider}
+   */
+  addCollider(collider, owner = 'level') {
+    this.colliders.push(collider);
+    this._owners.set(collider, owner);
+    this._insert(collider);
+    return collider;
   }
 
-  addBoxCollider(x, y, z, w, h, d) {
+  addBoxCollider(x, y, z, w, h, d, owner = 'level') {
     const box = new THREE.Box3(
       new THREE.Vector3(x - w / 2, y, z - d / 2),
       new THREE.Vector3(x + w / 2, y + h, z + d / 2)
     );
-    this.colliders.push(box);
-    return box;
+    return this.addCollider(box, owner);
+  }
+
+  /** Box rotated by `rotationY` around its base center (x, y, z). */
+  addOrientedBoxCollider(x, y, z, w, h, d, rotationY, owner = 'level') {
+    return this.addCollider(new OrientedBoxCollider(x, y, z, w, h, d, rotationY), owner);
+  }
+
+  /** Ramp rising from `y` at its local +Z edge to `y + rise` at its local -Z edge. */
+  addRampCollider(x, y, z, w, d, rise, rotationY = 0, owner = 'level') {
+    return this.addCollider(new RampCollider(x, y, z, w, d, rise, rotationY), owner);
+  }
+
+  /** Upright cylinder standing on (x, y, z). */
+  addCylinderCollider(x, y, z, radius, h, owner = 'level') {
+    return this.addCollider(new CylinderCollider(x, y, z, radius, h), owner);
+  }
+
+  /**
+   * Collider that follows a moving Object3D (platform, elevator, conveyor).
+   * A player standing on it is carried along by updateKinematics().
+   */
+  addKinematicCollider(object, owner = 'level') {
+    const collider = new KinematicCollider(object);
+    this._kinematic.push(collider);
+    return this.addCollider(collider, owner);
+  }
+
+  removeCollider(collider) {
+    const idx = this.colliders.indexOf(collider);
+    if (idx !== -1) this.colliders.splice(idx, 1);
+    this._owners.delete(collider);
+    this._remove(collider);
+    this._forgetKinematic(collider);
+  }
+
+  /** Re-bucket a collider after it was moved or resized in place. */
+  updateCollider(collider) {
+    if (!this._owners.has(collider)) return;
+    if (!collider.isBox3) collider.updateBounds();
+    this._remove(collider);
+    this._insert(collider);
+  }
+
+  /** Remove every collider added with the given owner tag. */
+  clearByOwner(owner) {
+    for (let i = this.colliders.length - 1; i >= 0; i--) {
+      const collider = this.colliders[i];
+      if (this._owners.get(collider) !== owner) continue;
+      this.colliders.splice(i, 1);
+      this._owners.delete(collider);
+      this._remove(collider);
+      this._forgetKinematic(collider);
+    }
   }
 
   clear() {
     this.colliders.length = 0;
+    this._owners.clear();
+    this._grid.clear();
+    this._cellKeys.clear();
+    this._large.length = 0;
+    this._kinematic.length = 0;
+    this._ground = null;
+    this._lastY = null;
+  }
+
+  /**
+   * Forget the player's previous position, so the next update() doesn't
+   * treat a teleport downward as a fall through the platforms in between.
+   */
+  resetHistory() {
+    this._ground = null;
     this._lastY = null;
   }
 
@@ -39,83 +168,253 @@ export class CollisionSystem {
     this.groundY = y;
   }
 
-  addMeshCollider(mesh) {
+  addMeshCollider(mesh, owner = 'level') {
     mesh.geometry.computeBoundingBox();
     const box = mesh.geometry.boundingBox.clone();
     box.applyMatrix4(mesh.matrixWorld);
-    this.colliders.push(box);
-    return box;
+    return this.addCollider(box, owner);
+  }
+
+  // ─── Queries ────────────────────────────────────────────
+
+  /**
+   * Cast a ray against all colliders.
+   * @param {THREE.Vector3} origin
+   * @param {THREE.Vector3} dir - normalized direction
+   * @param {number} [maxDist=100]
+   * @returns {{ collider: object, point: THREE.Vector3, distance: number, normal: THREE.Vector3 }|null}
+   */
+  raycast(origin, dir, maxDist = 100) {
+    _ray.set(origin, dir);
+    let best = null;
+    let bestDist = maxDist;
+    const point = new THREE.Vector3();
+    const normal = new THREE.Vector3();
+
+    const test = (collider) => {
+      if (collider.isBox3) {
+        if (!_ray.intersectBox(collider, _hitPoint)) return;
+        this._boxNormal(collider, _hitPoint, _hitNormal);
+      } else if (!collider.raycast(_ray, _hitPoint, _hitNormal)) {
+        return;
+      }
+      const dist = _hitPoint.distanceTo(origin);
+      if (dist > bestDist) return;
+      bestDist = dist;
+      best = collider;
+      point.copy(_hitPoint);
+      normal.copy(_hitNormal);
+    };
+
+    for (const collider of this._large) test(collider);
+
+    // 2D DDA through the grid cells the ray crosses on XZ
+    let ix = Math.floor(origin.x / CELL_SIZE);
+    let iz = Math.floor(origin.z / CELL_SIZE);
+    const stepX = Math.sign(dir.x);
+    const stepZ = Math.sign(dir.z);
+    const deltaX = stepX !== 0 ? CELL_SIZE / Math.abs(dir.x) : Infinity;
+    const deltaZ = stepZ !== 0 ? CELL_SIZE / Math.abs(dir.z) : Infinity;
+    let tMaxX = stepX !== 0 ? ((ix + (stepX > 0 ? 1 : 0)) * CELL_SIZE - origin.x) / dir.x : Infinity;
+    let tMaxZ = stepZ !== 0 ? ((iz + (stepZ > 0 ? 1 : 0)) * CELL_SIZE - origin.z) / dir.z : Infinity;
+
+    let tCell = 0;
+    while (tCell <= maxDist) {
+      const cell = this._grid.get(`${ix},${iz}`);
+      if (cell) for (const collider of cell) test(collider);
+
+      const tExit = Math.min(tMaxX, tMaxZ);
+      // Nearest hit lies inside the cells already visited
+      if (best && bestDist <= tExit) break;
+      if (tExit === Infinity) break;
+
+      tCell = tExit;
+      if (tMaxX < tMaxZ) {
+        ix += stepX;
+        tMaxX += deltaX;
+      } else {
+        iz += stepZ;
+        tMaxZ += deltaZ;
+      }
+    }
+
+    if (!best) return null;
+    return { collider: best, point, distance: bestDist, normal };
+  }
+
+  /**
+   * All colliders intersecting a box (shapes are tested by their bounds).
+   * @param {THREE.Box3} box3
+   * @param {object[]} [out=[]]
+   * @returns {object[]}
+   */
+  overlapBox(box3, out = []) {
+    out.length = 0;
+    this._gather(box3, out);
+    for (let i = out.length - 1; i >= 0; i--) {
+      if (!boundsOf(out[i]).intersectsBox(box3)) out.splice(i, 1);
+    }
+    return out;
+  }
+
+  /**
+   * Sweep a sphere along a direction and return the first collider it touches.
+   * Boxes are inflated by the radius, so hits near box corners are slightly early;
+   * shapes other than Box3 are swept against their bounds.
+   * @param {THREE.Vector3} origin - sphere center at the start of the sweep
+   * @param {number} radius
+   * @param {THREE.Vector3} dir - normalized direction
+   * @param {number} [maxDist=100]
+   * @returns {{ collider: object, point: THREE.Vector3, distance: number, normal: THREE.Vector3 }|null}
+   */
+  sphereCast(origin, radius, dir, maxDist = 100) {
+    _end.copy(dir).multiplyScalar(maxDist).add(origin);
+    _queryBox.makeEmpty().expandByPoint(origin).expandByPoint(_end).expandByScalar(radius);
+    const candidates = this._gather(_queryBox, []);
+
+    _ray.set(origin, dir);
+    let best = null;
+    let bestDist = maxDist;
+    const point = new THREE.Vector3();
+    for (const collider of candidates) {
+      _expanded.copy(boundsOf(collider)).expandByScalar(radius);
+      if (_expanded.containsPoint(origin)) {
+        // Already overlapping at the start of the sweep
+        best = collider;
+        bestDist = 0;
+        point.copy(origin);
+        break;
+      }
+      if (!_ray.intersectBox(_expanded, _hitPoint)) continue;
+      const dist = _hitPoint.distanceTo(origin);
+      if (dist > bestDist) continue;
+      bestDist = dist;
+      best = collider;
+      point.copy(_hitPoint);
+    }
+
+    if (!best) return null;
+    const normal = new THREE.Vector3();
+    if (bestDist === 0) {
+      normal.copy(dir).negate();
+    } else {
+      _expanded.copy(boundsOf(best)).expandByScalar(radius);
+      this._boxNormal(_expanded, point, normal);
+    }
+    // Report the contact point on the sphere surface, not its center
+    return { collider: best, point: point.addScaledVector(normal, -radius), distance: bestDist, normal };
+  }
+
+  /**
+   * Height of the highest walkable surface under (x, z), at or below `maxY`.
+   * Falls back to the ground plane when no collider is there.
+   * @param {number} x
+   * @param {number} z
+   * @param {number} [maxY=Infinity] - ignore surfaces above this (e.g. ceilings over the player)
+   * @returns {number}
+   */
+  groundHeightAt(x, z, maxY = Infinity) {
+    let height = this.groundY;
+    const check = (c) => {
+      if (!containsXZ(c, x, z)) return;
+      const top = topAt(c, x, z);
+      if (top <= maxY && top > height) height = top;
+    };
+    for (const c of this._large) check(c);
+    const cell = this._grid.get(`${Math.floor(x / CELL_SIZE)},${Math.floor(z / CELL_SIZE)}`);
+    if (cell) for (const c of cell) check(c);
+    return height;
+  }
+
+  /**
+   * Move kinematic colliders to their objects' current transforms and carry
+   * the player with the one they stand on. Call once per frame after
+   * everything that moves platforms (level, puzzles, behaviors) has updated.
+   */
+  updateKinematics(cameraRig) {
+    for (const collider of this._kinematic) {
+      if (!collider.sync()) continue;
+      this.updateCollider(collider);
+      if (collider !== this._ground) continue;
+
+      // Rider follows the platform's translation and turns with it
+      const pos = cameraRig.position;
+      _carry.copy(pos).sub(collider.pivot).add(collider.delta);
+      if (collider.deltaYaw !== 0) {
+        _carry.applyAxisAngle(THREE.Object3D.DEFAULT_UP, collider.deltaYaw);
+        cameraRig.rotateY(collider.deltaYaw);
+      }
+      pos.copy(collider.pivot).add(_carry);
+      this._lastY = pos.y;
+    }
   }
 
   update(cameraRig) {
     const pos = cameraRig.position;
     const prevY = this._lastY ?? pos.y;
+    const wasOnSurface = this._onSurface;
     this._onSurface = false;
+    this._ground = null;
 
-    // Skin width: extend player box 0.06m below feet so standing-on-surface
+    // Skin width: extend the capsule 0.06m below feet so standing-on-surface
     // always produces real overlap (fixes float-precision loss of contact)
     const skin = 0.06;
-    const hw = this.playerHalfWidth;
+    const r = this.playerRadius;
 
-    _playerBox.min.set(pos.x - hw, pos.y - skin, pos.z - hw);
-    _playerBox.max.set(pos.x + hw, pos.y + this.playerHeight, pos.z + hw);
+    // Broadphase: colliders near the player (margin covers this frame's push-outs)
+    _queryBox.min.set(pos.x - r, pos.y - skin, pos.z - r);
+    _queryBox.max.set(pos.x + r, pos.y + this.playerHeight, pos.z + r);
+    _queryBox.expandByScalar(1);
+    const nearby = this._gather(_queryBox, this._nearby);
 
-    // Pass 1: standard AABB resolution
-    for (const collider of this.colliders) {
-      if (!_playerBox.intersectsBox(collider)) continue;
+    // Pass 1: resolve the capsule against each collider — land or step up onto
+    // walkable tops, bump heads on undersides, slide along everything else
+    for (const collider of nearby) {
+      if (pushOut(collider, pos.x, pos.z, r, _push) <= 0) continue;
 
-      const overlapX1 = _playerBox.max.x - collider.min.x;
-      const overlapX2 = collider.max.x - _playerBox.min.x;
-      const overlapY1 = _playerBox.max.y - collider.min.y;
-      const overlapY2 = collider.max.y - _playerBox.min.y;
-      const overlapZ1 = _playerBox.max.z - collider.min.z;
-      const overlapZ2 = collider.max.z - _playerBox.min.z;
+      const top = topAt(collider, pos.x, pos.z);
+      const bottom = bottomOf(collider);
+      if (pos.y - skin >= top || pos.y + this.playerHeight <= bottom) continue;
 
-      const minOverlapX = Math.min(overlapX1, overlapX2);
-      const minOverlapY = Math.min(overlapY1, overlapY2);
-      const minOverlapZ = Math.min(overlapZ1, overlapZ2);
-
-      if (minOverlapY <= minOverlapX && minOverlapY <= minOverlapZ) {
-        if (overlapY2 < overlapY1) {
-          pos.y = collider.max.y;
-          this._onSurface = true;
-        } else {
-          pos.y = collider.min.y - this.playerHeight;
-        }
-      } else if (minOverlapX < minOverlapZ) {
-        if (overlapX1 < overlapX2) {
-          pos.x -= overlapX1;
-        } else {
-          pos.x += overlapX2;
-        }
+      const walkable = (collider.isBox3 ? 0 : collider.slope) <= this.maxSlope;
+      if (walkable && (top - pos.y <= this.maxStepHeight || prevY >= top - 0.01)) {
+        pos.y = top;
+        this._onSurface = true;
+        this._ground = collider;
+      } else if (prevY + this.playerHeight <= bottom + 0.01) {
+        pos.y = bottom - this.playerHeight;
       } else {
-        if (overlapZ1 < overlapZ2) {
-          pos.z -= overlapZ1;
-        } else {
-          pos.z += overlapZ2;
-        }
+        pos.x += _push.x;
+        pos.z += _push.z;
       }
-
-      _playerBox.min.set(pos.x - hw, pos.y - skin, pos.z - hw);
-      _playerBox.max.set(pos.x + hw, pos.y + this.playerHeight, pos.z + hw);
     }
 
     // Pass 2: anti-tunneling sweep — catch high-speed falls through thin platforms
     // If player was above a collider last frame and is now below it, snap back to top
     if (!this._onSurface && pos.y < prevY) {
-      for (const collider of this.colliders) {
-        // Check XZ overlap
-        if (pos.x + hw < collider.min.x || pos.x - hw > collider.max.x) continue;
-        if (pos.z + hw < collider.min.z || pos.z - hw > collider.max.z) continue;
+      for (const collider of nearby) {
+        if (pushOut(collider, pos.x, pos.z, r, _push) <= 0) continue;
+        const top = topAt(collider, pos.x, pos.z);
         // Was above last frame, now below — tunneled through
-        if (prevY >= collider.max.y - 0.01 && pos.y < collider.max.y) {
-          pos.y = collider.max.y;
+        if (prevY >= top - 0.01 && pos.y < top) {
+          pos.y = top;
           this._onSurface = true;
+          this._ground = collider;
           break;
         }
       }
     }
 
+    // Pass 3: step down — keep walking contact going down stairs and ramps
+    // instead of briefly falling off each step
+    if (!this._onSurface && wasOnSurface && pos.y <= prevY) {
+      const ground = this.groundHeightAt(pos.x, pos.z, pos.y + 0.01);
+      if (pos.y - ground <= this.maxStepHeight) {
+        pos.y = ground;
+        this._onSurface = true;
+      }
+    }
+
     // Ground clamp
     if (pos.y <= this.groundY) {
       pos.y = this.groundY;
@@ -124,4 +423,102 @@ export class CollisionSystem {
 
     this._lastY = pos.y;
   }
+
+  _forgetKinematic(collider) {
+    const idx = this._kinematic.indexOf(collider);
+    if (idx !== -1) this._kinematic.splice(idx, 1);
+    if (this._ground === collider) this._ground = null;
+  }
+
+  // ─── Broadphase ─────────────────────────────────────────
+
+  _insert(collider) {
+    const bounds = boundsOf(collider);
+    const x0 = Math.floor(bounds.min.x / CELL_SIZE);
+    const x1 = Math.floor(bounds.max.x / CELL_SIZE);
+    const z0 = Math.floor(bounds.min.z / CELL_SIZE);
+    const z1 = Math.floor(bounds.max.z / CELL_SIZE);
+
+    if ((x1 - x0 + 1) * (z1 - z0 + 1) > MAX_CELLS) {
+      this._large.push(collider);
+      this._cellKeys.set(collider, null);
+      return;
+    }
+
+    const keys = [];
+    for (let ix = x0; ix <= x1; ix++) {
+      for (let iz = z0; iz <= z1; iz++) {
+        const key = `${ix},${iz}`;
+        let cell = this._grid.get(key);
+        if (!cell) {
+          cell = [];
+          this._grid.set(key, cell);
+        }
+        cell.push(collider);
+        keys.push(key);
+      }
+    }
+    this._cellKeys.set(collider, keys);
+  }
+
+  _remove(collider) {
+    if (!this._cellKeys.has(collider)) return;
+    const keys = this._cellKeys.get(collider);
+    this._cellKeys.delete(collider);
+
+    if (!keys) {
+      const idx = this._large.indexOf(collider);
+      if (idx !== -1) this._large.splice(idx, 1);
+      return;
+    }
+
+    for (const key of keys) {
+      const cell = this._grid.get(key);
+      const idx = cell.indexOf(collider);
+      if (idx !== -1) cell.splice(idx, 1);
+      if (cell.length === 0) this._grid.delete(key);
+    }
+  }
+
+  /** Collect colliders whose grid cells overlap `box3` on XZ (no duplicates). */
+  _gather(box3, out) {
+    out.length = 0;
+    for (const c of this._large) out.push(c);
+
+    const x0 = Math.floor(box3.min.x / CELL_SIZE);
+    const x1 = Math.floor(box3.max.x / CELL_SIZE);
+    const z0 = Math.floor(box3.min.z / CELL_SIZE);
+    const z1 = Math.floor(box3.max.z / CELL_SIZE);
+    const multiCell = x0 !== x1 || z0 !== z1;
+
+    for (let ix = x0; ix <= x1; ix++) {
+      for (let iz = z0; iz <= z1; iz++) {
+        const cell = this._grid.get(`${ix},${iz}`);
+        if (!cell) continue;
+        for (const c of cell) {
+          if (multiCell && out.includes(c)) continue;
+          out.push(c);
+        }
+      }
+    }
+    return out;
+  }
+
+  /** Outward face normal of `box3` at a point on its surface. */
+  _boxNormal(box3, point, target) {
+    const dx0 = Math.abs(point.x - box3.min.x);
+    const dx1 = Math.abs(point.x - box3.max.x);
+    const dy0 = Math.abs(point.y - box3.min.y);
+    const dy1 = Math.abs(point.y - box3.max.y);
+    const dz0 = Math.abs(point.z - box3.min.z);
+    const dz1 = Math.abs(point.z - box3.max.z);
+    const min = Math.min(dx0, dx1, dy0, dy1, dz0, dz1);
+
+    if (min === dy1) return target.set(0, 1, 0);
+    if (min === dy0) return target.set(0, -1, 0);
+    if (min === dx0) return target.set(-1, 0, 0);
+    if (min === dx1) return target.set(1, 0, 0);
+    if (min === dz0) return target.set(0, 0, -1);
+    return target.set(0, 0, 1);
+  }
 }
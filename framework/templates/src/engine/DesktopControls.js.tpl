@@ -1,23 +1,46 @@
 import * as THREE from 'three';
+import { InputActions } from '../input/InputActions.js';
+
+const LOOK_SPEED = 2.5; // rad/s at full gamepad stick deflection
 
 const _euler = new THREE.Euler(0, 0, 0, 'YXZ');
+const _forward = new THREE.Vector3();
+const _right = new THREE.Vector3();
+const _move = new THREE.Vector3();
 
 export class DesktopControls {
   constructor(engine) {
     this.engine = engine;
-    this._keys = {};
     this._setupListeners();
   }
 
   _setupListeners() {
-    document.addEventListener('keydown', (e) => { this._keys[e.code] = true; });
-    document.addEventListener('keyup', (e) => { this._keys[e.code] = false; });
-
     this.engine.renderer.domElement.addEventListener('mousedown', () => {
+      if (document.pointerLockElement === this.engine.renderer.domElement) {
+        // Hold = drag a control handle (lever, knob, slider)
+        this.engine.eventBus.emit('desktop:pointerdown');
+        return;
+      }
+      // A free cursor over a menu panel clicks it instead of capturing the mouse
+      if (this.engine.interactionSystem.isPointerOverUI()) {
+        this.engine.eventBus.emit('desktop:activate');
+        return;
+      }
       if (this.engine._titleBlockPointerLock) return;
       this.engine.renderer.domElement.requestPointerLock();
     });
 
+    document.addEventListener('mouseup', () => {
+      this.engine.eventBus.emit('desktop:pointerup');
+    });
+
+    // Esc (or switching windows) releases the mouse; the pause menu opens
+    document.addEventListener('pointerlockchange', () => {
+      if (document.pointerLockElement === this.engine.renderer.domElement) return;
+      if (this.engine.renderer.xr.isPresenting) return;
+      this.engine.eventBus.emit('desktop:unlocked');
+    });
+
     document.addEventListener('mousemove', (e) => {
       if (document.pointerLockElement !== this.engine.renderer.domElement) return;
       _euler.setFromQuaternion(this.engine.camera.quaternion);
@@ -35,38 +58,38 @@ export class DesktopControls {
     });
   }
 
+  // Movement, jump and gamepad look come from the action map (MOVE_X/Y, JUMP,
+  // LOOK_X/Y), so they follow the player's bindings
   update(dt) {
+    const input = this.engine.inputManager;
     const speed = {{MOVE_SPEED}};
-    const forward = new THREE.Vector3();
-    const right = new THREE.Vector3();
 
-    this.engine.camera.getWorldDirection(forward);
-    forward.y = 0;
-    forward.normalize();
-    right.crossVectors(forward, THREE.Object3D.DEFAULT_UP).normalize();
+    this.engine.camera.getWorldDirection(_forward);
+    _forward.y = 0;
+    _forward.normalize();
+    _right.crossVectors(_forward, THREE.Object3D.DEFAULT_UP).normalize();
 
-    const move = new THREE.Vector3();
-    if (this._keys['KeyW']) move.add(forward);
-    if (this._keys['KeyS']) move.sub(forward);
-    if (this._keys['KeyD']) move.add(right);
-    if (this._keys['KeyA']) move.sub(right);
+    _move.set(0, 0, 0);
+    _move.addScaledVector(_right, input.get(InputActions.MOVE_X));
+    _move.addScaledVector(_forward, -input.get(InputActions.MOVE_Y));
 
-    if (move.lengthSq() > 0) {
-      move.normalize().multiplyScalar(speed * dt);
-      this.engine.cameraRig.position.add(move);
+    if (_move.lengthSq() > 0) {
+      // Keep stick magnitude for analog speed, but diagonals no faster than straight
+      if (_move.lengthSq() > 1) _move.normalize();
+      this.engine.cameraRig.position.addScaledVector(_move, speed * dt);
     }
 
-    // Space to jump
-    if (this._keys['Space']) {
-      this.engine.locomotion.jump();
-      this._keys['Space'] = false;
+    const lookX = input.get(InputActions.LOOK_X);
+    const lookY = input.get(InputActions.LOOK_Y);
+    if (lookX !== 0 || lookY !== 0) {
+      _euler.setFromQuaternion(this.engine.camera.quaternion);
+      _euler.y -= lookX * LOOK_SPEED * dt;
+      _euler.x -= lookY * LOOK_SPEED * dt;
+      _euler.x = Math.max(-Math.PI / 2, Math.min(Math.PI / 2, _euler.x));
+      this.engine.camera.quaternion.setFromEuler(_euler);
     }
 
     // Apply jump physics in desktop mode too
     this.engine.locomotion._updateJump(dt);
   }
-
-  get keys() {
-    return this._keys;
-  }
 }
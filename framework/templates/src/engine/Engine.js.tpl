@@ -3,19 +3,35 @@ import { VRSetup } from './VRSetup.js';
 import { DesktopControls } from './DesktopControls.js';
 import { EventBus } from '../events/EventBus.js';
 import { InputManager } from '../input/InputManager.js';
+import inputBindings from '../input/bindings.js';
+import settings from '../settings.js';
 import { LocomotionSystem } from '../locomotion/LocomotionSystem.js';
 import { InteractionSystem } from '../interaction/InteractionSystem.js';
 import { CollisionSystem } from '../collision/CollisionSystem.js';
 import { PuzzleManager } from '../puzzle/PuzzleManager.js';
+import { PuzzleRegistry } from '../puzzle/PuzzleRegistry.js';
+import { HintManager } from '../puzzle/HintManager.js';
+import { registerPuzzles } from '../puzzle/puzzles/index.js';
 import { AssetLoader } from '../assets/AssetLoader.js';
 import { LevelLoader } from '../levels/LevelLoader.js';
 import { LevelTransition } from '../levels/LevelTransition.js';
 import { AudioManager } from '../audio/AudioManager.js';
 import { HUD } from '../ui/HUD.js';
+import { Vignette } from '../ui/Vignette.js';
+import { ComfortMenu } from '../ui/ComfortMenu.js';
+import { PauseMenu } from '../ui/PauseMenu.js';
+import { TitleMenu } from '../ui/TitleMenu.js';
+import { updatePanels } from '../ui/UIPanel.js';
+import { ComfortSettings } from '../locomotion/ComfortSettings.js';
+import { SaveManager } from '../save/SaveManager.js';
+import { SessionRecorder } from '../analytics/SessionRecorder.js';
 import { DecorationRegistry } from '../decorations/DecorationRegistry.js';
 import { registerBuiltins } from '../decorations/builtins.js';
 import { init as behaviorsInit, update as behaviorsUpdate } from '../custom/behaviors.js';
 
+// Level modules by path, loaded on demand — lists the levels for level select
+const levelModules = import.meta.glob('../levels/level*.js');
+
 export class Engine {
   constructor() {
     // Scene
@@ -38,23 +54,37 @@ export class Engine {
 
     // Core systems
     this.eventBus = new EventBus();
-    this.inputManager = new InputManager(this.eventBus);
+    this.comfort = new ComfortSettings(this.eventBus, { mode: settings.locomotion.mode, ...settings.comfort });
+    this.inputManager = new InputManager(this.eventBus, inputBindings);
     this.collisionSystem = new CollisionSystem();
     this.vrSetup = new VRSetup(this);
-    this.locomotion = new LocomotionSystem(this, this.inputManager, this.eventBus);
+    this.locomotion = new LocomotionSystem(this, this.inputManager, this.eventBus, settings.locomotion);
     this.interactionSystem = new InteractionSystem(this, this.eventBus);
     this.puzzleManager = new PuzzleManager(this.eventBus);
+    this.puzzleRegistry = new PuzzleRegistry();
+    registerPuzzles(this.puzzleRegistry);
     this.assetLoader = new AssetLoader();
     this.decorationRegistry = new DecorationRegistry();
     registerBuiltins(this.decorationRegistry);
     this.desktopControls = new DesktopControls(this);
     this.audioManager = new AudioManager(this.eventBus);
     this.hud = new HUD(this);
+    this.vignette = new Vignette(this);
+    this.comfortMenu = new ComfortMenu(this);
     this.levelTransition = new LevelTransition(this);
+    this.saveManager = new SaveManager(this, settings.save);
+    this.hintManager = new HintManager(this, settings.hints);
+    this.analytics = new SessionRecorder(this, settings.analytics);
+    this.pauseMenu = new PauseMenu(this);
+    this.paused = false;
 
     // Level system
     this._currentLevel = 1;
+    this._levelConfig = null;
     this._levelLoader = null;
+    this._titleConfig = null;
+    this._titleMenu = null;
+    this.eventBus.on('level:complete', () => this._onLevelComplete());
 
     // Clock
     this._clock = new THREE.Clock();
@@ -83,6 +113,7 @@ export class Engine {
     }
 
     if (titleConfig) {
+      this._titleConfig = titleConfig;
       try {
         await this._loadTitleScreen(titleConfig);
       } catch (err) {
@@ -110,7 +141,12 @@ export class Engine {
       this._titleGroup = null;
       this._titleScreenActive = false;
     }
+    if (this._titleMenu) {
+      this._titleMenu.dispose();
+      this._titleMenu = null;
+    }
 
+    this.eventBus.emit('level:loading', { level: n });
     this._currentLevel = n;
     try {
       const config = (await import(`../levels/level${n}.js`)).default;
@@ -118,23 +154,108 @@ export class Engine {
         this._levelLoader = new LevelLoader(this);
       }
       await this._levelLoader.load(config);
+      this._levelConfig = config;
       this.collisionSystem.setGroundPlane(0);
 
       // Level transitions (portals)
       this.levelTransition.buildFromConfig(config);
 
+      // Ambient audio: environment.audio, by default wind outdoors and a cave hum indoors
+      const { enclosure, audio } = config.environment;
+      this.audioManager.startAmbient({ ambient: enclosure ? 'indoor' : 'outdoor', ...audio });
+
       // HUD — show level title
-      const puzzleCount = this.puzzleManager.order.length;
-      this.hud.onLevelLoaded(config.name || `Level ${n}`, puzzleCount);
+      const puzzles = [...this.puzzleManager.puzzles.values()];
+      const solvedCount = puzzles.filter(p => p.state === 'solved').length;
+      this.hud.onLevelLoaded(config.name || `Level ${n}`, puzzles.length, solvedCount);
 
       // Run custom behaviors init (written by editor Engine customizer)
       if (behaviorsInit) behaviorsInit(this);
+
+      // Saves being loaded are restored here, then autosaved
+      this.eventBus.emit('level:loaded', { level: n, config });
     } catch (e) {
       console.warn(`Level ${n} not found:`, e);
       this._showLevelFallback(n);
     }
   }
 
+  /**
+   * Levels of this game in order, for level select.
+   * @returns {Promise<Array<{ n: number, name: string }>>}
+   */
+  async getLevels() {
+    const levels = [];
+    for (const [path, load] of Object.entries(levelModules)) {
+      const n = parseInt(path.match(/level(\d+)\.js$/)?.[1]);
+      if (isNaN(n)) continue;
+      try {
+        const config = (await load()).default;
+        levels.push({ n, name: config.name || `Level ${n}` });
+      } catch (e) {
+        console.warn(`Failed to read level ${n}:`, e);
+      }
+    }
+    return levels.sort((a, b) => a.n - b.n);
+  }
+
+  /**
+   * Freeze the game: movement, physics, puzzles, level animations, behaviors
+   * and ambient audio stop; rendering and menus (`ui` interactables) keep
+   * running. Emits 'game:paused'.
+   */
+  pause() {
+    if (this.paused) return;
+    this.paused = true;
+    this.eventBus.emit('game:paused');
+  }
+
+  /** Undo pause(). Emits 'game:resumed'. */
+  resume() {
+    if (!this.paused) return;
+    this.paused = false;
+    this.eventBus.emit('game:resumed');
+  }
+
+  /** Fade to level `n`, leaving the title screen if it is showing. */
+  startLevel(n) {
+    if (this._titleScreenActive) this._dismissTitleScreen(n);
+    else this.levelTransition.triggerTransition(n);
+  }
+
+  /**
+   * Put the player back at the level's spawn point, e.g. after touching a
+   * hazard. Emits 'player:respawned' with { reason } for analytics.
+   * @param {string} [reason] — e.g. 'fall' or 'enemy'
+   */
+  respawnPlayer(reason) {
+    if (this._titleScreenActive || !this._levelLoader) return;
+    this._levelLoader.respawnPlayer(reason);
+  }
+
+  /** Fade back to the title screen, or restart at level 1 if the game has none. */
+  returnToTitle() {
+    if (!this._titleConfig) {
+      this.levelTransition.triggerTransition(1);
+      return;
+    }
+    this.levelTransition.blink(() => {
+      this.levelTransition.clear();
+      this.audioManager.stopAmbient();
+      return this._loadTitleScreen(this._titleConfig);
+    }, 0.6);
+  }
+
+  /**
+   * All puzzles of the current level are solved. A level without an exit
+   * portal is the last one, so finishing it completes the game.
+   */
+  _onLevelComplete() {
+    if (this._levelConfig && !this._levelConfig.exit) {
+      this.eventBus.emit('game:complete');
+    }
+  }
+
   _showLevelFallback(n) {
     const ground = new THREE.Mesh(
       new THREE.CircleGeometry(30, 32),
@@ -230,6 +351,14 @@ export class Engine {
     this.scene.add(titleGroup);
     this._titleGroup = titleGroup;
 
+    // Returning players get Continue / New Game / Load Game instead of "press to start"
+    if (this.saveManager.list().length > 0) {
+      const prompt = titleGroup.getObjectByName('_titlePrompt');
+      if (prompt) prompt.visible = false;
+      this._titleMenu = new TitleMenu(this);
+      this._titleMenu.open();
+    }
+
     // Block pointer lock during title screen
     this._titleBlockPointerLock = true;
 
@@ -239,23 +368,26 @@ export class Engine {
     // Guard: might have been dismissed during the delay
     if (!this._titleScreenActive) return;
 
-    // Listen for start input
-    this._titleStartHandler = () => this._dismissTitleScreen();
+    // Listen for start input; with the title menu up, only its buttons start
+    this._titleStartHandler = () => {
+      if (!this._titleMenu) this._dismissTitleScreen();
+    };
 
     // Desktop: click
     this.renderer.domElement.addEventListener('click', this._titleStartHandler);
     // VR: trigger
     this.eventBus.on('TRIGGER_RIGHT_DOWN', this._titleStartHandler);
     this.eventBus.on('TRIGGER_LEFT_DOWN', this._titleStartHandler);
-    // Keyboard: any key
+    // Keyboard: any key (Enter continues from the title menu)
     this._titleKeyHandler = (e) => {
       if (e.key === 'Escape') return;
-      this._dismissTitleScreen();
+      if (!this._titleMenu) this._dismissTitleScreen();
+      else if (e.key === 'Enter') this._titleMenu.continueGame();
     };
     document.addEventListener('keydown', this._titleKeyHandler);
   }
 
-  _dismissTitleScreen() {
+  _dismissTitleScreen(level = 1) {
     if (!this._titleScreenActive) return;
     this._titleScreenActive = false;
 
@@ -275,8 +407,7 @@ export class Engine {
     // Re-enable locomotion
     this.locomotion.enabled = true;
 
-    // Fade to level 1
-    this.levelTransition.triggerTransition(1);
+    this.levelTransition.triggerTransition(level);
   }
 
   /**
@@ -313,21 +444,38 @@ export class Engine {
     const dt = Math.min(this._clock.getDelta(), 0.05);
     const session = this.renderer.xr.getSession();
 
+    this.inputManager.update(session, frame, session ? this.renderer.xr.getReferenceSpace() : null);
+
+    // Paused: only menus and HUD fades run
+    if (this.paused) {
+      this.interactionSystem.update(dt);
+      this.hud.update(dt);
+      this.vignette.update(dt);
+      updatePanels();
+      this.renderer.render(this.scene, this.camera);
+      return;
+    }
+
     if (session) {
-      this.inputManager.update(session);
       this.locomotion.update(dt);
     } else {
       this.desktopControls.update(dt);
     }
 
-    this.interactionSystem.update();
+    this.interactionSystem.update(dt);
     this.collisionSystem.update(this.cameraRig);
     this.locomotion.postUpdate(this.collisionSystem);
     this.puzzleManager.update(dt);
+    this.hintManager.update(dt);
+    this.analytics.update(dt);
     this.levelTransition.update(dt);
     this.hud.update(dt);
     if (this._levelLoader) this._levelLoader.update(dt);
     if (behaviorsUpdate) behaviorsUpdate(this, dt);
+    this.collisionSystem.updateKinematics(this.cameraRig);
+    this.vignette.update(dt); // after everything that moves the rig
+    this.audioManager.update(this.camera); // listener follows the head
+    updatePanels();
 
     // Animate title screen prompt (pulse opacity)
     if (this._titleScreenActive && this._titleGroup) {
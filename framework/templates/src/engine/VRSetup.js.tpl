@@ -1,6 +1,14 @@
 import * as THREE from 'three';
 import { XRHandModelFactory } from 'three/addons/webxr/XRHandModelFactory.js';
 
+const _offset = new THREE.Matrix4();
+const _head = new THREE.Matrix4();
+const _pos = new THREE.Vector3();
+const _quat = new THREE.Quaternion();
+const _scale = new THREE.Vector3(1, 1, 1);
+const _headScale = new THREE.Vector3();
+const _euler = new THREE.Euler(0, 0, 0, 'YXZ');
+
 export class VRSetup {
   constructor(engine) {
     this.engine = engine;
@@ -11,6 +19,11 @@ export class VRSetup {
     this.hand0 = null;
     this.hand1 = null;
     this._handModelFactory = new XRHandModelFactory();
+
+    // View offset over the session's reference space: seated height and
+    // recentering (head position and yaw when recenter() was last called)
+    this._baseSpace = null;
+    this._recenter = { x: 0, z: 0, yaw: 0 };
   }
 
   init() {
@@ -55,9 +68,78 @@ export class VRSetup {
       this.controllerGrip1.visible = true;
     });
 
+    // Seated mode and recentering shift the XR reference space, which moves
+    // the head, controllers and hands together
+    renderer.xr.addEventListener('sessionstart', () => {
+      // three.js drops any custom reference space when a session starts
+      this._baseSpace = renderer.xr.getReferenceSpace();
+      this._recenter = { x: 0, z: 0, yaw: 0 };
+      this._applyViewOffset();
+    });
+    renderer.xr.addEventListener('sessionend', () => {
+      this._baseSpace = null;
+    });
+    this.engine.eventBus.on('comfort:changed', ({ key }) => {
+      if (key === 'seated' || key === 'seatedHeight') this._applyViewOffset();
+    });
+    this.engine.eventBus.on('RECENTER_DOWN', () => this.recenter());
+
     this._createVRButton();
   }
 
+  /** Height added to the tracked head: seated players are raised to standing height. */
+  get heightOffset() {
+    const comfort = this.engine.comfort;
+    return comfort.get('seated') ? {{PLAYER_HEIGHT}} - comfort.get('seatedHeight') : 0;
+  }
+
+  /**
+   * Move the view back over the player's position, facing the rig's forward
+   * direction. Hidden behind a blink.
+   */
+  recenter() {
+    if (!this._baseSpace) return;
+    const apply = () => {
+      // Head pose in the session's own space = current offset × tracked pose
+      const r = this._recenter;
+      _quat.setFromAxisAngle(THREE.Object3D.DEFAULT_UP, r.yaw);
+      _offset.compose(_pos.set(r.x, 0, r.z), _quat, _scale);
+      _head.multiplyMatrices(_offset, this.engine.camera.matrix);
+      _head.decompose(_pos, _quat, _headScale);
+      _euler.setFromQuaternion(_quat, 'YXZ');
+
+      this._recenter = { x: _pos.x, z: _pos.z, yaw: _euler.y };
+      this._applyViewOffset();
+      this.engine.eventBus.emit('view:recentered');
+    };
+    if (!this.engine.levelTransition.blink(apply)) apply();
+  }
+
+  /**
+   * Take the current head height as the player's seated height and turn on
+   * seated mode. Call while the player sits comfortably.
+   */
+  calibrateHeight() {
+    if (!this._baseSpace) return;
+    const height = this.engine.camera.position.y - this.heightOffset;
+    const comfort = this.engine.comfort;
+    comfort.set('seatedHeight', THREE.MathUtils.clamp(Math.round(height * 100) / 100, 0.5, 2.2));
+    comfort.set('seated', true);
+  }
+
+  _applyViewOffset() {
+    if (!this._baseSpace) return;
+    const r = this._recenter;
+    _quat.setFromAxisAngle(THREE.Object3D.DEFAULT_UP, r.yaw);
+    // Poses in the offset space are relative to this origin, so lowering the
+    // origin by heightOffset raises the view
+    const transform = new XRRigidTransform(
+      { x: r.x, y: -this.heightOffset, z: r.z },
+      { x: _quat.x, y: _quat.y, z: _quat.z, w: _quat.w }
+    );
+    this.engine.renderer.xr.setReferenceSpace(this._baseSpace.getOffsetReferenceSpace(transform));
+  }
+
   _createHandMesh(isLeft) {
     const group = new THREE.Group();
     const skin = new THREE.MeshLambertMaterial({ color: 0xddaa88 });
@@ -147,6 +229,19 @@ export class VRSetup {
     });
   }
 
+  /**
+   * Position of a hand in rig space: the tracked wrist when hand tracking is
+   * active, otherwise the controller grip.
+   * @param {'left'|'right'} hand
+   * @param {THREE.Vector3} target
+   */
+  getHandPosition(hand, target) {
+    const tracked = this.engine.inputManager.hands[hand];
+    if (tracked.tracked) return target.setFromMatrixPosition(tracked.wrist);
+    const grip = hand === 'left' ? this.controllerGrip0 : this.controllerGrip1;
+    return target.copy(grip.position);
+  }
+
   getLeftController() {
     return { ray: this.controller0, grip: this.controllerGrip0 };
   }
@@ -0,0 +1,269 @@
+import { DEADZONE_STICK } from './InputActions.js';
+
+/**
+ * Action map — named input actions bound to physical inputs.
+ *
+ * Binding strings:
+ *   'key:KeyW'           keyboard key (KeyboardEvent.code)
+ *   'mouse:0'            mouse button (0 left, 1 middle, 2 right)
+ *   'pad:button/0'       Gamepad API button (standard mapping: 0 = A, 7 = right trigger)
+ *   'pad:axis/1'         Gamepad API axis (0/1 left stick, 2/3 right stick)
+ *   'xr:left/button/0'   XR controller button (xr-standard: 0 trigger, 1 grip, 4 A/X, 5 B/Y)
+ *   'xr:right/axis/2'    XR controller axis (2/3 thumbstick, 0/1 touchpad)
+ *   'hand:left/pinch'    tracked-hand gesture: 'pinch' or 'fist'
+ * Prefix a binding with '-' to invert it, so ['-key:KeyA', 'key:KeyD'] is a -1..1 axis.
+ *
+ * 'button' actions emit `${name}_DOWN` / `${name}_UP` on the EventBus;
+ * 'axis' actions are read with inputManager.get(name).
+ */
+export const DEFAULT_ACTIONS = {
+  MOVE_X: { type: 'axis', deadzone: DEADZONE_STICK, bindings: ['xr:left/axis/2', 'pad:axis/0', '-key:KeyA', 'key:KeyD'] },
+  MOVE_Y: { type: 'axis', deadzone: DEADZONE_STICK, bindings: ['xr:left/axis/3', 'pad:axis/1', '-key:KeyW', 'key:KeyS'] },
+  TURN_X: { type: 'axis', deadzone: DEADZONE_STICK, bindings: ['xr:right/axis/2'] },
+  LOOK_X: { type: 'axis', deadzone: DEADZONE_STICK, bindings: ['pad:axis/2'] },
+  LOOK_Y: { type: 'axis', deadzone: DEADZONE_STICK, bindings: ['pad:axis/3'] },
+  TRIGGER_LEFT: { type: 'button', bindings: ['xr:left/button/0', 'hand:left/pinch', 'pad:button/6'] },
+  TRIGGER_RIGHT: { type: 'button', bindings: ['xr:right/button/0', 'hand:right/pinch', 'pad:button/7'] },
+  GRIP_LEFT: { type: 'button', bindings: ['xr:left/button/1', 'hand:left/fist', 'pad:button/4'] },
+  GRIP_RIGHT: { type: 'button', bindings: ['xr:right/button/1', 'hand:right/fist', 'pad:button/5'] },
+  A_RIGHT: { type: 'button', bindings: ['xr:right/button/4'] },
+  B_RIGHT: { type: 'button', bindings: ['xr:right/button/5'] },
+  JUMP: { type: 'button', bindings: ['xr:right/button/5', 'key:Space', 'pad:button/0'] },
+  GRAB: { type: 'button', bindings: ['key:KeyE', 'pad:button/2'] },
+  OPTIONS: { type: 'button', bindings: ['key:KeyO', 'xr:left/button/4', 'pad:button/8'] },
+  RECENTER: { type: 'button', bindings: ['xr:right/button/3'] },
+  PAUSE: { type: 'button', bindings: ['key:Escape', 'key:KeyP', 'xr:left/button/5', 'pad:button/9'] },
+};
+
+// Actions that follow the player's dominant hand. The defaults are
+// right-handed (move and pause on the left controller, turn and jump on the
+// right); a left-handed player gets them mirrored. PAUSE moves with JUMP so
+// the two never end up on the same button.
+const HANDED_ACTIONS = ['MOVE_X', 'MOVE_Y', 'TURN_X', 'JUMP', 'PAUSE'];
+
+// Raw controller button events; they fire alongside whatever action shares their button
+const RAW_BUTTONS = ['A_RIGHT', 'B_RIGHT'];
+
+function mirrorBinding(binding) {
+  return binding.replace(/^(-?(?:xr|hand):)(left|right)/, (m, prefix, hand) => prefix + (hand === 'left' ? 'right' : 'left'));
+}
+
+/**
+ * XR bindings for controllers that differ from Quest Touch / Index / Pico.
+ * Keyed by WebXR input profile id; each entry replaces the 'xr:' bindings of
+ * the listed actions.
+ */
+export const XR_PROFILE_BINDINGS = {
+  // Touchpad-only controllers: move and turn with the pads, jump on pad click
+  'htc-vive': {
+    MOVE_X: ['xr:left/axis/0'],
+    MOVE_Y: ['xr:left/axis/1'],
+    TURN_X: ['xr:right/axis/0'],
+    JUMP: ['xr:right/button/2'],
+  },
+  'generic-trigger-squeeze-touchpad': {
+    MOVE_X: ['xr:left/axis/0'],
+    MOVE_Y: ['xr:left/axis/1'],
+    TURN_X: ['xr:right/axis/0'],
+    JUMP: ['xr:right/button/2'],
+  },
+};
+
+const GAME_ID = '{{GAME_SLUG}}';
+const STORAGE_KEY = `immersio-input-bindings:${GAME_ID}`;
+
+function parseBinding(binding) {
+  const sign = binding.startsWith('-') ? -1 : 1;
+  const body = sign < 0 ? binding.slice(1) : binding;
+  const colon = body.indexOf(':');
+  const device = body.slice(0, colon);
+  const parts = body.slice(colon + 1).split('/');
+
+  switch (device) {
+    case 'key':
+      return { sign, device, code: parts[0] };
+    case 'mouse':
+      return { sign, device, index: Number(parts[0]) };
+    case 'pad':
+      return { sign, device, kind: parts[0], index: Number(parts[1]) };
+    case 'xr':
+      return { sign, device, hand: parts[0], kind: parts[1], index: Number(parts[2]) };
+    case 'hand':
+      return { sign, device, hand: parts[0], gesture: parts[1] };
+    default:
+      console.warn(`Unknown input binding: ${binding}`);
+      return null;
+  }
+}
+
+export class ActionMap {
+  /**
+   * @param {object} [config] - per-game overrides (see input/bindings.js):
+   *   { actions: { NAME: { type, bindings, deadzone } },
+   *     bindings: { NAME: [...] },
+   *     profiles: { 'profile-id': { NAME: [...] } } }
+   */
+  constructor(config = {}) {
+    this.actions = {};
+    for (const [name, def] of Object.entries({ ...DEFAULT_ACTIONS, ...config.actions })) {
+      this.define(name, def);
+    }
+    for (const [name, bindings] of Object.entries(config.bindings || {})) {
+      if (this.actions[name]) this.actions[name].bindings = [...bindings];
+      else console.warn(`Bindings for unknown action: ${name}`);
+    }
+    this.profiles = { ...XR_PROFILE_BINDINGS, ...config.profiles };
+    this.dominantHand = 'right';
+
+    // Game defaults, kept for reset(); player overrides are applied on top
+    this._defaults = {};
+    for (const [name, action] of Object.entries(this.actions)) {
+      this._defaults[name] = [...action.bindings];
+    }
+    this._resolved = new Map(); // "profile|hand" → parsed bindings per action
+    this._stored = {}; // player rebinds from localStorage, by action name
+    this._load();
+  }
+
+  /**
+   * Add (or replace) an action.
+   * @param {string} name - e.g. 'CROUCH'
+   * @param {{ type?: 'button'|'axis', bindings?: string[], deadzone?: number }} def
+   */
+  define(name, def) {
+    this.actions[name] = {
+      type: def.type || 'button',
+      bindings: [...(def.bindings || [])],
+      deadzone: def.deadzone || 0,
+    };
+    if (this._defaults && !this._defaults[name]) this._defaults[name] = [...this.actions[name].bindings];
+    // An action added after start-up still gets the player's saved rebind
+    const stored = this._stored?.[name];
+    if (stored) this.actions[name].bindings = [...stored];
+    this._resolved?.clear();
+  }
+
+  /** Replace an action's bindings and persist the change. */
+  rebind(name, bindings) {
+    const action = this.actions[name];
+    if (!action) {
+      console.warn(`Cannot rebind unknown action: ${name}`);
+      return;
+    }
+    action.bindings = [...bindings];
+    this._resolved.clear();
+    this._save();
+  }
+
+  /** Restore the game's default bindings for one action, or all of them. */
+  reset(name) {
+    const names = name ? [name] : Object.keys(this._defaults);
+    for (const n of names) {
+      if (this.actions[n]) this.actions[n].bindings = [...this._defaults[n]];
+    }
+    this._resolved.clear();
+    this._save();
+  }
+
+  /**
+   * Short label of the first binding on a device, for on-screen hints
+   * (e.g. describe('GRAB') → 'E').
+   */
+  describe(name, device = 'key') {
+    const action = this.actions[name];
+    const binding = action && action.bindings.find(b => b.replace(/^-/, '').startsWith(`${device}:`));
+    if (!binding) return '';
+    const value = binding.replace(/^-/, '').slice(device.length + 1);
+    return device === 'key' ? value.replace(/^(Key|Digit)/, '') : value;
+  }
+
+  /** Mirror the locomotion actions for a left-handed player ('left' or 'right'). */
+  setDominantHand(hand) {
+    if (hand === this.dominantHand) return;
+    this.dominantHand = hand;
+    this._resolved.clear();
+  }
+
+  /** First input profile id of an XR source that has bindings here, or null. */
+  matchProfile(profiles) {
+    return (profiles || []).find(p => this.profiles[p]) || null;
+  }
+
+  /**
+   * Parsed bindings of every action, with the XR profile's overrides applied.
+   * @returns {Map<string, object[]>}
+   */
+  resolve(profile = null) {
+    const key = `${profile}|${this.dominantHand}`;
+    let resolved = this._resolved.get(key);
+    if (resolved) return resolved;
+
+    resolved = new Map();
+    const overrides = (profile && this.profiles[profile]) || {};
+    const mirror = this.dominantHand === 'left';
+    for (const [name, action] of Object.entries(this.actions)) {
+      let bindings = action.bindings;
+      if (overrides[name]) {
+        bindings = bindings.filter(b => !b.replace(/^-/, '').startsWith('xr:')).concat(overrides[name]);
+      }
+      if (mirror && HANDED_ACTIONS.includes(name)) bindings = bindings.map(mirrorBinding);
+      resolved.set(name, bindings.map(parseBinding).filter(Boolean));
+    }
+    this._warnXRClashes(resolved);
+    this._resolved.set(key, resolved);
+    return resolved;
+  }
+
+  // One XR button or axis driving two actions is almost always a mistake
+  // (e.g. a rebind onto a button the other hand's mirrored action uses)
+  _warnXRClashes(resolved) {
+    const owners = new Map(); // "left/button/5" → action name
+    for (const [name, bindings] of resolved) {
+      if (RAW_BUTTONS.includes(name)) continue;
+      for (const b of bindings) {
+        if (b.device !== 'xr') continue;
+        const input = `${b.hand}/${b.kind}/${b.index}`;
+        const owner = owners.get(input);
+        if (owner && owner !== name) {
+          console.warn(`Input actions ${owner} and ${name} are both bound to xr:${input}`);
+        } else {
+          owners.set(input, name);
+        }
+      }
+    }
+  }
+
+  // Only bindings that differ from the game defaults are stored
+  _save() {
+    // Keep the rebinds of actions that haven't been defined (yet) this session
+    const changed = {};
+    for (const [name, bindings] of Object.entries(this._stored)) {
+      if (!this.actions[name]) changed[name] = bindings;
+    }
+    for (const [name, action] of Object.entries(this.actions)) {
+      const defaults = this._defaults[name] || [];
+      if (action.bindings.join('|') !== defaults.join('|')) changed[name] = action.bindings;
+    }
+    this._stored = changed;
+    try {
+      localStorage.setItem(STORAGE_KEY, JSON.stringify(changed));
+    } catch (e) {
+      console.warn('Failed to save input bindings:', e);
+    }
+  }
+
+  _load() {
+    let saved = null;
+    try {
+      saved = JSON.parse(localStorage.getItem(STORAGE_KEY) || 'null');
+    } catch (e) {
+      console.warn('Ignoring corrupt input bindings:', e);
+    }
+    if (!saved) return;
+    for (const [name, bindings] of Object.entries(saved)) {
+      if (!Array.isArray(bindings)) continue;
+      this._stored[name] = bindings;
+      if (this.actions[name]) this.actions[name].bindings = [...bindings];
+    }
+  }
+}
@@ -2,6 +2,8 @@ export const InputActions = {
   MOVE_X: 'MOVE_X',
   MOVE_Y: 'MOVE_Y',
   TURN_X: 'TURN_X',
+  LOOK_X: 'LOOK_X',
+  LOOK_Y: 'LOOK_Y',
   TRIGGER_LEFT: 'TRIGGER_LEFT',
   TRIGGER_RIGHT: 'TRIGGER_RIGHT',
   GRIP_LEFT: 'GRIP_LEFT',
@@ -18,6 +20,13 @@ export const InputActions = {
   B_RIGHT_UP: 'B_RIGHT_UP',
   A_RIGHT_DOWN: 'A_RIGHT_DOWN',
   A_RIGHT_UP: 'A_RIGHT_UP',
+  JUMP_DOWN: 'JUMP_DOWN',
+  JUMP_UP: 'JUMP_UP',
+  GRAB_DOWN: 'GRAB_DOWN',
+  GRAB_UP: 'GRAB_UP',
+  OPTIONS_DOWN: 'OPTIONS_DOWN',
+  RECENTER_DOWN: 'RECENTER_DOWN',
+  PAUSE_DOWN: 'PAUSE_DOWN',
 };
 
 export const DEADZONE_STICK = 0.15;
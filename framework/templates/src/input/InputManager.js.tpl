@@ -1,107 +1,176 @@
-import { InputActions, DEADZONE_STICK, DEADZONE_SNAP } from './InputActions.js';
+import * as THREE from 'three';
+import { ActionMap } from './ActionMap.js';
+
+// Hand-tracking gesture thresholds in meters. Each gesture starts at the
+// first distance and ends at the second so it doesn't flicker at the edge.
+const PINCH_ON = 0.02;   // thumb tip to index tip
+const PINCH_OFF = 0.035;
+const FIST_ON = 0.09;    // average of middle/ring/pinky tips to wrist
+const FIST_OFF = 0.11;
+const CURL_JOINTS = ['middle-finger-tip', 'ring-finger-tip', 'pinky-finger-tip'];
+
+const _wristPos = new THREE.Vector3();
+const _jointPos = new THREE.Vector3();
+
+function createHandState() {
+  return {
+    tracked: false,
+    pinching: false,
+    fist: false,
+    wrist: new THREE.Matrix4(),       // wrist pose in rig space
+    indexTip: new THREE.Vector3(),    // rig space
+    thumbTip: new THREE.Vector3(),
+  };
+}
 
 export class InputManager {
-  constructor(eventBus) {
+  /**
+   * @param {EventBus} eventBus
+   * @param {object} [bindings] - per-game action map overrides (see ActionMap)
+   */
+  constructor(eventBus, bindings) {
     this.eventBus = eventBus;
-    this.state = {
-      [InputActions.MOVE_X]: 0,
-      [InputActions.MOVE_Y]: 0,
-      [InputActions.TURN_X]: 0,
-      [InputActions.TRIGGER_LEFT]: 0,
-      [InputActions.TRIGGER_RIGHT]: 0,
-      [InputActions.GRIP_LEFT]: 0,
-      [InputActions.GRIP_RIGHT]: 0,
-    };
-    this._prevTriggerLeft = false;
-    this._prevTriggerRight = false;
-    this._prevGripLeft = false;
-    this._prevGripRight = false;
-    this._prevBRight = false;
-    this._prevARight = false;
+    this.actionMap = new ActionMap(bindings);
+    this.state = {};
+    this._pressed = {}; // button action → held last frame
+
+    // Tracked hands stand in for controllers: pinch = trigger, fist = grip
+    this.hands = { left: createHandState(), right: createHandState() };
+
+    this._keys = new Set();
+    this._mouse = new Set();
+    this._xr = { left: null, right: null }; // gamepads of XR controllers
+    this._xrProfile = null;
+    this._pad = null; // first connected Gamepad API device
+    this._setupListeners();
+  }
+
+  _setupListeners() {
+    document.addEventListener('keydown', (e) => { this._keys.add(e.code); });
+    document.addEventListener('keyup', (e) => { this._keys.delete(e.code); });
+    document.addEventListener('mousedown', (e) => { this._mouse.add(e.button); });
+    document.addEventListener('mouseup', (e) => { this._mouse.delete(e.button); });
+    // Keys released while the window is unfocused never send keyup
+    window.addEventListener('blur', () => {
+      this._keys.clear();
+      this._mouse.clear();
+    });
+  }
+
+  /**
+   * Poll every bound device and update action state. Call once per frame,
+   * in and out of XR.
+   * @param {XRSession|null} xrSession
+   * @param {XRFrame} [frame] - needed for hand tracking
+   * @param {XRReferenceSpace} [referenceSpace] - needed for hand tracking
+   */
+  update(xrSession, frame, referenceSpace) {
+    this.hands.left.tracked = false;
+    this.hands.right.tracked = false;
+    this._xr.left = null;
+    this._xr.right = null;
+    this._xrProfile = null;
+
+    const sources = xrSession && xrSession.inputSources;
+    for (const source of sources || []) {
+      if (source.hand) {
+        if (frame && referenceSpace) this._updateHand(source, frame, referenceSpace);
+        continue;
+      }
+      if (!source.gamepad || !(source.handedness in this._xr)) continue;
+      this._xr[source.handedness] = source.gamepad;
+      this._xrProfile = this._xrProfile || this.actionMap.matchProfile(source.profiles);
+    }
+
+    const pads = typeof navigator !== 'undefined' && navigator.getGamepads ? navigator.getGamepads() : [];
+    this._pad = Array.from(pads).find(p => p && p.connected) || null;
+
+    for (const [name, bindings] of this.actionMap.resolve(this._xrProfile)) {
+      const action = this.actionMap.actions[name];
+      if (action.type === 'axis') {
+        let value = 0;
+        for (const b of bindings) value += this._read(b);
+        value = Math.max(-1, Math.min(1, value));
+        this.state[name] = Math.abs(value) > action.deadzone ? value : 0;
+        continue;
+      }
+
+      // Buttons: strongest binding wins; _DOWN/_UP fire on the 0.5 edge
+      let value = 0;
+      for (const b of bindings) value = Math.max(value, Math.abs(this._read(b)));
+      this.state[name] = value;
+
+      const down = value > 0.5;
+      if (down && !this._pressed[name]) this.eventBus.emit(`${name}_DOWN`);
+      if (!down && this._pressed[name]) this.eventBus.emit(`${name}_UP`);
+      this._pressed[name] = down;
+    }
   }
 
-  update(xrSession) {
-    if (!xrSession) return;
-
-    const sources = xrSession.inputSources;
-    if (!sources) return;
-
-    let leftAxes = null;
-    let rightAxes = null;
-    let leftButtons = null;
-    let rightButtons = null;
-
-    for (const source of sources) {
-      if (!source.gamepad) continue;
-      if (source.handedness === 'left') {
-        leftAxes = source.gamepad.axes;
-        leftButtons = source.gamepad.buttons;
-      } else if (source.handedness === 'right') {
-        rightAxes = source.gamepad.axes;
-        rightButtons = source.gamepad.buttons;
+  _read(binding) {
+    switch (binding.device) {
+      case 'key':
+        return this._keys.has(binding.code) ? binding.sign : 0;
+      case 'mouse':
+        return this._mouse.has(binding.index) ? binding.sign : 0;
+      case 'pad':
+        return this._readGamepad(this._pad, binding);
+      case 'xr':
+        return this._readGamepad(this._xr[binding.hand], binding);
+      case 'hand': {
+        const hand = this.hands[binding.hand];
+        if (!hand || !hand.tracked) return 0;
+        return (binding.gesture === 'fist' ? hand.fist : hand.pinching) ? binding.sign : 0;
       }
+      default:
+        return 0;
     }
+  }
 
-    // Left stick: movement (axes 2,3 for Quest Touch)
-    if (leftAxes && leftAxes.length >= 4) {
-      const x = Math.abs(leftAxes[2]) > DEADZONE_STICK ? leftAxes[2] : 0;
-      const y = Math.abs(leftAxes[3]) > DEADZONE_STICK ? leftAxes[3] : 0;
-      this.state[InputActions.MOVE_X] = x;
-      this.state[InputActions.MOVE_Y] = y;
-    } else {
-      this.state[InputActions.MOVE_X] = 0;
-      this.state[InputActions.MOVE_Y] = 0;
+  _readGamepad(gamepad, binding) {
+    if (!gamepad) return 0;
+    if (binding.kind === 'axis') {
+      return (gamepad.axes[binding.index] || 0) * binding.sign;
     }
+    const button = gamepad.buttons[binding.index];
+    if (!button) return 0;
+    return Math.max(button.value, button.pressed ? 1 : 0) * binding.sign;
+  }
+
+  _updateHand(source, frame, referenceSpace) {
+    const hand = this.hands[source.handedness];
+    if (!hand) return;
+
+    const joint = (name) => frame.getJointPose(source.hand.get(name), referenceSpace);
+    const wrist = joint('wrist');
+    const thumb = joint('thumb-tip');
+    const index = joint('index-finger-tip');
+    if (!wrist || !thumb || !index) return; // tracking lost this frame
+
+    hand.tracked = true;
+    hand.wrist.fromArray(wrist.transform.matrix);
+    _wristPos.setFromMatrixPosition(hand.wrist);
+    const { x: tx, y: ty, z: tz } = thumb.transform.position;
+    hand.thumbTip.set(tx, ty, tz);
+    const { x: ix, y: iy, z: iz } = index.transform.position;
+    hand.indexTip.set(ix, iy, iz);
 
-    // Right stick: snap turn (axis 2)
-    if (rightAxes && rightAxes.length >= 4) {
-      this.state[InputActions.TURN_X] = Math.abs(rightAxes[2]) > DEADZONE_SNAP ? rightAxes[2] : 0;
-    } else {
-      this.state[InputActions.TURN_X] = 0;
+    // Fist: the other fingertips curled in toward the wrist
+    let curl = 0;
+    let count = 0;
+    for (const name of CURL_JOINTS) {
+      const pose = joint(name);
+      if (!pose) continue;
+      const { x, y, z } = pose.transform.position;
+      curl += _jointPos.set(x, y, z).distanceTo(_wristPos);
+      count++;
     }
+    curl = count > 0 ? curl / count : Infinity;
+    hand.fist = curl < (hand.fist ? FIST_OFF : FIST_ON);
 
-    // Buttons
-    const trigLeft = leftButtons && leftButtons[0] ? leftButtons[0].value : 0;
-    const trigRight = rightButtons && rightButtons[0] ? rightButtons[0].value : 0;
-    const gripLeft = leftButtons && leftButtons[1] ? leftButtons[1].value : 0;
-    const gripRight = rightButtons && rightButtons[1] ? rightButtons[1].value : 0;
-
-    this.state[InputActions.TRIGGER_LEFT] = trigLeft;
-    this.state[InputActions.TRIGGER_RIGHT] = trigRight;
-    this.state[InputActions.GRIP_LEFT] = gripLeft;
-    this.state[InputActions.GRIP_RIGHT] = gripRight;
-
-    // Edge detection for trigger/grip down/up events
-    const trigLeftDown = trigLeft > 0.5;
-    const trigRightDown = trigRight > 0.5;
-    const gripLeftDown = gripLeft > 0.5;
-    const gripRightDown = gripRight > 0.5;
-
-    if (trigLeftDown && !this._prevTriggerLeft) this.eventBus.emit(InputActions.TRIGGER_LEFT_DOWN);
-    if (!trigLeftDown && this._prevTriggerLeft) this.eventBus.emit(InputActions.TRIGGER_LEFT_UP);
-    if (trigRightDown && !this._prevTriggerRight) this.eventBus.emit(InputActions.TRIGGER_RIGHT_DOWN);
-    if (!trigRightDown && this._prevTriggerRight) this.eventBus.emit(InputActions.TRIGGER_RIGHT_UP);
-    if (gripLeftDown && !this._prevGripLeft) this.eventBus.emit(InputActions.GRIP_LEFT_DOWN);
-    if (!gripLeftDown && this._prevGripLeft) this.eventBus.emit(InputActions.GRIP_LEFT_UP);
-    if (gripRightDown && !this._prevGripRight) this.eventBus.emit(InputActions.GRIP_RIGHT_DOWN);
-    if (!gripRightDown && this._prevGripRight) this.eventBus.emit(InputActions.GRIP_RIGHT_UP);
-
-    this._prevTriggerLeft = trigLeftDown;
-    this._prevTriggerRight = trigRightDown;
-    this._prevGripLeft = gripLeftDown;
-    this._prevGripRight = gripRightDown;
-
-    // A button on right controller (buttons[4])
-    const aRight = rightButtons && rightButtons.length > 4 && rightButtons[4] ? rightButtons[4].pressed : false;
-    if (aRight && !this._prevARight) this.eventBus.emit(InputActions.A_RIGHT_DOWN);
-    if (!aRight && this._prevARight) this.eventBus.emit(InputActions.A_RIGHT_UP);
-    this._prevARight = aRight;
-
-    // B button on right controller (buttons[5])
-    const bRight = rightButtons && rightButtons.length > 5 && rightButtons[5] ? rightButtons[5].pressed : false;
-    if (bRight && !this._prevBRight) this.eventBus.emit(InputActions.B_RIGHT_DOWN);
-    if (!bRight && this._prevBRight) this.eventBus.emit(InputActions.B_RIGHT_UP);
-    this._prevBRight = bRight;
+    // Pinch: thumb and index tips touching (a fist brings them close too)
+    const pinch = hand.thumbTip.distanceTo(hand.indexTip);
+    hand.pinching = !hand.fist && pinch < (hand.pinching ? PINCH_OFF : PINCH_ON);
   }
 
   get(action) {
@@ -0,0 +1,11 @@
+// Game input bindings — merged over the defaults in ActionMap.js.
+// Player rebinds are stored in localStorage on top of these.
+//
+// actions:  new actions, e.g. CROUCH: { type: 'button', bindings: ['key:KeyC', 'xr:left/button/3'] }
+// bindings: replace the bindings of a built-in action, e.g. GRAB: ['key:KeyF']
+// profiles: XR bindings per WebXR input profile id, e.g. 'htc-vive': { JUMP: ['xr:right/button/2'] }
+export default {
+  actions: {},
+  bindings: {},
+  profiles: {},
+};
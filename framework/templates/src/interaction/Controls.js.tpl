@@ -0,0 +1,414 @@
+import * as THREE from 'three';
+import { Interactable } from './Interactable.js';
+
+const _local = new THREE.Vector3();
+const _axis = new THREE.Vector3();
+const _delta = new THREE.Quaternion();
+const _normalMatrix = new THREE.Matrix3();
+
+function clamp01(v) {
+  return Math.max(0, Math.min(1, v));
+}
+
+// Snap a 0..1 value to `steps` evenly spaced positions (no snapping when < 2)
+function quantize(v, steps) {
+  if (!steps || steps < 2) return v;
+  return Math.round(v * (steps - 1)) / (steps - 1);
+}
+
+function lambert(color) {
+  return new THREE.MeshLambertMaterial({ color });
+}
+
+/**
+ * Base for constrained interactables. Instead of being picked up, the handle
+ * follows the grabbing controller (or a mouse drag on desktop) along its
+ * hinge, axis or track, and the control reports a value from 0 to 1.
+ *
+ * A control is an Object3D (`object`) to add to the scene plus an
+ * Interactable (`interactable`) to register with InteractionSystem.
+ *
+ * Emits 'control:changed' with { id, value, control } when the value changes.
+ */
+export class Control {
+  constructor(eventBus, options = {}) {
+    this.eventBus = eventBus;
+    this.id = options.id || null;
+    this.value = 0;
+    this.onChange = options.onChange || null;
+    this.dragging = false;
+
+    this.object = new THREE.Group();
+    if (options.position) this.object.position.set(...options.position);
+    if (options.rotation) this.object.rotation.set(...options.rotation);
+    else if (options.rotationY) this.object.rotation.y = options.rotationY;
+    if (options.id) this.object.name = options.id;
+
+    this.interactable = null;
+    this._planeNormal = new THREE.Vector3(0, 1, 0); // local normal of the desktop drag plane
+  }
+
+  /** Set the value (0..1) and move the handle to match. */
+  setValue(value, silent = false) {
+    value = this._constrain(clamp01(value));
+    if (Math.abs(value - this.value) < 1e-4) return;
+    this.value = value;
+    this._apply();
+    if (silent) return;
+    if (this.onChange) this.onChange(value, this);
+    this.eventBus.emit('control:changed', { id: this.id, value, control: this });
+  }
+
+  /**
+   * World-space plane the handle is dragged on with the mouse.
+   * @param {THREE.Plane} target
+   * @returns {THREE.Plane}
+   */
+  dragPlane(target) {
+    this.object.updateWorldMatrix(true, false);
+    _normalMatrix.getNormalMatrix(this.object.matrixWorld);
+    this.object.getWorldPosition(_local);
+    return target.setFromNormalAndCoplanarPoint(
+      _axis.copy(this._planeNormal).applyMatrix3(_normalMatrix).normalize(),
+      _local
+    );
+  }
+
+  // Called by InteractionSystem with the grabbing hand's world position
+  // (quaternion only in VR)
+  beginDrag(point, quaternion) {
+    this.dragging = true;
+    this.drag(point, quaternion);
+  }
+
+  drag(point, quaternion) {}
+
+  endDrag() {
+    this.dragging = false;
+  }
+
+  update(dt) {}
+
+  _initValue(value = 0) {
+    this.value = this._constrain(clamp01(value));
+    this._apply();
+  }
+
+  _toLocal(point) {
+    return this.object.worldToLocal(_local.copy(point));
+  }
+
+  // Override: snap or restrict a candidate value
+  _constrain(value) {
+    return value;
+  }
+
+  // Override: move the handle to this.value
+  _apply() {}
+
+  _setHandle(handle, type = 'grab') {
+    this.interactable = new Interactable(handle, { type, id: this.id });
+    this.interactable.control = this;
+  }
+}
+
+/**
+ * Lever on a hinge along its local X axis. The stick points up at the middle
+ * of its range and tilts between `minAngle` and `maxAngle`.
+ * Options: length (0.5), minAngle (-π/4), maxAngle (π/4), snap (snap to either
+ * end on release), value (initial, 0..1), color.
+ */
+export class LeverControl extends Control {
+  constructor(eventBus, options = {}) {
+    super(eventBus, options);
+    this.length = options.length ?? 0.5;
+    this.minAngle = options.minAngle ?? -Math.PI / 4;
+    this.maxAngle = options.maxAngle ?? Math.PI / 4;
+    this.snap = options.snap || false;
+    this._planeNormal.set(1, 0, 0);
+
+    const color = options.color || 0x886644;
+    const base = new THREE.Mesh(new THREE.BoxGeometry(0.2, 0.08, 0.3), lambert(0x444444));
+    base.position.y = 0.04;
+    this.object.add(base);
+
+    // Hinge sits on top of the base; the stick and grip rotate with it
+    this._pivot = new THREE.Group();
+    this._pivot.position.y = 0.08;
+    this.object.add(this._pivot);
+
+    const stick = new THREE.Mesh(
+      new THREE.CylinderGeometry(0.02, 0.02, this.length, 8),
+      lambert(color)
+    );
+    stick.position.y = this.length / 2;
+    this._pivot.add(stick);
+
+    const grip = new THREE.Mesh(new THREE.SphereGeometry(0.05, 12, 8), lambert(color));
+    grip.position.y = this.length;
+    this._pivot.add(grip);
+
+    this._setHandle(grip);
+    this._initValue(options.value);
+  }
+
+  get angle() {
+    return this.minAngle + this.value * (this.maxAngle - this.minAngle);
+  }
+
+  drag(point) {
+    const local = this._toLocal(point);
+    const angle = Math.atan2(local.z, local.y - this._pivot.position.y);
+    this.setValue((angle - this.minAngle) / (this.maxAngle - this.minAngle));
+  }
+
+  endDrag() {
+    super.endDrag();
+    if (this.snap) this.setValue(Math.round(this.value));
+  }
+
+  _apply() {
+    this._pivot.rotation.x = this.angle;
+  }
+}
+
+/**
+ * Push button with its cap facing local +Y. Pressed with activate (trigger or
+ * click), or in VR by pushing the cap down by hand. Momentary by default;
+ * `toggle: true` latches it until pressed again.
+ * Options: radius (0.06), travel (0.02), toggle, color.
+ *
+ * Also emits 'control:pressed' / 'control:released' with { id, control }.
+ */
+export class ButtonControl extends Control {
+  constructor(eventBus, options = {}) {
+    super(eventBus, options);
+    this.radius = options.radius ?? 0.06;
+    this.travel = options.travel ?? 0.02;
+    this.toggle = options.toggle || false;
+    this.pressed = false;
+
+    const housing = new THREE.Mesh(
+      new THREE.CylinderGeometry(this.radius * 1.4, this.radius * 1.5, 0.04, 16),
+      lambert(0x333333)
+    );
+    housing.position.y = 0.02;
+    this.object.add(housing);
+
+    this._cap = new THREE.Mesh(
+      new THREE.CylinderGeometry(this.radius, this.radius, 0.03, 16),
+      lambert(options.color || 0xcc2222)
+    );
+    this._capRest = 0.04 + this.travel + 0.015;
+    this._cap.position.y = this._capRest;
+    this.object.add(this._cap);
+
+    this._depth = 0;           // current cap depth, animated toward the target
+    this._pokeDepth = 0;       // how far a hand pushes the cap in
+    this._poked = false;       // a hand has pushed it to the bottom
+    this._releaseTimer = null; // momentary buttons pop back up when it runs out
+    this._setHandle(this._cap, 'activate');
+    this.interactable.onActivate = () => this.press();
+  }
+
+  /** Press (or for a toggle button, flip) the button. */
+  press() {
+    if (this.toggle) {
+      this._setPressed(!this.pressed);
+    } else if (!this.pressed) {
+      this._setPressed(true);
+      this._releaseTimer = 0.2;
+    }
+  }
+
+  /**
+   * Push the cap with a hand. Called by InteractionSystem in VR with the
+   * world positions of both hands.
+   */
+  poke(points) {
+    let depth = 0;
+    for (const point of points) {
+      const local = this._toLocal(point);
+      if (Math.hypot(local.x, local.z) > this.radius) continue;
+      const top = this._capRest + 0.015;
+      if (local.y > top || local.y < top - this.travel - 0.05) continue;
+      depth = Math.max(depth, Math.min(this.travel, top - local.y));
+    }
+
+    const bottomed = depth >= this.travel * 0.9;
+    if (bottomed && !this._poked) {
+      this._poked = true;
+      this.press();
+    } else if (!bottomed && this._poked) {
+      this._poked = false;
+      if (!this.toggle) this._releaseTimer = 0;
+    }
+    this._pokeDepth = depth;
+  }
+
+  update(dt) {
+    if (this._releaseTimer !== null && !this._poked) {
+      this._releaseTimer -= dt;
+      if (this._releaseTimer <= 0) {
+        this._releaseTimer = null;
+        this._setPressed(false);
+      }
+    }
+
+    // Cap travels to the bottom while pressed, otherwise follows the hand
+    const target = this.pressed ? this.travel : this._pokeDepth;
+    this._depth += (target - this._depth) * Math.min(1, dt * 30);
+    this._cap.position.y = this._capRest - this._depth;
+  }
+
+  _setPressed(pressed) {
+    if (pressed === this.pressed) return;
+    this.pressed = pressed;
+    this.setValue(pressed ? 1 : 0);
+    this.eventBus.emit(pressed ? 'control:pressed' : 'control:released', { id: this.id, control: this });
+  }
+}
+
+/**
+ * Rotary knob turning around its local +Y axis, with optional detents.
+ * Angles are measured clockwise seen from above, from local -Z.
+ * Options: radius (0.06), minAngle (-3π/4), maxAngle (3π/4), detents (number
+ * of click positions, 0 for smooth), value (initial, 0..1), color.
+ *
+ * In VR the knob follows the twist of the grabbing controller; with the mouse
+ * it points at the dragged position.
+ */
+export class KnobControl extends Control {
+  constructor(eventBus, options = {}) {
+    super(eventBus, options);
+    this.radius = options.radius ?? 0.06;
+    this.minAngle = options.minAngle ?? -Math.PI * 0.75;
+    this.maxAngle = options.maxAngle ?? Math.PI * 0.75;
+    this.detents = options.detents || 0;
+
+    const color = options.color || 0x666666;
+    this._dial = new THREE.Group();
+    this.object.add(this._dial);
+
+    const body = new THREE.Mesh(
+      new THREE.CylinderGeometry(this.radius, this.radius * 1.1, 0.05, 20),
+      lambert(color)
+    );
+    body.position.y = 0.025;
+    this._dial.add(body);
+
+    const pointer = new THREE.Mesh(
+      new THREE.BoxGeometry(0.012, 0.012, this.radius * 0.8),
+      lambert(0xffffff)
+    );
+    pointer.position.set(0, 0.055, -this.radius * 0.5);
+    this._dial.add(pointer);
+
+    this._setHandle(body);
+    this._initValue(options.value);
+  }
+
+  /** Current detent index (0..detents-1), or null for a smooth knob. */
+  get step() {
+    return this.detents >= 2 ? Math.round(this.value * (this.detents - 1)) : null;
+  }
+
+  get angle() {
+    return this.minAngle + this.value * (this.maxAngle - this.minAngle);
+  }
+
+  beginDrag(point, quaternion) {
+    this._startAngle = this.angle;
+    this._startQuat = quaternion ? quaternion.clone() : null;
+    super.beginDrag(point, quaternion);
+  }
+
+  drag(point, quaternion) {
+    let angle;
+    if (quaternion && this._startQuat) {
+      // Controller twist around the knob's world axis since the grab
+      _delta.copy(this._startQuat).invert().premultiply(quaternion);
+      this.object.updateWorldMatrix(true, false);
+      _axis.set(0, 1, 0).transformDirection(this.object.matrixWorld);
+      const twist = 2 * Math.atan2(_delta.x * _axis.x + _delta.y * _axis.y + _delta.z * _axis.z, _delta.w);
+      angle = this._startAngle - twist;
+    } else {
+      const local = this._toLocal(point);
+      if (local.x * local.x + local.z * local.z < 1e-6) return;
+      angle = Math.atan2(local.x, -local.z);
+    }
+    this.setValue((angle - this.minAngle) / (this.maxAngle - this.minAngle));
+  }
+
+  _constrain(value) {
+    return quantize(value, this.detents);
+  }
+
+  _apply() {
+    this._dial.rotation.y = -this.angle;
+  }
+}
+
+/**
+ * Linear slider along its local X axis, centered on its position.
+ * Options: length (0.4), steps (number of stops, 0 for smooth), value
+ * (initial, 0..1), color.
+ */
+export class SliderControl extends Control {
+  constructor(eventBus, options = {}) {
+    super(eventBus, options);
+    this.length = options.length ?? 0.4;
+    this.steps = options.steps || 0;
+
+    const track = new THREE.Mesh(
+      new THREE.BoxGeometry(this.length + 0.06, 0.02, 0.04),
+      lambert(0x333333)
+    );
+    track.position.y = 0.01;
+    this.object.add(track);
+
+    this._knob = new THREE.Mesh(
+      new THREE.BoxGeometry(0.05, 0.05, 0.07),
+      lambert(options.color || 0x4488cc)
+    );
+    this._knob.position.y = 0.045;
+    this.object.add(this._knob);
+
+    this._setHandle(this._knob);
+    this._initValue(options.value);
+  }
+
+  drag(point) {
+    const local = this._toLocal(point);
+    this.setValue(local.x / this.length + 0.5);
+  }
+
+  _constrain(value) {
+    return quantize(value, this.steps);
+  }
+
+  _apply() {
+    this._knob.position.x = (this.value - 0.5) * this.length;
+  }
+}
+
+const CONTROL_TYPES = {
+  lever: LeverControl,
+  button: ButtonControl,
+  knob: KnobControl,
+  slider: SliderControl,
+};
+
+/**
+ * Create a control from a level-config style definition
+ * ({ type: 'lever' | 'button' | 'knob' | 'slider', ...options }).
+ * @returns {Control|null}
+ */
+export function createControl(eventBus, def) {
+  const ControlClass = CONTROL_TYPES[def.type];
+  if (!ControlClass) {
+    console.warn(`Unknown control type: ${def.type}`);
+    return null;
+  }
+  return new ControlClass(eventBus, def);
+}
@@ -7,7 +7,22 @@ export class Interactable {
     this.onRelease = options.onRelease || null;
     this.onHoverEnter = options.onHoverEnter || null;
     this.onHoverExit = options.onHoverExit || null;
+    // Pointer callbacks get the hand ('left', 'right' or 'desktop') and the
+    // world-space point the ray, fingertip or mouse is at
+    this.onPointerMove = options.onPointerMove || null; // every frame while hovered or touched
+    this.onActivateEnd = options.onActivateEnd || null; // trigger, fingertip or mouse button let go
     this.enabled = options.enabled !== undefined ? options.enabled : true;
+    this.ui = options.ui || false; // menu control: the only kind usable while the game is paused
+
+    // Identity for SnapZone filters
+    this.id = options.id || null;
+    this.tags = options.tags || [];
+    this.socket = null; // SnapZone this item is snapped into
+
+    // Throwable: released objects keep the hand's velocity, fall and settle
+    this.physics = options.physics || false;
+    this.restitution = options.restitution !== undefined ? options.restitution : 0.3; // bounce, 0..1
+    this.friction = options.friction !== undefined ? options.friction : 3; // horizontal slowdown on contact, per second
 
     // Store original emissive for hover effect
     if (mesh.material && mesh.material.emissive) {
@@ -1,30 +1,82 @@
 import * as THREE from 'three';
+import { InputActions } from '../input/InputActions.js';
 
 const _raycaster = new THREE.Raycaster();
 const _tempMatrix = new THREE.Matrix4();
 const _worldPos = new THREE.Vector3();
 const _worldQuat = new THREE.Quaternion();
 const _worldScale = new THREE.Vector3();
+const _velocity = new THREE.Vector3();
+const _bounds = new THREE.Box3();
+const _step = new THREE.Vector3();
+const _dir = new THREE.Vector3();
+const _up = new THREE.Vector3(0, 1, 0);
+const _snapPos = new THREE.Vector3();
+const _snapQuat = new THREE.Quaternion();
+const _dragPlane = new THREE.Plane();
+const _dragPoint = new THREE.Vector3();
+const _hands = [new THREE.Vector3(), new THREE.Vector3()];
+const _viewDir = new THREE.Vector3();
+const _tip = new THREE.Vector3();
+const _cursor = new THREE.Vector2();
+
+const POKE_MARGIN = 0.01; // fingertip counts as touching this close to a mesh's bounds
+
+// Throwable physics
+const GRAVITY = 9.81;
+const VELOCITY_SAMPLES = 6;   // frames of hand motion averaged into the throw velocity
+const MIN_BOUNCE_SPEED = 0.5; // slower impacts stop dead instead of bouncing
+const SETTLE_SPEED = 0.15;    // a grounded body slower than this comes to rest
+const MAX_THROW_SPEED = 15;   // guards against teleports/snap turns mid-hold
 
 export class InteractionSystem {
   constructor(engine, eventBus) {
     this.engine = engine;
     this.eventBus = eventBus;
     this.interactables = [];
+    this.snapZones = [];
     this.maxDistance = 10;
 
+    // Desktop: the GRAB action (E) picks up / puts down, held objects float in
+    // front of the camera; the scroll wheel moves them between min and max
+    // hold distance
+    this.holdDistance = 1.5;
+    this.minHoldDistance = 0.6;
+    this.maxHoldDistance = 4;
+
     // Per-controller state
     this._hovered = { left: null, right: null };
     this._grabbed = { left: null, right: null };
     this._grabData = { left: null, right: null };
+    this._poked = { left: new Set(), right: new Set() }; // touched by a tracked index fingertip
 
     // Desktop state
     this._desktopGrabbed = null;
     this._desktopHovered = null;
+    this._desktopControl = null; // control being dragged with the mouse
+    this._holdDistance = this.holdDistance;
+
+    // Throwable physics: recent world positions of held physics objects, and
+    // released objects still in flight
+    this._tracks = { left: [], right: [], desktop: [] };
+    this._bodies = [];
+
+    // Snap zone currently previewing each held item
+    this._previews = { left: null, right: null, desktop: null };
+
+    // Where each pointer last hit what it hovers (world space), and what each
+    // pointer activated until its trigger or mouse button comes back up
+    this._hitPoints = { left: new THREE.Vector3(), right: new THREE.Vector3(), desktop: new THREE.Vector3() };
+    this._activated = { left: null, right: null, desktop: null };
+
+    // Desktop mouse cursor in normalized device coordinates, while it isn't captured
+    this._cursor = null;
 
     // Listen for VR input events
     eventBus.on('TRIGGER_RIGHT_DOWN', () => this._onActivate('right'));
     eventBus.on('TRIGGER_LEFT_DOWN', () => this._onActivate('left'));
+    eventBus.on('TRIGGER_RIGHT_UP', () => this._onActivateEnd('right'));
+    eventBus.on('TRIGGER_LEFT_UP', () => this._onActivateEnd('left'));
     eventBus.on('GRIP_RIGHT_DOWN', () => this._onGrab('right'));
     eventBus.on('GRIP_LEFT_DOWN', () => this._onGrab('left'));
     eventBus.on('GRIP_RIGHT_UP', () => this._onRelease('right'));
@@ -32,19 +84,103 @@ export class InteractionSystem {
 
     // Desktop input events
     eventBus.on('desktop:activate', () => this._onDesktopActivate());
-    this._setupDesktopKeys();
+    eventBus.on('desktop:pointerdown', () => this._onDesktopPointerDown());
+    eventBus.on('desktop:pointerup', () => this._onDesktopPointerUp());
+    this._setupDesktopInput();
   }
 
   register(interactable) {
     this.interactables.push(interactable);
   }
 
+  /**
+   * Stop tracking an interactable, e.g. when its puzzle is disposed. A hand
+   * or the mouse holding, hovering or dragging it lets go without calling
+   * its callbacks, and a held mesh is detached instead of put back where it
+   * was picked up — its owner is tearing it down.
+   */
   unregister(interactable) {
     const idx = this.interactables.indexOf(interactable);
     if (idx !== -1) this.interactables.splice(idx, 1);
+    this.halt(interactable);
+    this._poked.left.delete(interactable);
+    this._poked.right.delete(interactable);
+    for (const key of Object.keys(this._activated)) {
+      if (this._activated[key] === interactable) this._activated[key] = null;
+    }
+
+    for (const hand of ['left', 'right']) {
+      if (this._hovered[hand] === interactable) this._hovered[hand] = null;
+      if (this._grabbed[hand] !== interactable) continue;
+      if (!interactable.control) interactable.mesh.removeFromParent();
+      this._grabbed[hand] = null;
+      this._grabData[hand] = null;
+      this._tracks[hand].length = 0;
+      this._setPreview(hand, null);
+    }
+
+    if (this._desktopHovered === interactable) this._desktopHovered = null;
+    if (this._desktopGrabbed && this._desktopGrabbed.interactable === interactable) {
+      this._desktopGrabbed.mesh.removeFromParent();
+      this._desktopGrabbed = null;
+      this._tracks.desktop.length = 0;
+      this._setPreview('desktop', null);
+    }
+    if (this._desktopControl && this._desktopControl.interactable === interactable) {
+      this._desktopControl = null;
+    }
+  }
+
+  registerSnapZone(zone) {
+    this.snapZones.push(zone);
+    return zone;
+  }
+
+  unregisterSnapZone(zone) {
+    const idx = this.snapZones.indexOf(zone);
+    if (idx !== -1) this.snapZones.splice(idx, 1);
+    zone.hidePreview();
+    for (const key of Object.keys(this._previews)) {
+      if (this._previews[key] === zone) this._previews[key] = null;
+    }
+    if (zone.item) {
+      zone.item.socket = null;
+      zone.item = null;
+    }
+  }
+
+  getSnapZone(id) {
+    return this.snapZones.find(z => z.id === id) || null;
+  }
+
+  /**
+   * Stop a thrown object where it is, e.g. after snapping it into place.
+   * Unregistering an interactable also halts it.
+   */
+  halt(interactable) {
+    const idx = this._bodies.findIndex((b) => b.interactable === interactable);
+    if (idx !== -1) this._bodies.splice(idx, 1);
+  }
+
+  /** Interactable held by a controller ('left' or 'right'), or null. */
+  getHeld(hand) {
+    return this._grabbed[hand] || null;
   }
 
-  update() {
+  update(dt = 0) {
+    // Paused: only menu controls (`ui` interactables) can be pointed at and used
+    if (this.engine.paused) {
+      if (this.engine.renderer.xr.isPresenting) {
+        this._updateHover('left', this.engine.vrSetup.controller0);
+        this._updateHover('right', this.engine.vrSetup.controller1);
+        this._updatePoke('left');
+        this._updatePoke('right');
+      } else {
+        this._updateDesktopHover();
+      }
+      return;
+    }
+
     if (this.engine.renderer.xr.isPresenting) {
       // VR mode
       const vr = this.engine.vrSetup;
@@ -52,17 +188,26 @@ export class InteractionSystem {
       this._updateHover('right', vr.controller1);
       this._updateGrabFollow('left', vr.controllerGrip0);
       this._updateGrabFollow('right', vr.controllerGrip1);
+      this._updatePoke('left');
+      this._updatePoke('right');
     } else {
       // Desktop mode — update hover and grab follow
       this._updateDesktopHover();
       this._updateDesktopGrabFollow();
+      this._updateDesktopControl();
     }
+
+    this._updateControls(dt);
+    this._trackHeld(dt);
+    this._updatePreviews();
+    this._updateBodies(dt);
   }
 
   _getMeshes() {
     const meshes = [];
+    const paused = this.engine.paused;
     for (const inter of this.interactables) {
-      if (inter.enabled) meshes.push(inter.mesh);
+      if (inter.enabled && (inter.ui || !paused)) meshes.push(inter.mesh);
     }
     return meshes;
   }
@@ -86,9 +231,13 @@ export class InteractionSystem {
   _updateHover(hand, controller) {
     if (this._grabbed[hand]) return;
 
-    _tempMatrix.identity().extractRotation(controller.matrixWorld);
-    _raycaster.ray.origin.setFromMatrixPosition(controller.matrixWorld);
-    _raycaster.ray.direction.set(0, 0, -1).applyMatrix4(_tempMatrix);
+    // Tracked hands aim along the fingers from the wrist
+    const trackedHand = this.engine.inputManager.hands[hand];
+    const aim = trackedHand.tracked
+      ? _tempMatrix.multiplyMatrices(this.engine.cameraRig.matrixWorld, trackedHand.wrist)
+      : controller.matrixWorld;
+    _raycaster.ray.origin.setFromMatrixPosition(aim);
+    _raycaster.ray.direction.set(0, 0, -1).transformDirection(aim);
     _raycaster.far = this.maxDistance;
 
     const meshes = this._getMeshes();
@@ -99,25 +248,31 @@ export class InteractionSystem {
 
     if (intersects.length > 0) {
       current = this._findInteractable(intersects[0].object);
+      this._hitPoints[hand].copy(intersects[0].point);
     }
 
     if (prev !== current) {
-      if (prev) this._setHoverEffect(prev, false);
-      if (current) this._setHoverEffect(current, true);
+      if (prev) this._setHoverEffect(prev, false, hand);
+      if (current) this._setHoverEffect(current, true, hand);
       this._hovered[hand] = current;
     }
+    // A fingertip touching the same object reports its own position instead
+    if (current && current.onPointerMove && !this._poked[hand].has(current)) {
+      current.onPointerMove(hand, this._hitPoints[hand]);
+    }
   }
 
-  _setHoverEffect(inter, hovering) {
+  _setHoverEffect(inter, hovering, hand) {
+    // Glow only materials that support it; callbacks fire for every mesh
     const mat = inter.mesh.material;
-    if (!mat || !mat.emissive) return;
+    const glow = mat && mat.emissive;
 
     if (hovering) {
-      mat.emissive.setHex(0x333333);
-      if (inter.onHoverEnter) inter.onHoverEnter();
+      if (glow) mat.emissive.setHex(0x333333);
+      if (inter.onHoverEnter) inter.onHoverEnter(hand);
     } else {
-      mat.emissive.setHex(inter._origEmissiveHex);
-      if (inter.onHoverExit) inter.onHoverExit();
+      if (glow) mat.emissive.setHex(inter._origEmissiveHex);
+      if (inter.onHoverExit) inter.onHoverExit(hand);
     }
   }
 
@@ -125,17 +280,40 @@ export class InteractionSystem {
     const hovered = this._hovered[hand];
     if (!hovered) return;
     if (hovered.type === 'activate' || hovered.type === 'both') {
-      if (hovered.onActivate) hovered.onActivate(hand);
+      this._activate(hand, hovered, this._hitPoints[hand]);
     }
   }
 
+  // Trigger, mouse button or fingertip activated an object
+  _activate(hand, inter, point) {
+    this._activated[hand] = inter;
+    // Before onActivate, so whatever it sets off knows which object was used
+    this.eventBus.emit('object:activated', { interactable: inter, mesh: inter.mesh, hand });
+    if (inter.onActivate) inter.onActivate(hand, point);
+  }
+
+  // Trigger, mouse button or fingertip let go of what it activated
+  _onActivateEnd(hand) {
+    const inter = this._activated[hand];
+    if (!inter) return;
+    this._activated[hand] = null;
+    if (inter.onActivateEnd) inter.onActivateEnd(hand);
+  }
+
   _onGrab(hand) {
     const hovered = this._hovered[hand];
     if (!hovered) return;
     if (hovered.type !== 'grab' && hovered.type !== 'both') return;
+    if (hovered.control) {
+      this._grabControl(hand, hovered);
+      return;
+    }
 
     const mesh = hovered.mesh;
     const vr = this.engine.vrSetup;
+    this.halt(hovered);
+    this._tracks[hand].length = 0;
+    if (hovered.socket) this._unsnap(hovered);
     const gripSpace = hand === 'left' ? vr.controllerGrip0 : vr.controllerGrip1;
 
     // Store original parent and world transform
@@ -163,7 +341,7 @@ export class InteractionSystem {
     mesh.quaternion.copy(gripWorldQuat.invert().multiply(_worldQuat));
 
     this._grabbed[hand] = hovered;
-    this._setHoverEffect(hovered, false);
+    this._setHoverEffect(hovered, false, hand);
     this._hovered[hand] = null;
 
     if (hovered.onGrab) hovered.onGrab(hand);
@@ -172,6 +350,12 @@ export class InteractionSystem {
   _onRelease(hand) {
     const grabbed = this._grabbed[hand];
     if (!grabbed) return;
+    if (grabbed.control) {
+      grabbed.control.endDrag();
+      this._grabbed[hand] = null;
+      if (grabbed.onRelease) grabbed.onRelease(hand, null);
+      return;
+    }
 
     const data = this._grabData[hand];
     const mesh = grabbed.mesh;
@@ -179,6 +363,8 @@ export class InteractionSystem {
     // Get current world position before re-parenting
     mesh.getWorldPosition(_worldPos);
     mesh.getWorldQuaternion(_worldQuat);
+    const zone = this._findSnapZone(grabbed, _worldPos);
+    this._setPreview(hand, null);
 
     // Re-parent to original parent
     mesh.removeFromParent();
@@ -192,32 +378,175 @@ export class InteractionSystem {
       mesh.quaternion.copy(parentWorldQuat.invert().multiply(_worldQuat));
     }
 
+    const velocity = this._releaseVelocity(this._tracks[hand]);
+    if (zone) this._snap(grabbed, zone);
+    else if (grabbed.physics) this._launch(grabbed, velocity);
     if (grabbed.onRelease) grabbed.onRelease(hand, _worldPos);
 
     this._grabbed[hand] = null;
     this._grabData[hand] = null;
   }
 
-  _updateGrabFollow() {
-    // Objects follow automatically since they're parented to grip space
+  _updateGrabFollow(hand, gripSpace) {
+    // Objects follow automatically since they're parented to grip space;
+    // controls are driven along their hinge or track instead
+    const grabbed = this._grabbed[hand];
+    if (!grabbed || !grabbed.control) return;
+    gripSpace.getWorldPosition(_worldPos);
+    gripSpace.getWorldQuaternion(_worldQuat);
+    grabbed.control.drag(_worldPos, _worldQuat);
+  }
+
+  _grabControl(hand, interactable) {
+    const vr = this.engine.vrSetup;
+    const gripSpace = hand === 'left' ? vr.controllerGrip0 : vr.controllerGrip1;
+    gripSpace.getWorldPosition(_worldPos);
+    gripSpace.getWorldQuaternion(_worldQuat);
+
+    this._grabbed[hand] = interactable;
+    this._setHoverEffect(interactable, false, hand);
+    this._hovered[hand] = null;
+    interactable.control.beginDrag(_worldPos, _worldQuat);
+
+    if (interactable.onGrab) interactable.onGrab(hand);
+  }
+
+  // Let buttons spring back, and in VR push them with either hand
+  _updateControls(dt) {
+    const vr = this.engine.renderer.xr.isPresenting ? this.engine.vrSetup : null;
+    if (vr) {
+      this._handPoint('left', vr.controllerGrip0, _hands[0]);
+      this._handPoint('right', vr.controllerGrip1, _hands[1]);
+    }
+    for (const inter of this.interactables) {
+      const control = inter.control;
+      if (!control) continue;
+      if (vr && control.poke) control.poke(_hands);
+      control.update(dt);
+    }
+  }
+
+  // World position a hand touches with: the index fingertip when tracked,
+  // otherwise the controller grip
+  _handPoint(hand, gripSpace, target) {
+    const trackedHand = this.engine.inputManager.hands[hand];
+    if (!trackedHand.tracked) return gripSpace.getWorldPosition(target);
+    return target.copy(trackedHand.indexTip).applyMatrix4(this.engine.cameraRig.matrixWorld);
+  }
+
+  // Touching an activatable object with a tracked index fingertip activates it;
+  // the touch ends when the fingertip leaves
+  _updatePoke(hand) {
+    const touching = this._poked[hand];
+    const trackedHand = this.engine.inputManager.hands[hand];
+    if (!trackedHand.tracked || this._grabbed[hand]) {
+      if (touching.size > 0) this._onActivateEnd(hand);
+      touching.clear();
+      return;
+    }
+
+    _tip.copy(trackedHand.indexTip).applyMatrix4(this.engine.cameraRig.matrixWorld);
+    for (const inter of this.interactables) {
+      // Buttons and other controls handle their own pokes
+      if (!inter.enabled || inter.control) continue;
+      if (this.engine.paused && !inter.ui) continue;
+      if (inter.type !== 'activate' && inter.type !== 'both') continue;
+
+      _bounds.setFromObject(inter.mesh).expandByScalar(POKE_MARGIN);
+      if (!_bounds.containsPoint(_tip)) {
+        if (touching.delete(inter) && this._activated[hand] === inter) this._onActivateEnd(hand);
+      } else if (!touching.has(inter)) {
+        touching.add(inter);
+        this._activate(hand, inter, _tip);
+      } else if (inter.onPointerMove) {
+        inter.onPointerMove(hand, _tip);
+      }
+    }
   }
 
   // --- Desktop interaction ---
 
-  _setupDesktopKeys() {
-    document.addEventListener('keydown', (e) => {
-      if (e.code === 'KeyE') {
-        if (this.engine.renderer.xr.isPresenting) return;
-        if (this._desktopGrabbed) {
-          this._onDesktopRelease();
-        } else {
-          this._onDesktopGrab();
-        }
+  _setupDesktopInput() {
+    const desktop = () => !this.engine.renderer.xr.isPresenting && !this.engine.paused;
+
+    this.eventBus.on(InputActions.GRAB_DOWN, () => {
+      if (!desktop()) return;
+      if (this._desktopGrabbed) {
+        this._onDesktopRelease();
+      } else {
+        this._onDesktopGrab();
       }
     });
+
+    // A gamepad's right trigger works like the mouse button
+    this.eventBus.on(InputActions.TRIGGER_RIGHT_DOWN, () => {
+      if (!desktop()) return;
+      this._onDesktopActivate();
+      this._onDesktopPointerDown();
+    });
+    this.eventBus.on(InputActions.TRIGGER_RIGHT_UP, () => {
+      if (desktop()) this._onDesktopPointerUp();
+    });
+
+    // Track the free mouse cursor for pointing at menu panels
+    const canvas = this.engine.renderer.domElement;
+    canvas.addEventListener('mousemove', (e) => {
+      const rect = canvas.getBoundingClientRect();
+      this._cursor = _cursor.set(
+        ((e.clientX - rect.left) / rect.width) * 2 - 1,
+        -((e.clientY - rect.top) / rect.height) * 2 + 1
+      );
+    });
+    canvas.addEventListener('mouseleave', () => { this._cursor = null; });
+
+    // Scroll wheel pulls a held object closer or pushes it away
+    document.addEventListener('wheel', (e) => {
+      if (!this._desktopGrabbed || this.engine.renderer.xr.isPresenting) return;
+      this._holdDistance = THREE.MathUtils.clamp(
+        this._holdDistance - e.deltaY * 0.002,
+        this.minHoldDistance,
+        this.maxHoldDistance
+      );
+    }, { passive: true });
+  }
+
+  /**
+   * What the desktop crosshair is pointing at, for the HUD reticle:
+   * 'idle', 'activate', 'grab', 'both', 'control', 'holding' or 'dragging'.
+   */
+  getDesktopState() {
+    if (this._desktopControl) return 'dragging';
+    if (this._desktopGrabbed) return 'holding';
+    const target = this._desktopHovered;
+    if (!target) return 'idle';
+    if (target.control && target.type === 'grab') return 'control';
+    return target.type;
+  }
+
+  /**
+   * Whether the free (not captured) mouse cursor is over a menu control, so a
+   * click should use it rather than capture the mouse.
+   */
+  isPointerOverUI() {
+    return this._pickCursor() !== null;
+  }
+
+  // Menu control under the free mouse cursor, or null
+  _pickCursor() {
+    if (!this._cursor || document.pointerLockElement === this.engine.renderer.domElement) return null;
+    _raycaster.setFromCamera(this._cursor, this.engine.camera);
+    _raycaster.far = this.maxDistance;
+    const meshes = this._getMeshes().filter(mesh => mesh.userData.interactable.ui);
+    const intersects = _raycaster.intersectObjects(meshes, true);
+    if (intersects.length === 0) return null;
+    this._hitPoints.desktop.copy(intersects[0].point);
+    return this._findInteractable(intersects[0].object);
   }
 
   _getDesktopTarget() {
+    const ui = this._pickCursor();
+    if (ui) return ui;
+
     const camera = this.engine.camera;
     _raycaster.setFromCamera({ x: 0, y: 0 }, camera);
     _raycaster.far = this.maxDistance;
@@ -226,6 +555,7 @@ export class InteractionSystem {
     const intersects = _raycaster.intersectObjects(meshes, true);
 
     if (intersects.length > 0) {
+      this._hitPoints.desktop.copy(intersects[0].point);
       return this._findInteractable(intersects[0].object);
     }
     return null;
@@ -235,7 +565,7 @@ export class InteractionSystem {
     if (this._desktopGrabbed) {
       // Clear hover while grabbing
       if (this._desktopHovered) {
-        this._setHoverEffect(this._desktopHovered, false);
+        this._setHoverEffect(this._desktopHovered, false, 'desktop');
         this._desktopHovered = null;
       }
       return;
@@ -243,17 +573,20 @@ export class InteractionSystem {
 
     const target = this._getDesktopTarget();
     if (target !== this._desktopHovered) {
-      if (this._desktopHovered) this._setHoverEffect(this._desktopHovered, false);
-      if (target) this._setHoverEffect(target, true);
+      if (this._desktopHovered) this._setHoverEffect(this._desktopHovered, false, 'desktop');
+      if (target) this._setHoverEffect(target, true, 'desktop');
       this._desktopHovered = target;
     }
+    if (target && target.onPointerMove) target.onPointerMove('desktop', this._hitPoints.desktop);
   }
 
   _onDesktopActivate() {
-    const target = this._desktopHovered || this._getDesktopTarget();
+    // Hover is from last frame; pick again so the hit point is where the click is
+    const target = this._getDesktopTarget();
     if (!target) return;
+    if (this._desktopGrabbed && this._desktopGrabbed.interactable === target) return;
     if (target.type === 'activate' || target.type === 'both') {
-      if (target.onActivate) target.onActivate('desktop');
+      this._activate('desktop', target, this._hitPoints.desktop);
     }
   }
 
@@ -261,9 +594,13 @@ export class InteractionSystem {
     const target = this._desktopHovered || this._getDesktopTarget();
     if (!target) return;
     if (target.type !== 'grab' && target.type !== 'both') return;
+    if (target.control) return; // controls are dragged with the mouse
 
     const mesh = target.mesh;
     const scene = this.engine.scene;
+    this.halt(target);
+    this._tracks.desktop.length = 0;
+    if (target.socket) this._unsnap(target);
 
     // Store original parent and transform
     mesh.getWorldPosition(_worldPos);
@@ -283,8 +620,9 @@ export class InteractionSystem {
     mesh.position.copy(_worldPos);
     mesh.quaternion.copy(_worldQuat);
 
-    this._setHoverEffect(target, false);
+    this._setHoverEffect(target, false, 'desktop');
     this._desktopHovered = null;
+    this._holdDistance = this.holdDistance;
 
     if (target.onGrab) target.onGrab('desktop');
   }
@@ -299,6 +637,8 @@ export class InteractionSystem {
     // Get current world position
     mesh.getWorldPosition(_worldPos);
     mesh.getWorldQuaternion(_worldQuat);
+    const zone = this._findSnapZone(inter, _worldPos);
+    this._setPreview('desktop', null);
 
     // Re-parent to original parent
     mesh.removeFromParent();
@@ -312,21 +652,61 @@ export class InteractionSystem {
       mesh.quaternion.copy(parentWorldQuat.invert().multiply(_worldQuat));
     }
 
+    const velocity = this._releaseVelocity(this._tracks.desktop);
+    if (zone) this._snap(inter, zone);
+    else if (inter.physics) this._launch(inter, velocity);
     if (inter.onRelease) inter.onRelease('desktop', _worldPos);
 
     this._desktopGrabbed = null;
   }
 
+  // --- Desktop control dragging (hold the mouse button on a handle) ---
+
+  _onDesktopPointerDown() {
+    const target = this._desktopHovered || this._getDesktopTarget();
+    if (!target || !target.control || target.type !== 'grab') return;
+    const control = target.control;
+    if (!this._desktopDragPoint(control)) return;
+
+    this._desktopControl = control;
+    control.beginDrag(_dragPoint, null);
+    if (target.onGrab) target.onGrab('desktop');
+  }
+
+  _onDesktopPointerUp() {
+    this._onActivateEnd('desktop');
+    const control = this._desktopControl;
+    if (!control) return;
+    this._desktopControl = null;
+    control.endDrag();
+    if (control.interactable.onRelease) control.interactable.onRelease('desktop', null);
+  }
+
+  _updateDesktopControl() {
+    const control = this._desktopControl;
+    if (control && this._desktopDragPoint(control)) control.drag(_dragPoint, null);
+  }
+
+  // Where the view ray crosses the control's drag plane, in _dragPoint
+  _desktopDragPoint(control) {
+    _raycaster.setFromCamera({ x: 0, y: 0 }, this.engine.camera);
+    return _raycaster.ray.intersectPlane(control.dragPlane(_dragPlane), _dragPoint) !== null;
+  }
+
   _updateDesktopGrabFollow() {
     if (!this._desktopGrabbed) return;
 
     const camera = this.engine.camera;
     const mesh = this._desktopGrabbed.mesh;
 
-    // Position mesh 1.5m in front of camera in WORLD space
-    const dir = new THREE.Vector3(0, 0, -1).applyQuaternion(camera.quaternion);
+    // Position mesh at the hold distance in front of the camera in WORLD space,
+    // pulled in short of any wall so it never ends up inside geometry
+    camera.getWorldDirection(_viewDir);
     camera.getWorldPosition(_worldPos);
-    _worldPos.addScaledVector(dir, 1.5);
+    let distance = this._holdDistance;
+    const hit = this.engine.collisionSystem.raycast(_worldPos, _viewDir, distance);
+    if (hit) distance = Math.max(0.3, hit.distance - 0.2);
+    _worldPos.addScaledVector(_viewDir, distance);
 
     // Convert to mesh's local parent space
     if (mesh.parent && mesh.parent !== this.engine.scene) {
@@ -334,4 +714,195 @@ export class InteractionSystem {
     }
     mesh.position.copy(_worldPos);
   }
+
+  // --- Throwable physics ---
+
+  _trackHeld(dt) {
+    for (const hand of ['left', 'right']) {
+      const grabbed = this._grabbed[hand];
+      if (grabbed && grabbed.physics) this._track(this._tracks[hand], grabbed.mesh, dt);
+    }
+    const desktop = this._desktopGrabbed;
+    if (desktop && desktop.interactable.physics) this._track(this._tracks.desktop, desktop.mesh, dt);
+  }
+
+  _track(samples, mesh, dt) {
+    const sample = samples.length >= VELOCITY_SAMPLES
+      ? samples.shift()
+      : { position: new THREE.Vector3(), dt: 0 };
+    mesh.getWorldPosition(sample.position);
+    sample.dt = dt;
+    samples.push(sample);
+  }
+
+  // Average velocity over the tracked frames; clears the track
+  _releaseVelocity(samples) {
+    _velocity.set(0, 0, 0);
+    if (samples.length >= 2) {
+      let time = 0;
+      for (let i = 1; i < samples.length; i++) time += samples[i].dt;
+      if (time > 0) {
+        _velocity.subVectors(samples[samples.length - 1].position, samples[0].position)
+          .divideScalar(time)
+          .clampLength(0, MAX_THROW_SPEED);
+      }
+    }
+    samples.length = 0;
+    return _velocity;
+  }
+
+  _launch(interactable, velocity) {
+    const mesh = interactable.mesh;
+    _bounds.setFromObject(mesh);
+
+    const body = {
+      interactable,
+      velocity: velocity.clone(),
+      center: _bounds.getCenter(new THREE.Vector3()),
+      halfSize: _bounds.getSize(new THREE.Vector3()).multiplyScalar(0.5),
+      offset: new THREE.Vector3(), // mesh origin relative to the bounds center
+    };
+    mesh.getWorldPosition(body.offset).sub(body.center);
+
+    this.halt(interactable);
+    this._bodies.push(body);
+  }
+
+  _updateBodies(dt) {
+    if (dt <= 0) return;
+    const collision = this.engine.collisionSystem;
+
+    for (let i = this._bodies.length - 1; i >= 0; i--) {
+      const body = this._bodies[i];
+      const { interactable, velocity, center, halfSize } = body;
+      velocity.y -= GRAVITY * dt;
+
+      // Sweep the bounds center along this frame's motion and stop at the first
+      // collider, leaving room for the object's extent in that direction
+      _step.copy(velocity).multiplyScalar(dt);
+      const dist = _step.length();
+      if (dist > 0) {
+        _dir.copy(_step).divideScalar(dist);
+        const reach = Math.abs(_dir.x) * halfSize.x
+          + Math.abs(_dir.y) * halfSize.y
+          + Math.abs(_dir.z) * halfSize.z;
+        const hit = collision.raycast(center, _dir, dist + reach);
+        if (hit && hit.normal.dot(_dir) < 0) {
+          center.addScaledVector(_dir, Math.max(0, hit.distance - reach));
+          this._bounce(velocity, hit.normal, interactable.restitution);
+        } else {
+          center.add(_step);
+        }
+      }
+
+      // Rest on the highest surface below (collider tops, ramps, ground plane)
+      const floor = collision.groundHeightAt(center.x, center.z, center.y);
+      const grounded = center.y - halfSize.y <= floor + 0.001;
+      if (grounded) {
+        center.y = floor + halfSize.y;
+        this._bounce(velocity, _up, interactable.restitution);
+        const damping = Math.max(0, 1 - interactable.friction * dt);
+        velocity.x *= damping;
+        velocity.z *= damping;
+      }
+
+      const mesh = interactable.mesh;
+      _worldPos.copy(center).add(body.offset);
+      if (mesh.parent) mesh.parent.worldToLocal(_worldPos);
+      mesh.position.copy(_worldPos);
+
+      if (grounded && velocity.lengthSq() < SETTLE_SPEED * SETTLE_SPEED) {
+        this._bodies.splice(i, 1);
+        const position = center.clone().add(body.offset);
+        this.eventBus.emit('object:landed', { interactable, mesh, position });
+
+        // Came to rest inside a snap zone
+        const zone = this._findSnapZone(interactable, position);
+        if (zone) this._snap(interactable, zone);
+      }
+    }
+  }
+
+  // Reflect the velocity off a surface; slow impacts just stop
+  _bounce(velocity, normal, restitution) {
+    const speed = velocity.dot(normal);
+    if (speed >= 0) return;
+    const bounce = -speed >= MIN_BOUNCE_SPEED ? restitution : 0;
+    velocity.addScaledVector(normal, -(1 + bounce) * speed);
+  }
+
+  // --- Snap zones ---
+
+  // Nearest enabled zone that accepts the item and has `worldPos` in range
+  _findSnapZone(interactable, worldPos) {
+    if (interactable.control) return null;
+    let best = null;
+    let bestDist = Infinity;
+    for (const zone of this.snapZones) {
+      if (!zone.canAccept(interactable) || !zone.inRange(worldPos)) continue;
+      const dist = worldPos.distanceTo(zone.position);
+      if (dist < bestDist) {
+        bestDist = dist;
+        best = zone;
+      }
+    }
+    return best;
+  }
+
+  _updatePreviews() {
+    for (const hand of ['left', 'right']) {
+      this._updatePreview(hand, this._grabbed[hand]);
+    }
+    this._updatePreview('desktop', this._desktopGrabbed && this._desktopGrabbed.interactable);
+  }
+
+  _updatePreview(key, interactable) {
+    let zone = null;
+    if (interactable) {
+      interactable.mesh.getWorldPosition(_snapPos);
+      zone = this._findSnapZone(interactable, _snapPos);
+    }
+    this._setPreview(key, zone, interactable);
+  }
+
+  _setPreview(key, zone, interactable) {
+    const prev = this._previews[key];
+    if (prev && prev !== zone) prev.hidePreview();
+    if (zone) zone.showPreview(this.engine.scene, interactable.mesh);
+    this._previews[key] = zone;
+  }
+
+  // Move the item to the zone's pose and mark the socket filled
+  _snap(interactable, zone) {
+    const mesh = interactable.mesh;
+    this.halt(interactable);
+    zone.hidePreview();
+
+    _snapPos.copy(zone.position);
+    _snapQuat.copy(zone.quaternion);
+    if (mesh.parent) {
+      mesh.parent.worldToLocal(_snapPos);
+      const parentWorldQuat = new THREE.Quaternion();
+      mesh.parent.getWorldQuaternion(parentWorldQuat);
+      _snapQuat.premultiply(parentWorldQuat.invert());
+    }
+    mesh.position.copy(_snapPos);
+    mesh.quaternion.copy(_snapQuat);
+
+    zone.item = interactable;
+    interactable.socket = zone;
+    if (zone.lock) interactable.setEnabled(false);
+
+    if (zone.onFilled) zone.onFilled(interactable);
+    this.eventBus.emit('socket:filled', { zone, id: zone.id, interactable });
+  }
+
+  _unsnap(interactable) {
+    const zone = interactable.socket;
+    zone.item = null;
+    interactable.socket = null;
+
+    if (zone.onEmptied) zone.onEmptied(interactable);
+    this.eventBus.emit('socket:emptied', { zone, id: zone.id, interactable });
+  }
 }
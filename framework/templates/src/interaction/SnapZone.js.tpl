@@ -0,0 +1,102 @@
+import * as THREE from 'three';
+
+const _up = new THREE.Vector3(0, 1, 0);
+const _scale = new THREE.Vector3();
+const _matrix = new THREE.Matrix4();
+const _inverse = new THREE.Matrix4();
+
+// Shared by every preview ghost — never disposed
+const _ghostMaterial = new THREE.MeshBasicMaterial({
+  color: 0x88ccff,
+  transparent: true,
+  opacity: 0.35,
+  depthWrite: false,
+});
+
+/**
+ * A socket that grabbed items snap into when released within `radius`.
+ * Register it with InteractionSystem.registerSnapZone(). While an accepted
+ * item is held in range a ghost of it previews the snapped pose.
+ *
+ * Events: 'socket:filled' and 'socket:emptied' with { zone, id, interactable }.
+ */
+export class SnapZone {
+  /**
+   * @param {THREE.Vector3} position - world position the item's origin snaps to
+   * @param {object} [options]
+   * @param {string} [options.id]
+   * @param {number} [options.rotationY=0] - snapped yaw of the item
+   * @param {number} [options.radius=0.4] - snap distance from `position`
+   * @param {string|string[]|Function} [options.accepts] - item ids/tags, or (interactable) => boolean; any item if omitted
+   * @param {boolean} [options.lock=false] - disable the item once snapped so it can't be taken out
+   * @param {boolean} [options.preview=true] - show a ghost of the held item
+   */
+  constructor(position, options = {}) {
+    this.id = options.id || null;
+    this.position = position.clone();
+    this.quaternion = new THREE.Quaternion().setFromAxisAngle(_up, options.rotationY || 0);
+    this.radius = options.radius !== undefined ? options.radius : 0.4;
+    this.accepts = options.accepts || null;
+    this.lock = options.lock || false;
+    this.preview = options.preview !== undefined ? options.preview : true;
+    this.onFilled = options.onFilled || null;
+    this.onEmptied = options.onEmptied || null;
+    this.enabled = options.enabled !== undefined ? options.enabled : true;
+
+    this.item = null; // Interactable currently snapped here
+    this._ghost = null;
+    this._ghostSource = null;
+  }
+
+  canAccept(interactable) {
+    if (!this.enabled || this.item) return false;
+    if (!this.accepts) return true;
+    if (typeof this.accepts === 'function') return this.accepts(interactable);
+
+    const filter = Array.isArray(this.accepts) ? this.accepts : [this.accepts];
+    if (interactable.id && filter.includes(interactable.id)) return true;
+    return interactable.tags.some(tag => filter.includes(tag));
+  }
+
+  inRange(worldPos) {
+    return worldPos.distanceTo(this.position) <= this.radius;
+  }
+
+  /** Show a translucent copy of `mesh` at the snapped pose. */
+  showPreview(scene, mesh) {
+    if (!this.preview || this._ghostSource === mesh) return;
+    this.hidePreview();
+
+    // Rebuild the mesh hierarchy from its parts, in the mesh's own frame
+    const ghost = new THREE.Group();
+    mesh.updateWorldMatrix(true, true);
+    _inverse.copy(mesh.matrixWorld).invert();
+    mesh.traverse((child) => {
+      if (!child.isMesh) return;
+      const part = new THREE.Mesh(child.geometry, _ghostMaterial);
+      _matrix.multiplyMatrices(_inverse, child.matrixWorld);
+      _matrix.decompose(part.position, part.quaternion, part.scale);
+      ghost.add(part);
+    });
+    ghost.position.copy(this.position);
+    ghost.quaternion.copy(this.quaternion);
+    ghost.scale.copy(mesh.getWorldScale(_scale));
+    scene.add(ghost);
+
+    this._ghost = ghost;
+    this._ghostSource = mesh;
+  }
+
+  hidePreview() {
+    if (!this._ghost) return;
+    // Geometry is shared with the source mesh, so only detach
+    this._ghost.removeFromParent();
+    this._ghost = null;
+    this._ghostSource = null;
+  }
+
+  setEnabled(enabled) {
+    this.enabled = enabled;
+    if (!enabled) this.hidePreview();
+  }
+}
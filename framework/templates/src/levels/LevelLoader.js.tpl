@@ -1,4 +1,6 @@
 import * as THREE from 'three';
+import { SnapZone } from '../interaction/SnapZone.js';
+import { createControl } from '../interaction/Controls.js';
 
 const _v = new THREE.Vector3();
 const _box = new THREE.Box3();
@@ -13,6 +15,12 @@ export class LevelLoader {
     this._birds = [];
     this._waterPlanes = [];
     this._lanterns = [];
+    this._platforms = [];
+    this._sockets = [];
+    this._controls = [];
+    this._sounds = []; // positional sound emitters (AudioManager.attach)
+    this._playerSpawn = null;
+    this._fallY = null; // playerSpawn.respawnBelow, when it is usable
     this._animTime = 0;
   }
 
@@ -23,7 +31,20 @@ export class LevelLoader {
       this._buildDecorations(levelConfig.decorations, levelConfig.environment);
     }
     await this._loadProps(levelConfig);
+    if (levelConfig.platforms) {
+      this._buildPlatforms(levelConfig.platforms);
+    }
+    if (levelConfig.sockets) {
+      this._buildSockets(levelConfig.sockets);
+    }
+    if (levelConfig.controls) {
+      this._buildControls(levelConfig.controls);
+    }
     this._setPlayerSpawn(levelConfig.playerSpawn);
+    this._buildPuzzles(levelConfig.puzzles, levelConfig.completion);
+    if (levelConfig.sounds) {
+      this._buildSounds(levelConfig.sounds);
+    }
   }
 
   _clearScene() {
@@ -51,12 +72,39 @@ export class LevelLoader {
     this._birds.length = 0;
     this._waterPlanes.length = 0;
     this._lanterns.length = 0;
+    this._platforms.length = 0;
     if (this._particleGroup) {
       scene.remove(this._particleGroup);
       this._particleGroup = null;
     }
     this._particleTime = 0;
     this._animTime = 0;
+
+    // Level-scoped puzzles go with the level
+    this._engine.puzzleManager.clear();
+
+    for (const zone of this._sockets) {
+      this._engine.interactionSystem.unregisterSnapZone(zone);
+    }
+    this._sockets.length = 0;
+
+    for (const { control } of this._controls) {
+      this._engine.interactionSystem.unregister(control.interactable);
+    }
+    this._controls.length = 0;
+
+    for (const emitter of this._sounds) {
+      this._engine.audioManager.detach(emitter);
+    }
+    this._sounds.length = 0;
+
+    // Let go of anything being climbed before it is removed
+    this._engine.locomotion.climbing.releaseAll();
+
+    // Prop, decoration and behavior colliders of the previous level
+    const collision = this._engine.collisionSystem;
+    collision.clearByOwner('level');
+    collision.clearByOwner('behavior');
   }
 
   _buildEnvironment(env) {
@@ -362,19 +410,23 @@ export class LevelLoader {
     };
 
     for (const dec of decorations) {
+      const first = this._levelObjects.length;
       // AI-generated geometry format: has `parts` array or `geometry` string
       const isAIFormat = dec.parts || (dec.geometry && typeof dec.geometry === 'string');
       if (isAIFormat) {
         this._buildAIDecoration(scene, dec);
-        continue;
-      }
-      // Legacy registry-based type
-      if (registry && registry.has(dec.type)) {
+      } else if (registry && registry.has(dec.type)) {
+        // Legacy registry-based type
         const spawner = registry.get(dec.type);
         spawner(scene, dec, env, ctx);
       } else {
         console.warn(`Unknown decoration type: ${dec.type || dec.name}`);
       }
+
+      // `sound`: a positional sound on every object this decoration spawned
+      if (dec.sound) {
+        for (const object of this._levelObjects.slice(first)) this._attachSound(object, dec.sound);
+      }
     }
   }
 
@@ -536,17 +588,12 @@ export class LevelLoader {
         if (prop.label || prop.name) {
           mesh.name = prop.label || prop.name;
         }
+        if (prop.climbable) mesh.userData.climbable = true;
 
         scene.add(mesh);
         this._levelObjects.push(mesh);
 
-        // Add collision box for each prop
-        _box.setFromObject(mesh);
-        _v.set(0, 0, 0);
-        _box.getSize(_v);
-        if (_v.x > 0.2 && _v.z > 0.2) {
-          this._engine.collisionSystem.addCollider(_box.clone());
-        }
+        this._addPropCollider(mesh, prop.collider);
       } catch (e) {
         console.warn(`Failed to load prop:`, prop.model || prop.label || prop.name, e);
       }
@@ -555,7 +602,235 @@ export class LevelLoader {
     await Promise.all(promises);
   }
 
+  /**
+   * Build moving platforms. Each follows its `path` of waypoints (top-center
+   * of the platform) and carries the player through a kinematic collider.
+   */
+  _buildPlatforms(platforms) {
+    const scene = this._engine.scene;
+
+    for (const def of platforms) {
+      if (!def.path || def.path.length === 0) {
+        console.warn('Platform without path:', def.name || def);
+        continue;
+      }
+
+      const [w, h, d] = def.size || [2, 0.3, 2];
+      const mesh = new THREE.Mesh(
+        new THREE.BoxGeometry(w, h, d),
+        new THREE.MeshLambertMaterial({ color: def.color || '#777777' })
+      );
+      const points = def.path.map(p => new THREE.Vector3(p[0], p[1] - h / 2, p[2]));
+      mesh.position.copy(points[0]);
+      if (def.rotationY) mesh.rotation.y = def.rotationY;
+      if (def.name) mesh.name = def.name;
+      if (def.climbable) mesh.userData.climbable = true;
+      scene.add(mesh);
+      this._levelObjects.push(mesh);
+
+      this._engine.collisionSystem.addKinematicCollider(mesh);
+      this._platforms.push({
+        mesh,
+        points,
+        speed: def.speed ?? 1,
+        mode: def.mode || 'pingpong', // pingpong | loop | once
+        wait: def.wait ?? 0,
+        target: points.length > 1 ? 1 : 0,
+        dir: 1,
+        timer: def.wait ?? 0,
+      });
+    }
+  }
+
+  /**
+   * Build snap zones (sockets) that grabbed items can be placed into. Puzzles
+   * and behaviors find them by id via interactionSystem.getSnapZone() or
+   * listen for 'socket:filled' / 'socket:emptied'.
+   */
+  _buildSockets(sockets) {
+    const scene = this._engine.scene;
+
+    for (const def of sockets) {
+      if (!def.position) {
+        console.warn('Socket without position:', def.id || def);
+        continue;
+      }
+
+      const zone = new SnapZone(new THREE.Vector3(...def.position), {
+        id: def.id,
+        rotationY: def.rotationY,
+        radius: def.radius,
+        accepts: def.accepts,
+        lock: def.lock,
+        preview: def.preview,
+      });
+      this._engine.interactionSystem.registerSnapZone(zone);
+      this._sockets.push(zone);
+
+      // Glowing ring marking the spot
+      if (def.marker !== false) {
+        const ring = new THREE.Mesh(
+          new THREE.RingGeometry(zone.radius * 0.6, zone.radius * 0.7, 32),
+          new THREE.MeshBasicMaterial({
+            color: def.color || '#44aaff',
+            transparent: true,
+            opacity: 0.6,
+            side: THREE.DoubleSide,
+            depthWrite: false,
+          })
+        );
+        ring.rotation.x = -Math.PI / 2;
+        ring.position.copy(zone.position);
+        scene.add(ring);
+        this._levelObjects.push(ring);
+      }
+    }
+  }
+
+  /**
+   * Build levers, buttons, knobs and sliders. Each `drives` entry maps the
+   * control's 0..1 value onto a property of a named scene object, e.g.
+   * { target: 'gate', property: 'position.y', from: 0, to: 2.5 }.
+   */
+  _buildControls(controls) {
+    const scene = this._engine.scene;
+
+    for (const def of controls) {
+      const control = createControl(this._engine.eventBus, def);
+      if (!control) continue;
+
+      scene.add(control.object);
+      this._levelObjects.push(control.object);
+      this._engine.interactionSystem.register(control.interactable);
+      const drives = def.drives || [];
+      this._controls.push({ control, drives, targets: drives.map(() => null), applied: null });
+    }
+  }
+
+  /**
+   * Positional sounds from the level's `sounds` list, each at a `position`
+   * or following the scene object named `object` (a prop label, platform
+   * name, control id or anything a puzzle named while building).
+   * See AudioManager.attach() for the other options.
+   */
+  _buildSounds(sounds) {
+    for (const def of sounds) {
+      if (!def.object) {
+        this._attachSound(new THREE.Vector3(...(def.position || [0, 0, 0])), def);
+        continue;
+      }
+      const object = this._engine.scene.getObjectByName(def.object);
+      if (object) {
+        this._attachSound(object, def);
+      } else {
+        console.warn(`Sound "${def.type}": no object named "${def.object}"`);
+      }
+    }
+  }
+
+  /** @param {string|object} sound — a sound type, or AudioManager.attach() options */
+  _attachSound(target, sound) {
+    const options = typeof sound === 'string' ? { type: sound } : sound;
+    const emitter = this._engine.audioManager.attach(target, options);
+    if (emitter) this._sounds.push(emitter);
+  }
+
+  _applyDrives(entry) {
+    const { control, drives, targets } = entry;
+    if (entry.applied === control.value) return;
+
+    const scene = this._engine.scene;
+    let pending = false;
+    drives.forEach((drive, i) => {
+      targets[i] ||= scene.getObjectByName(drive.target);
+      const target = targets[i];
+      if (!target) {
+        pending = true; // may be created later by a puzzle or behavior
+        return;
+      }
+
+      const path = drive.property.split('.');
+      const key = path.pop();
+      const owner = path.reduce((obj, k) => (obj ? obj[k] : undefined), target);
+      if (!owner || !(key in owner)) {
+        console.warn(`Control ${control.id}: unknown property ${drive.property} on ${drive.target}`);
+        return;
+      }
+
+      if (typeof owner[key] === 'boolean') {
+        owner[key] = control.value >= 0.5;
+      } else {
+        const from = drive.from ?? 0;
+        const to = drive.to ?? 1;
+        owner[key] = from + (to - from) * control.value;
+      }
+    });
+    if (!pending) entry.applied = control.value;
+  }
+
+  /**
+   * Add a collider for a prop. `shape` is 'box' (default), 'cylinder', 'ramp'
+   * or 'none'. The shape is fitted to the prop's unrotated bounds and then
+   * turned by its rotationY, so rotated props don't get oversized boxes.
+   * Ramps rise toward the prop's local -Z.
+   */
+  _addPropCollider(mesh, shape = 'box') {
+    if (shape === 'none') return;
+    const collision = this._engine.collisionSystem;
+
+    const rotY = mesh.rotation.y;
+    mesh.rotation.y = 0;
+    mesh.updateMatrixWorld(true);
+    _box.setFromObject(mesh);
+    mesh.rotation.y = rotY;
+    mesh.updateMatrixWorld(true);
+
+    _v.set(0, 0, 0);
+    _box.getSize(_v);
+    if (_v.x <= 0.2 || _v.z <= 0.2) return;
+
+    // Bounds center, rotated around the prop's origin
+    const ox = (_box.min.x + _box.max.x) / 2 - mesh.position.x;
+    const oz = (_box.min.z + _box.max.z) / 2 - mesh.position.z;
+    const cos = Math.cos(rotY);
+    const sin = Math.sin(rotY);
+    const cx = mesh.position.x + ox * cos + oz * sin;
+    const cz = mesh.position.z - ox * sin + oz * cos;
+
+    if (shape === 'cylinder') {
+      collision.addCylinderCollider(cx, _box.min.y, cz, Math.max(_v.x, _v.z) / 2, _v.y);
+    } else if (shape === 'ramp') {
+      collision.addRampCollider(cx, _box.min.y, cz, _v.x, _v.z, _v.y, rotY);
+    } else if (rotY) {
+      collision.addOrientedBoxCollider(cx, _box.min.y, cz, _v.x, _v.y, _v.z, rotY);
+    } else {
+      collision.addCollider(_box.clone());
+    }
+  }
+
+  /**
+   * Build the level's declared puzzles through the PuzzleRegistry and
+   * register them with the PuzzleManager (graph or linear, as configured).
+   * When a save of this level is being loaded they start in its states.
+   */
+  _buildPuzzles(puzzles, completion) {
+    const manager = this._engine.puzzleManager;
+    const registry = this._engine.puzzleRegistry;
+    if (!puzzles || puzzles.length === 0) return;
+
+    for (const def of puzzles) {
+      const puzzle = registry.create(def, this._engine);
+      if (puzzle) manager.register(puzzle);
+    }
+    if (completion) manager.completion = completion;
+    manager.init(this._engine.saveManager.pendingPuzzleStates());
+  }
+
   _setPlayerSpawn(spawn) {
+    if (spawn !== this._playerSpawn) {
+      this._playerSpawn = spawn ?? null;
+      this._fallY = this._fallHeight(spawn);
+    }
     if (!spawn) return;
     const rig = this._engine.cameraRig;
     rig.position.set(...spawn.position);
@@ -566,10 +841,45 @@ export class LevelLoader {
     }
   }
 
+  // A spawn at or below `respawnBelow` would respawn the player forever
+  _fallHeight(spawn) {
+    const fallY = spawn?.respawnBelow;
+    if (fallY == null) return null;
+    if (fallY >= spawn.position[1]) {
+      console.warn(`playerSpawn.respawnBelow (${fallY}) must be below the spawn height (${spawn.position[1]}); ignoring it`);
+      return null;
+    }
+    return fallY;
+  }
+
+  /**
+   * Blink the player back to the level's spawn point. Emits
+   * 'player:respawned' with { reason } before moving them.
+   * @param {string|null} [reason]
+   */
+  respawnPlayer(reason = null) {
+    const spawn = this._playerSpawn;
+    if (!spawn) return;
+    const engine = this._engine;
+    engine.eventBus.emit('player:respawned', { reason });
+    const move = () => {
+      this._setPlayerSpawn(spawn);
+      engine.collisionSystem.resetHistory();
+      engine.locomotion.land();
+    };
+    if (!engine.levelTransition.blink(move)) move();
+  }
+
   update(dt) {
     this._particleTime += dt;
     this._animTime += dt;
 
+    // `playerSpawn.respawnBelow`: dropping under it counts as a fall
+    const fallY = this._fallY;
+    if (fallY !== null && this._engine.cameraRig.position.y < fallY && !this._engine.levelTransition.busy) {
+      this.respawnPlayer('fall');
+    }
+
     // Particles
     for (const p of this._particles) {
       p.mesh.position.y = p.baseY + Math.sin(this._particleTime * p.speed + p.phase) * 0.5;
@@ -597,6 +907,47 @@ export class LevelLoader {
     for (const l of this._lanterns) {
       l.mesh.position.y = l.baseY + Math.sin(this._animTime * 0.8 + l.phase) * 0.15;
     }
+
+    // Moving platforms
+    for (const p of this._platforms) {
+      this._updatePlatform(p, dt);
+    }
+
+    // Objects driven by controls
+    for (const entry of this._controls) {
+      if (entry.drives.length > 0) this._applyDrives(entry);
+    }
+  }
+
+  _updatePlatform(p, dt) {
+    if (p.points.length < 2 || p.target === -1) return;
+    if (p.timer > 0) {
+      p.timer -= dt;
+      return;
+    }
+
+    const pos = p.mesh.position;
+    const goal = p.points[p.target];
+    _v.subVectors(goal, pos);
+    const remaining = _v.length();
+    const step = p.speed * dt;
+    if (step < remaining) {
+      pos.addScaledVector(_v, step / remaining);
+      return;
+    }
+
+    // Reached the waypoint — pause, then pick the next one
+    pos.copy(goal);
+    p.timer = p.wait;
+    const last = p.points.length - 1;
+    if (p.mode === 'loop') {
+      p.target = (p.target + 1) % p.points.length;
+    } else if (p.mode === 'once') {
+      p.target = p.target < last ? p.target + 1 : -1;
+    } else {
+      if (p.target + p.dir < 0 || p.target + p.dir > last) p.dir = -p.dir;
+      p.target += p.dir;
+    }
   }
 
   unload() {
@@ -14,6 +14,7 @@ export class LevelTransition {
     this._pendingLevel = null;
     this._triggerDistance = 1.8;
     this._cooldown = 0;
+    this._blink = null; // short fade used by teleport: { alpha, dir, duration, onDark }
 
     this._createFadeOverlay();
   }
@@ -44,9 +45,28 @@ export class LevelTransition {
     this._startTransition(targetLevel);
   }
 
+  /**
+   * Quick fade to black and back, calling `onDark` while the screen is black.
+   * If `onDark` returns a promise, the screen stays black until it settles.
+   * Returns false (and does nothing) if a fade is already running.
+   * @param {Function} onDark
+   * @param {number} [duration=0.1] - seconds for each half of the blink
+   */
+  blink(onDark, duration = 0.1) {
+    if (this.busy) return false;
+    this._blink = { alpha: 0, dir: 1, duration, onDark };
+    return true;
+  }
+
+  /** True while a level transition or blink is fading. */
+  get busy() {
+    return this._fading || this._blink !== null;
+  }
+
   clear() {
     const scene = this._engine.scene;
     for (const portal of this._portals) {
+      this._engine.audioManager.detach(portal.sound);
       scene.remove(portal.group);
       portal.group.traverse((child) => {
         if (child.geometry) child.geometry.dispose();
@@ -100,11 +120,17 @@ export class LevelTransition {
 
     scene.add(group);
 
+    // Humming from the centre of the ring; `sound` overrides the emitter's options, false silences it
+    const sound = exit.sound === false
+      ? null
+      : this._engine.audioManager.attach(disc, { type: 'portal', refDistance: 1.5, ...exit.sound });
+
     this._portals.push({
       group,
       ring,
       disc,
       light,
+      sound,
       targetLevel: exit.targetLevel,
       label: exit.label || `Level ${exit.targetLevel}`,
       position: new THREE.Vector3(...exit.position),
@@ -186,13 +212,32 @@ export class LevelTransition {
         this._fading = false;
         this._cooldown = 2.0;
       }
+    } else if (this._blink) {
+      const blink = this._blink;
+      blink.alpha = Math.max(0, Math.min(1, blink.alpha + (blink.dir / blink.duration) * dt));
+      this._fadeOverlay.style.opacity = blink.alpha;
+      this._vrFadeMesh.material.opacity = blink.alpha;
+
+      if (blink.dir === 1 && blink.alpha >= 1) {
+        const done = blink.onDark();
+        if (done && typeof done.then === 'function') {
+          blink.dir = 0; // hold black until it finishes
+          done.catch((e) => console.error('Blink callback failed:', e)).then(() => { blink.dir = -1; });
+        } else {
+          blink.dir = -1;
+        }
+      } else if (blink.dir === -1 && blink.alpha <= 0) {
+        this._blink = null;
+      }
     }
   }
 
   _startTransition(targetLevel) {
     this._fading = true;
     this._fadeDir = 1;
-    this._fadeAlpha = 0;
+    // Continue from a blink in progress instead of flashing back to clear
+    this._fadeAlpha = this._blink ? this._blink.alpha : 0;
+    this._blink = null;
     this._pendingLevel = targetLevel;
     this._engine.eventBus.emit('level:transition', { targetLevel });
   }
@@ -0,0 +1,83 @@
+import * as THREE from 'three';
+import { InputActions } from '../input/InputActions.js';
+
+const MIN_SWING = 0.3;   // m/s of hand motion before the player starts walking
+const GAIN = 2.0;        // walking speed per m/s of swing above MIN_SWING
+const SMOOTHING = 6;     // how quickly speed follows the swing, per second
+
+const _hand = new THREE.Vector3();
+const _head = new THREE.Vector3();
+const _dir = new THREE.Vector3();
+const _forward = new THREE.Vector3();
+const _quat = new THREE.Quaternion();
+
+/**
+ * Arm-swing walking: hold grip on one or both controllers and swing your
+ * arms to walk toward where the swinging controllers point. Faster swings
+ * walk faster, up to the locomotion speed. Hands holding an object don't count.
+ */
+export class ArmSwing {
+  constructor(engine) {
+    this.engine = engine;
+    this.speed = 0;
+    // Hand position relative to the head last frame, so turning and moving
+    // the rig doesn't count as swinging
+    this._prev = { left: new THREE.Vector3(), right: new THREE.Vector3() };
+    this._swinging = { left: false, right: false };
+    // Hands moved during a pause aren't a swing
+    engine.eventBus.on('game:resumed', () => this.stop());
+  }
+
+  update(dt) {
+    const engine = this.engine;
+    const rig = engine.cameraRig;
+    const vr = engine.vrSetup;
+    _head.copy(engine.camera.position);
+
+    let swing = 0;
+    let count = 0;
+    _dir.set(0, 0, 0);
+    for (const hand of ['left', 'right']) {
+      const action = hand === 'left' ? InputActions.GRIP_LEFT : InputActions.GRIP_RIGHT;
+      const active = engine.inputManager.get(action) >= 0.5 && !engine.interactionSystem.getHeld(hand);
+      vr.getHandPosition(hand, _hand).sub(_head);
+
+      if (active && this._swinging[hand] && dt > 0) {
+        swing += _hand.distanceTo(this._prev[hand]) / dt;
+        count++;
+        const controller = hand === 'left' ? vr.controller0 : vr.controller1;
+        _forward.set(0, 0, -1).applyQuaternion(controller.quaternion);
+        _forward.y = 0;
+        if (_forward.lengthSq() > 1e-6) _dir.add(_forward.normalize());
+      }
+      this._swinging[hand] = active;
+      this._prev[hand].copy(_hand);
+    }
+
+    const locomotion = engine.locomotion;
+    const target = count > 0
+      ? THREE.MathUtils.clamp((swing / count - MIN_SWING) * GAIN, 0, locomotion.speed)
+      : 0;
+    this.speed = THREE.MathUtils.damp(this.speed, target, SMOOTHING, dt);
+    if (this.speed < 0.01) {
+      this.speed = 0;
+      return;
+    }
+
+    // Controllers pointing opposite ways (or tracked hands) fall back to the head
+    if (_dir.lengthSq() < 0.01) {
+      _dir.set(0, 0, -1).applyQuaternion(engine.camera.quaternion);
+      _dir.y = 0;
+    }
+    rig.getWorldQuaternion(_quat);
+    _dir.applyQuaternion(_quat).normalize();
+    rig.position.addScaledVector(_dir, this.speed * dt);
+  }
+
+  /** Stop walking immediately (e.g. on a mode change or teleport). */
+  stop() {
+    this.speed = 0;
+    this._swinging.left = false;
+    this._swinging.right = false;
+  }
+}
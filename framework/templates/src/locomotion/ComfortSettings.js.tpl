@@ -0,0 +1,75 @@
+import * as THREE from 'three';
+
+const STORAGE_KEY = 'immersio-comfort';
+
+export const COMFORT_DEFAULTS = {
+  mode: 'smooth',             // 'smooth' | 'teleport' | 'armswing'
+  turn: 'snap',               // 'snap' | 'smooth'
+  snapAngle: Math.round(THREE.MathUtils.radToDeg({{SNAP_ANGLE}})), // degrees per snap
+  turnSpeed: 120,             // degrees per second for smooth turn
+  vignette: 0.5,              // 0 (off) .. 1 — narrows the view while moving or turning
+  seated: false,              // raise the view from seatedHeight to standing height
+  seatedHeight: 1.2,          // meters; set by VRSetup.calibrateHeight()
+  dominantHand: 'right',      // 'left' mirrors move/turn/jump sticks
+};
+
+/**
+ * Per-player comfort settings, saved in localStorage over the game's
+ * defaults (the `comfort` section of src/settings.js).
+ *
+ * Event: 'comfort:changed' with { key, value } whenever a setting changes.
+ */
+export class ComfortSettings {
+  constructor(eventBus, defaults = {}) {
+    this.eventBus = eventBus;
+    this.defaults = { ...COMFORT_DEFAULTS, ...defaults };
+    this.values = { ...this.defaults, ...this._load() };
+  }
+
+  get(key) {
+    return this.values[key];
+  }
+
+  set(key, value) {
+    if (!(key in this.defaults)) {
+      console.warn(`Unknown comfort setting: ${key}`);
+      return;
+    }
+    if (this.values[key] === value) return;
+    this.values[key] = value;
+    this._save();
+    this.eventBus.emit('comfort:changed', { key, value });
+  }
+
+  /** Restore the game's defaults. */
+  reset() {
+    for (const [key, value] of Object.entries(this.defaults)) this.set(key, value);
+  }
+
+  // Only values that differ from the game defaults are stored
+  _save() {
+    const changed = {};
+    for (const [key, value] of Object.entries(this.values)) {
+      if (value !== this.defaults[key]) changed[key] = value;
+    }
+    try {
+      localStorage.setItem(STORAGE_KEY, JSON.stringify(changed));
+    } catch (e) {
+      console.warn('Failed to save comfort settings:', e);
+    }
+  }
+
+  _load() {
+    let saved = null;
+    try {
+      saved = JSON.parse(localStorage.getItem(STORAGE_KEY) || 'null');
+    } catch (e) {
+      console.warn('Ignoring corrupt comfort settings:', e);
+    }
+    const values = {};
+    for (const [key, value] of Object.entries(saved || {})) {
+      if (key in this.defaults && typeof value === typeof this.defaults[key]) values[key] = value;
+    }
+    return values;
+  }
+}
@@ -1,5 +1,8 @@
 import * as THREE from 'three';
-import { InputActions } from '../input/InputActions.js';
+import { InputActions, DEADZONE_SNAP } from '../input/InputActions.js';
+import { Teleport } from './Teleport.js';
+import { ArmSwing } from './ArmSwing.js';
+import { Climbing } from './Climbing.js';
 
 const _moveDir = new THREE.Vector3();
 const _forward = new THREE.Vector3();
@@ -9,15 +12,36 @@ const _euler = new THREE.Euler();
 const _quat = new THREE.Quaternion();
 
 export class LocomotionSystem {
-  constructor(engine, inputManager, eventBus) {
+  /**
+   * @param {Engine} engine
+   * @param {InputManager} inputManager
+   * @param {EventBus} eventBus
+   * @param {object} [settings] - `locomotion` section of src/settings.js
+   */
+  constructor(engine, inputManager, eventBus, settings = {}) {
     this.engine = engine;
     this.input = inputManager;
     this.eventBus = eventBus;
     this.speed = {{MOVE_SPEED}};
-    this.snapAngle = {{SNAP_ANGLE}};
     this.snapCooldown = 0.3;
     this._snapTimer = 0;
 
+    // Turning, movement mode and handedness follow the player's comfort
+    // settings (engine.comfort); the game limits which modes are allowed
+    const comfort = engine.comfort;
+    this.modes = settings.modes || ['smooth', 'teleport', 'armswing'];
+    this.teleport = new Teleport(engine, settings.teleport);
+    this.armSwing = new ArmSwing(engine);
+    // Climbing works in every mode; the game can turn it off
+    this.climbing = new Climbing(engine);
+    this.climbing.enabled = settings.climbing !== false;
+    this.mode = this.modes.includes(comfort.get('mode')) ? comfort.get('mode') : this.modes[0];
+    this.turn = comfort.get('turn');
+    this.snapAngle = THREE.MathUtils.degToRad(comfort.get('snapAngle'));
+    this.turnSpeed = THREE.MathUtils.degToRad(comfort.get('turnSpeed'));
+    this.input.actionMap.setDominantHand(comfort.get('dominantHand'));
+    eventBus.on('comfort:changed', ({ key, value }) => this._applyComfort(key, value));
+
     // Jump
     this.jumpSpeed = 4.5;
     this.boostSpeed = 7.5;
@@ -29,10 +53,11 @@ export class LocomotionSystem {
     this._usedDoubleJump = false;
     this._audioCtx = null;
 
-    eventBus.on(InputActions.B_RIGHT_DOWN, () => this.jump());
+    eventBus.on(InputActions.JUMP_DOWN, () => this.jump());
   }
 
   jump() {
+    if (this.engine.paused || this.climbing.climbing) return;
     if (this._isGrounded) {
       this._isGrounded = false;
       this._canDoubleJump = true;
@@ -46,9 +71,76 @@ export class LocomotionSystem {
     }
   }
 
+  /**
+   * Switch VR movement mode and remember it for this player.
+   * @param {'smooth'|'teleport'|'armswing'} mode
+   */
+  setMode(mode) {
+    if (!this.modes.includes(mode)) {
+      console.warn(`Locomotion mode not allowed in this game: ${mode}`);
+      return;
+    }
+    this.engine.comfort.set('mode', mode);
+  }
+
+  /** Hand whose stick moves (and aims teleports): the non-dominant one. */
+  get moveHand() {
+    return this.input.actionMap.dominantHand === 'left' ? 'right' : 'left';
+  }
+
+  _applyComfort(key, value) {
+    switch (key) {
+      case 'mode':
+        if (!this.modes.includes(value) || value === this.mode) return;
+        this.teleport.cancel();
+        this.armSwing.stop();
+        this.mode = value;
+        this.eventBus.emit('locomotion:mode', { mode: value });
+        break;
+      case 'turn':
+        this.turn = value;
+        break;
+      case 'snapAngle':
+        this.snapAngle = THREE.MathUtils.degToRad(value);
+        break;
+      case 'turnSpeed':
+        this.turnSpeed = THREE.MathUtils.degToRad(value);
+        break;
+      case 'dominantHand':
+        this.teleport.cancel();
+        this.input.actionMap.setDominantHand(value);
+        break;
+    }
+  }
+
+  /** Stop any jump or fall, as after being placed on the ground. */
+  land() {
+    this._isGrounded = true;
+    this._canDoubleJump = false;
+    this._usedDoubleJump = false;
+    this.velocityY = 0;
+  }
+
   update(dt) {
-    this._updateMove(dt);
-    this._updateSnapTurn(dt);
+    // Holding on to a climbable surface replaces walking and gravity
+    this.climbing.update();
+    if (this.climbing.climbing) {
+      this.teleport.cancel();
+      this.armSwing.stop();
+      this._canDoubleJump = false;
+      this.velocityY = 0;
+      this._updateTurn(dt);
+      return;
+    }
+
+    if (this.mode === 'teleport') {
+      this.teleport.update(dt);
+    } else if (this.mode === 'armswing') {
+      this.armSwing.update(dt);
+    } else {
+      this._updateMove(dt);
+    }
+    this._updateTurn(dt);
     this._updateJump(dt);
   }
 
@@ -90,27 +182,33 @@ export class LocomotionSystem {
     }
   }
 
-  _updateSnapTurn(dt) {
+  _updateTurn(dt) {
+    const tx = this.input.get(InputActions.TURN_X);
+
+    if (this.turn === 'smooth') {
+      if (tx !== 0) this._turnAroundHead(-tx * this.turnSpeed * dt);
+      return;
+    }
+
     if (this._snapTimer > 0) {
       this._snapTimer -= dt;
       return;
     }
+    if (Math.abs(tx) < DEADZONE_SNAP) return;
 
-    const tx = this.input.get(InputActions.TURN_X);
-    if (tx === 0) return;
+    this._turnAroundHead(tx > 0 ? -this.snapAngle : this.snapAngle);
+    this._snapTimer = this.snapCooldown;
+  }
 
-    const angle = tx > 0 ? -this.snapAngle : this.snapAngle;
+  // Rotate the rig about the head so turning doesn't swing the view sideways
+  _turnAroundHead(angle) {
     const rig = this.engine.cameraRig;
-    const camera = this.engine.camera;
-
-    camera.getWorldPosition(_camWorldPos);
+    this.engine.camera.getWorldPosition(_camWorldPos);
 
     rig.position.sub(_camWorldPos);
     rig.position.applyAxisAngle(THREE.Object3D.DEFAULT_UP, angle);
     rig.position.add(_camWorldPos);
     rig.rotateY(angle);
-
-    this._snapTimer = this.snapCooldown;
   }
 
   _updateJump(dt) {
@@ -0,0 +1,222 @@
+import * as THREE from 'three';
+import { InputActions } from '../input/InputActions.js';
+
+const ARC_SEGMENTS = 40;
+const ARC_STEP = 0.03;          // seconds of flight per arc segment
+const GRAVITY = 9.81;
+const AIM_ON = 0.6;             // stick deflection that starts aiming
+const AIM_OFF = 0.3;            // ...and releases to teleport
+const VALID_COLOR = 0x44ddff;
+const INVALID_COLOR = 0xff5544;
+
+const _origin = new THREE.Vector3();
+const _dir = new THREE.Vector3();
+const _velocity = new THREE.Vector3();
+const _point = new THREE.Vector3();
+const _next = new THREE.Vector3();
+const _step = new THREE.Vector3();
+const _up = new THREE.Vector3(0, 1, 0);
+const _camPos = new THREE.Vector3();
+const _head = new THREE.Vector3();
+const _quat = new THREE.Quaternion();
+const _euler = new THREE.Euler(0, 0, 0, 'YXZ');
+
+/**
+ * Teleport locomotion: push the move stick to aim a parabolic arc from that
+ * hand's controller, turn the stick to choose the landing facing, and let go
+ * to blink to the target. Targets must be the ground plane or a walkable top
+ * face of a collider (CollisionSystem.maxSlope) with headroom for the player.
+ *
+ * Event: 'player:teleported' with { from, to } (world positions).
+ */
+export class Teleport {
+  /**
+   * @param {Engine} engine
+   * @param {object} [options]
+   * @param {number} [options.speed=8] - launch speed of the arc (sets its reach)
+   * @param {number} [options.cooldown=0.4] - seconds before the next teleport
+   */
+  constructor(engine, options = {}) {
+    this.engine = engine;
+    this.speed = options.speed || 8;
+    this.cooldown = options.cooldown !== undefined ? options.cooldown : 0.4;
+
+    this.aiming = false;
+    this.valid = false;
+    this.target = new THREE.Vector3();
+    this.facing = 0; // world yaw of the landing direction
+    this._cooldownTimer = 0;
+
+    this._createVisuals();
+  }
+
+  update(dt) {
+    this._cooldownTimer = Math.max(0, this._cooldownTimer - dt);
+
+    const input = this.engine.inputManager;
+    const mx = input.get(InputActions.MOVE_X);
+    const my = input.get(InputActions.MOVE_Y);
+    const deflection = Math.hypot(mx, my);
+
+    if (!this.aiming) {
+      if (deflection > AIM_ON && this._cooldownTimer <= 0) this._setAiming(true);
+      else return;
+    }
+
+    if (deflection < AIM_OFF) {
+      const valid = this.valid;
+      this._setAiming(false);
+      if (valid) this._teleport();
+      return;
+    }
+
+    const vr = this.engine.vrSetup;
+    const controller = (this.engine.locomotion.moveHand === 'left' ? vr.getLeftController() : vr.getRightController()).ray;
+    controller.getWorldPosition(_origin);
+    controller.getWorldQuaternion(_quat);
+    _dir.set(0, 0, -1).applyQuaternion(_quat);
+    this._traceArc(_origin, _dir);
+
+    // Stick forward faces along the arc; sideways turns the landing facing
+    const arcYaw = Math.atan2(-_dir.x, -_dir.z);
+    this.facing = arcYaw + Math.atan2(-mx, -my);
+    this._updateVisuals();
+  }
+
+  /** Stop aiming without teleporting (e.g. when the mode changes). */
+  cancel() {
+    this._setAiming(false);
+  }
+
+  // Step the parabola, sweeping each segment against colliders and the ground plane
+  _traceArc(origin, dir) {
+    const collision = this.engine.collisionSystem;
+    const positions = this._line.geometry.attributes.position;
+
+    _point.copy(origin);
+    _velocity.copy(dir).multiplyScalar(this.speed);
+    positions.setXYZ(0, _point.x, _point.y, _point.z);
+    this.valid = false;
+    const minNormalY = Math.cos(collision.maxSlope);
+    let count = 1;
+
+    for (let i = 0; i < ARC_SEGMENTS; i++) {
+      _next.copy(_point).addScaledVector(_velocity, ARC_STEP);
+      _next.y -= 0.5 * GRAVITY * ARC_STEP * ARC_STEP;
+      _velocity.y -= GRAVITY * ARC_STEP;
+
+      _step.subVectors(_next, _point);
+      const length = _step.length();
+      const hit = collision.raycast(_point, _step.divideScalar(length), length);
+
+      if (hit) {
+        _next.copy(hit.point);
+        this.valid = hit.normal.y >= minNormalY;
+      } else if (_next.y <= collision.groundY) {
+        // Crossed the ground plane within this segment
+        const t = (_point.y - collision.groundY) / (_point.y - _next.y);
+        _next.lerpVectors(_point, _next, t);
+        _next.y = collision.groundY;
+        this.valid = true;
+      }
+
+      positions.setXYZ(count++, _next.x, _next.y, _next.z);
+      _point.copy(_next);
+      if (hit || _next.y <= collision.groundY) {
+        if (this.valid) this.valid = this._hasHeadroom(_point);
+        this.target.copy(_point);
+        break;
+      }
+    }
+
+    positions.needsUpdate = true;
+    this._line.geometry.setDrawRange(0, count);
+  }
+
+  // Room to stand: nothing between the landing point and the top of the player's head
+  _hasHeadroom(point) {
+    const collision = this.engine.collisionSystem;
+    _head.copy(point).y += 0.05;
+    return !collision.raycast(_head, _up, collision.playerHeight);
+  }
+
+  _teleport() {
+    const engine = this.engine;
+    const target = this.target.clone();
+    const facing = this.facing;
+    this._cooldownTimer = this.cooldown;
+
+    // Move during the blink's black frame; skip the blink if a fade is already running
+    const move = () => {
+      const rig = engine.cameraRig;
+      const camera = engine.camera;
+      const from = rig.position.clone();
+
+      // Turn around the head so the view faces `facing`
+      camera.getWorldQuaternion(_quat);
+      _euler.setFromQuaternion(_quat, 'YXZ');
+      const turn = facing - _euler.y;
+      camera.getWorldPosition(_camPos);
+      rig.position.sub(_camPos);
+      rig.position.applyAxisAngle(THREE.Object3D.DEFAULT_UP, turn);
+      rig.position.add(_camPos);
+      rig.rotateY(turn);
+
+      // Put the head (not the rig origin) over the target
+      camera.getWorldPosition(_camPos);
+      rig.position.x += target.x - _camPos.x;
+      rig.position.z += target.z - _camPos.z;
+      rig.position.y = target.y;
+
+      engine.collisionSystem.resetHistory();
+      engine.locomotion.land();
+      engine.eventBus.emit('player:teleported', { from, to: rig.position.clone() });
+    };
+    if (!engine.levelTransition.blink(move)) move();
+  }
+
+  _setAiming(aiming) {
+    this.aiming = aiming;
+    this._line.visible = aiming;
+    this._reticle.visible = aiming && this.valid;
+    if (!aiming) this.valid = false;
+  }
+
+  _createVisuals() {
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.BufferAttribute(new Float32Array((ARC_SEGMENTS + 1) * 3), 3));
+    this._line = new THREE.Line(geometry, new THREE.LineBasicMaterial({ color: VALID_COLOR }));
+    this._line.frustumCulled = false;
+    this._line.visible = false;
+
+    // Landing ring with an arrow pointing along the facing direction
+    const material = new THREE.MeshBasicMaterial({ color: VALID_COLOR, side: THREE.DoubleSide });
+    const reticle = new THREE.Group();
+    const ring = new THREE.Mesh(new THREE.RingGeometry(0.25, 0.3, 32), material);
+    ring.rotation.x = -Math.PI / 2;
+    reticle.add(ring);
+    const arrowShape = new THREE.Shape();
+    arrowShape.moveTo(0, 0.45);
+    arrowShape.lineTo(-0.1, 0.32);
+    arrowShape.lineTo(0.1, 0.32);
+    arrowShape.closePath();
+    const arrow = new THREE.Mesh(new THREE.ShapeGeometry(arrowShape), material);
+    arrow.rotation.x = -Math.PI / 2; // shape +Y → world -Z (forward)
+    reticle.add(arrow);
+    reticle.visible = false;
+    this._reticle = reticle;
+
+    this.engine.scene.add(this._line);
+    this.engine.scene.add(this._reticle);
+  }
+
+  _updateVisuals() {
+    const color = this.valid ? VALID_COLOR : INVALID_COLOR;
+    this._line.material.color.setHex(color);
+    this._reticle.visible = this.valid;
+    if (!this.valid) return;
+    this._reticle.position.copy(this.target);
+    this._reticle.position.y += 0.01;
+    this._reticle.rotation.y = this.facing;
+  }
+}
@@ -0,0 +1,237 @@
+import * as THREE from 'three';
+
+const GAME_ID = '{{GAME_SLUG}}';
+const STATS_KEY = `immersio-hints:${GAME_ID}`;
+const HIGHLIGHT_TIME = 8; // seconds a hint's marker stays up
+
+const _box = new THREE.Box3();
+
+/**
+ * Hints for stuck players. Puzzles declare tiered hints, vaguest first, in
+ * `puzzle.hints` (or the `hints` of their level config entry), or build
+ * them from their progress in getHints(). Each entry is a string or
+ * { text, target } — target is an Object3D, a scene object name or a
+ * function returning one, and gets a marker above it while the hint shows.
+ *
+ * The next tier of the current puzzle shows through the HUD after
+ * `idleDelay` seconds without a puzzle activating or being solved, or after
+ * `mistakes` wrong actions reported with puzzle.mistake(). Players can ask
+ * for one from the pause menu.
+ *
+ * Usage is recorded per puzzle in localStorage (stats()), so designers can
+ * find the puzzles players get stuck on.
+ *
+ * Events: 'hint:shown' with { id, tier, text, requested }.
+ */
+export class HintManager {
+  /**
+   * @param {Engine} engine
+   * @param {object} [settings] - the `hints` section of src/settings.js
+   */
+  constructor(engine, settings = {}) {
+    this.engine = engine;
+    this.auto = settings.auto !== false;
+    this.idleDelay = settings.idleDelay ?? 90;
+    this.mistakeLimit = settings.mistakes ?? 3;
+    this.highlight = settings.highlight !== false;
+
+    this._idle = 0;
+    this._progress = new WeakMap(); // puzzle → { tier, mistakes }; new puzzles per level load
+    this._marker = null;
+    this._markerTarget = null;
+    this._markerPuzzle = null;
+    this._markerTimer = 0;
+
+    const bus = engine.eventBus;
+    bus.on('puzzle:activated', () => { this._idle = 0; });
+    bus.on('puzzle:solved', ({ id }) => this._onSolved(id));
+    bus.on('puzzle:mistake', ({ id }) => this._onMistake(id));
+    bus.on('level:loaded', () => {
+      this._idle = 0;
+      this._clearHighlight();
+    });
+  }
+
+  /**
+   * Show the next hint for the current puzzle, or its last one again once
+   * all have been shown. Used by the pause menu's Hint button.
+   * @returns {boolean} false if no active puzzle has hints
+   */
+  request() {
+    const puzzle = this._currentPuzzle(true);
+    if (!puzzle) return false;
+    const { tier } = this._track(puzzle);
+    const count = puzzle.getHints().length;
+    this._show(puzzle, Math.min(tier, count - 1), true);
+    return true;
+  }
+
+  /** Whether request() has anything to show. */
+  hasHint() {
+    return this._currentPuzzle(true) !== null;
+  }
+
+  /**
+   * Recorded hint usage, keyed by 'level<N>/<puzzleId>':
+   * { shown, requested, maxTier, mistakes, solved, solvedWithHints }.
+   */
+  stats() {
+    try {
+      return JSON.parse(localStorage.getItem(STATS_KEY) || '{}');
+    } catch (e) {
+      console.warn('Failed to read hint stats:', e);
+      return {};
+    }
+  }
+
+  resetStats() {
+    try {
+      localStorage.removeItem(STATS_KEY);
+    } catch (e) {
+      console.warn('Failed to reset hint stats:', e);
+    }
+  }
+
+  update(dt) {
+    this._updateMarker(dt);
+    if (!this.auto) return;
+
+    this._idle += dt;
+    if (this._idle < this.idleDelay) return;
+    this._idle = 0;
+    const puzzle = this._currentPuzzle(false);
+    if (puzzle) this._show(puzzle, this._track(puzzle).tier, false);
+  }
+
+  // First active puzzle (required before optional) with a hint left to show;
+  // `again` also accepts puzzles whose hints have all been shown
+  _currentPuzzle(again) {
+    const manager = this.engine.puzzleManager;
+    let optional = null;
+    for (const id of manager.order) {
+      const puzzle = manager.puzzles.get(id);
+      if (puzzle.state !== 'active') continue;
+      const count = puzzle.getHints().length;
+      if (count === 0 || (!again && this._track(puzzle).tier >= count)) continue;
+      if (!puzzle.optional) return puzzle;
+      optional ||= puzzle;
+    }
+    return optional;
+  }
+
+  _track(puzzle) {
+    let progress = this._progress.get(puzzle);
+    if (!progress) {
+      progress = { tier: 0, mistakes: 0 };
+      this._progress.set(puzzle, progress);
+    }
+    return progress;
+  }
+
+  _show(puzzle, tier, requested) {
+    const entry = puzzle.getHints()[tier];
+    const hint = typeof entry === 'string' ? { text: entry } : entry;
+    if (!hint || !hint.text) return;
+
+    const progress = this._track(puzzle);
+    progress.tier = Math.max(progress.tier, tier + 1);
+    progress.mistakes = 0;
+    this._idle = 0;
+
+    if (this.highlight && hint.target) this._highlight(puzzle, hint.target);
+    this._record(puzzle.id, (s) => {
+      s.shown++;
+      if (requested) s.requested++;
+      s.maxTier = Math.max(s.maxTier, tier + 1);
+    });
+    this.engine.eventBus.emit('hint:shown', { id: puzzle.id, tier: tier + 1, text: hint.text, requested });
+  }
+
+  _onMistake(id) {
+    const puzzle = this.engine.puzzleManager.puzzles.get(id);
+    if (!puzzle || puzzle.state !== 'active') return;
+    this._record(id, (s) => { s.mistakes++; });
+
+    const progress = this._track(puzzle);
+    progress.mistakes++;
+    if (this.auto && this.mistakeLimit > 0 && progress.mistakes >= this.mistakeLimit
+      && progress.tier < puzzle.getHints().length) {
+      this._show(puzzle, progress.tier, false);
+    }
+  }
+
+  _onSolved(id) {
+    this._idle = 0;
+    const puzzle = this.engine.puzzleManager.puzzles.get(id);
+    if (!puzzle) return;
+    const hinted = this._track(puzzle).tier > 0;
+    this._record(id, (s) => {
+      s.solved++;
+      if (hinted) s.solvedWithHints++;
+    });
+    if (this._markerPuzzle === puzzle) this._clearHighlight();
+  }
+
+  // Update this level's entry for a puzzle in the stored stats
+  _record(id, change) {
+    const stats = this.stats();
+    const key = `level${this.engine._currentLevel}/${id}`;
+    const entry = stats[key] || { shown: 0, requested: 0, maxTier: 0, mistakes: 0, solved: 0, solvedWithHints: 0 };
+    change(entry);
+    stats[key] = entry;
+    try {
+      localStorage.setItem(STATS_KEY, JSON.stringify(stats));
+    } catch (e) {
+      console.warn('Failed to record hint stats:', e);
+    }
+  }
+
+  // ─── World highlight ────────────────────────────────────
+
+  _highlight(puzzle, target) {
+    const scene = this.engine.scene;
+    const object = typeof target === 'function' ? target()
+      : typeof target === 'string' ? scene.getObjectByName(target)
+        : target;
+    if (!object || !object.isObject3D) {
+      console.warn('Hint target not found:', target);
+      return;
+    }
+
+    if (!this._marker) {
+      this._marker = new THREE.Mesh(
+        new THREE.ConeGeometry(0.08, 0.2, 12),
+        new THREE.MeshBasicMaterial({ color: 0xffdd44, transparent: true, opacity: 0.9 })
+      );
+      this._marker.rotation.x = Math.PI; // point down at the target
+      this._marker.name = '_hintMarker';
+    }
+    scene.add(this._marker);
+    this._markerTarget = object;
+    this._markerPuzzle = puzzle;
+    this._markerTimer = HIGHLIGHT_TIME;
+    this._updateMarker(0);
+  }
+
+  _updateMarker(dt) {
+    if (!this._markerTarget) return;
+    this._markerTimer -= dt;
+    if (this._markerTimer <= 0 || !this._markerTarget.parent) {
+      this._clearHighlight();
+      return;
+    }
+    _box.setFromObject(this._markerTarget);
+    const bob = Math.sin(performance.now() * 0.005) * 0.05;
+    this._marker.position.set(
+      (_box.min.x + _box.max.x) / 2,
+      _box.max.y + 0.25 + bob,
+      (_box.min.z + _box.max.z) / 2
+    );
+  }
+
+  _clearHighlight() {
+    if (this._marker) this._marker.removeFromParent();
+    this._markerTarget = null;
+    this._markerPuzzle = null;
+  }
+}
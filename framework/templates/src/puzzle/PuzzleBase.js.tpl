@@ -1,28 +1,281 @@
 export class PuzzleBase {
+  /**
+   * Version of the data this puzzle's serialize() returns. Bump it when that
+   * format changes and upgrade older saves in migrateState().
+   */
+  static stateVersion = 1;
+
   constructor(id, eventBus) {
     this.id = id;
     this.eventBus = eventBus;
-    this.state = 'locked'; // locked, active, solved
-    this.dependencies = []; // puzzle IDs that must be solved before this one activates
+    this.state = 'locked'; // locked, active, solved, failed
+    this.dependencies = []; // puzzle IDs that must be solved before this one activates, or { any: [ids] }
+    this.optional = false; // bonus puzzle: the level completes without it
+    this.failAction = null; // what PuzzleManager does after fail(): 'retry', 'reset' (the whole level) or nothing
+    this.hints = []; // tiered hints for HintManager, vaguest first: 'text' or { text, target }
+
+    // Level-scoped resources, released by dispose() when the level unloads
+    this._objects = [];
+    this._interactables = [];
+    this._snapZones = [];
+    this._collisionSystems = new Set();
+    this._timers = new Set();
+    this._sounds = [];
+    this.restoring = false; // true while setState() rebuilds the puzzle
+    this.generation = 0; // bumped when resources are released; compare after an await to drop stale work
+    this.disposed = false; // set by dispose(); late callbacks can no longer change the state
   }
 
   activate() {
-    if (this.state !== 'locked') return;
+    if (this.disposed || this.state !== 'locked') return;
     this.state = 'active';
     this.eventBus.emit('puzzle:activated', { id: this.id });
     this.onActivate();
   }
 
   solve() {
-    if (this.state !== 'active') return;
+    if (this.disposed || this.state !== 'active') return;
     this.state = 'solved';
     this.eventBus.emit('puzzle:solved', { id: this.id });
     this.onSolved();
   }
 
+  /** Report a wrong action (e.g. runes in the wrong order); repeated mistakes bring up a hint. */
+  mistake(detail) {
+    if (this.disposed || this.state !== 'active') return;
+    this.eventBus.emit('puzzle:mistake', { id: this.id, detail });
+  }
+
+  /** The attempt went wrong for good (a timer ran out, a piece broke). */
+  fail(reason) {
+    if (this.disposed || this.state !== 'active') return;
+    this.state = 'failed';
+    this.eventBus.emit('puzzle:failed', { id: this.id, reason });
+    this.onFailed(reason);
+  }
+
+  /** Start a failed puzzle over with a fresh onActivate(). */
+  retry() {
+    if (this.disposed || this.state !== 'failed') return;
+    this.reset();
+    this.activate();
+  }
+
+  /**
+   * Back to locked, with everything it created released, ready to be
+   * activated again. Used by retry() and PuzzleManager.reset().
+   */
+  reset() {
+    if (this.disposed || this.state === 'locked') return;
+    const from = this.state;
+    if (from === 'active') this.onDeactivate();
+    this._releaseResources();
+    this.state = 'locked';
+    this.onReset();
+    this.eventBus.emit('puzzle:reset', { id: this.id, from });
+  }
+
+  // ─── Saved state ────────────────────────────────────────
+
+  /** Snapshot for saves: { version, state, data } with data from serialize(). */
+  getState() {
+    return {
+      version: this.constructor.stateVersion,
+      state: this.state,
+      data: this.state === 'locked' ? null : this.serialize(),
+    };
+  }
+
+  /**
+   * Put a freshly built (locked) puzzle into a state from getState() without
+   * playing through it: no puzzle events, notifications or onSolved effects.
+   * Active and solved puzzles rebuild their scene in onRestore().
+   * @returns {boolean} false if the saved state couldn't be applied
+   */
+  setState(saved) {
+    if (!saved || !['locked', 'active', 'solved'].includes(saved.state)) return false;
+    if (this.state !== 'locked') {
+      console.warn(`Puzzle "${this.id}" is already ${this.state}; not restoring it`);
+      return false;
+    }
+
+    const version = this.constructor.stateVersion;
+    if (saved.version !== undefined && saved.version !== version) {
+      saved = saved.version < version ? this.migrateState(saved) : null;
+      if (!saved) {
+        console.warn(`Puzzle "${this.id}" can't restore its saved state; starting it over`);
+        return false;
+      }
+    }
+
+    if (saved.state === 'locked') return true;
+    this.state = saved.state;
+    this.restoring = true;
+    let pending = null;
+    try {
+      pending = this.onRestore(saved.state, saved.data ?? null);
+    } finally {
+      // An async onRestore keeps `restoring` set until its promise settles
+      if (pending instanceof Promise) {
+        pending
+          .catch((e) => console.warn(`Puzzle "${this.id}" failed to restore:`, e))
+          .finally(() => { this.restoring = false; });
+      } else {
+        this.restoring = false;
+      }
+    }
+    return true;
+  }
+
+  // ─── Owned resources ────────────────────────────────────
+  // Use these instead of scene.add / register / setTimeout so the puzzle
+  // leaves nothing behind when its level is unloaded.
+
+  /** Add an object to `parent` (usually the scene) and remove it on dispose. */
+  addObject(parent, object) {
+    parent.add(object);
+    this._objects.push(object);
+    return object;
+  }
+
+  /** Register an Interactable and unregister it on dispose. */
+  registerInteractable(interactionSystem, interactable) {
+    interactionSystem.register(interactable);
+    this._interactables.push({ interactionSystem, interactable });
+    return interactable;
+  }
+
+  /** Register a SnapZone and unregister it on dispose. */
+  addSnapZone(interactionSystem, zone) {
+    interactionSystem.registerSnapZone(zone);
+    this._snapZones.push({ interactionSystem, zone });
+    return zone;
+  }
+
+  /** Add a Box3 collider owned by this puzzle; removed on dispose. */
+  addCollider(collisionSystem, box3) {
+    this._collisionSystems.add(collisionSystem);
+    return collisionSystem.addCollider(box3, this);
+  }
+
+  /** Same arguments as CollisionSystem.addBoxCollider(); removed on dispose. */
+  addBoxCollider(collisionSystem, x, y, z, w, h, d) {
+    this._collisionSystems.add(collisionSystem);
+    return collisionSystem.addBoxCollider(x, y, z, w, h, d, this);
+  }
+
+  /** Collider following a moving object (see CollisionSystem); removed on dispose. */
+  addKinematicCollider(collisionSystem, object) {
+    this._collisionSystems.add(collisionSystem);
+    return collisionSystem.addKinematicCollider(object, this);
+  }
+
+  /** Positional sound following `target` (see AudioManager.attach()); stopped on dispose. */
+  addSound(audioManager, target, options) {
+    const emitter = audioManager.attach(target, options);
+    if (emitter) this._sounds.push({ audioManager, emitter });
+    return emitter;
+  }
+
+  /** setTimeout that is cancelled on dispose. */
+  schedule(fn, ms) {
+    const handle = setTimeout(() => {
+      this._timers.delete(handle);
+      fn();
+    }, ms);
+    this._timers.add(handle);
+    return handle;
+  }
+
+  /**
+   * Tear down everything the puzzle created: pending timers, interactables,
+   * snap zones, colliders, sounds and scene objects (geometry + materials disposed).
+   * Calls onDeactivate() first if the puzzle was still active. Afterwards
+   * activate(), solve(), fail() and the rest do nothing, so a callback still
+   * in flight can't report a puzzle the next level may track under the same id.
+   */
+  dispose() {
+    if (this.disposed) return;
+    if (this.state === 'active') this.onDeactivate();
+    this.disposed = true;
+    this._releaseResources();
+    this.onDispose();
+  }
+
+  _releaseResources() {
+    this.generation++;
+    for (const handle of this._timers) clearTimeout(handle);
+    this._timers.clear();
+
+    for (const { interactionSystem, interactable } of this._interactables) {
+      interactionSystem.unregister(interactable);
+    }
+    this._interactables.length = 0;
+
+    for (const { interactionSystem, zone } of this._snapZones) {
+      interactionSystem.unregisterSnapZone(zone);
+    }
+    this._snapZones.length = 0;
+
+    for (const collisionSystem of this._collisionSystems) {
+      collisionSystem.clearByOwner(this);
+    }
+    this._collisionSystems.clear();
+
+    for (const { audioManager, emitter } of this._sounds) {
+      audioManager.detach(emitter);
+    }
+    this._sounds.length = 0;
+
+    for (const object of this._objects) {
+      object.removeFromParent();
+      object.traverse((child) => {
+        if (child.geometry) child.geometry.dispose();
+        if (child.material) {
+          const mats = Array.isArray(child.material) ? child.material : [child.material];
+          for (const m of mats) {
+            if (m.map) m.map.dispose();
+            m.dispose();
+          }
+        }
+      });
+    }
+    this._objects.length = 0;
+  }
+
   // Override in subclasses
   onActivate() {}
   onSolved() {}
+
+  /** Hints for the current situation; override to build them from the puzzle's progress. */
+  getHints() { return this.hints; }
+
+  /** Progress within the puzzle for saves (JSON-serializable), e.g. which pieces are placed. */
+  serialize() { return null; }
+
+  /**
+   * Rebuild the scene for a restored 'active' or 'solved' state and apply
+   * serialize() data (null in saves that predate it). The default runs
+   * onActivate() — check `this.restoring` there to skip announcements —
+   * so override this when the puzzle has progress or a solved look.
+   * May be async: `this.restoring` stays true until the returned promise
+   * settles. After each await, bail out if `this.generation` changed —
+   * the puzzle was reset or disposed meanwhile.
+   */
+  onRestore(state, data) {
+    return this.onActivate();
+  }
+
+  /**
+   * Upgrade a saved { version, state, data } from an older stateVersion.
+   * Return the upgraded state, or null to start the puzzle over.
+   */
+  migrateState(saved) { return null; }
+
+  onDeactivate() {} // level unloaded or puzzle reset while it was still active
+  onFailed(reason) {}
+  onReset() {} // clear the fields onActivate() fills so it can run again
+  onDispose() {}
   update(dt) {}
   init() {}
 }
@@ -1,10 +1,32 @@
+/**
+ * Activates a level's puzzles as their turn comes and reports when the
+ * level is complete.
+ *
+ * Linear mode (no puzzle has dependencies): puzzles activate one after
+ * another in registration order. Optional puzzles activate together with
+ * the next one instead of holding it up.
+ *
+ * Graph mode: a puzzle activates once its `dependencies` are met. Each entry
+ * is a puzzle id that must be solved, or `{ any: [ids] }` where solving one
+ * of them is enough:
+ *
+ *   door.dependencies = ['key', { any: ['left_route', 'right_route'] }];
+ *
+ * The level is complete when the `completion` condition (same format) is
+ * met; by default when every puzzle not marked `optional` is solved.
+ */
 export class PuzzleManager {
   constructor(eventBus) {
     this.eventBus = eventBus;
     this.puzzles = new Map();
     this.order = []; // registration order (used for linear fallback)
+    this.completion = null; // condition for level:complete, null = all required puzzles
+    this._graph = false; // graph or linear mode, decided by init()
+    this._complete = false;
+    this._pending = new Set(); // delayed activation timers
 
     eventBus.on('puzzle:solved', (data) => this._onPuzzleSolved(data));
+    eventBus.on('puzzle:failed', (data) => this._onPuzzleFailed(data));
   }
 
   register(puzzle) {
@@ -12,23 +34,56 @@ export class PuzzleManager {
     this.order.push(puzzle.id);
   }
 
-  init() {
-    // Determine activation mode: graph (if any puzzle has dependencies) or linear (legacy)
-    const hasGraph = [...this.puzzles.values()].some(p => p.dependencies.length > 0);
+  /** Dispose a single puzzle and stop tracking it. */
+  unregister(id) {
+    const puzzle = this.puzzles.get(id);
+    if (!puzzle) return;
+    puzzle.dispose();
+    this.puzzles.delete(id);
+    const idx = this.order.indexOf(id);
+    if (idx !== -1) this.order.splice(idx, 1);
+  }
 
-    if (hasGraph) {
-      // Graph mode: activate all puzzles whose dependencies are empty (root nodes)
-      for (const puzzle of this.puzzles.values()) {
-        if (puzzle.dependencies.length === 0) {
-          puzzle.activate();
-        }
-      }
+  /**
+   * Tear down the current level's puzzles: cancel pending activations and
+   * dispose every puzzle (meshes, interactables, colliders, timers).
+   * Called by LevelLoader when a level is unloaded.
+   */
+  clear() {
+    for (const handle of this._pending) clearTimeout(handle);
+    this._pending.clear();
+    for (const puzzle of this.puzzles.values()) {
+      puzzle.dispose();
+    }
+    this.puzzles.clear();
+    this.order.length = 0;
+    this.completion = null;
+    this._complete = false;
+  }
+
+  /** Each puzzle's saved state by id: { [id]: { version, state, data } }. */
+  getStates() {
+    const states = {};
+    for (const [id, puzzle] of this.puzzles) states[id] = puzzle.getState();
+    return states;
+  }
+
+  /**
+   * Start the level's puzzles: activate the root puzzles (graph mode) or the
+   * first one (linear mode). With saved states from getStates() the puzzles
+   * are restored instead, then whatever the save leaves unlocked activates.
+   * Problems found by validate() are logged.
+   * @param {object} [states] - saved states when loading a game
+   */
+  init(states = null) {
+    this._graph = [...this.puzzles.values()].some(p => p.dependencies.length > 0);
+    this._complete = false;
+    for (const problem of this.validate()) console.warn(`Puzzle graph: ${problem}`);
+
+    if (states) {
+      this.restoreStates(states);
     } else {
-      // Linear mode (backward compatible): activate the first registered puzzle
-      if (this.order.length > 0) {
-        const first = this.puzzles.get(this.order[0]);
-        first.activate();
-      }
+      this._activateReady();
     }
 
     // Initialize all puzzles
@@ -37,6 +92,101 @@ export class PuzzleManager {
     }
   }
 
+  /**
+   * Put freshly built puzzles into saved states without replaying them (see
+   * PuzzleBase.setState). Puzzles the save doesn't cover — new to the level,
+   * saved as failed or in a format they can't read — activate once their
+   * turn comes, as if the player had just solved what precedes them.
+   */
+  restoreStates(states) {
+    for (const id of this.order) {
+      const saved = states[id];
+      if (saved) this.puzzles.get(id).setState(saved);
+    }
+    this._activateReady();
+    // A level saved after completing doesn't complete again when a bonus puzzle is solved
+    this._complete = this._isComplete();
+  }
+
+  /**
+   * Check the puzzle graph: dependency and completion entries that aren't
+   * puzzle ids or `{ any: [ids] }`, ids of puzzles this level doesn't have,
+   * dependency cycles, puzzles that can never activate and a completion
+   * condition that can never be met.
+   * @returns {string[]} one message per problem, empty if the graph is sound
+   */
+  validate() {
+    const problems = [];
+    let malformed = false;
+    const checkEntries = (entries, owner) => {
+      if (!Array.isArray(entries)) {
+        problems.push(`${owner} must be an array`);
+        malformed = true;
+        return;
+      }
+      for (const entry of entries) {
+        const ids = typeof entry === 'string' ? [entry]
+          : Array.isArray(entry?.any) && entry.any.length > 0 ? entry.any : null;
+        if (!ids) {
+          problems.push(`${owner}: ${JSON.stringify(entry)} is not a puzzle id or { any: [ids] }`);
+          continue;
+        }
+        for (const id of ids) {
+          if (!this.puzzles.has(id)) problems.push(`${owner}: unknown puzzle "${id}"`);
+        }
+      }
+    };
+
+    for (const puzzle of this.puzzles.values()) {
+      checkEntries(puzzle.dependencies, `"${puzzle.id}" dependencies`);
+    }
+    if (this.completion) checkEntries(this.completion, 'completion');
+    if (malformed) return problems;
+
+    for (const cycle of this._findCycles()) {
+      problems.push(`dependency cycle ${cycle.join(' → ')}`);
+    }
+
+    // Play the level through in the best case: what could ever be solved?
+    const solvable = new Set();
+    const canSolve = (id) => solvable.has(id);
+    let grew = true;
+    while (grew) {
+      grew = false;
+      for (const puzzle of this.puzzles.values()) {
+        if (solvable.has(puzzle.id) || !this._met(puzzle.dependencies, canSolve)) continue;
+        solvable.add(puzzle.id);
+        grew = true;
+      }
+    }
+    for (const id of this.order) {
+      if (!solvable.has(id)) problems.push(`"${id}" can never activate`);
+    }
+    if (this.completion && !this._met(this.completion, canSolve)) {
+      problems.push('the completion condition can never be met');
+    }
+    return problems;
+  }
+
+  /**
+   * Start puzzles over. With an id, that puzzle and every puzzle after it
+   * (linear mode) or depending on it (graph mode) go back to locked;
+   * without, all of the level's puzzles do. Whatever is then ready
+   * activates again right away.
+   * @param {string} [id]
+   */
+  reset(id) {
+    if (id !== undefined && !this.puzzles.has(id)) {
+      console.warn(`Cannot reset unknown puzzle "${id}"`);
+      return;
+    }
+    const ids = id === undefined ? this.order : this._downstream(id);
+    for (const resetId of ids) this.puzzles.get(resetId).reset();
+    this._activateReady();
+    // Solving the reset puzzles again completes the level again
+    this._complete = this._isComplete();
+  }
+
   update(dt) {
     for (const puzzle of this.puzzles.values()) {
       puzzle.update(dt);
@@ -44,53 +194,106 @@ export class PuzzleManager {
   }
 
   _onPuzzleSolved(data) {
-    const hasGraph = [...this.puzzles.values()].some(p => p.dependencies.length > 0);
+    if (!this.puzzles.has(data.id)) return;
+    this._schedule(() => this._activateReady());
 
-    if (hasGraph) {
-      this._advanceGraph(data.id);
-    } else {
-      this._advanceLinear(data.id);
+    if (!this._complete && this._isComplete()) {
+      this._complete = true;
+      this.eventBus.emit('level:complete');
     }
   }
 
-  _advanceLinear(solvedId) {
-    const idx = this.order.indexOf(solvedId);
-    if (idx === -1) return;
+  _onPuzzleFailed(data) {
+    const puzzle = this.puzzles.get(data.id);
+    if (!puzzle) return;
+    if (puzzle.failAction === 'retry') {
+      this._schedule(() => puzzle.retry());
+    } else if (puzzle.failAction === 'reset') {
+      this._schedule(() => this.reset());
+    }
+  }
 
-    const nextIdx = idx + 1;
-    if (nextIdx < this.order.length) {
-      const next = this.puzzles.get(this.order[nextIdx]);
-      setTimeout(() => next.activate(), 1500);
-    } else {
-      this.eventBus.emit('game:complete');
+  /** Activate every locked puzzle whose turn has come. */
+  _activateReady() {
+    if (this._graph) {
+      for (const puzzle of this.puzzles.values()) {
+        if (puzzle.state === 'locked' && this._met(puzzle.dependencies)) puzzle.activate();
+      }
+      return;
+    }
+
+    // Linear: walk the chain up to the first required puzzle not yet solved
+    for (const id of this.order) {
+      const puzzle = this.puzzles.get(id);
+      if (puzzle.state === 'locked') puzzle.activate();
+      if (!puzzle.optional && puzzle.state !== 'solved') return;
     }
   }
 
-  _advanceGraph(solvedId) {
-    let activated = false;
+  _isComplete() {
+    if (this.completion) return this._met(this.completion);
+    const required = [...this.puzzles.values()].filter(p => !p.optional);
+    return required.length > 0 && required.every(p => p.state === 'solved');
+  }
 
-    // Check each locked puzzle: if all its dependencies are now solved, activate it
-    for (const puzzle of this.puzzles.values()) {
-      if (puzzle.state !== 'locked') continue;
-      if (puzzle.dependencies.length === 0) continue;
+  /** Are all entries of a dependency/completion list met? */
+  _met(entries, isSolved = (id) => this.puzzles.get(id)?.state === 'solved') {
+    return entries.every(entry => (typeof entry === 'string'
+      ? isSolved(entry)
+      : Array.isArray(entry?.any) && entry.any.some(isSolved)));
+  }
 
-      const allMet = puzzle.dependencies.every(depId => {
-        const dep = this.puzzles.get(depId);
-        return dep && dep.state === 'solved';
-      });
+  // Ids a dependency list refers to, required or alternative
+  _referencedIds(entries) {
+    return entries.flatMap(entry => (typeof entry === 'string' ? [entry] : entry?.any || []));
+  }
+
+  // `id` followed by every puzzle that waits on it, directly or not
+  _downstream(id) {
+    if (!this._graph) return this.order.slice(this.order.indexOf(id));
 
-      if (allMet) {
-        activated = true;
-        setTimeout(() => puzzle.activate(), 1500);
+    const ids = [id];
+    for (let i = 0; i < ids.length; i++) {
+      for (const puzzle of this.puzzles.values()) {
+        if (!ids.includes(puzzle.id) && this._referencedIds(puzzle.dependencies).includes(ids[i])) {
+          ids.push(puzzle.id);
+        }
       }
     }
+    return ids;
+  }
 
-    // If no puzzle was activated and all puzzles are solved → game complete
-    if (!activated) {
-      const allSolved = [...this.puzzles.values()].every(p => p.state === 'solved');
-      if (allSolved) {
-        this.eventBus.emit('game:complete');
+  // Cycles through required dependencies, each as [a, b, ..., a]. Alternatives
+  // ({ any }) are left out: another option can still break the loop, which
+  // validate() catches as "can never activate" when none does.
+  _findCycles() {
+    const cycles = [];
+    const done = new Set();
+    const path = [];
+    const visit = (id) => {
+      const at = path.indexOf(id);
+      if (at !== -1) {
+        cycles.push([...path.slice(at), id]);
+        return;
       }
-    }
+      if (done.has(id) || !this.puzzles.has(id)) return;
+      path.push(id);
+      for (const dep of this.puzzles.get(id).dependencies) {
+        if (typeof dep === 'string') visit(dep);
+      }
+      path.pop();
+      done.add(id);
+    };
+    for (const id of this.order) visit(id);
+    return cycles;
+  }
+
+  /** Delayed activation, cancelled if the level is torn down first. */
+  _schedule(fn) {
+    const handle = setTimeout(() => {
+      this._pending.delete(handle);
+      fn();
+    }, 1500);
+    this._pending.add(handle);
   }
 }
@@ -0,0 +1,57 @@
+/**
+ * PuzzleRegistry — extensible registry for declarative puzzle types.
+ *
+ * Each registered type provides a factory function:
+ *   (engine, def) => PuzzleBase
+ *
+ * def = { type, id, dependencies, optional, onFail, hints, params } — one entry of a
+ * level's `puzzles` array. The factory reads its layout from `def.params`;
+ * the other fields are applied by create() so factories don't have to
+ * handle them.
+ *
+ * Game puzzle types are registered in puzzle/puzzles/index.js via:
+ *   puzzleRegistry.register('myPuzzle', (engine, def) => new MyPuzzle(engine, def.params));
+ */
+export class PuzzleRegistry {
+  constructor() {
+    this._types = new Map();
+  }
+
+  register(type, factory) {
+    this._types.set(type, factory);
+  }
+
+  has(type) {
+    return this._types.has(type);
+  }
+
+  get(type) {
+    return this._types.get(type);
+  }
+
+  types() {
+    return [...this._types.keys()];
+  }
+
+  /**
+   * Build a puzzle instance from a level config entry.
+   * @param {object} def - { type, id?, dependencies?, optional?, onFail?, hints?, params? }
+   * @param {object} engine - Engine instance passed through to the factory
+   * @returns {PuzzleBase|null} null when the type is not registered
+   */
+  create(def, engine) {
+    const factory = this._types.get(def.type);
+    if (!factory) {
+      console.warn(`Unknown puzzle type: ${def.type}`);
+      return null;
+    }
+
+    const puzzle = factory(engine, def);
+    if (def.id) puzzle.id = def.id;
+    if (def.dependencies) puzzle.dependencies = [...def.dependencies];
+    if (def.optional) puzzle.optional = true;
+    if (def.onFail) puzzle.failAction = def.onFail;
+    if (def.hints) puzzle.hints = [...def.hints];
+    return puzzle;
+  }
+}
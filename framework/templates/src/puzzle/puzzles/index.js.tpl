@@ -0,0 +1,7 @@
+// Puzzle type registrations — maps `type` names used in level configs'
+// `puzzles` arrays to factories. Add one register() call per puzzle class.
+//
+// import { MyPuzzle } from './MyPuzzle.js';
+// registry.register('myPuzzle', (engine, def) => new MyPuzzle(engine, def.params));
+
+export function registerPuzzles(registry) {}
@@ -0,0 +1,315 @@
+import * as THREE from 'three';
+
+const GAME_ID = '{{GAME_SLUG}}';
+const STORAGE_PREFIX = `immersio-save:${GAME_ID}:`;
+const SAVE_VERSION = 1; // bump when the snapshot format changes, and upgrade older saves in _migrate
+export const AUTO_SLOT = 'auto';
+
+const _euler = new THREE.Euler(0, 0, 0, 'YXZ');
+
+/**
+ * Game progress saves: the current level, where the player stands and looks,
+ * each puzzle's state and custom data from behaviors.js. Saves live in
+ * localStorage — numbered slots the player picks plus an autosave slot
+ * written when a level loads and when a puzzle is solved — and can be
+ * exported to / imported from a JSON file.
+ *
+ * Custom data: register a provider, typically in behaviors.js init():
+ *
+ *   engine.saveManager.register('score', {
+ *     save: () => ({ score }),
+ *     load: (data) => { score = data.score; },
+ *   });
+ *
+ * Events: 'game:saved' with { slot, data } and 'game:loaded' with { data }.
+ */
+export class SaveManager {
+  /**
+   * @param {Engine} engine
+   * @param {object} [settings] - the `save` section of src/settings.js
+   */
+  constructor(engine, settings = {}) {
+    this.engine = engine;
+    this.slots = settings.slots || 3;
+    this.autosave = settings.autosave !== false;
+    this._providers = new Map(); // key → { save, load }
+    this._pending = null;        // save being loaded, applied once its level is up
+    this._custom = {};           // loaded custom data not yet claimed by a provider
+    this._restoring = false;
+
+    const bus = engine.eventBus;
+    bus.on('level:loaded', ({ level }) => this._onLevelLoaded(level));
+    bus.on('puzzle:solved', () => {
+      if (this.autosave && !this._restoring) this.save(AUTO_SLOT);
+    });
+  }
+
+  /**
+   * Include custom data in saves. `save()` returns JSON-serializable data;
+   * `load(data)` gets it back when a save is loaded. Registering again
+   * under the same key replaces the provider.
+   * @param {string} key
+   * @param {{ save: Function, load: Function }} provider
+   */
+  register(key, provider) {
+    this._providers.set(key, provider);
+    // Loaded before this provider existed (e.g. registered in a later init)
+    if (key in this._custom) {
+      const data = this._custom[key];
+      delete this._custom[key];
+      this._loadCustom(key, provider, data);
+    }
+  }
+
+  unregister(key) {
+    this._providers.delete(key);
+  }
+
+  /** Current progress as a plain object, or null on the title screen. */
+  snapshot() {
+    const engine = this.engine;
+    if (engine._titleScreenActive || engine._currentLevel < 1) return null;
+
+    _euler.setFromQuaternion(engine.camera.quaternion);
+    const custom = {};
+    for (const [key, provider] of this._providers) {
+      try {
+        custom[key] = provider.save();
+      } catch (e) {
+        console.warn(`Save provider "${key}" failed:`, e);
+      }
+    }
+
+    return {
+      version: SAVE_VERSION,
+      game: GAME_ID,
+      savedAt: new Date().toISOString(),
+      level: engine._currentLevel,
+      levelName: (engine._levelConfig && engine._levelConfig.name) || `Level ${engine._currentLevel}`,
+      player: {
+        position: engine.cameraRig.position.toArray(),
+        rotationY: engine.cameraRig.rotation.y,
+        view: { yaw: _euler.y, pitch: _euler.x }, // desktop look direction
+      },
+      puzzles: engine.puzzleManager.getStates(),
+      custom,
+    };
+  }
+
+  /**
+   * Save the current progress.
+   * @param {number|string} [slot] - 1..slots, or AUTO_SLOT
+   * @returns {object|null} the saved data, or null if there is nothing to save or storage failed
+   */
+  save(slot = AUTO_SLOT) {
+    const data = this.snapshot();
+    if (!data) return null;
+    try {
+      localStorage.setItem(STORAGE_PREFIX + slot, JSON.stringify(data));
+    } catch (e) {
+      console.warn('Failed to save game:', e);
+      return null;
+    }
+    this.engine.eventBus.emit('game:saved', { slot, data });
+    return data;
+  }
+
+  /**
+   * Load a saved slot: fades to its level and restores it there.
+   * @returns {boolean} false if the slot is empty or unreadable
+   */
+  load(slot) {
+    const data = this.read(slot);
+    return data ? this.restore(data) : false;
+  }
+
+  /**
+   * Load progress from save data (e.g. from importFile()).
+   * @returns {boolean} false if the data isn't a save of this game or a fade is running
+   */
+  restore(data) {
+    data = this._migrate(data);
+    if (!data) return false;
+    const engine = this.engine;
+    if (engine.levelTransition.busy) {
+      console.warn('Cannot load a save during a level transition');
+      return false;
+    }
+    this._pending = data;
+    engine.startLevel(data.level);
+    return true;
+  }
+
+  /**
+   * Puzzle states of the save being loaded, if it is for the level now
+   * loading — LevelLoader starts the level's puzzles in them.
+   * @returns {object|null}
+   */
+  pendingPuzzleStates() {
+    const data = this._pending;
+    return data && data.level === this.engine._currentLevel ? data.puzzles || {} : null;
+  }
+
+  /** Save data in a slot, or null if it is empty or corrupt. */
+  read(slot) {
+    let data = null;
+    try {
+      data = JSON.parse(localStorage.getItem(STORAGE_PREFIX + slot) || 'null');
+    } catch (e) {
+      console.warn(`Ignoring corrupt save in slot ${slot}:`, e);
+      return null;
+    }
+    return data && this._migrate(data);
+  }
+
+  delete(slot) {
+    try {
+      localStorage.removeItem(STORAGE_PREFIX + slot);
+    } catch (e) {
+      console.warn('Failed to delete save:', e);
+    }
+  }
+
+  /**
+   * Filled slots, newest first: [{ slot, label, level, levelName, savedAt }].
+   * The autosave slot is labelled 'Autosave', the others 'Slot N'.
+   */
+  list() {
+    const saves = [];
+    for (const slot of [AUTO_SLOT, ...this._slotNumbers()]) {
+      const data = this.read(slot);
+      if (!data) continue;
+      saves.push({
+        slot,
+        label: slot === AUTO_SLOT ? 'Autosave' : `Slot ${slot}`,
+        level: data.level,
+        levelName: data.levelName,
+        savedAt: data.savedAt,
+      });
+    }
+    return saves.sort((a, b) => String(b.savedAt).localeCompare(String(a.savedAt)));
+  }
+
+  /** Most recent save from list(), or null. */
+  latest() {
+    return this.list()[0] || null;
+  }
+
+  /** One-line description of a list() entry for menus, e.g. "Slot 1 · Crystal Cave · 14:02". */
+  describe(entry) {
+    const date = new Date(entry.savedAt);
+    const today = date.toDateString() === new Date().toDateString();
+    const when = today
+      ? date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })
+      : date.toLocaleDateString([], { month: 'short', day: 'numeric' });
+    return `${entry.label} · ${entry.levelName} · ${when}`;
+  }
+
+  /**
+   * Download save data as a JSON file.
+   * @param {object} [data] - defaults to the current progress
+   */
+  exportFile(data = this.snapshot()) {
+    if (!data) return false;
+    const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `${GAME_ID}-save-level${data.level}.json`;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+    return true;
+  }
+
+  /**
+   * Let the player pick a save file. Call from a click handler (browsers
+   * only open the file picker on user input).
+   * @returns {Promise<object|null>} the save data, or null if cancelled or invalid
+   */
+  importFile() {
+    return new Promise((resolve) => {
+      const input = document.createElement('input');
+      input.type = 'file';
+      input.accept = '.json,application/json';
+      input.addEventListener('cancel', () => resolve(null));
+      input.addEventListener('change', async () => {
+        const file = input.files && input.files[0];
+        if (!file) {
+          resolve(null);
+          return;
+        }
+        try {
+          resolve(this._migrate(JSON.parse(await file.text())));
+        } catch (e) {
+          console.warn('Not a valid save file:', e);
+          resolve(null);
+        }
+      });
+      input.click();
+    });
+  }
+
+  _slotNumbers() {
+    return Array.from({ length: this.slots }, (_, i) => i + 1);
+  }
+
+  // Check save data belongs to this game and bring older formats up to date
+  _migrate(data) {
+    if (!data || typeof data !== 'object' || !Number.isInteger(data.level) || data.level < 1) {
+      console.warn('Not an Immersio save:', data);
+      return null;
+    }
+    if (data.game && data.game !== GAME_ID) {
+      console.warn(`Save is for another game (${data.game})`);
+      return null;
+    }
+    if (!(data.version <= SAVE_VERSION)) {
+      console.warn(`Save version ${data.version} is newer than this game supports (${SAVE_VERSION})`);
+      return null;
+    }
+    return data;
+  }
+
+  _onLevelLoaded(level) {
+    const data = this._pending;
+    this._pending = null;
+    if (data && data.level === level) this._apply(data);
+    else this._custom = {};
+    if (this.autosave) this.save(AUTO_SLOT);
+  }
+
+  // Puzzles were restored as the level was built (see pendingPuzzleStates)
+  _apply(data) {
+    const engine = this.engine;
+    this._restoring = true;
+    try {
+      const player = data.player;
+      if (player && Array.isArray(player.position)) {
+        engine.cameraRig.position.fromArray(player.position);
+        engine.cameraRig.rotation.y = player.rotationY || 0;
+        if (player.view && !engine.renderer.xr.isPresenting) {
+          engine.camera.quaternion.setFromEuler(_euler.set(player.view.pitch || 0, player.view.yaw || 0, 0, 'YXZ'));
+        }
+      }
+
+      this._custom = { ...(data.custom || {}) };
+      for (const [key, provider] of this._providers) {
+        if (!(key in this._custom)) continue;
+        const value = this._custom[key];
+        delete this._custom[key];
+        this._loadCustom(key, provider, value);
+      }
+    } finally {
+      this._restoring = false;
+    }
+    engine.eventBus.emit('game:loaded', { data });
+  }
+
+  _loadCustom(key, provider, data) {
+    try {
+      provider.load(data);
+    } catch (e) {
+      console.warn(`Save provider "${key}" failed to load:`, e);
+    }
+  }
+}
@@ -0,0 +1,43 @@
+// Game settings — defaults the engine reads at startup. Players' own choices
+// (saved in localStorage) override them where noted.
+export default {
+  locomotion: {
+    // 'smooth' (stick movement), 'teleport' (aim an arc, blink to the target)
+    // or 'armswing' (hold grip and swing your arms to walk).
+    // The default for new players; each player's choice is remembered.
+    mode: 'smooth',
+    // Modes players may switch between; list one to lock the game to it
+    modes: ['smooth', 'teleport', 'armswing'],
+    // Grip near objects marked `climbable` to climb them (any mode)
+    climbing: true,
+    teleport: {
+      speed: 8,       // arc launch speed — higher reaches farther
+      cooldown: 0.4,  // seconds between teleports
+    },
+  },
+  // Comfort defaults for new players; each player changes them in the
+  // comfort menu (O key / X button). Keys and defaults: locomotion/ComfortSettings.js
+  comfort: {
+    turn: 'snap',       // 'snap' | 'smooth'
+    vignette: 0.5,      // 0 (off) .. 1
+  },
+  // Progress saves (pause menu Save/Load, Continue on the title screen)
+  save: {
+    slots: 3,           // slots the player can save into, besides the autosave
+    autosave: true,     // autosave when a level loads and when a puzzle is solved
+  },
+  // Puzzle hints (puzzle/HintManager.js); players can also ask from the pause menu
+  hints: {
+    auto: true,         // offer hints without being asked
+    idleDelay: 90,      // seconds without puzzle progress before the next hint
+    mistakes: 3,        // wrong actions on a puzzle before the next hint (0 = never)
+    highlight: true,    // mark the object a hint points at
+  },
+  // Playtest analytics (analytics/SessionRecorder.js): time per level and
+  // puzzle, hints, respawns and the path walked, downloadable from the pause menu
+  analytics: {
+    enabled: true,      // false for release builds: no recording, no Session Report button
+    sampleRate: 2,      // player position samples per second
+    downloadOnComplete: false, // download the report when the game is completed
+  },
+};
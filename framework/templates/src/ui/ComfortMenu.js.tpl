@@ -0,0 +1,115 @@
+import { UIPanel, UISelect, UIButtonRow } from './UIPanel.js';
+import { InputActions } from '../input/InputActions.js';
+
+const WIDTH = 0.72;
+
+const onOff = v => (v ? 'On' : 'Off');
+const MODE_LABELS = { smooth: 'Smooth', teleport: 'Teleport', armswing: 'Arm swing' };
+
+// One row per comfort setting; arrows cycle through `values`
+const ROWS = [
+  { key: 'mode', label: 'Movement', values: ['smooth', 'teleport', 'armswing'], format: v => MODE_LABELS[v] || v },
+  { key: 'turn', label: 'Turning', values: ['snap', 'smooth'], format: v => (v === 'snap' ? 'Snap' : 'Smooth') },
+  { key: 'snapAngle', label: 'Snap angle', values: [15, 30, 45, 60, 90], format: v => `${v}°` },
+  { key: 'turnSpeed', label: 'Turn speed', values: [60, 90, 120, 180, 240], format: v => `${v}°/s` },
+  { key: 'vignette', label: 'Vignette', values: [0, 0.25, 0.5, 0.75, 1], format: v => (v === 0 ? 'Off' : `${v * 100}%`) },
+  { key: 'seated', label: 'Seated mode', values: [false, true], format: onOff },
+  { key: 'dominantHand', label: 'Dominant hand', values: ['right', 'left'], format: v => (v === 'right' ? 'Right' : 'Left') },
+];
+
+/**
+ * In-game comfort menu: a world-space panel opened with the OPTIONS action
+ * (O key, X button, gamepad View/Back). Rows edit engine.comfort; buttons
+ * recenter the view and calibrate seated height. Aim and click/trigger to use.
+ */
+export class ComfortMenu {
+  constructor(engine) {
+    this._engine = engine;
+    this.isOpen = false;
+    this.panel = null;
+    this.onClose = null; // called once when the menu next closes
+    this._selects = new Map(); // setting key → UISelect
+
+    // While paused, the pause menu's Settings button opens it instead
+    engine.eventBus.on(InputActions.OPTIONS_DOWN, () => {
+      if (!engine.paused) this.toggle();
+    });
+    engine.eventBus.on('comfort:changed', ({ key, value }) => {
+      const select = this._selects.get(key);
+      if (select) select.setValue(value, true);
+    });
+  }
+
+  toggle() {
+    if (this.isOpen) this.close();
+    else this.open();
+  }
+
+  /** Show the panel about 1m in front of the player, facing them. */
+  open() {
+    if (this.isOpen) return;
+    if (!this.panel) this._build();
+
+    const comfort = this._engine.comfort;
+    for (const [key, select] of this._selects) select.setValue(comfort.get(key), true);
+    this.panel.placeInFront(1.0);
+    this.panel.show();
+    this.isOpen = true;
+  }
+
+  close() {
+    if (!this.isOpen) return;
+    this.panel.hide();
+    this.isOpen = false;
+    const onClose = this.onClose;
+    this.onClose = null;
+    if (onClose) onClose();
+  }
+
+  /** Rows shown for this game: the movement row only if it has a choice of modes. */
+  get rows() {
+    return ROWS.filter(row => row.key !== 'mode' || this._engine.locomotion.modes.length > 1);
+  }
+
+  /**
+   * Step a row's setting to the previous (-1) or next (1) value, wrapping around.
+   * @param {object} row - one of `rows`
+   * @param {number} step
+   */
+  cycle(row, step) {
+    const comfort = this._engine.comfort;
+    const values = this._values(row);
+    const index = values.indexOf(comfort.get(row.key));
+    const next = index === -1 ? 0 : (index + step + values.length) % values.length;
+    comfort.set(row.key, values[next]);
+  }
+
+  _values(row) {
+    return row.key === 'mode' ? this._engine.locomotion.modes : row.values;
+  }
+
+  _build() {
+    const engine = this._engine;
+    const comfort = engine.comfort;
+    const panel = new UIPanel(engine, { width: WIDTH, title: 'Comfort' });
+
+    for (const row of this.rows) {
+      const select = panel.add(new UISelect(row.label, {
+        options: this._values(row),
+        value: comfort.get(row.key),
+        format: row.format,
+        onChange: value => comfort.set(row.key, value),
+      }));
+      this._selects.set(row.key, select);
+    }
+
+    const vr = engine.vrSetup;
+    panel.add(new UIButtonRow([
+      { text: 'Recenter', onClick: () => vr.recenter() },
+      { text: 'Calibrate seat', onClick: () => vr.calibrateHeight() },
+      { text: 'Close', onClick: () => this.close() },
+    ]));
+
+    this.panel = panel;
+  }
+}
@@ -1,4 +1,4 @@
-import * as THREE from 'three';
+import { UIPanel, UILabel } from './UIPanel.js';
 
 /**
  * HUD — Handles all user interface: notifications, level title,
@@ -14,6 +14,7 @@ export class HUD {
     this._puzzleTotal = 0;
     this._puzzleSolved = 0;
     this._gameComplete = false;
+    this._reticleState = null;
 
     this._createDOM();
     this._createVRPanel();
@@ -79,61 +80,77 @@ export class HUD {
     `;
     document.body.appendChild(complete);
     this._domComplete = complete;
+
+    // Desktop crosshair — reacts to what it's pointing at
+    const reticle = document.createElement('div');
+    reticle.id = 'hud-reticle';
+    reticle.style.cssText = `
+      position: absolute; top: 50%; left: 50%; transform: translate(-50%, -50%);
+      box-sizing: border-box; border-radius: 50%; pointer-events: none; z-index: 998;
+      transition: width 0.1s, height 0.1s, border-color 0.1s; display: none;
+    `;
+    document.body.appendChild(reticle);
+    this._domReticle = reticle;
+
+    const hint = document.createElement('div');
+    hint.id = 'hud-reticle-hint';
+    hint.style.cssText = `
+      position: absolute; top: calc(50% + 22px); left: 50%; transform: translateX(-50%);
+      color: #cceeff; font: 12px sans-serif; text-shadow: 0 1px 3px rgba(0,0,0,0.9);
+      pointer-events: none; z-index: 998; white-space: nowrap; display: none;
+    `;
+    document.body.appendChild(hint);
+    this._domReticleHint = hint;
+  }
+
+  _setReticle(state) {
+    if (state === this._reticleState) return;
+    this._reticleState = state;
+
+    const reticle = this._domReticle;
+    const hint = this._domReticleHint;
+    const visible = state !== null;
+    reticle.style.display = visible ? 'block' : 'none';
+    hint.style.display = visible ? 'block' : 'none';
+    if (!visible) return;
+
+    const key = this._engine.inputManager.actionMap.describe('GRAB') || 'Grab';
+    const styles = {
+      idle: { size: 6, color: 'rgba(255,255,255,0.7)', fill: true, text: '' },
+      activate: { size: 20, color: '#ffdd44', text: 'Click to use' },
+      grab: { size: 20, color: '#44ddff', text: `${key} to pick up` },
+      both: { size: 20, color: '#44ddff', text: `Click to use · ${key} to pick up` },
+      control: { size: 20, color: '#88ff88', text: 'Hold click and look to move' },
+      holding: { size: 12, color: '#44ddff', text: `${key} to drop · scroll to move` },
+      dragging: { size: 12, color: '#88ff88', text: '' },
+    };
+    const style = styles[state] || styles.idle;
+    reticle.style.width = `${style.size}px`;
+    reticle.style.height = `${style.size}px`;
+    reticle.style.border = style.fill ? 'none' : `2px solid ${style.color}`;
+    reticle.style.background = style.fill ? style.color : 'transparent';
+    hint.textContent = style.text;
   }
 
   // ─── VR Panel ───────────────────────────────────────────
 
   _createVRPanel() {
-    this._vrCanvas = document.createElement('canvas');
-    this._vrCanvas.width = 512;
-    this._vrCanvas.height = 128;
-
-    const tex = new THREE.CanvasTexture(this._vrCanvas);
-    const mat = new THREE.MeshBasicMaterial({
-      map: tex,
-      transparent: true,
-      depthTest: false,
-      side: THREE.DoubleSide,
+    // Head-locked, display only
+    this._vrPanel = new UIPanel(this._engine, {
+      anchor: 'head',
+      width: 0.9,
+      offset: [0, 0.04, -0.8],
+      interactive: false,
     });
-    const mesh = new THREE.Mesh(
-      new THREE.PlaneGeometry(0.9, 0.22),
-      mat
-    );
-    mesh.renderOrder = 998;
-    mesh.position.set(0, 0.04, -0.8);
-    mesh.visible = false;
-    this._engine.camera.add(mesh);
-
-    this._vrPanel = mesh;
-    this._vrTex = tex;
     this._vrTimer = 0;
   }
 
   _renderVRPanel(text, subtext) {
-    const canvas = this._vrCanvas;
-    const ctx = canvas.getContext('2d');
-    ctx.clearRect(0, 0, canvas.width, canvas.height);
-
-    ctx.fillStyle = 'rgba(0, 0, 0, 0.85)';
-    ctx.fillRect(0, 0, canvas.width, canvas.height);
-    ctx.strokeStyle = '#446688';
-    ctx.lineWidth = 2;
-    ctx.strokeRect(2, 2, canvas.width - 4, canvas.height - 4);
-
-    ctx.fillStyle = '#cceeff';
-    ctx.font = '22px sans-serif';
-    ctx.textAlign = 'center';
-    ctx.textBaseline = 'middle';
-    ctx.fillText(text, canvas.width / 2, subtext ? canvas.height / 2 - 14 : canvas.height / 2);
-
-    if (subtext) {
-      ctx.fillStyle = '#88aacc';
-      ctx.font = '16px sans-serif';
-      ctx.fillText(subtext, canvas.width / 2, canvas.height / 2 + 18);
-    }
-
-    this._vrTex.needsUpdate = true;
-    this._vrPanel.visible = true;
+    const panel = this._vrPanel;
+    panel.clear();
+    panel.add(new UILabel(text, { lines: 2 }));
+    if (subtext) panel.add(new UILabel(subtext, { size: 'small' }));
+    panel.show();
     this._vrTimer = 4;
   }
 
@@ -144,6 +161,10 @@ export class HUD {
       this._showNotification(data.text);
     });
 
+    this._eventBus.on('hint:shown', (data) => {
+      this._showNotification(`Hint: ${data.text}`, 8);
+    });
+
     this._eventBus.on('puzzle:activated', () => {
       this._updateProgress();
     });
@@ -153,6 +174,15 @@ export class HUD {
       this._updateProgress();
     });
 
+    this._eventBus.on('puzzle:reset', (data) => {
+      if (data.from === 'solved') this._puzzleSolved--;
+      this._updateProgress();
+    });
+
+    this._eventBus.on('level:complete', () => {
+      this._showNotification('Level complete!');
+    });
+
     this._eventBus.on('game:complete', () => {
       this._gameComplete = true;
       this._domComplete.style.opacity = '1';
@@ -165,8 +195,9 @@ export class HUD {
    * Call when a level is loaded to show the title and reset progress.
    * @param {string} name - Level name
    * @param {number} puzzleCount - Total puzzles in this level (0 if unknown)
+   * @param {number} [solvedCount] - Puzzles already solved (restored from a save)
    */
-  onLevelLoaded(name, puzzleCount) {
+  onLevelLoaded(name, puzzleCount, solvedCount = 0) {
     // Title
     this._domTitle.textContent = name;
     this._domTitle.style.opacity = '1';
@@ -174,7 +205,7 @@ export class HUD {
 
     // Progress
     this._puzzleTotal = puzzleCount;
-    this._puzzleSolved = 0;
+    this._puzzleSolved = solvedCount;
     this._gameComplete = false;
     this._domComplete.style.opacity = '0';
 
@@ -189,12 +220,13 @@ export class HUD {
     this._renderVRPanel(name);
   }
 
-  _showNotification(text) {
+  _showNotification(text, duration = 4) {
     this._domNotif.textContent = text;
     this._domNotif.style.opacity = '1';
-    this._notifTimer = 4;
+    this._notifTimer = duration;
 
     this._renderVRPanel(text);
+    this._vrTimer = duration;
   }
 
   _updateProgress() {
@@ -206,6 +238,12 @@ export class HUD {
   // ─── Update loop ────────────────────────────────────────
 
   update(dt) {
+    // Desktop reticle, only while the mouse is captured
+    const engine = this._engine;
+    const aiming = !engine.renderer.xr.isPresenting
+      && document.pointerLockElement === engine.renderer.domElement;
+    this._setReticle(aiming ? engine.interactionSystem.getDesktopState() : null);
+
     // Notification fade
     if (this._notifTimer > 0) {
       this._notifTimer -= dt;
@@ -226,7 +264,7 @@ export class HUD {
     if (this._vrTimer > 0) {
       this._vrTimer -= dt;
       if (this._vrTimer <= 0 && !this._gameComplete) {
-        this._vrPanel.visible = false;
+        this._vrPanel.hide();
       }
     }
   }
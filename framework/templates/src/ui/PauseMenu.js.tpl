@@ -0,0 +1,325 @@
+import { UIPanel, UILabel, UIButton, UIList } from './UIPanel.js';
+import { InputActions } from '../input/InputActions.js';
+
+const WIDTH = 0.5;
+const LEVEL_ROWS = 5; // level select rows shown at once in VR
+
+/**
+ * Pause menu: PAUSE (Esc/P, Y button or B when left-handed, gamepad Start) pauses the game and
+ * shows Resume, Restart Level, Save Game, Load Game, Level Select, Settings
+ * and Quit to Title.
+ * Losing the mouse capture on desktop and the headset's system menu in VR
+ * pause too. Desktop gets an HTML overlay; VR a world-space panel used with
+ * the controller rays (or by touching it with a tracked finger).
+ */
+export class PauseMenu {
+  constructor(engine) {
+    this._engine = engine;
+    this.isOpen = false;
+    this._page = 'main'; // 'main' | 'save' | 'load' | 'levels' | 'settings'
+    this._levels = null; // [{ n, name }] once listed
+    this._openedAt = 0;
+
+    // VR
+    this._panel = null; // built on first use
+
+    this._createDOM();
+
+    engine.eventBus.on(InputActions.PAUSE_DOWN, () => this.toggle());
+    engine.eventBus.on('desktop:unlocked', () => this.open());
+    engine.eventBus.on('comfort:changed', () => {
+      if (this.isOpen && this._page === 'settings') this._render();
+    });
+
+    const xr = engine.renderer.xr;
+    xr.addEventListener('sessionstart', () => {
+      // The system menu or taking the headset off blurs or hides the session
+      xr.getSession().addEventListener('visibilitychange', (e) => {
+        if (e.session.visibilityState !== 'visible') this.open();
+      });
+      if (this.isOpen) this._render();
+    });
+    xr.addEventListener('sessionend', () => {
+      if (this.isOpen) this._render();
+    });
+  }
+
+  toggle() {
+    if (!this.isOpen) {
+      this.open();
+      return;
+    }
+    // Leaving pointer lock with Esc can also deliver the Esc key press,
+    // which must not close the menu it just opened
+    if (performance.now() - this._openedAt < 250) return;
+    if (this._page !== 'main') this._show('main');
+    else this.close();
+  }
+
+  /** Pause and show the menu. Ignored on the title screen and during level fades. */
+  open() {
+    const engine = this._engine;
+    if (this.isOpen || engine._titleScreenActive || engine.levelTransition.busy) return;
+
+    this.isOpen = true;
+    this._openedAt = performance.now();
+    engine.pause();
+    if (document.pointerLockElement) document.exitPointerLock();
+    this._show('main');
+  }
+
+  /** Hide the menu and resume the game. */
+  close() {
+    if (!this.isOpen) return;
+    this.isOpen = false;
+    this._hideVR();
+    this._overlay.style.display = 'none';
+    this._engine.comfortMenu.close();
+    this._engine.resume();
+  }
+
+  /** Close the menu and, on desktop, capture the mouse again. */
+  resume() {
+    this.close();
+    // Menu buttons are clicked, and a click may request pointer lock
+    const canvas = this._engine.renderer.domElement;
+    if (!this._engine.renderer.xr.isPresenting) canvas.requestPointerLock()?.catch?.(() => {});
+  }
+
+  /** Resume and show the next hint for the current puzzle (see HintManager). */
+  requestHint() {
+    this.resume();
+    this._engine.hintManager.request();
+  }
+
+  restartLevel() {
+    this.resume();
+    this._engine.levelTransition.triggerTransition(this._engine._currentLevel);
+  }
+
+  loadLevel(n) {
+    this.resume();
+    this._engine.levelTransition.triggerTransition(n);
+  }
+
+  /** Save into a slot (see SaveManager) and tell the player. */
+  saveTo(slot) {
+    const saved = this._engine.saveManager.save(slot);
+    this._engine.eventBus.emit('notification', { text: saved ? 'Game saved' : 'Could not save the game' });
+    this._show('main');
+  }
+
+  loadSave(slot) {
+    this.resume();
+    this._engine.saveManager.load(slot);
+  }
+
+  async importSave() {
+    const saves = this._engine.saveManager;
+    const data = await saves.importFile();
+    if (!data || !this.isOpen) return;
+    this.resume();
+    saves.restore(data);
+  }
+
+  quitToTitle() {
+    this.close();
+    this._engine.returnToTitle();
+  }
+
+  async _show(page) {
+    this._page = page;
+    this._render();
+    if (page === 'levels' && !this._levels) {
+      this._levels = await this._engine.getLevels();
+      if (this.isOpen && this._page === 'levels') this._render();
+    }
+  }
+
+  // Current page as { title, buttons: [{ text, onActivate }] }
+  _content() {
+    switch (this._page) {
+      case 'levels': {
+        const buttons = this._levels
+          ? this._levels.map(({ n, name }) => ({ text: name, onActivate: () => this.loadLevel(n) }))
+          : [{ text: 'Loading…', onActivate: () => {} }];
+        buttons.push({ text: 'Back', onActivate: () => this._show('main') });
+        return { title: 'Level Select', buttons };
+      }
+      case 'save': {
+        const saves = this._engine.saveManager;
+        const filled = new Map(saves.list().map(entry => [entry.slot, entry]));
+        const buttons = [];
+        for (let slot = 1; slot <= saves.slots; slot++) {
+          const entry = filled.get(slot);
+          const text = entry ? saves.describe(entry) : `Slot ${slot} · Empty`;
+          buttons.push({ text, onActivate: () => this.saveTo(slot) });
+        }
+        buttons.push({ text: 'Export to file', onActivate: () => saves.exportFile() });
+        buttons.push({ text: 'Back', onActivate: () => this._show('main') });
+        return { title: 'Save Game', buttons };
+      }
+      case 'load': {
+        const saves = this._engine.saveManager;
+        const buttons = saves.list().map(entry => ({
+          text: saves.describe(entry),
+          onActivate: () => this.loadSave(entry.slot),
+        }));
+        buttons.push({ text: 'Import from file…', onActivate: () => this.importSave() });
+        buttons.push({ text: 'Back', onActivate: () => this._show('main') });
+        return { title: 'Load Game', buttons };
+      }
+      case 'settings':
+        return { title: 'Settings', buttons: [{ text: 'Back', onActivate: () => this._show('main') }] };
+      default: {
+        const buttons = [{ text: 'Resume', onActivate: () => this.resume() }];
+        if (this._engine.hintManager.hasHint()) {
+          buttons.push({ text: 'Hint', onActivate: () => this.requestHint() });
+        }
+        buttons.push(
+          { text: 'Restart Level', onActivate: () => this.restartLevel() },
+          { text: 'Save Game', onActivate: () => this._show('save') },
+          { text: 'Load Game', onActivate: () => this._show('load') },
+          { text: 'Level Select', onActivate: () => this._show('levels') },
+          { text: 'Settings', onActivate: () => this._show('settings') },
+        );
+        if (this._engine.analytics.enabled) {
+          buttons.push({ text: 'Session Report', onActivate: () => this._engine.analytics.download() });
+        }
+        buttons.push({ text: 'Quit to Title', onActivate: () => this.quitToTitle() });
+        return { title: 'Paused', buttons };
+      }
+    }
+  }
+
+  _render() {
+    if (!this.isOpen) return;
+    if (this._engine.renderer.xr.isPresenting) {
+      this._overlay.style.display = 'none';
+      this._renderVR();
+    } else {
+      this._hideVR();
+      this._engine.comfortMenu.close();
+      this._renderDOM();
+    }
+  }
+
+  // ─── DOM (desktop) ──────────────────────────────────────
+
+  _createDOM() {
+    const overlay = document.createElement('div');
+    overlay.id = 'pause-menu';
+    overlay.style.cssText = `
+      position: absolute; top: 0; left: 0; width: 100%; height: 100%;
+      display: none; align-items: center; justify-content: center;
+      background: rgba(0,0,0,0.6); z-index: 1001; font: 16px sans-serif;
+    `;
+    const box = document.createElement('div');
+    box.style.cssText = `
+      min-width: 260px; padding: 20px 24px; background: rgba(16,24,32,0.95);
+      border: 1px solid #446688; border-radius: 8px; color: #cceeff;
+      display: flex; flex-direction: column; gap: 8px;
+    `;
+    overlay.appendChild(box);
+    document.body.appendChild(overlay);
+    this._overlay = overlay;
+    this._box = box;
+  }
+
+  _renderDOM() {
+    const { title, buttons } = this._content();
+    const box = this._box;
+    box.replaceChildren();
+
+    const heading = document.createElement('div');
+    heading.textContent = title;
+    heading.style.cssText = 'font: bold 24px sans-serif; text-align: center; margin-bottom: 8px;';
+    box.appendChild(heading);
+
+    if (this._page === 'settings') this._renderSettingsDOM(box);
+    for (const { text, onActivate } of buttons) {
+      box.appendChild(this._createDOMButton(text, onActivate));
+    }
+    this._overlay.style.display = 'flex';
+  }
+
+  // Comfort menu rows as HTML: label, value and ‹ › buttons
+  _renderSettingsDOM(box) {
+    const menu = this._engine.comfortMenu;
+    const comfort = this._engine.comfort;
+    for (const row of menu.rows) {
+      const line = document.createElement('div');
+      line.style.cssText = 'display: flex; align-items: center; gap: 8px;';
+      const label = document.createElement('span');
+      label.textContent = row.label;
+      label.style.cssText = 'flex: 1; color: #88aacc;';
+      const value = document.createElement('span');
+      value.textContent = row.format(comfort.get(row.key));
+      value.style.cssText = 'min-width: 80px; text-align: center;';
+      line.append(
+        label,
+        this._createDOMButton('‹', () => menu.cycle(row, -1)),
+        value,
+        this._createDOMButton('›', () => menu.cycle(row, 1))
+      );
+      box.appendChild(line);
+    }
+  }
+
+  _createDOMButton(text, onClick) {
+    const button = document.createElement('button');
+    button.textContent = text;
+    button.style.cssText = `
+      padding: 8px 16px; background: #2a4058; color: #cceeff; font: 16px sans-serif;
+      border: 1px solid #446688; border-radius: 4px; cursor: pointer;
+    `;
+    button.addEventListener('mouseenter', () => { button.style.background = '#3a5878'; });
+    button.addEventListener('mouseleave', () => { button.style.background = '#2a4058'; });
+    button.addEventListener('click', onClick);
+    return button;
+  }
+
+  // ─── VR panel ───────────────────────────────────────────
+
+  _renderVR() {
+    const engine = this._engine;
+
+    // Settings are the comfort menu; closing it comes back here
+    if (this._page === 'settings') {
+      this._hideVR();
+      engine.comfortMenu.open();
+      engine.comfortMenu.onClose = () => {
+        if (this.isOpen) this._show('main');
+      };
+      return;
+    }
+
+    if (!this._panel) this._panel = new UIPanel(engine, { width: WIDTH });
+    const panel = this._panel;
+    const { title, buttons } = this._content();
+    panel.clear();
+    panel.add(new UILabel(title, { size: 'title' }));
+
+    if (this._page === 'levels' && this._levels) {
+      panel.add(new UIList({
+        items: this._levels,
+        rows: LEVEL_ROWS,
+        format: level => level.name,
+        onSelect: level => this.loadLevel(level.n),
+      }));
+      panel.add(new UIButton('Back', () => this._show('main')));
+    } else {
+      for (const { text, onActivate } of buttons) panel.add(new UIButton(text, onActivate));
+    }
+
+    // Keep the panel where it was when switching pages
+    if (!panel.visible) {
+      panel.placeInFront(1.0);
+      panel.show();
+    }
+  }
+
+  _hideVR() {
+    if (this._panel) this._panel.hide();
+  }
+}
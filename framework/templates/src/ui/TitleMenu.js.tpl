@@ -0,0 +1,69 @@
+import { UIPanel, UILabel, UIButton } from './UIPanel.js';
+
+const WIDTH = 0.7;
+
+/**
+ * Title screen menu, shown instead of "press to start" once the player has
+ * saved games: Continue (the most recent save), New Game and Load Game.
+ * Point and click or pull the trigger; Enter continues.
+ */
+export class TitleMenu {
+  constructor(engine) {
+    this._engine = engine;
+    this._page = 'main'; // 'main' | 'load'
+    this._panel = new UIPanel(engine, { width: WIDTH });
+  }
+
+  /** Show the menu in front of the player, below the title. */
+  open() {
+    this._render();
+    this._panel.placeInFront(1.4, 0.35);
+    this._panel.show();
+  }
+
+  dispose() {
+    this._panel.dispose();
+  }
+
+  continueGame() {
+    const latest = this._engine.saveManager.latest();
+    if (latest) this._engine.saveManager.load(latest.slot);
+  }
+
+  newGame() {
+    this._engine.startLevel(1);
+  }
+
+  async importSave() {
+    const saves = this._engine.saveManager;
+    const data = await saves.importFile();
+    if (data) saves.restore(data);
+  }
+
+  _show(page) {
+    this._page = page;
+    this._render();
+  }
+
+  _render() {
+    const saves = this._engine.saveManager;
+    const panel = this._panel;
+    panel.clear();
+
+    if (this._page === 'load') {
+      panel.add(new UILabel('Load Game', { size: 'title' }));
+      for (const entry of saves.list()) {
+        panel.add(new UIButton(saves.describe(entry), () => saves.load(entry.slot)));
+      }
+      panel.add(new UIButton('Import from file…', () => this.importSave()));
+      panel.add(new UIButton('Back', () => this._show('main')));
+      return;
+    }
+
+    const latest = saves.latest();
+    panel.add(new UIButton('Continue', () => this.continueGame(), { enabled: latest !== null }));
+    if (latest) panel.add(new UILabel(saves.describe(latest), { size: 'small' }));
+    panel.add(new UIButton('New Game', () => this.newGame()));
+    panel.add(new UIButton('Load Game', () => this._show('load')));
+  }
+}
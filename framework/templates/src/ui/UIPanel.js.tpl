@@ -0,0 +1,834 @@
+import * as THREE from 'three';
+import { Interactable } from '../interaction/Interactable.js';
+
+const PX_PER_M = 1200; // canvas resolution
+const PADDING = 0.02;  // inside the panel edge, metres
+const GAP = 0.01;      // between widgets
+const ROW = 0.065;     // height of a button, toggle, slider, select or list row
+
+// Font size per label size, metres
+const FONT_SIZES = { title: 0.04, body: 0.028, small: 0.022 };
+const LINE_HEIGHT = 1.35;
+
+export const UI_COLORS = {
+  background: 'rgba(16, 24, 32, 0.92)',
+  border: '#446688',
+  text: '#cceeff',
+  dim: '#88aacc',
+  button: '#2a4058',
+  hover: '#3a5878',
+  accent: '#88ccff',
+  disabled: '#556677',
+};
+
+// Default placement relative to the camera (head) or controller grip / wrist
+const HEAD_OFFSET = new THREE.Vector3(0, -0.05, -0.8);
+const WRIST_OFFSET = new THREE.Vector3(0, 0.04, 0.1);      // above the forearm, toward the elbow
+const WRIST_ROTATION = new THREE.Euler(-Math.PI / 2, 0, 0); // facing up off the back of the wrist
+
+const _local = new THREE.Vector3();
+const _camPos = new THREE.Vector3();
+const _forward = new THREE.Vector3();
+const _matrix = new THREE.Matrix4();
+const _scale = new THREE.Vector3();
+
+// Panels currently shown; updatePanels() keeps their anchors and textures current
+const _shown = new Set();
+
+/**
+ * Per-frame update for every shown panel: redraws changed panels and moves
+ * wrist-anchored ones with the hand. Engine calls this once per frame.
+ */
+export function updatePanels() {
+  for (const panel of _shown) panel.update();
+}
+
+function font(size, bold = false) {
+  return `${bold ? 'bold ' : ''}${Math.round(size * PX_PER_M)}px sans-serif`;
+}
+
+function roundRect(ctx, x, y, w, h, r) {
+  ctx.beginPath();
+  ctx.moveTo(x + r, y);
+  ctx.arcTo(x + w, y, x + w, y + h, r);
+  ctx.arcTo(x + w, y + h, x, y + h, r);
+  ctx.arcTo(x, y + h, x, y, r);
+  ctx.arcTo(x, y, x + w, y, r);
+  ctx.closePath();
+}
+
+// Shorten text with an ellipsis until it fits
+function fitText(ctx, text, maxWidth) {
+  if (ctx.measureText(text).width <= maxWidth) return text;
+  let end = text.length;
+  while (end > 0 && ctx.measureText(`${text.slice(0, end)}…`).width > maxWidth) end--;
+  return `${text.slice(0, end)}…`;
+}
+
+// Break text into lines no wider than maxWidth, honouring newlines
+function wrapText(ctx, text, maxWidth) {
+  const lines = [];
+  for (const paragraph of String(text).split('\n')) {
+    let line = '';
+    for (const word of paragraph.split(' ')) {
+      const next = line ? `${line} ${word}` : word;
+      if (line && ctx.measureText(next).width > maxWidth) {
+        lines.push(line);
+        line = word;
+      } else {
+        line = next;
+      }
+    }
+    lines.push(line);
+  }
+  return lines;
+}
+
+function drawButton(ctx, x, y, w, h, text, { hover = false, enabled = true } = {}) {
+  roundRect(ctx, x, y, w, h, h * 0.15);
+  ctx.fillStyle = hover && enabled ? UI_COLORS.hover : UI_COLORS.button;
+  ctx.fill();
+  if (hover && enabled) {
+    ctx.strokeStyle = UI_COLORS.accent;
+    ctx.lineWidth = 2;
+    ctx.stroke();
+  }
+  ctx.fillStyle = enabled ? UI_COLORS.text : UI_COLORS.disabled;
+  ctx.font = font(h / PX_PER_M * 0.45);
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'middle';
+  ctx.fillText(fitText(ctx, text, w - h * 0.3), x + w / 2, y + h / 2);
+}
+
+function drawRowLabel(ctx, widget, text, maxWidth) {
+  ctx.fillStyle = widget.enabled ? UI_COLORS.dim : UI_COLORS.disabled;
+  ctx.font = font(FONT_SIZES.body);
+  ctx.textAlign = 'left';
+  ctx.textBaseline = 'middle';
+  ctx.fillText(fitText(ctx, text, maxWidth), widget.x, widget.y + widget.h / 2);
+}
+
+/**
+ * Base class for panel widgets. The panel lays widgets out top to bottom
+ * and sets their canvas rect (x, y, w, h in pixels) before drawing.
+ * Subclass it for custom widgets (e.g. an inventory grid).
+ */
+export class UIWidget {
+  constructor(height = ROW) {
+    this.height = height; // metres
+    this.enabled = true;
+    this.panel = null;
+    this.x = 0;
+    this.y = 0;
+    this.w = 0;
+    this.h = 0;
+  }
+
+  /**
+   * Draw into the panel canvas.
+   * @param {CanvasRenderingContext2D} ctx
+   * @param {*} hover - part under a pointer (see partAt), or null
+   */
+  draw(ctx, hover) {}
+
+  /** Which part of the widget is at canvas point (x, y): null if it isn't interactive there. */
+  partAt(x, y) {
+    return null;
+  }
+
+  /** Pointer pressed on `part`. Return true to keep receiving drag() until release. */
+  press(part, x, y, hand) {
+    return false;
+  }
+
+  drag(x, y) {}
+
+  release() {}
+
+  setEnabled(enabled) {
+    this.enabled = enabled;
+    this.redraw();
+  }
+
+  redraw() {
+    if (this.panel) this.panel.redraw();
+  }
+}
+
+/** Text, word-wrapped to at most `lines` lines. */
+export class UILabel extends UIWidget {
+  constructor(text, { size = 'body', lines = 1, align = 'center', color = null } = {}) {
+    const fontSize = FONT_SIZES[size] || FONT_SIZES.body;
+    super(fontSize * LINE_HEIGHT * lines);
+    this.text = text;
+    this.fontSize = fontSize;
+    this.bold = size === 'title';
+    this.lines = lines;
+    this.align = align;
+    this.color = color || (size === 'small' ? UI_COLORS.dim : UI_COLORS.text);
+  }
+
+  setText(text) {
+    if (text === this.text) return;
+    this.text = text;
+    this.redraw();
+  }
+
+  draw(ctx) {
+    ctx.fillStyle = this.color;
+    ctx.font = font(this.fontSize, this.bold);
+    ctx.textAlign = this.align;
+    ctx.textBaseline = 'middle';
+    const x = this.align === 'left' ? this.x : this.align === 'right' ? this.x + this.w : this.x + this.w / 2;
+    const lineHeight = this.h / this.lines;
+    const lines = wrapText(ctx, this.text, this.w);
+    for (let i = 0; i < Math.min(lines.length, this.lines); i++) {
+      const more = i === this.lines - 1 && lines.length > this.lines;
+      const text = fitText(ctx, more ? `${lines[i]}…` : lines[i], this.w);
+      ctx.fillText(text, x, this.y + lineHeight * (i + 0.5));
+    }
+  }
+}
+
+/** A full-width button; `onClick(hand)` runs when it is pressed. */
+export class UIButton extends UIWidget {
+  constructor(text, onClick, { enabled = true } = {}) {
+    super();
+    this.text = text;
+    this.onClick = onClick || null;
+    this.enabled = enabled;
+  }
+
+  setText(text) {
+    this.text = text;
+    this.redraw();
+  }
+
+  draw(ctx, hover) {
+    drawButton(ctx, this.x, this.y, this.w, this.h, this.text, { hover: hover !== null, enabled: this.enabled });
+  }
+
+  partAt() {
+    return this.enabled ? 'button' : null;
+  }
+
+  press(part, x, y, hand) {
+    if (this.onClick) this.onClick(hand);
+    return false;
+  }
+}
+
+/** Buttons side by side, sharing the row evenly: [{ text, onClick(hand) }]. */
+export class UIButtonRow extends UIWidget {
+  constructor(buttons) {
+    super();
+    this.buttons = buttons;
+  }
+
+  _buttonWidth() {
+    const n = this.buttons.length;
+    return (this.w - GAP * PX_PER_M * (n - 1)) / n;
+  }
+
+  draw(ctx, hover) {
+    const bw = this._buttonWidth();
+    this.buttons.forEach((button, i) => {
+      const x = this.x + i * (bw + GAP * PX_PER_M);
+      drawButton(ctx, x, this.y, bw, this.h, button.text, { hover: hover === i, enabled: this.enabled });
+    });
+  }
+
+  partAt(x) {
+    if (!this.enabled) return null;
+    const bw = this._buttonWidth();
+    const i = Math.floor((x - this.x) / (bw + GAP * PX_PER_M));
+    if (i < 0 || i >= this.buttons.length) return null;
+    return x - this.x - i * (bw + GAP * PX_PER_M) <= bw ? i : null;
+  }
+
+  press(part, x, y, hand) {
+    const button = this.buttons[part];
+    if (button.onClick) button.onClick(hand);
+    return false;
+  }
+}
+
+/** Label with an on/off switch; `onChange(value)` runs when it is flipped. */
+export class UIToggle extends UIWidget {
+  constructor(label, { value = false, onChange = null } = {}) {
+    super();
+    this.label = label;
+    this.value = value;
+    this.onChange = onChange;
+  }
+
+  /**
+   * @param {boolean} value
+   * @param {boolean} [silent] - don't call onChange (e.g. syncing from settings)
+   */
+  setValue(value, silent = false) {
+    if (value === this.value) return;
+    this.value = value;
+    this.redraw();
+    if (!silent && this.onChange) this.onChange(value);
+  }
+
+  draw(ctx, hover) {
+    const { x, y, w, h } = this;
+    const trackW = h * 1.6;
+    const trackH = h * 0.6;
+    drawRowLabel(ctx, this, this.label, w - trackW - h * 0.3);
+
+    const tx = x + w - trackW;
+    const ty = y + (h - trackH) / 2;
+    roundRect(ctx, tx, ty, trackW, trackH, trackH / 2);
+    ctx.fillStyle = this.value ? UI_COLORS.accent : UI_COLORS.button;
+    ctx.fill();
+    if (hover !== null && this.enabled) {
+      ctx.strokeStyle = UI_COLORS.text;
+      ctx.lineWidth = 2;
+      ctx.stroke();
+    }
+    const knob = trackH * 0.4;
+    ctx.beginPath();
+    ctx.arc(this.value ? tx + trackW - trackH / 2 : tx + trackH / 2, ty + trackH / 2, knob, 0, Math.PI * 2);
+    ctx.fillStyle = this.enabled ? UI_COLORS.text : UI_COLORS.disabled;
+    ctx.fill();
+  }
+
+  partAt() {
+    return this.enabled ? 'toggle' : null;
+  }
+
+  press() {
+    this.setValue(!this.value);
+    return false;
+  }
+}
+
+/** Label with a draggable track between `min` and `max`, snapped to `step` (0 = continuous). */
+export class UISlider extends UIWidget {
+  constructor(label, { min = 0, max = 1, step = 0, value = min, format = null, onChange = null } = {}) {
+    super();
+    this.label = label;
+    this.min = min;
+    this.max = max;
+    this.step = step;
+    this.value = value;
+    this.format = format || (v => String(Math.round(v * 100) / 100));
+    this.onChange = onChange;
+  }
+
+  /**
+   * @param {number} value - clamped to min..max and snapped to step
+   * @param {boolean} [silent] - don't call onChange
+   */
+  setValue(value, silent = false) {
+    let v = THREE.MathUtils.clamp(value, this.min, this.max);
+    if (this.step > 0) v = this.min + Math.round((v - this.min) / this.step) * this.step;
+    if (v === this.value) return;
+    this.value = v;
+    this.redraw();
+    if (!silent && this.onChange) this.onChange(v);
+  }
+
+  // Track extent in canvas px
+  _track() {
+    const start = this.x + this.w * 0.36;
+    return { start, end: this.x + this.w * 0.8 };
+  }
+
+  draw(ctx, hover) {
+    const { y, h } = this;
+    drawRowLabel(ctx, this, this.label, this.w * 0.34);
+
+    const { start, end } = this._track();
+    const cy = y + h / 2;
+    const t = this.max > this.min ? (this.value - this.min) / (this.max - this.min) : 0;
+    ctx.lineCap = 'round';
+    ctx.lineWidth = h * 0.12;
+    ctx.strokeStyle = UI_COLORS.button;
+    ctx.beginPath();
+    ctx.moveTo(start, cy);
+    ctx.lineTo(end, cy);
+    ctx.stroke();
+    ctx.strokeStyle = this.enabled ? UI_COLORS.accent : UI_COLORS.disabled;
+    ctx.beginPath();
+    ctx.moveTo(start, cy);
+    ctx.lineTo(start + (end - start) * t, cy);
+    ctx.stroke();
+
+    ctx.beginPath();
+    ctx.arc(start + (end - start) * t, cy, h * (hover !== null && this.enabled ? 0.26 : 0.22), 0, Math.PI * 2);
+    ctx.fillStyle = this.enabled ? UI_COLORS.text : UI_COLORS.disabled;
+    ctx.fill();
+
+    ctx.fillStyle = UI_COLORS.text;
+    ctx.font = font(FONT_SIZES.body);
+    ctx.textAlign = 'right';
+    ctx.textBaseline = 'middle';
+    ctx.fillText(fitText(ctx, this.format(this.value), this.w * 0.18), this.x + this.w, cy);
+  }
+
+  partAt() {
+    return this.enabled ? 'track' : null;
+  }
+
+  press(part, x) {
+    this.drag(x);
+    return true;
+  }
+
+  drag(x) {
+    const { start, end } = this._track();
+    this.setValue(this.min + THREE.MathUtils.clamp((x - start) / (end - start), 0, 1) * (this.max - this.min));
+  }
+}
+
+/** Label with ‹ › arrows cycling through `options` (wrapping around). */
+export class UISelect extends UIWidget {
+  constructor(label, { options = [], value = options[0], format = null, onChange = null } = {}) {
+    super();
+    this.label = label;
+    this.options = options;
+    this.value = value;
+    this.format = format || (v => String(v));
+    this.onChange = onChange;
+  }
+
+  setOptions(options) {
+    this.options = options;
+    this.redraw();
+  }
+
+  /**
+   * @param {*} value
+   * @param {boolean} [silent] - don't call onChange
+   */
+  setValue(value, silent = false) {
+    if (value === this.value) return;
+    this.value = value;
+    this.redraw();
+    if (!silent && this.onChange) this.onChange(value);
+  }
+
+  /** Step to the previous (-1) or next (1) option. */
+  cycle(step) {
+    const options = this.options;
+    if (options.length === 0) return;
+    const index = options.indexOf(this.value);
+    const next = index === -1 ? 0 : (index + step + options.length) % options.length;
+    this.setValue(options[next]);
+  }
+
+  // Arrow buttons and value text in canvas px
+  _layout() {
+    const size = this.h;
+    const valueW = this.w * 0.32;
+    const next = this.x + this.w - size;
+    const value = next - valueW;
+    return { size, prev: value - size, value, valueW, next };
+  }
+
+  draw(ctx, hover) {
+    const { y, h } = this;
+    const { size, prev, value, valueW, next } = this._layout();
+    drawRowLabel(ctx, this, this.label, prev - this.x - h * 0.2);
+    drawButton(ctx, prev, y, size, h, '‹', { hover: hover === 'prev', enabled: this.enabled });
+    drawButton(ctx, next, y, size, h, '›', { hover: hover === 'next', enabled: this.enabled });
+    ctx.fillStyle = this.enabled ? UI_COLORS.text : UI_COLORS.disabled;
+    ctx.font = font(FONT_SIZES.body);
+    ctx.textAlign = 'center';
+    ctx.fillText(fitText(ctx, this.format(this.value), valueW - h * 0.2), value + valueW / 2, y + h / 2);
+  }
+
+  partAt(x) {
+    if (!this.enabled) return null;
+    const { size, prev, next } = this._layout();
+    if (x >= prev && x <= prev + size) return 'prev';
+    if (x >= next) return 'next';
+    return null;
+  }
+
+  press(part) {
+    this.cycle(part === 'prev' ? -1 : 1);
+    return false;
+  }
+}
+
+/**
+ * A scrolling list of buttons, `rows` tall. Items are strings or objects
+ * with a `label` (or pass `format`); `onSelect(item, index, hand)` runs
+ * when one is pressed.
+ */
+export class UIList extends UIWidget {
+  constructor({ items = [], rows = 4, format = null, onSelect = null } = {}) {
+    super(rows * ROW + (rows - 1) * GAP);
+    this.items = items;
+    this.rows = rows;
+    this.format = format || (item => (item && item.label !== undefined ? item.label : String(item)));
+    this.onSelect = onSelect;
+    this.scroll = 0; // index of the first visible item
+  }
+
+  setItems(items) {
+    this.items = items;
+    this.scroll = 0;
+    this.redraw();
+  }
+
+  get _scrollable() {
+    return this.items.length > this.rows;
+  }
+
+  _rowRect(i) {
+    const rowH = ROW * PX_PER_M;
+    const gap = GAP * PX_PER_M;
+    const w = this._scrollable ? this.w - rowH - gap : this.w;
+    return { x: this.x, y: this.y + i * (rowH + gap), w, h: rowH };
+  }
+
+  draw(ctx, hover) {
+    const visible = Math.min(this.rows, this.items.length - this.scroll);
+    for (let i = 0; i < visible; i++) {
+      const { x, y, w, h } = this._rowRect(i);
+      const index = this.scroll + i;
+      drawButton(ctx, x, y, w, h, this.format(this.items[index]), { hover: hover === index, enabled: this.enabled });
+    }
+    if (!this._scrollable) return;
+
+    const size = ROW * PX_PER_M;
+    const x = this.x + this.w - size;
+    const canUp = this.scroll > 0;
+    const canDown = this.scroll + this.rows < this.items.length;
+    drawButton(ctx, x, this.y, size, size, '▲', { hover: hover === 'up', enabled: canUp });
+    drawButton(ctx, x, this.y + this.h - size, size, size, '▼', { hover: hover === 'down', enabled: canDown });
+  }
+
+  partAt(x, y) {
+    if (!this.enabled) return null;
+    if (this._scrollable && x >= this.x + this.w - ROW * PX_PER_M) {
+      return y < this.y + this.h / 2 ? 'up' : 'down';
+    }
+    const i = Math.floor((y - this.y) / ((ROW + GAP) * PX_PER_M));
+    const index = this.scroll + i;
+    if (i < 0 || i >= this.rows || index >= this.items.length) return null;
+    // Gaps between rows aren't part of either row
+    return y - this._rowRect(i).y <= ROW * PX_PER_M ? index : null;
+  }
+
+  press(part, x, y, hand) {
+    if (part === 'up' || part === 'down') {
+      const max = Math.max(0, this.items.length - this.rows);
+      this.scroll = THREE.MathUtils.clamp(this.scroll + (part === 'up' ? -1 : 1), 0, max);
+      this.redraw();
+    } else if (this.onSelect) {
+      this.onSelect(this.items[part], part, hand);
+    }
+    return false;
+  }
+}
+
+/**
+ * A world-space UI panel: widgets stacked top to bottom, drawn to one canvas
+ * texture and used by pointing the controller rays (trigger to press),
+ * touching with a tracked fingertip, or with the desktop mouse — the
+ * crosshair while it is captured, the free cursor otherwise. Panels are
+ * menu controls, so they stay usable while the game is paused.
+ *
+ * Anchors: 'world' stays where it is put (see placeInFront), 'head' follows
+ * the view, 'wrist' is worn on `hand` (head-locked outside VR).
+ *
+ *   const panel = new UIPanel(engine, { title: 'Backpack', anchor: 'wrist' });
+ *   panel.add(new UIList({ items, onSelect: (item) => equip(item) }));
+ *   panel.show();
+ */
+export class UIPanel {
+  /**
+   * @param {Engine} engine
+   * @param {object} [options]
+   * @param {number} [options.width=0.5] - metres; the height follows the content
+   * @param {string} [options.anchor='world'] - 'world', 'head' or 'wrist'
+   * @param {string} [options.hand='left'] - wrist the panel is worn on
+   * @param {number[]} [options.offset] - [x, y, z] from the camera or wrist
+   * @param {string} [options.title] - adds a title label at the top
+   * @param {boolean} [options.interactive=true] - false for display-only panels
+   */
+  constructor(engine, options = {}) {
+    this.engine = engine;
+    this.width = options.width || 0.5;
+    this.anchor = options.anchor || 'world';
+    this.hand = options.hand || 'left';
+    this.offset = options.offset
+      ? new THREE.Vector3().fromArray(options.offset)
+      : (this.anchor === 'wrist' ? WRIST_OFFSET : HEAD_OFFSET).clone();
+    this.widgets = [];
+    this.height = PADDING * 2;
+
+    this._visible = false;
+    this._dirty = true;
+    this._hover = { left: null, right: null, desktop: null }; // { widget, part } under each pointer
+    this._drag = null; // { hand, widget } while a slider is held
+
+    this._canvas = document.createElement('canvas');
+    this._texture = new THREE.CanvasTexture(this._canvas);
+    const head = this.anchor !== 'world';
+    const material = new THREE.MeshBasicMaterial({
+      map: this._texture,
+      transparent: true,
+      depthTest: !head, // head and wrist panels draw over the world, like the HUD
+      side: head ? THREE.DoubleSide : THREE.FrontSide,
+    });
+    this.mesh = new THREE.Mesh(new THREE.PlaneGeometry(1, 1), material);
+    this.mesh.visible = false;
+    if (head) this.mesh.renderOrder = 998;
+
+    this.interactable = options.interactive === false ? null : new Interactable(this.mesh, {
+      type: 'activate',
+      ui: true,
+      onActivate: (hand, point) => this._press(hand, point),
+      onActivateEnd: (hand) => this._release(hand),
+      onPointerMove: (hand, point) => this._pointerMove(hand, point),
+      onHoverExit: (hand) => this._setHover(hand, null),
+    });
+
+    if (options.title) this.add(new UILabel(options.title, { size: 'title' }));
+  }
+
+  get visible() {
+    return this._visible;
+  }
+
+  /** Append a widget; returns it. */
+  add(widget) {
+    widget.panel = this;
+    this.widgets.push(widget);
+    this.redraw();
+    return widget;
+  }
+
+  remove(widget) {
+    const idx = this.widgets.indexOf(widget);
+    if (idx === -1) return;
+    this.widgets.splice(idx, 1);
+    widget.panel = null;
+    this._forget(widget);
+    this.redraw();
+  }
+
+  /** Remove every widget, e.g. to show another page in the same place. */
+  clear() {
+    for (const widget of this.widgets) widget.panel = null;
+    this.widgets.length = 0;
+    this._forget(null);
+    this.redraw();
+  }
+
+  show() {
+    if (this._visible) return;
+    this._visible = true;
+    const engine = this.engine;
+    if (this.anchor === 'head') {
+      engine.camera.add(this.mesh);
+      this.mesh.position.copy(this.offset);
+      this.mesh.quaternion.identity();
+    } else if (this.anchor === 'world' && !this.mesh.parent) {
+      engine.scene.add(this.mesh);
+    }
+    this.mesh.visible = true;
+    if (this.interactable) engine.interactionSystem.register(this.interactable);
+    _shown.add(this);
+    this.update();
+  }
+
+  hide() {
+    if (!this._visible) return;
+    this._visible = false;
+    this.mesh.visible = false;
+    if (this.interactable) this.engine.interactionSystem.unregister(this.interactable);
+    _shown.delete(this);
+    this._forget(null);
+  }
+
+  toggle() {
+    if (this._visible) this.hide();
+    else this.show();
+  }
+
+  /**
+   * Stand the panel `distance` metres in front of the player, facing them
+   * (world-anchored panels).
+   */
+  placeInFront(distance = 1.0, drop = 0.1) {
+    const camera = this.engine.camera;
+    camera.getWorldPosition(_camPos);
+    camera.getWorldDirection(_forward);
+    _forward.y = 0;
+    if (_forward.lengthSq() < 1e-6) _forward.set(0, 0, -1);
+    _forward.normalize();
+    if (this.mesh.parent !== this.engine.scene) this.engine.scene.add(this.mesh);
+    this.mesh.position.copy(_camPos).addScaledVector(_forward, distance);
+    this.mesh.position.y -= drop;
+    this.mesh.lookAt(_camPos.x, this.mesh.position.y, _camPos.z);
+  }
+
+  /** Redraw on the next frame (widgets call this when they change). */
+  redraw() {
+    this._dirty = true;
+  }
+
+  update() {
+    if (this.anchor === 'wrist') this._followWrist();
+    if (this._dirty) this._draw();
+  }
+
+  /** Remove the panel for good and free its texture. */
+  dispose() {
+    this.hide();
+    this.mesh.removeFromParent();
+    this.mesh.geometry.dispose();
+    this.mesh.material.dispose();
+    this._texture.dispose();
+  }
+
+  // ─── Layout and drawing ─────────────────────────────────
+
+  _layout() {
+    let y = PADDING;
+    for (const widget of this.widgets) {
+      widget.x = PADDING * PX_PER_M;
+      widget.y = y * PX_PER_M;
+      widget.w = (this.width - PADDING * 2) * PX_PER_M;
+      widget.h = widget.height * PX_PER_M;
+      y += widget.height + GAP;
+    }
+    this.height = Math.max(y - (this.widgets.length ? GAP : 0) + PADDING, PADDING * 2);
+
+    const width = Math.round(this.width * PX_PER_M);
+    const height = Math.round(this.height * PX_PER_M);
+    if (this._canvas.width !== width || this._canvas.height !== height) {
+      // A texture can't change size once uploaded; swap in a fresh one
+      this._canvas.width = width;
+      this._canvas.height = height;
+      this._texture.dispose();
+      this._texture = new THREE.CanvasTexture(this._canvas);
+      this.mesh.material.map = this._texture;
+    }
+    this.mesh.scale.set(this.width, this.height, 1);
+  }
+
+  _draw() {
+    this._dirty = false;
+    this._layout();
+    const canvas = this._canvas;
+    const ctx = canvas.getContext('2d');
+    ctx.clearRect(0, 0, canvas.width, canvas.height);
+
+    roundRect(ctx, 2, 2, canvas.width - 4, canvas.height - 4, PADDING * PX_PER_M * 0.6);
+    ctx.fillStyle = UI_COLORS.background;
+    ctx.fill();
+    ctx.strokeStyle = UI_COLORS.border;
+    ctx.lineWidth = 3;
+    ctx.stroke();
+
+    for (const widget of this.widgets) {
+      ctx.save();
+      widget.draw(ctx, this._hoverPart(widget));
+      ctx.restore();
+    }
+    this._texture.needsUpdate = true;
+  }
+
+  // What part of a widget any pointer is over (the first found), or null
+  _hoverPart(widget) {
+    for (const hover of Object.values(this._hover)) {
+      if (hover && hover.widget === widget) return hover.part;
+    }
+    return null;
+  }
+
+  // ─── Pointers ───────────────────────────────────────────
+
+  // World point on the panel → canvas px
+  _toCanvas(point) {
+    _local.copy(point);
+    this.mesh.worldToLocal(_local);
+    return { x: (_local.x + 0.5) * this._canvas.width, y: (0.5 - _local.y) * this._canvas.height };
+  }
+
+  _widgetAt(x, y) {
+    for (const widget of this.widgets) {
+      if (y < widget.y || y > widget.y + widget.h || x < widget.x || x > widget.x + widget.w) continue;
+      const part = widget.partAt(x, y);
+      return part === null ? null : { widget, part };
+    }
+    return null;
+  }
+
+  _setHover(hand, hover) {
+    const prev = this._hover[hand];
+    const same = prev === hover || (prev && hover && prev.widget === hover.widget && prev.part === hover.part);
+    if (same) return;
+    this._hover[hand] = hover;
+    this.redraw();
+  }
+
+  _pointerMove(hand, point) {
+    const { x, y } = this._toCanvas(point);
+    if (this._drag && this._drag.hand === hand) this._drag.widget.drag(x, y);
+    this._setHover(hand, this._widgetAt(x, y));
+  }
+
+  _press(hand, point) {
+    const { x, y } = this._toCanvas(point);
+    const hit = this._widgetAt(x, y);
+    if (!hit) return;
+    if (hit.widget.press(hit.part, x, y, hand)) this._drag = { hand, widget: hit.widget };
+  }
+
+  _release(hand) {
+    // A fingertip leaving gets no hover exit; pointers still over the panel
+    // report again next frame
+    this._setHover(hand, null);
+    if (!this._drag || this._drag.hand !== hand) return;
+    const widget = this._drag.widget;
+    this._drag = null;
+    widget.release();
+  }
+
+  // Drop pointer state for a removed widget (or all, for null)
+  _forget(widget) {
+    for (const hand of Object.keys(this._hover)) {
+      const hover = this._hover[hand];
+      if (hover && (widget === null || hover.widget === widget)) this._hover[hand] = null;
+    }
+    if (this._drag && (widget === null || this._drag.widget === widget)) this._drag = null;
+  }
+
+  // ─── Wrist anchor ───────────────────────────────────────
+
+  _followWrist() {
+    const engine = this.engine;
+    const mesh = this.mesh;
+    if (!engine.renderer.xr.isPresenting) {
+      if (mesh.parent !== engine.camera) engine.camera.add(mesh);
+      mesh.position.copy(HEAD_OFFSET);
+      mesh.quaternion.identity();
+      return;
+    }
+
+    const tracked = engine.inputManager.hands[this.hand];
+    if (tracked.tracked) {
+      // Grip spaces don't follow tracked hands; use the wrist joint (rig space)
+      if (mesh.parent !== engine.cameraRig) engine.cameraRig.add(mesh);
+      _matrix.makeRotationFromEuler(WRIST_ROTATION).setPosition(this.offset).premultiply(tracked.wrist);
+      _matrix.decompose(mesh.position, mesh.quaternion, _scale);
+    } else {
+      const vr = engine.vrSetup;
+      const grip = this.hand === 'left' ? vr.controllerGrip0 : vr.controllerGrip1;
+      if (mesh.parent !== grip) grip.add(mesh);
+      mesh.position.copy(this.offset);
+      mesh.quaternion.setFromEuler(WRIST_ROTATION);
+    }
+  }
+}
@@ -0,0 +1,90 @@
+import * as THREE from 'three';
+
+// Motion that gives a full-strength vignette
+const FULL_SPEED = 3;            // m/s of rig movement
+const FULL_TURN = Math.PI / 2;   // rad/s of rig rotation
+const WARP_SPEED = 20;           // faster than this is a teleport or respawn, not motion
+const FADE_IN = 8;               // amount per second
+const FADE_OUT = 3;
+
+const _pos = new THREE.Vector3();
+const _quat = new THREE.Quaternion();
+const _euler = new THREE.Euler(0, 0, 0, 'YXZ');
+
+/**
+ * Comfort vignette: darkens the edges of the view in VR while the rig moves
+ * or turns (stick movement, smooth and snap turn, falling, riding platforms).
+ * Head movement doesn't trigger it. Strength is the `vignette` comfort setting.
+ */
+export class Vignette {
+  constructor(engine) {
+    this._engine = engine;
+    this.amount = 0;
+    this._prevPos = new THREE.Vector3();
+    this._prevYaw = 0;
+    this._warped = true;
+
+    engine.eventBus.on('player:teleported', () => { this._warped = true; });
+
+    // Drawn in tangent space around the view axis, so `clear` is tan(half-angle)
+    const material = new THREE.ShaderMaterial({
+      uniforms: { amount: { value: 0 } },
+      vertexShader: `
+        varying vec2 vPos;
+        void main() {
+          vPos = position.xy / 0.3;
+          gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+        }
+      `,
+      fragmentShader: `
+        uniform float amount;
+        varying vec2 vPos;
+        void main() {
+          float clear = mix(2.0, 0.7, amount);
+          float alpha = smoothstep(clear, clear + 0.4, length(vPos)) * min(amount * 4.0, 1.0);
+          gl_FragColor = vec4(0.0, 0.0, 0.0, alpha);
+        }
+      `,
+      transparent: true,
+      depthTest: false,
+      depthWrite: false,
+    });
+    const mesh = new THREE.Mesh(new THREE.PlaneGeometry(3, 3), material);
+    mesh.position.z = -0.3;
+    mesh.renderOrder = 997; // under the HUD panel and fade overlay
+    mesh.frustumCulled = false;
+    mesh.visible = false;
+    engine.camera.add(mesh);
+    this._mesh = mesh;
+  }
+
+  update(dt) {
+    const engine = this._engine;
+    const rig = engine.cameraRig;
+    rig.getWorldPosition(_pos);
+    rig.getWorldQuaternion(_quat);
+    _euler.setFromQuaternion(_quat, 'YXZ');
+    const yaw = _euler.y;
+
+    let target = 0;
+    if (!this._warped && dt > 0) {
+      const speed = _pos.distanceTo(this._prevPos) / dt;
+      let turn = Math.abs(yaw - this._prevYaw);
+      if (turn > Math.PI) turn = Math.PI * 2 - turn;
+      if (speed < WARP_SPEED) {
+        const motion = Math.max(speed / FULL_SPEED, turn / dt / FULL_TURN);
+        target = Math.min(motion, 1) * engine.comfort.get('vignette');
+      }
+    }
+    this._warped = false;
+    this._prevPos.copy(_pos);
+    this._prevYaw = yaw;
+
+    if (!engine.renderer.xr.isPresenting) target = 0;
+    const rate = target > this.amount ? FADE_IN : FADE_OUT;
+    this.amount += THREE.MathUtils.clamp(target - this.amount, -rate * dt, rate * dt);
+
+    this._mesh.material.uniforms.amount.value = this.amount;
+    this._mesh.visible = this.amount > 0.001;
+  }
+}
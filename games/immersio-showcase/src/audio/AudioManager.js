@@ -1,13 +1,79 @@
+import * as THREE from 'three';
+
+// Ambient layer generators, with the volume and filter each uses unless the layer sets its own
+const LAYERS = {
+  wind: { volume: 0.3, filter: { type: 'lowpass', frequency: 400 } },
+  ocean: { volume: 0.4, filter: { type: 'lowpass', frequency: 600 } },
+  rain: { volume: 0.2, filter: { type: 'highpass', frequency: 1500 } },
+  hum: { volume: 0.08, filter: null },
+  drips: { volume: 1, filter: null },
+  fire: { volume: 0.5, filter: { type: 'highpass', frequency: 600 } },
+  portal: { volume: 0.15, filter: { type: 'lowpass', frequency: 900 } },
+};
+
+// Random one-shot emitters, with their volume and [min, max] seconds between plays
+const ONE_SHOTS = {
+  bird: { volume: 1, interval: [4, 12] },
+  thunder: { volume: 1, interval: [20, 60] },
+  drip: { volume: 1, interval: [2, 7] },
+};
+
+// Layers of the `ambient` presets
+const PRESETS = {
+  outdoor: [{ type: 'wind' }],
+  indoor: [{ type: 'hum' }, { type: 'drips' }],
+  cave: [{ type: 'hum' }, { type: 'drips' }],
+  water: [{ type: 'ocean' }],
+  beach: [{ type: 'ocean' }],
+  none: [],
+};
+
+// Sounds playSound() and one-shot emitters can play, and the method that synthesizes each
+const SOUNDS = {
+  activate: '_playActivate',
+  solved: '_playSolved',
+  gameComplete: '_playGameComplete',
+  transition: '_playTransition',
+  notification: '_playNotification',
+  bird: '_playBird',
+  thunder: '_playThunder',
+  drip: '_playDrip',
+};
+
+// How positional sounds fade with distance (PannerNode settings), unless a sound sets its own
+const FALLOFF = { refDistance: 1, rolloffFactor: 1, maxDistance: 50 };
+
+// Puzzle sounds this soon (seconds) after the player activates an object come from that object
+const INTERACTION_WINDOW = 1;
+
+const _position = new THREE.Vector3();
+const _quaternion = new THREE.Quaternion();
+const _scale = new THREE.Vector3();
+const _forward = new THREE.Vector3();
+const _up = new THREE.Vector3();
+
 /**
  * AudioManager — Procedural audio system using Web Audio API.
  * No external audio files needed. All sounds are synthesized.
+ *
+ * A level's ambience comes from its `environment.audio` block (see
+ * startAmbient): a preset, extra layers with their own volume and filter,
+ * and one-shots that play at random intervals.
+ *
+ * Positional sounds go through an HRTF PannerNode and are heard from the
+ * camera (the player's head in VR), which update() follows every frame:
+ * attach() keeps a looping sound on an object or spot, playSound() and
+ * outputAt() play one-off sounds somewhere in the world.
  */
 export class AudioManager {
   constructor(eventBus) {
     this.eventBus = eventBus;
     this._ctx = null;
     this._masterGain = null;
-    this._ambientNodes = [];
+    this._ambientGain = null; // all ambient layers and one-shots of the level
+    this._ambient = { nodes: [], timers: new Set() };
+    this._emitters = new Set();
+    this._lastInteraction = null; // { object, time } of the last object the player used
     this._muted = false;
 
     this._bindEvents();
@@ -27,38 +93,194 @@ export class AudioManager {
     return this._ctx;
   }
 
+  /** The AudioContext, for code that synthesizes its own sounds (connect them to outputAt()); null without audio. */
+  get context() {
+    return this._ensureContext();
+  }
+
   _bindEvents() {
-    this.eventBus.on('puzzle:activated', () => this._playActivate());
-    this.eventBus.on('puzzle:solved', () => this._playSolved());
-    this.eventBus.on('game:complete', () => this._playGameComplete());
-    this.eventBus.on('level:transition', () => this._playTransition());
-    this.eventBus.on('notification', () => this._playNotification());
+    // Remember what the player last used, so the puzzle sounds it sets off come from there
+    this.eventBus.on('object:activated', ({ mesh }) => this._interacted(mesh));
+    this.eventBus.on('control:changed', ({ control }) => this._interacted(control.object));
+    this.eventBus.on('control:pressed', ({ control }) => this._interacted(control.object));
+    this.eventBus.on('puzzle:activated', () => this.playSound('activate', this._interactionSource()));
+    this.eventBus.on('puzzle:solved', () => this.playSound('solved', this._interactionSource()));
+    this.eventBus.on('game:complete', () => this.playSound('gameComplete'));
+    this.eventBus.on('level:transition', () => this.playSound('transition'));
+    this.eventBus.on('notification', () => this.playSound('notification'));
+  }
+
+  /**
+   * Move the listener to the camera and positional sounds to the objects
+   * they are attached to. Called by the engine every frame.
+   * @param {THREE.Camera} camera
+   */
+  update(camera) {
+    const ctx = this._ctx;
+    if (!ctx) return;
+
+    camera.matrixWorld.decompose(_position, _quaternion, _scale);
+    _forward.set(0, 0, -1).applyQuaternion(_quaternion);
+    _up.set(0, 1, 0).applyQuaternion(_quaternion);
+    const listener = ctx.listener;
+    if (listener.positionX) {
+      listener.positionX.value = _position.x;
+      listener.positionY.value = _position.y;
+      listener.positionZ.value = _position.z;
+      listener.forwardX.value = _forward.x;
+      listener.forwardY.value = _forward.y;
+      listener.forwardZ.value = _forward.z;
+      listener.upX.value = _up.x;
+      listener.upY.value = _up.y;
+      listener.upZ.value = _up.z;
+    } else {
+      // Firefox only has the deprecated setters
+      listener.setPosition(_position.x, _position.y, _position.z);
+      listener.setOrientation(_forward.x, _forward.y, _forward.z, _up.x, _up.y, _up.z);
+    }
+
+    for (const emitter of this._emitters) {
+      if (emitter.target.isObject3D) this._placePanner(emitter.panner, emitter.target);
+    }
   }
 
   /**
-   * Start ambient sound for a level based on environment type.
-   * @param {'outdoor'|'indoor'|'cave'|'water'} type
+   * Start a level's ambient sound, replacing the current one.
+   *
+   *   startAmbient({
+   *     ambient: 'beach',  // preset: outdoor, indoor, cave, water, beach or none
+   *     volume: 1,         // scales everything below
+   *     layers: [{ type: 'wind', volume: 0.15, filter: { type: 'lowpass', frequency: 300 } }],
+   *     oneShots: [{ type: 'bird', interval: [4, 12], volume: 0.6 }],
+   *   });
+   *
+   * `layers` play on top of the preset's (types: wind, ocean, rain, hum,
+   * drips, fire, portal); `filter: null` plays a layer unfiltered. One-shot
+   * types: bird, thunder, drip.
+   * @param {string|object} audio — a preset name or an `environment.audio` block
    */
-  startAmbient(type) {
+  startAmbient(audio) {
     this.stopAmbient();
     const ctx = this._ensureContext();
     if (!ctx) return;
 
-    switch (type) {
-      case 'outdoor': this._ambientWind(); break;
-      case 'water':
-      case 'beach': this._ambientOcean(); break;
-      case 'cave':
-      case 'indoor': this._ambientCave(); break;
-      default: this._ambientWind(); break;
+    const config = typeof audio === 'string' ? { ambient: audio } : audio || {};
+    let preset = PRESETS[config.ambient || 'outdoor'];
+    if (!preset) {
+      console.warn(`Unknown ambient preset "${config.ambient}", using outdoor`);
+      preset = PRESETS.outdoor;
+    }
+
+    this._ambientGain = ctx.createGain();
+    this._ambientGain.gain.value = config.volume ?? 1;
+    this._ambientGain.connect(this._masterGain);
+
+    for (const layer of [...preset, ...(config.layers || [])]) {
+      this._startLayer(layer, this._ambientGain, this._ambient);
+    }
+    for (const shot of config.oneShots || []) {
+      this._startOneShot(shot, this._ambientGain, this._ambient);
     }
   }
 
   stopAmbient() {
-    for (const node of this._ambientNodes) {
-      try { node.stop(); } catch (e) { /* already stopped */ }
+    this._stopSources(this._ambient);
+    if (this._ambientGain) {
+      this._ambientGain.disconnect();
+      this._ambientGain = null;
+    }
+  }
+
+  // ─── Positional sound ───────────────────────────────────
+
+  /**
+   * Attach a sound to an object, or to a fixed spot, until detach().
+   *
+   *   audioManager.attach(portal, { type: 'portal', refDistance: 2 });
+   *   audioManager.attach(new THREE.Vector3(4, 3, -6), { type: 'drip', interval: [1, 4] });
+   *
+   * `type` is an ambient layer (wind, ocean, rain, hum, drips, fire, portal),
+   * which loops, or a sound playSound() knows, which repeats every
+   * `interval` [min, max] seconds (by default the one-shot's, or 2–6) — or
+   * plays once from where `target` is now when `loop` is false, as
+   * playSound() does; there is nothing to detach then.
+   * `volume`, `filter` and `frequency` work as for startAmbient() layers;
+   * `refDistance`, `rolloffFactor` and `maxDistance` set how it fades with
+   * distance (PannerNode, inverse model).
+   * @param {THREE.Object3D|THREE.Vector3} target — followed as it moves
+   * @param {object} options
+   * @returns {object|null} the emitter, for detach(); null if it can't play or plays once
+   */
+  attach(target, options = {}) {
+    const ctx = this._ensureContext();
+    if (!ctx) return null;
+    const { type, loop = true } = options;
+    if (!LAYERS[type] && !SOUNDS[type]) {
+      console.warn(`Unknown sound "${type}"`);
+      return null;
+    }
+    if (!LAYERS[type] && !loop) {
+      this.playSound(type, target, options);
+      return null;
+    }
+
+    const panner = this._createPanner(options);
+    this._placePanner(panner, target);
+    panner.connect(this._masterGain);
+    const emitter = { target, panner, nodes: [], timers: new Set() };
+
+    if (LAYERS[type]) {
+      this._startLayer(options, panner, emitter);
+    } else {
+      this._startOneShot(options, panner, emitter);
+    }
+    this._emitters.add(emitter);
+    return emitter;
+  }
+
+  /** Stop and remove a sound made by attach(). Safe to call more than once. */
+  detach(emitter) {
+    if (!emitter || !this._emitters.delete(emitter)) return;
+    this._stopSources(emitter);
+    emitter.panner.disconnect();
+  }
+
+  /**
+   * Play a one-off sound: activate, solved, gameComplete, transition,
+   * notification, bird, thunder or drip.
+   * @param {string} name
+   * @param {THREE.Object3D|THREE.Vector3} [at] — where it comes from; without it the sound plays inside the player's head
+   * @param {object} [options] — `volume` and falloff, as for attach()
+   */
+  playSound(name, at, options = {}) {
+    if (!SOUNDS[name]) {
+      console.warn(`Unknown sound "${name}"`);
+      return;
     }
-    this._ambientNodes.length = 0;
+    const output = this.outputAt(at, options);
+    if (output) this[SOUNDS[name]](output);
+  }
+
+  /**
+   * A node to connect your own one-off sounds to, placed where `at` is now
+   * (it doesn't follow it afterwards). Without `at` it is plain volume.
+   * @param {THREE.Object3D|THREE.Vector3} [at]
+   * @param {object} [options] — `volume` and falloff, as for attach()
+   * @returns {GainNode|null} null when audio is unavailable
+   */
+  outputAt(at, options = {}) {
+    const ctx = this._ensureContext();
+    if (!ctx) return null;
+    const gain = ctx.createGain();
+    gain.gain.value = options.volume ?? 1;
+    if (!at) {
+      gain.connect(this._masterGain);
+      return gain;
+    }
+    const panner = this._createPanner(options);
+    this._placePanner(panner, at);
+    gain.connect(panner).connect(this._masterGain);
+    return gain;
   }
 
   setMuted(muted) {
@@ -68,83 +290,179 @@ export class AudioManager {
     }
   }
 
-  // --- Ambient generators ---
+  _createPanner({ refDistance, rolloffFactor, maxDistance }) {
+    const panner = this._ctx.createPanner();
+    panner.panningModel = 'HRTF';
+    panner.distanceModel = 'inverse';
+    panner.refDistance = refDistance ?? FALLOFF.refDistance;
+    panner.rolloffFactor = rolloffFactor ?? FALLOFF.rolloffFactor;
+    panner.maxDistance = maxDistance ?? FALLOFF.maxDistance;
+    return panner;
+  }
 
-  _ambientWind() {
-    const ctx = this._ctx;
-    const bufferSize = ctx.sampleRate * 4;
-    const buffer = ctx.createBuffer(1, bufferSize, ctx.sampleRate);
-    const data = buffer.getChannelData(0);
-    for (let i = 0; i < bufferSize; i++) {
-      data[i] = (Math.random() * 2 - 1) * 0.15;
+  _placePanner(panner, target) {
+    if (target.isObject3D) {
+      target.getWorldPosition(_position);
+    } else {
+      _position.copy(target);
     }
+    if (panner.positionX) {
+      panner.positionX.value = _position.x;
+      panner.positionY.value = _position.y;
+      panner.positionZ.value = _position.z;
+    } else {
+      panner.setPosition(_position.x, _position.y, _position.z);
+    }
+  }
 
-    const source = ctx.createBufferSource();
-    source.buffer = buffer;
-    source.loop = true;
+  _interacted(object) {
+    this._lastInteraction = { object, time: performance.now() };
+  }
 
-    const filter = ctx.createBiquadFilter();
-    filter.type = 'lowpass';
-    filter.frequency.value = 400;
+  // The object the player just used, if it likely set off the puzzle event
+  _interactionSource() {
+    const last = this._lastInteraction;
+    if (!last || performance.now() - last.time > INTERACTION_WINDOW * 1000) return undefined;
+    return last.object;
+  }
 
+  // Stop what _startLayer / _startOneShot started for an owner (the ambience or an emitter)
+  _stopSources(owner) {
+    for (const timer of owner.timers) clearTimeout(timer);
+    owner.timers.clear();
+    for (const node of owner.nodes) {
+      try { node.stop(); } catch (e) { /* already stopped */ }
+    }
+    owner.nodes.length = 0;
+  }
+
+  // ─── Ambient layers ─────────────────────────────────────
+
+  /** Start a layer into `output`, keeping its sources and timers on `owner` for _stopSources(). */
+  _startLayer(layer, output, owner) {
+    const defaults = LAYERS[layer.type];
+    if (!defaults) {
+      console.warn(`Unknown ambient layer "${layer.type}"`);
+      return;
+    }
+    const ctx = this._ctx;
     const gain = ctx.createGain();
-    gain.gain.value = 0.3;
+    gain.gain.value = layer.volume ?? defaults.volume;
+    gain.connect(output);
+
+    // Generators feed the layer's filter, if it has one, then its volume
+    let input = gain;
+    const filter = layer.filter === undefined ? defaults.filter : layer.filter;
+    if (filter) {
+      const node = ctx.createBiquadFilter();
+      node.type = filter.type || 'lowpass';
+      node.frequency.value = filter.frequency ?? 1000;
+      if (filter.Q !== undefined) node.Q.value = filter.Q;
+      node.connect(gain);
+      input = node;
+    }
 
-    source.connect(filter).connect(gain).connect(this._masterGain);
-    source.start();
-    this._ambientNodes.push(source);
+    switch (layer.type) {
+      case 'wind': owner.nodes.push(this._ambientWind(input)); break;
+      case 'ocean': owner.nodes.push(this._ambientOcean(input)); break;
+      case 'rain': owner.nodes.push(this._ambientRain(input)); break;
+      case 'hum': owner.nodes.push(this._ambientHum(input, layer.frequency ?? 55)); break;
+      case 'fire': owner.nodes.push(this._ambientFire(input)); break;
+      case 'portal': owner.nodes.push(...this._ambientPortal(input, layer.frequency ?? 110)); break;
+      case 'drips': this._repeat(layer.interval || ONE_SHOTS.drip.interval, () => this._playDrip(input), owner); break;
+    }
   }
 
-  _ambientOcean() {
+  _startOneShot(shot, output, owner) {
+    if (!SOUNDS[shot.type]) {
+      console.warn(`Unknown ambient one-shot "${shot.type}"`);
+      return;
+    }
+    const defaults = ONE_SHOTS[shot.type] || { volume: 1, interval: [2, 6] };
+    const gain = this._ctx.createGain();
+    gain.gain.value = shot.volume ?? defaults.volume;
+    gain.connect(output);
+
+    this._repeat(shot.interval || defaults.interval, () => this[SOUNDS[shot.type]](gain), owner);
+  }
+
+  /** Call play() again and again, a random [min, max] seconds apart, until the owner is stopped. */
+  _repeat([min, max], play, owner) {
+    const schedule = () => {
+      const timer = setTimeout(() => {
+        owner.timers.delete(timer);
+        // Timers keep running while the game is paused; the sounds shouldn't pile up
+        if (this._ctx?.state === 'running') play();
+        schedule();
+      }, (min + Math.random() * (max - min)) * 1000);
+      owner.timers.add(timer);
+    };
+    schedule();
+  }
+
+  /** Looping noise source: sample(t) gives each sample of a `seconds` long buffer. */
+  _loopNoise(output, seconds, sample) {
     const ctx = this._ctx;
-    const bufferSize = ctx.sampleRate * 6;
+    const bufferSize = ctx.sampleRate * seconds;
     const buffer = ctx.createBuffer(1, bufferSize, ctx.sampleRate);
     const data = buffer.getChannelData(0);
     for (let i = 0; i < bufferSize; i++) {
-      const t = i / ctx.sampleRate;
-      const wave = Math.sin(t * 0.3) * 0.5 + Math.sin(t * 0.7) * 0.3;
-      data[i] = (Math.random() * 2 - 1) * 0.1 * (0.5 + wave * 0.5);
+      data[i] = sample(i / ctx.sampleRate);
     }
 
     const source = ctx.createBufferSource();
     source.buffer = buffer;
     source.loop = true;
+    source.connect(output);
+    source.start();
+    return source;
+  }
 
-    const filter = ctx.createBiquadFilter();
-    filter.type = 'lowpass';
-    filter.frequency.value = 600;
+  _ambientWind(output) {
+    return this._loopNoise(output, 4, () => (Math.random() * 2 - 1) * 0.15);
+  }
 
-    const gain = ctx.createGain();
-    gain.gain.value = 0.4;
+  _ambientOcean(output) {
+    return this._loopNoise(output, 6, (t) => {
+      const wave = Math.sin(t * 0.3) * 0.5 + Math.sin(t * 0.7) * 0.3;
+      return (Math.random() * 2 - 1) * 0.1 * (0.5 + wave * 0.5);
+    });
+  }
 
-    source.connect(filter).connect(gain).connect(this._masterGain);
-    source.start();
-    this._ambientNodes.push(source);
+  _ambientRain(output) {
+    // Steady hiss with the odd louder drop
+    return this._loopNoise(output, 3, () => (Math.random() * 2 - 1) * (Math.random() < 0.002 ? 0.6 : 0.15));
   }
 
-  _ambientCave() {
-    const ctx = this._ctx;
-    // Low hum
-    const osc = ctx.createOscillator();
+  _ambientFire(output) {
+    // Low crackle with sharp pops
+    return this._loopNoise(output, 3, () => (Math.random() * 2 - 1) * (Math.random() < 0.0008 ? 0.9 : 0.04));
+  }
+
+  _ambientHum(output, frequency) {
+    const osc = this._ctx.createOscillator();
     osc.type = 'sine';
-    osc.frequency.value = 55;
-    const gain = ctx.createGain();
-    gain.gain.value = 0.08;
-    osc.connect(gain).connect(this._masterGain);
+    osc.frequency.value = frequency;
+    osc.connect(output);
     osc.start();
-    this._ambientNodes.push(osc);
-
-    // Drip effect — periodic filtered noise bursts
-    const dripLoop = () => {
-      if (!this._ctx || this._ambientNodes.length === 0) return;
-      this._playDrip();
-      const next = 2000 + Math.random() * 5000;
-      this._dripTimeout = setTimeout(dripLoop, next);
-    };
-    this._dripTimeout = setTimeout(dripLoop, 1000 + Math.random() * 3000);
+    return osc;
+  }
+
+  _ambientPortal(output, frequency) {
+    // A root and a slightly flat fifth beating against each other
+    return [frequency, frequency * 1.495].map((freq) => {
+      const osc = this._ctx.createOscillator();
+      osc.type = 'triangle';
+      osc.frequency.value = freq;
+      osc.connect(output);
+      osc.start();
+      return osc;
+    });
   }
 
-  _playDrip() {
+  // ─── Ambient one-shots ──────────────────────────────────
+
+  _playDrip(output) {
     const ctx = this._ctx;
     if (!ctx) return;
     const now = ctx.currentTime;
@@ -158,16 +476,71 @@ export class AudioManager {
     gain.gain.setValueAtTime(0.15, now);
     gain.gain.exponentialRampToValueAtTime(0.001, now + 0.15);
 
-    osc.connect(gain).connect(this._masterGain);
+    osc.connect(gain).connect(output);
     osc.start(now);
     osc.stop(now + 0.15);
   }
 
-  // --- SFX ---
+  _playBird(output) {
+    const ctx = this._ctx;
+    const now = ctx.currentTime;
 
-  _playActivate() {
-    const ctx = this._ensureContext();
-    if (!ctx) return;
+    // A few quick rising chirps
+    const chirps = 2 + Math.floor(Math.random() * 3);
+    const pitch = 2200 + Math.random() * 1200;
+    for (let i = 0; i < chirps; i++) {
+      const t = now + i * (0.12 + Math.random() * 0.06);
+      const osc = ctx.createOscillator();
+      osc.type = 'sine';
+      osc.frequency.setValueAtTime(pitch, t);
+      osc.frequency.exponentialRampToValueAtTime(pitch * 1.4, t + 0.06);
+
+      const gain = ctx.createGain();
+      gain.gain.setValueAtTime(0, t);
+      gain.gain.linearRampToValueAtTime(0.06, t + 0.01);
+      gain.gain.exponentialRampToValueAtTime(0.001, t + 0.08);
+
+      osc.connect(gain).connect(output);
+      osc.start(t);
+      osc.stop(t + 0.08);
+    }
+  }
+
+  _playThunder(output) {
+    const ctx = this._ctx;
+    const now = ctx.currentTime;
+    const duration = 3 + Math.random() * 2;
+
+    // Distant rumble — low-passed noise swelling and rolling off
+    const bufferSize = Math.floor(ctx.sampleRate * duration);
+    const buffer = ctx.createBuffer(1, bufferSize, ctx.sampleRate);
+    const data = buffer.getChannelData(0);
+    for (let i = 0; i < bufferSize; i++) {
+      data[i] = Math.random() * 2 - 1;
+    }
+
+    const source = ctx.createBufferSource();
+    source.buffer = buffer;
+
+    const filter = ctx.createBiquadFilter();
+    filter.type = 'lowpass';
+    filter.frequency.setValueAtTime(300, now);
+    filter.frequency.exponentialRampToValueAtTime(80, now + duration);
+
+    const gain = ctx.createGain();
+    gain.gain.setValueAtTime(0, now);
+    gain.gain.linearRampToValueAtTime(0.5, now + 0.3);
+    gain.gain.exponentialRampToValueAtTime(0.001, now + duration);
+
+    source.connect(filter).connect(gain).connect(output);
+    source.start(now);
+    source.stop(now + duration);
+  }
+
+  // ─── SFX ────────────────────────────────────────────────
+
+  _playActivate(output) {
+    const ctx = this._ctx;
     const now = ctx.currentTime;
 
     const osc = ctx.createOscillator();
@@ -179,14 +552,13 @@ export class AudioManager {
     gain.gain.setValueAtTime(0.25, now);
     gain.gain.exponentialRampToValueAtTime(0.01, now + 0.3);
 
-    osc.connect(gain).connect(this._masterGain);
+    osc.connect(gain).connect(output);
     osc.start(now);
     osc.stop(now + 0.3);
   }
 
-  _playSolved() {
-    const ctx = this._ensureContext();
-    if (!ctx) return;
+  _playSolved(output) {
+    const ctx = this._ctx;
     const now = ctx.currentTime;
 
     // Rising major arpeggio
@@ -202,15 +574,14 @@ export class AudioManager {
       gain.gain.linearRampToValueAtTime(0.2, t + 0.04);
       gain.gain.exponentialRampToValueAtTime(0.01, t + 0.4);
 
-      osc.connect(gain).connect(this._masterGain);
+      osc.connect(gain).connect(output);
       osc.start(t);
       osc.stop(t + 0.4);
     });
   }
 
-  _playGameComplete() {
-    const ctx = this._ensureContext();
-    if (!ctx) return;
+  _playGameComplete(output) {
+    const ctx = this._ctx;
     const now = ctx.currentTime;
 
     // Fanfare: two ascending chords
@@ -233,16 +604,15 @@ export class AudioManager {
         gain.gain.setValueAtTime(0.15, t + 0.3);
         gain.gain.exponentialRampToValueAtTime(0.01, t + 0.8);
 
-        osc.connect(gain).connect(this._masterGain);
+        osc.connect(gain).connect(output);
         osc.start(t);
         osc.stop(t + 0.8);
       }
     }
   }
 
-  _playTransition() {
-    const ctx = this._ensureContext();
-    if (!ctx) return;
+  _playTransition(output) {
+    const ctx = this._ctx;
     const now = ctx.currentTime;
 
     // Whoosh — filtered noise sweep
@@ -268,14 +638,13 @@ export class AudioManager {
     gain.gain.linearRampToValueAtTime(0.3, now + 0.2);
     gain.gain.exponentialRampToValueAtTime(0.01, now + 0.8);
 
-    source.connect(filter).connect(gain).connect(this._masterGain);
+    source.connect(filter).connect(gain).connect(output);
     source.start(now);
     source.stop(now + 0.8);
   }
 
-  _playNotification() {
-    const ctx = this._ensureContext();
-    if (!ctx) return;
+  _playNotification(output) {
+    const ctx = this._ctx;
     const now = ctx.currentTime;
 
     const osc = ctx.createOscillator();
@@ -287,14 +656,14 @@ export class AudioManager {
     gain.gain.setValueAtTime(0.1, now);
     gain.gain.exponentialRampToValueAtTime(0.01, now + 0.15);
 
-    osc.connect(gain).connect(this._masterGain);
+    osc.connect(gain).connect(output);
     osc.start(now);
     osc.stop(now + 0.15);
   }
 
   dispose() {
     this.stopAmbient();
-    if (this._dripTimeout) clearTimeout(this._dripTimeout);
+    for (const emitter of [...this._emitters]) this.detach(emitter);
     if (this._ctx) {
       this._ctx.close();
       this._ctx = null;
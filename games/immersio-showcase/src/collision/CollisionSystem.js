@@ -5,6 +5,7 @@ const _playerBox = new THREE.Box3();
 export class CollisionSystem {
   constructor() {
     this.colliders = [];
+    this._owners = new Map(); // Box3 → owner tag
     this.playerHalfWidth = 0.25;
     this.playerHeight = 1.8;
     this.groundY = 0;
@@ -15,34 +16,57 @@ export class CollisionSystem {
     return this._onSurface;
   }
 
-  addCollider(box3) {
+  /**
+   * Add a collider. The returned Box3 is the handle for removeCollider().
+   * @param {THREE.Box3} box3
+   * @param {string|object} [owner='level'] - 'level' and 'behavior' colliders are
+   *   cleared on level load; puzzles pass themselves and are cleared on dispose
+   * @returns {THREE.Box3}
+   */
+  addCollider(box3, owner = 'level') {
     this.colliders.push(box3);
+    this._owners.set(box3, owner);
     return box3;
   }
 
-  addBoxCollider(x, y, z, w, h, d) {
+  addBoxCollider(x, y, z, w, h, d, owner = 'level') {
     const box = new THREE.Box3(
       new THREE.Vector3(x - w / 2, y, z - d / 2),
       new THREE.Vector3(x + w / 2, y + h, z + d / 2)
     );
-    this.colliders.push(box);
-    return box;
+    return this.addCollider(box, owner);
+  }
+
+  removeCollider(box3) {
+    const idx = this.colliders.indexOf(box3);
+    if (idx !== -1) this.colliders.splice(idx, 1);
+    this._owners.delete(box3);
+  }
+
+  /** Remove every collider added with the given owner tag. */
+  clearByOwner(owner) {
+    for (let i = this.colliders.length - 1; i >= 0; i--) {
+      const box3 = this.colliders[i];
+      if (this._owners.get(box3) !== owner) continue;
+      this.colliders.splice(i, 1);
+      this._owners.delete(box3);
+    }
   }
 
   clear() {
     this.colliders.length = 0;
+    this._owners.clear();
   }
 
   setGroundPlane(y) {
     this.groundY = y;
   }
 
-  addMeshCollider(mesh) {
+  addMeshCollider(mesh, owner = 'level') {
     mesh.geometry.computeBoundingBox();
     const box = mesh.geometry.boundingBox.clone();
     box.applyMatrix4(mesh.matrixWorld);
-    this.colliders.push(box);
-    return box;
+    return this.addCollider(box, owner);
   }
 
   update(cameraRig) {
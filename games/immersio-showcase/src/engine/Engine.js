@@ -7,6 +7,8 @@ import { LocomotionSystem } from '../locomotion/LocomotionSystem.js';
 import { InteractionSystem } from '../interaction/InteractionSystem.js';
 import { CollisionSystem } from '../collision/CollisionSystem.js';
 import { PuzzleManager } from '../puzzle/PuzzleManager.js';
+import { PuzzleRegistry } from '../puzzle/PuzzleRegistry.js';
+import { registerPuzzles } from '../puzzle/puzzles/index.js';
 import { AssetLoader } from '../assets/AssetLoader.js';
 import { LevelLoader } from '../levels/LevelLoader.js';
 import { LevelTransition } from '../levels/LevelTransition.js';
@@ -14,9 +16,6 @@ import { AudioManager } from '../audio/AudioManager.js';
 import { HUD } from '../ui/HUD.js';
 import { DecorationRegistry } from '../decorations/DecorationRegistry.js';
 import { registerBuiltins } from '../decorations/builtins.js';
-import { CrystalCollectionPuzzle } from '../puzzle/puzzles/CrystalCollectionPuzzle.js';
-import { RuneSequencePuzzle } from '../puzzle/puzzles/RuneSequencePuzzle.js';
-import { BridgeBuilderPuzzle } from '../puzzle/puzzles/BridgeBuilderPuzzle.js';
 
 export class Engine {
   constructor() {
@@ -46,6 +45,8 @@ export class Engine {
     this.locomotion = new LocomotionSystem(this, this.inputManager, this.eventBus);
     this.interactionSystem = new InteractionSystem(this, this.eventBus);
     this.puzzleManager = new PuzzleManager(this.eventBus);
+    this.puzzleRegistry = new PuzzleRegistry();
+    registerPuzzles(this.puzzleRegistry);
     this.assetLoader = new AssetLoader();
     this.decorationRegistry = new DecorationRegistry();
     registerBuiltins(this.decorationRegistry);
@@ -56,7 +57,9 @@ export class Engine {
 
     // Level system
     this._currentLevel = 1;
+    this._levelConfig = null;
     this._levelLoader = null;
+    this.eventBus.on('level:complete', () => this._onLevelComplete());
 
     // Clock
     this._clock = new THREE.Clock();
@@ -66,7 +69,6 @@ export class Engine {
 
   init() {
     this.vrSetup.init();
-    this._setupPuzzles();
 
     // Check for ?level=N URL param — load specific level directly
     const params = new URLSearchParams(window.location.search);
@@ -82,29 +84,6 @@ export class Engine {
     this.renderer.setAnimationLoop((time, frame) => this._loop(time, frame));
   }
 
-  _setupPuzzles() {
-    // Level 1: Crystal Collection (collect-and-place)
-    const crystalPuzzle = new CrystalCollectionPuzzle(
-      this.eventBus, this.scene, this.interactionSystem
-    );
-
-    // Level 2: Rune Sequence (activate-in-order)
-    const runePuzzle = new RuneSequencePuzzle(
-      this.eventBus, this.scene, this.interactionSystem
-    );
-
-    // Level 3: Bridge Builder (trigger-animation)
-    const bridgePuzzle = new BridgeBuilderPuzzle(
-      this.eventBus, this.scene, this.interactionSystem, this.collisionSystem
-    );
-
-    // Register in linear chain: crystal -> rune -> bridge
-    this.puzzleManager.register(crystalPuzzle);
-    this.puzzleManager.register(runePuzzle);
-    this.puzzleManager.register(bridgePuzzle);
-    this.puzzleManager.init();
-  }
-
   async _loadLevel(n) {
     this._currentLevel = n;
     try {
@@ -113,14 +92,15 @@ export class Engine {
         this._levelLoader = new LevelLoader(this);
       }
       await this._levelLoader.load(config);
+      this._levelConfig = config;
       this.collisionSystem.setGroundPlane(0);
 
       // Level transitions (portals)
       this.levelTransition.buildFromConfig(config);
 
-      // Ambient audio
-      const ambientType = config.environment.enclosure ? 'indoor' : 'outdoor';
-      this.audioManager.startAmbient(ambientType);
+      // Ambient audio: environment.audio, by default wind outdoors and a cave hum indoors
+      const { enclosure, audio } = config.environment;
+      this.audioManager.startAmbient({ ambient: enclosure ? 'indoor' : 'outdoor', ...audio });
 
       // HUD — show level title
       const puzzleCount = this.puzzleManager.order.length;
@@ -131,6 +111,16 @@ export class Engine {
     }
   }
 
+  /**
+   * All puzzles of the current level are solved. A level without an exit
+   * portal is the last one, so finishing it completes the game.
+   */
+  _onLevelComplete() {
+    if (this._levelConfig && !this._levelConfig.exit) {
+      this.eventBus.emit('game:complete');
+    }
+  }
+
   _showLevelFallback(n) {
     const ground = new THREE.Mesh(
       new THREE.CircleGeometry(30, 32),
@@ -166,6 +156,7 @@ export class Engine {
     this.hud.update(dt);
     if (this._levelLoader) this._levelLoader.update(dt);
 
+    this.audioManager.update(this.camera); // listener follows the head
     this.renderer.render(this.scene, this.camera);
   }
 
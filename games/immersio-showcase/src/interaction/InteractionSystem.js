@@ -98,6 +98,7 @@ export class InteractionSystem {
     const hovered = this._hovered[hand];
     if (!hovered) return;
     if (hovered.type === 'activate' || hovered.type === 'both') {
+      this.eventBus.emit('object:activated', { interactable: hovered, mesh: hovered.mesh, hand });
       if (hovered.onActivate) hovered.onActivate(hand);
     }
   }
@@ -35,6 +35,11 @@ export default {
       count: 30,
       color: '#ffffff',
     },
+    audio: {
+      ambient: 'beach',
+      layers: [{ type: 'wind', volume: 0.1 }],
+      oneShots: [{ type: 'bird', interval: [6, 15], volume: 0.7 }],
+    },
   },
   decorations: [
     { type: 'palmTree', count: 14, radius: [10, 40], height: [4, 8] },
@@ -44,6 +49,19 @@ export default {
     { type: 'coral', count: 10, radius: [6, 25], color: '#e85d75' },
   ],
   props: [],
+  puzzles: [
+    {
+      type: 'crystalCollection',
+      id: 'crystal_collection',
+      params: {
+        items: [
+          { color: '#ff4444', crystal: [8, 0.5, 5], pedestal: [-2, 0, 2] },
+          { color: '#4488ff', crystal: [-7, 0.5, -3], pedestal: [0, 0, 1] },
+          { color: '#44ff44', crystal: [3, 0.5, -10], pedestal: [2, 0, 2] },
+        ],
+      },
+    },
+  ],
   playerSpawn: {
     position: [0, 0, 12],
     rotationY: Math.PI,
@@ -40,6 +40,9 @@ export default {
     { type: 'rock', count: 6, radius: [3, 9], scale: [0.2, 0.6], color: '#555566' },
   ],
   props: [],
+  puzzles: [
+    { type: 'runeSequence', id: 'rune_sequence', params: { order: [2, 0, 4, 1, 3], radius: 4 } },
+  ],
   playerSpawn: {
     position: [0, 0, 9],
     rotationY: Math.PI,
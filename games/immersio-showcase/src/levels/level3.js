@@ -35,6 +35,14 @@ export default {
       count: 80,
       color: '#ffdd88',
     },
+    audio: {
+      ambient: 'none',
+      layers: [{ type: 'wind', volume: 0.15, filter: { type: 'lowpass', frequency: 250 } }],
+      oneShots: [
+        { type: 'bird', interval: [8, 20], volume: 0.5 },
+        { type: 'thunder', interval: [40, 90], volume: 0.4 },
+      ],
+    },
   },
   decorations: [
     { type: 'tree', count: 12, radius: [10, 35], height: [3, 6], canopyColor: '#2d5a3e' },
@@ -44,6 +52,13 @@ export default {
     { type: 'mushroom', count: 6, radius: [5, 18], color: '#aa66cc', glowColor: '#bb88dd' },
   ],
   props: [],
+  puzzles: [
+    {
+      type: 'bridgeBuilder',
+      id: 'bridge_builder',
+      params: { lever: [3, 0, 2], bridgeStart: [0, 0, -1.5], segments: 5, goal: [0, 1.0, -14] },
+    },
+  ],
   playerSpawn: {
     position: [0, 0, 12],
     rotationY: Math.PI,
@@ -3,6 +3,7 @@ export class PuzzleManager {
     this.eventBus = eventBus;
     this.puzzles = new Map();
     this.order = []; // registration order (used for linear fallback)
+    this._pending = new Set(); // delayed activation timers
 
     eventBus.on('puzzle:solved', (data) => this._onPuzzleSolved(data));
   }
@@ -12,6 +13,31 @@ export class PuzzleManager {
     this.order.push(puzzle.id);
   }
 
+  /** Dispose a single puzzle and stop tracking it. */
+  unregister(id) {
+    const puzzle = this.puzzles.get(id);
+    if (!puzzle) return;
+    puzzle.dispose();
+    this.puzzles.delete(id);
+    const idx = this.order.indexOf(id);
+    if (idx !== -1) this.order.splice(idx, 1);
+  }
+
+  /**
+   * Tear down the current level's puzzles: cancel pending activations and
+   * dispose every puzzle (meshes, interactables, colliders, timers).
+   * Called by LevelLoader when a level is unloaded.
+   */
+  clear() {
+    for (const handle of this._pending) clearTimeout(handle);
+    this._pending.clear();
+    for (const puzzle of this.puzzles.values()) {
+      puzzle.dispose();
+    }
+    this.puzzles.clear();
+    this.order.length = 0;
+  }
+
   init() {
     // Determine activation mode: graph (if any puzzle has dependencies) or linear (legacy)
     const hasGraph = [...this.puzzles.values()].some(p => p.dependencies.length > 0);
@@ -60,9 +86,9 @@ export class PuzzleManager {
     const nextIdx = idx + 1;
     if (nextIdx < this.order.length) {
       const next = this.puzzles.get(this.order[nextIdx]);
-      setTimeout(() => next.activate(), 1500);
+      this._schedule(() => next.activate());
     } else {
-      this.eventBus.emit('game:complete');
+      this.eventBus.emit('level:complete');
     }
   }
 
@@ -81,16 +107,25 @@ export class PuzzleManager {
 
       if (allMet) {
         activated = true;
-        setTimeout(() => puzzle.activate(), 1500);
+        this._schedule(() => puzzle.activate());
       }
     }
 
-    // If no puzzle was activated and all puzzles are solved → game complete
+    // If no puzzle was activated and all puzzles are solved → level complete
     if (!activated) {
       const allSolved = [...this.puzzles.values()].every(p => p.state === 'solved');
       if (allSolved) {
-        this.eventBus.emit('game:complete');
+        this.eventBus.emit('level:complete');
       }
     }
   }
+
+  /** Delayed activation, cancelled if the level is torn down first. */
+  _schedule(fn) {
+    const handle = setTimeout(() => {
+      this._pending.delete(handle);
+      fn();
+    }, 1500);
+    this._pending.add(handle);
+  }
 }
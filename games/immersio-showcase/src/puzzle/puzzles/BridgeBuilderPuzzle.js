@@ -6,15 +6,21 @@ import { ObjectFactory } from '../../assets/ObjectFactory.js';
 /**
  * Bridge Builder Puzzle (Trigger-Animation pattern)
  *
- * The player pulls a lever to raise a bridge of 5 segments,
+ * The player pulls a lever to raise a bridge of segments,
  * then crosses to reach the game completion area.
+ *
+ * params: { lever: [x,y,z], bridgeStart: [x,y,z], segments, goal: [x,y,z] }
  */
 export class BridgeBuilderPuzzle extends PuzzleBase {
-  constructor(eventBus, scene, interactionSystem, collisionSystem) {
+  constructor(eventBus, scene, interactionSystem, collisionSystem, params = {}) {
     super('bridge_builder', eventBus);
     this.scene = scene;
     this.interactionSystem = interactionSystem;
     this.collisionSystem = collisionSystem;
+    this._leverPos = new THREE.Vector3(...(params.lever || [3, 0, 2]));
+    this._bridgeStart = new THREE.Vector3(...(params.bridgeStart || [0, 0, -1.5]));
+    this._segmentCount = params.segments ?? 5;
+    this._goalPos = new THREE.Vector3(...(params.goal || [0, 1.0, -14]));
     this._animating = false;
     this._animTimer = 0;
     this._segments = [];
@@ -24,18 +30,45 @@ export class BridgeBuilderPuzzle extends PuzzleBase {
   }
 
   onActivate() {
+    this._build();
+    this.eventBus.emit('notification', { text: 'Pull the lever to raise the bridge!' });
+  }
+
+  serialize() {
+    return { leverPulled: this._leverActivated };
+  }
+
+  // Solved: lever down, bridge up. Saved while rising: the bridge rises again.
+  onRestore(state, data) {
+    this._build();
+    if (state !== 'solved' && !data?.leverPulled) return;
+
+    this._leverActivated = true;
+    this._lever.userData.pivot.rotation.x = Math.PI / 6;
+    if (state === 'solved') {
+      for (const seg of this._segments) seg.mesh.position.y = seg.targetY;
+      this._addBridgeColliders();
+    } else {
+      this._animating = true;
+      this._animTimer = 0;
+    }
+  }
+
+  _build() {
     // Create a gap -- visual pit indicator (dark strip)
+    const segD = 2.2;
+    const bridgeLength = this._segmentCount * segD;
     const gapVisual = new THREE.Mesh(
-      new THREE.PlaneGeometry(3, 12),
+      new THREE.PlaneGeometry(3, bridgeLength + 1),
       new THREE.MeshLambertMaterial({ color: '#111111' })
     );
     gapVisual.rotation.x = -Math.PI / 2;
-    gapVisual.position.set(0, 0.01, -6);
-    this.scene.add(gapVisual);
+    gapVisual.position.set(this._bridgeStart.x, 0.01, this._bridgeStart.z - bridgeLength / 2 + segD / 2);
+    this.addObject(this.scene, gapVisual);
 
     // Create lever near the player
-    this._lever = ObjectFactory.lever(new THREE.Vector3(3, 0, 2));
-    this.scene.add(this._lever);
+    this._lever = ObjectFactory.lever(this._leverPos.clone());
+    this.addObject(this.scene, this._lever);
 
     // Make the lever handle activatable
     const handleMesh = this._lever.userData.pivot.children[1]; // the sphere handle
@@ -43,32 +76,26 @@ export class BridgeBuilderPuzzle extends PuzzleBase {
       type: 'activate',
       onActivate: () => this._onLeverPulled(),
     });
-    this.interactionSystem.register(leverInteractable);
+    this.registerInteractable(this.interactionSystem, leverInteractable);
 
     // Create bridge segments (initially below ground)
-    const segCount = 5;
     const segW = 2.5;
-    const segD = 2.2;
     const segH = 0.3;
-    for (let i = 0; i < segCount; i++) {
+    for (let i = 0; i < this._segmentCount; i++) {
       const seg = new THREE.Mesh(
         new THREE.BoxGeometry(segW, segH, segD),
         new THREE.MeshLambertMaterial({ color: 0x887766 })
       );
-      const targetY = 0;
-      const startY = -3;
-      seg.position.set(0, startY, -1.5 - i * segD);
-      this.scene.add(seg);
+      const targetY = this._bridgeStart.y;
+      const startY = targetY - 3;
+      seg.position.set(this._bridgeStart.x, startY, this._bridgeStart.z - i * segD);
+      this.addObject(this.scene, seg);
       this._segments.push({ mesh: seg, startY, targetY, delay: i * 0.3 });
     }
 
     // Create completion marker on the other side
-    const marker = ObjectFactory.crystal(0.3, 0.8, 0xffdd44,
-      new THREE.Vector3(0, 1.0, -14)
-    );
-    this.scene.add(marker);
-
-    this.eventBus.emit('notification', { text: 'Pull the lever to raise the bridge!' });
+    const marker = ObjectFactory.crystal(0.3, 0.8, 0xffdd44, this._goalPos.clone());
+    this.addObject(this.scene, marker);
   }
 
   _onLeverPulled() {
@@ -80,7 +107,7 @@ export class BridgeBuilderPuzzle extends PuzzleBase {
     this._leverPullAnim = { pivot, timer: 0, duration: 0.8 };
 
     // Start bridge animation after brief delay
-    setTimeout(() => {
+    this.schedule(() => {
       this._animating = true;
       this._animTimer = 0;
     }, 600);
@@ -117,17 +144,22 @@ export class BridgeBuilderPuzzle extends PuzzleBase {
 
     if (allDone) {
       this._animating = false;
-      // Add collision boxes for bridge so player can walk on it
-      for (const seg of this._segments) {
-        this.collisionSystem.addBoxCollider(
-          seg.mesh.position.x, seg.mesh.position.y - 0.15,
-          seg.mesh.position.z, 2.5, 0.3, 2.2
-        );
-      }
+      this._addBridgeColliders();
       this.solve();
     }
   }
 
+  // Add collision boxes for bridge so player can walk on it
+  _addBridgeColliders() {
+    for (const seg of this._segments) {
+      this.addBoxCollider(
+        this.collisionSystem,
+        seg.mesh.position.x, seg.mesh.position.y - 0.15,
+        seg.mesh.position.z, 2.5, 0.3, 2.2
+      );
+    }
+  }
+
   onSolved() {
     this.eventBus.emit('notification', { text: 'The bridge is complete! Cross to finish the game!' });
   }
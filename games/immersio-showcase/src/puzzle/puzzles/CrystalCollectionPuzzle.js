@@ -3,68 +3,80 @@ import { PuzzleBase } from '../PuzzleBase.js';
 import { Interactable } from '../../interaction/Interactable.js';
 import { ObjectFactory } from '../../assets/ObjectFactory.js';
 
+const DEFAULT_ITEMS = [
+  { color: '#ff4444', crystal: [8, 0.5, 5], pedestal: [-2, 0, 2] },
+  { color: '#4488ff', crystal: [-7, 0.5, -3], pedestal: [0, 0, 1] },
+  { color: '#44ff44', crystal: [3, 0.5, -10], pedestal: [2, 0, 2] },
+];
+
 /**
  * Crystal Collection Puzzle (Collect-and-Place pattern)
  *
- * The player finds 3 colored crystals scattered around the beach
+ * The player finds colored crystals scattered around the beach
  * and carries them to matching pedestals near the center.
+ *
+ * params: { items: [{ color, crystal: [x,y,z], pedestal: [x,y,z] }], snapDistance }
  */
 export class CrystalCollectionPuzzle extends PuzzleBase {
-  constructor(eventBus, scene, interactionSystem) {
+  constructor(eventBus, scene, interactionSystem, params = {}) {
     super('crystal_collection', eventBus);
     this.scene = scene;
     this.interactionSystem = interactionSystem;
     this.items = [];
-    this.snapDistance = 0.8;
+    this.snapDistance = params.snapDistance ?? 0.8;
+    this._itemDefs = params.items || DEFAULT_ITEMS;
   }
 
   onActivate() {
-    const colors = [
-      { name: 'red', hex: 0xff4444 },
-      { name: 'blue', hex: 0x4488ff },
-      { name: 'green', hex: 0x44ff44 },
-    ];
-
-    // Scatter crystals around the beach at varied distances
-    const crystalPositions = [
-      new THREE.Vector3(8, 0.5, 5),
-      new THREE.Vector3(-7, 0.5, -3),
-      new THREE.Vector3(3, 0.5, -10),
-    ];
-
-    // Place pedestals in a semicircle near the center
-    const pedestalPositions = [
-      new THREE.Vector3(-2, 0, 2),
-      new THREE.Vector3(0, 0, 1),
-      new THREE.Vector3(2, 0, 2),
-    ];
-
-    colors.forEach((c, i) => {
+    this._build();
+    this.eventBus.emit('notification', {
+      text: `Find ${this.items.length} crystals and place them on the pedestals!`
+    });
+  }
+
+  // Saves which crystals are already on their pedestals
+  serialize() {
+    return { placed: this.items.map(i => i.placed) };
+  }
+
+  onRestore(state, data) {
+    this._build();
+    this.items.forEach((entry, i) => {
+      if (state === 'solved' || data?.placed?.[i]) this._place(entry);
+    });
+  }
+
+  _build() {
+    this._itemDefs.forEach((def) => {
+      const color = new THREE.Color(def.color).getHex();
+      const crystalPos = new THREE.Vector3(...def.crystal);
+      const pedestalPos = new THREE.Vector3(...def.pedestal);
+
       // Create collectible crystal
-      const crystal = ObjectFactory.crystal(0.15, 0.4, c.hex, crystalPositions[i]);
-      this.scene.add(crystal);
+      const crystal = ObjectFactory.crystal(0.15, 0.4, color, crystalPos);
+      this.addObject(this.scene, crystal);
 
       // Create target pedestal
-      const pedestal = ObjectFactory.pedestal(0.5, 0.8, 0x555555, pedestalPositions[i]);
-      this.scene.add(pedestal);
+      const pedestal = ObjectFactory.pedestal(0.5, 0.8, 0x555555, pedestalPos);
+      this.addObject(this.scene, pedestal);
 
       // Add a colored ring on top of the pedestal to show where to place
       const ring = new THREE.Mesh(
         new THREE.TorusGeometry(0.2, 0.03, 6, 16),
         new THREE.MeshStandardMaterial({
-          color: c.hex,
-          emissive: c.hex,
+          color,
+          emissive: color,
           emissiveIntensity: 0.4,
           transparent: true,
           opacity: 0.7,
         })
       );
       ring.rotation.x = Math.PI / 2;
-      ring.position.copy(pedestalPositions[i]);
+      ring.position.copy(pedestalPos);
       ring.position.y = 0.85;
-      this.scene.add(ring);
+      this.addObject(this.scene, ring);
 
-      const targetPos = pedestalPositions[i].clone();
+      const targetPos = pedestalPos.clone();
       targetPos.y = 0.85;
 
       // Make crystal grabbable
@@ -74,13 +86,11 @@ export class CrystalCollectionPuzzle extends PuzzleBase {
           this._checkPlacement(entry, worldPos);
         },
       });
-      this.interactionSystem.register(interactable);
+      this.registerInteractable(this.interactionSystem, interactable);
 
       const entry = { mesh: crystal, target: targetPos, placed: false, interactable, ring };
       this.items.push(entry);
     });
-
-    this.eventBus.emit('notification', { text: 'Find 3 crystals and place them on the pedestals!' });
   }
 
   _checkPlacement(entry, releasePos) {
@@ -88,12 +98,7 @@ export class CrystalCollectionPuzzle extends PuzzleBase {
 
     const dist = releasePos.distanceTo(entry.target);
     if (dist < this.snapDistance) {
-      entry.mesh.position.copy(entry.target);
-      entry.placed = true;
-      this.interactionSystem.unregister(entry.interactable);
-
-      // Hide the guide ring
-      entry.ring.visible = false;
+      this._place(entry);
 
       const placedCount = this.items.filter(i => i.placed).length;
       this.eventBus.emit('notification', {
@@ -106,6 +111,15 @@ export class CrystalCollectionPuzzle extends PuzzleBase {
     }
   }
 
+  _place(entry) {
+    entry.mesh.position.copy(entry.target);
+    entry.placed = true;
+    this.interactionSystem.unregister(entry.interactable);
+
+    // Hide the guide ring
+    entry.ring.visible = false;
+  }
+
   onSolved() {
     this.eventBus.emit('notification', { text: 'All crystals placed! The path ahead opens...' });
   }
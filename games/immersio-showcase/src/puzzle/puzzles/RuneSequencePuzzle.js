@@ -6,22 +6,49 @@ import { ObjectFactory } from '../../assets/ObjectFactory.js';
 /**
  * Rune Sequence Puzzle (Activate-in-Order pattern)
  *
- * The player must activate 5 rune stones in the correct order
+ * The player must activate rune stones in the correct order
  * inside the Crystal Cavern. Wrong order resets progress.
+ *
+ * params: { order: number[], radius }  — one stone per entry in `order`
  */
 export class RuneSequencePuzzle extends PuzzleBase {
-  constructor(eventBus, scene, interactionSystem) {
+  constructor(eventBus, scene, interactionSystem, params = {}) {
     super('rune_sequence', eventBus);
     this.scene = scene;
     this.interactionSystem = interactionSystem;
-    this.correctOrder = [2, 0, 4, 1, 3]; // indices of the correct activation order
+    this.correctOrder = params.order || [2, 0, 4, 1, 3]; // indices of the correct activation order
+    this.radius = params.radius ?? 4;
     this.playerInput = [];
     this.nodes = [];
   }
 
   onActivate() {
-    const count = 5;
-    const radius = 4;
+    this._build();
+    this.eventBus.emit('notification', { text: 'Activate the rune stones in the correct order!' });
+  }
+
+  // Saves the stones activated so far in the current attempt
+  serialize() {
+    return { input: [...this.playerInput] };
+  }
+
+  onRestore(state, data) {
+    this._build();
+    if (state === 'solved') {
+      this._glowSolved();
+      return;
+    }
+    // Keep the saved progress only while it still matches the order
+    const input = data?.input || [];
+    if (input.every((index, step) => this.correctOrder[step] === index)) {
+      this.playerInput = [...input];
+      for (const index of input) this._flashNode(index, 0x00ff00, 0.6);
+    }
+  }
+
+  _build() {
+    const count = this.correctOrder.length;
+    const radius = this.radius;
 
     for (let i = 0; i < count; i++) {
       const angle = (i / count) * Math.PI * 2;
@@ -32,7 +59,7 @@ export class RuneSequencePuzzle extends PuzzleBase {
         0.6, 0.8, 0.15, 0x555566, i,
         new THREE.Vector3(x, 0.5, z)
       );
-      this.scene.add(stone);
+      this.addObject(this.scene, stone);
 
       // Make the stone face outward from center
       stone.lookAt(0, 0.5, 0);
@@ -42,11 +69,9 @@ export class RuneSequencePuzzle extends PuzzleBase {
         type: 'activate',
         onActivate: () => this._onNodeActivated(i),
       });
-      this.interactionSystem.register(interactable);
+      this.registerInteractable(this.interactionSystem, interactable);
       this.nodes.push({ mesh: stone, index: i, interactable });
     }
-
-    this.eventBus.emit('notification', { text: 'Activate the rune stones in the correct order!' });
   }
 
   _onNodeActivated(index) {
@@ -88,7 +113,7 @@ export class RuneSequencePuzzle extends PuzzleBase {
 
       // If wrong (red), reset after a short delay
       if (color === 0xff0000) {
-        setTimeout(() => {
+        this.schedule(() => {
           indicator.material.emissive.setHex(0x222244);
           indicator.material.emissiveIntensity = 0.3;
         }, 500);
@@ -106,7 +131,12 @@ export class RuneSequencePuzzle extends PuzzleBase {
   }
 
   onSolved() {
-    // Glow all nodes green permanently
+    this._glowSolved();
+    this.eventBus.emit('notification', { text: 'Rune sequence complete! The way forward is revealed.' });
+  }
+
+  // Glow all nodes green permanently
+  _glowSolved() {
     for (const node of this.nodes) {
       const indicator = node.mesh.children.find(c => c.userData?.runeIndicator);
       if (indicator && indicator.material) {
@@ -114,6 +144,5 @@ export class RuneSequencePuzzle extends PuzzleBase {
         indicator.material.emissiveIntensity = 1.0;
       }
     }
-    this.eventBus.emit('notification', { text: 'Rune sequence complete! The way forward is revealed.' });
   }
 }
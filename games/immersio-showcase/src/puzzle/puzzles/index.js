@@ -0,0 +1,18 @@
+// Puzzle type registrations — maps `type` names used in level configs'
+// `puzzles` arrays to factories. Add one register() call per puzzle class.
+
+import { CrystalCollectionPuzzle } from './CrystalCollectionPuzzle.js';
+import { RuneSequencePuzzle } from './RuneSequencePuzzle.js';
+import { BridgeBuilderPuzzle } from './BridgeBuilderPuzzle.js';
+
+export function registerPuzzles(registry) {
+  registry.register('crystalCollection', (engine, def) => new CrystalCollectionPuzzle(
+    engine.eventBus, engine.scene, engine.interactionSystem, def.params
+  ));
+  registry.register('runeSequence', (engine, def) => new RuneSequencePuzzle(
+    engine.eventBus, engine.scene, engine.interactionSystem, def.params
+  ));
+  registry.register('bridgeBuilder', (engine, def) => new BridgeBuilderPuzzle(
+    engine.eventBus, engine.scene, engine.interactionSystem, engine.collisionSystem, def.params
+  ));
+}
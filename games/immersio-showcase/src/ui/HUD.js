@@ -153,6 +153,10 @@ export class HUD {
       this._updateProgress();
     });
 
+    this._eventBus.on('level:complete', () => {
+      this._showNotification('Level complete!');
+    });
+
     this._eventBus.on('game:complete', () => {
       this._gameComplete = true;
       this._domComplete.style.opacity = '1';
@@ -7,6 +7,8 @@ import { LocomotionSystem } from '../locomotion/LocomotionSystem.js';
 import { InteractionSystem } from '../interaction/InteractionSystem.js';
 import { CollisionSystem } from '../collision/CollisionSystem.js';
 import { PuzzleManager } from '../puzzle/PuzzleManager.js';
+import { PuzzleRegistry } from '../puzzle/PuzzleRegistry.js';
+import { registerPuzzles } from '../puzzle/puzzles/index.js';
 import { AssetLoader } from '../assets/AssetLoader.js';
 import { LevelLoader } from '../levels/LevelLoader.js';
 import { LevelTransition } from '../levels/LevelTransition.js';
@@ -14,10 +16,6 @@ import { AudioManager } from '../audio/AudioManager.js';
 import { HUD } from '../ui/HUD.js';
 import { DecorationRegistry } from '../decorations/DecorationRegistry.js';
 import { registerBuiltins } from '../decorations/builtins.js';
-import { LeverPuzzle } from '../puzzle/puzzles/LeverPuzzle.js';
-import { EnemyPatrolPuzzle } from '../puzzle/puzzles/EnemyPatrolPuzzle.js';
-import { CrystalCollectPuzzle } from '../puzzle/puzzles/CrystalCollectPuzzle.js';
-import { CouchCompletePuzzle } from '../puzzle/puzzles/CouchCompletePuzzle.js';
 import { SteampunkGun } from '../weapons/SteampunkGun.js';
 
 export class Engine {
@@ -48,6 +46,8 @@ export class Engine {
     this.locomotion = new LocomotionSystem(this, this.inputManager, this.eventBus);
     this.interactionSystem = new InteractionSystem(this, this.eventBus);
     this.puzzleManager = new PuzzleManager(this.eventBus);
+    this.puzzleRegistry = new PuzzleRegistry();
+    registerPuzzles(this.puzzleRegistry);
     this.assetLoader = new AssetLoader();
     this.decorationRegistry = new DecorationRegistry();
     registerBuiltins(this.decorationRegistry);
@@ -58,7 +58,9 @@ export class Engine {
 
     // Level system
     this._currentLevel = 1;
+    this._levelConfig = null;
     this._levelLoader = null;
+    this.eventBus.on('level:complete', () => this._onLevelComplete());
 
     // Cinematic camera state
     this._cinematic = null;
@@ -94,18 +96,19 @@ export class Engine {
         this._levelLoader = new LevelLoader(this);
       }
       await this._levelLoader.load(config);
+      this._levelConfig = config;
       this.collisionSystem.setGroundPlane(0);
 
       // Level transitions (portals)
       this.levelTransition.buildFromConfig(config);
 
-      // Ambient audio
-      const ambientType = config.environment.enclosure ? 'indoor' : 'outdoor';
-      this.audioManager.startAmbient(ambientType);
+      // Ambient audio: environment.audio, by default wind outdoors and a cave hum indoors
+      const { enclosure, audio } = config.environment;
+      this.audioManager.startAmbient({ ambient: enclosure ? 'indoor' : 'outdoor', ...audio });
 
-      // Setup puzzles for level 1
+      // Wire level 1 puzzles (built from config by LevelLoader)
       if (n === 1) {
-        this._setupLevel1Puzzles();
+        this._wireLevel1Puzzles();
       }
 
       // HUD -- show level title
@@ -117,6 +120,16 @@ export class Engine {
     }
   }
 
+  /**
+   * All puzzles of the current level are solved. A level without an exit
+   * portal is the last one, so finishing it completes the game.
+   */
+  _onLevelComplete() {
+    if (this._levelConfig && !this._levelConfig.exit) {
+      this.eventBus.emit('game:complete');
+    }
+  }
+
   _showLevelFallback(n) {
     const ground = new THREE.Mesh(
       new THREE.CircleGeometry(30, 32),
@@ -166,24 +179,17 @@ export class Engine {
     if (this._levelLoader) this._levelLoader.update(dt);
     if (this._steampunkGun) this._steampunkGun.update(dt);
 
+    this.audioManager.update(this.camera); // listener follows the head
     this.renderer.render(this.scene, this.camera);
   }
 
-  _setupLevel1Puzzles() {
-    // Puzzle 1: Find and pull the lever (root -- activates on init)
-    const leverPuzzle = new LeverPuzzle(this.eventBus, this);
-
-    // Puzzle 2: Platform traversal with enemy patrol (activates after lever)
-    const enemyPatrolPuzzle = new EnemyPatrolPuzzle(this.eventBus, this);
-    enemyPatrolPuzzle.dependencies = ['lever_activation'];
-
-    // Puzzle 3: Collect crystal and place on altar (activates after lever, parallel with enemy patrol)
-    const crystalCollectPuzzle = new CrystalCollectPuzzle(this.eventBus, this);
-    crystalCollectPuzzle.dependencies = ['lever_activation'];
-
-    // Puzzle 4: Jump onto the couch to complete (activates after crystal placed)
-    const couchCompletePuzzle = new CouchCompletePuzzle(this.eventBus, this);
-    couchCompletePuzzle.dependencies = ['crystal_collect'];
+  _wireLevel1Puzzles() {
+    // Puzzles and their dependency graph are declared in level1.js
+    const puzzles = this.puzzleManager.puzzles;
+    const leverPuzzle = puzzles.get('lever_activation');
+    const enemyPatrolPuzzle = puzzles.get('enemy_patrol');
+    const crystalCollectPuzzle = puzzles.get('crystal_collect');
+    if (!leverPuzzle || !enemyPatrolPuzzle || !crystalCollectPuzzle) return;
 
     // Wire up callbacks:
     // When lever is pulled, tell crystal puzzle where the crystal platform is,
@@ -210,14 +216,6 @@ export class Engine {
       }
     };
 
-    // Register all puzzles (dependency graph mode -- not linear chain)
-    this.puzzleManager.register(leverPuzzle);
-    this.puzzleManager.register(enemyPatrolPuzzle);
-    this.puzzleManager.register(crystalCollectPuzzle);
-    this.puzzleManager.register(couchCompletePuzzle);
-
-    this.puzzleManager.init();
-
     // Hidden steampunk gun (optional — not a puzzle)
     this._steampunkGun = new SteampunkGun(this);
     this._steampunkGun.setEnemyPuzzle(enemyPatrolPuzzle);
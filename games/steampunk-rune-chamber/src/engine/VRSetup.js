@@ -146,6 +146,12 @@ export class VRSetup {
     });
   }
 
+  /** Controller grip position of 'left' or 'right', in rig space. */
+  getHandPosition(hand, target) {
+    const grip = hand === 'left' ? this.controllerGrip0 : this.controllerGrip1;
+    return target.copy(grip.position);
+  }
+
   getLeftController() {
     return { ray: this.controller0, grip: this.controllerGrip0 };
   }
@@ -57,6 +57,11 @@ export class InteractionSystem {
     if (idx !== -1) this.interactables.splice(idx, 1);
   }
 
+  /** Interactable held by a controller ('left' or 'right'), or null. */
+  getHeld(hand) {
+    return this._grabbed[hand] || null;
+  }
+
   update() {
     if (this.engine.renderer.xr.isPresenting) {
       const vr = this.engine.vrSetup;
@@ -134,6 +139,7 @@ export class InteractionSystem {
     const hovered = this._hovered[hand];
     // If hovering an interactable, always interact normally
     if (hovered && (hovered.type === 'activate' || hovered.type === 'both')) {
+      this.eventBus.emit('object:activated', { interactable: hovered, mesh: hovered.mesh, hand });
       if (hovered.onActivate) hovered.onActivate(hand);
       return;
     }
@@ -246,6 +252,7 @@ export class InteractionSystem {
     const target = this._getDesktopTarget();
     // If hovering an interactable, always interact normally
     if (target && (target.type === 'activate' || target.type === 'both')) {
+      this.eventBus.emit('object:activated', { interactable: target, mesh: target.mesh, hand: 'desktop' });
       if (target.onActivate) target.onActivate('desktop');
       return;
     }
@@ -24,11 +24,14 @@ export class LevelLoader {
     }
     await this._loadProps(levelConfig);
     this._setPlayerSpawn(levelConfig.playerSpawn);
+    this._buildPuzzles(levelConfig.puzzles);
   }
 
   _clearScene() {
     const scene = this._engine.scene;
     scene.background = null;
+    // Let go of anything being climbed before it is removed
+    this._engine.locomotion.climbing.releaseAll();
     for (const obj of this._levelObjects) {
       scene.remove(obj);
       obj.traverse((child) => {
@@ -57,6 +60,14 @@ export class LevelLoader {
     }
     this._particleTime = 0;
     this._animTime = 0;
+
+    // Level-scoped puzzles go with the level
+    this._engine.puzzleManager.clear();
+
+    // Prop, decoration and behavior colliders of the previous level
+    const collision = this._engine.collisionSystem;
+    collision.clearByOwner('level');
+    collision.clearByOwner('behavior');
   }
 
   _buildEnvironment(env) {
@@ -411,6 +422,22 @@ export class LevelLoader {
     await Promise.all(promises);
   }
 
+  /**
+   * Build the level's declared puzzles through the PuzzleRegistry and
+   * register them with the PuzzleManager (graph or linear, as configured).
+   */
+  _buildPuzzles(puzzles) {
+    const manager = this._engine.puzzleManager;
+    const registry = this._engine.puzzleRegistry;
+    if (!puzzles || puzzles.length === 0) return;
+
+    for (const def of puzzles) {
+      const puzzle = registry.create(def, this._engine);
+      if (puzzle) manager.register(puzzle);
+    }
+    manager.init();
+  }
+
   _setPlayerSpawn(spawn) {
     if (!spawn) return;
     const rig = this._engine.cameraRig;
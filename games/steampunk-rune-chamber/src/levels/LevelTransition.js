@@ -30,6 +30,7 @@ export class LevelTransition {
   clear() {
     const scene = this._engine.scene;
     for (const portal of this._portals) {
+      this._engine.audioManager.detach(portal.sound);
       scene.remove(portal.group);
       portal.group.traverse((child) => {
         if (child.geometry) child.geometry.dispose();
@@ -80,8 +81,13 @@ export class LevelTransition {
 
     scene.add(group);
 
+    // Humming from the centre of the ring; `sound` overrides the emitter's options, false silences it
+    const sound = exit.sound === false
+      ? null
+      : this._engine.audioManager.attach(disc, { type: 'portal', refDistance: 1.5, ...exit.sound });
+
     this._portals.push({
-      group, ring, disc, light,
+      group, ring, disc, light, sound,
       targetLevel: exit.targetLevel,
       label: exit.label || `Level ${exit.targetLevel}`,
       position: new THREE.Vector3(...exit.position),
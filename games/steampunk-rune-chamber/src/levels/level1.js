@@ -56,6 +56,43 @@ export default {
     { type: 'stalactite', count: 12, length: [0.5, 2.5], color: '#5a4020' },
   ],
   props: [],
+  puzzles: [
+    // Find and pull the lever (root -- activates on load)
+    {
+      type: 'lever',
+      id: 'lever_activation',
+      params: { position: [-15, 0, -15], rotationY: Math.PI / 4 },
+    },
+    // Platform traversal with enemy patrol (activates after lever)
+    {
+      type: 'enemyPatrol',
+      id: 'enemy_patrol',
+      dependencies: ['lever_activation'],
+      params: {
+        safeSpawn: [8, 0, 8],
+        platforms: [
+          { pos: [8, 2.0, 5], w: 3.5, d: 3.5, hasEnemy: false },
+          { pos: [4, 4.5, 0], w: 3, d: 3, hasEnemy: true },
+          { pos: [-2, 7.0, -4], w: 3, d: 3, hasEnemy: true },
+          { pos: [-6, 9.5, -8], w: 4, d: 4, isCrystalPlatform: true, hasEnemy: false },
+        ],
+      },
+    },
+    // Collect crystal and place on altar (parallel with enemy patrol)
+    {
+      type: 'crystalCollect',
+      id: 'crystal_collect',
+      dependencies: ['lever_activation'],
+      params: { altar: [0, 0, -15], crystal: [-6, 9.8, -8] },
+    },
+    // Jump onto the couch to complete (activates after crystal placed)
+    {
+      type: 'couchComplete',
+      id: 'couch_complete',
+      dependencies: ['crystal_collect'],
+      params: { position: [0, 0, -10] },
+    },
+  ],
   playerSpawn: {
     position: [0, 0, 15],
     rotationY: Math.PI,
@@ -0,0 +1,124 @@
+import * as THREE from 'three';
+import { InputActions } from '../input/InputActions.js';
+
+const GRAB_MARGIN = 0.08; // how far outside a surface's bounds a hand can still grab it
+
+const _hand = new THREE.Vector3();
+const _anchor = new THREE.Vector3();
+const _bounds = new THREE.Box3();
+
+/**
+ * Climbing: grip near an object tagged climbable (`userData.climbable = true`)
+ * to hold on to it. While held,
+ * the rig moves opposite to the hand, so pulling down lifts the player.
+ * The hand stays anchored to the object, so moving surfaces carry the player.
+ * Gravity resumes when both hands let go.
+ *
+ * Events: 'climb:start' and 'climb:end' with { hand, object } for each hand.
+ */
+export class Climbing {
+  constructor(engine) {
+    this.engine = engine;
+    this.enabled = true;
+    // Hands holding a surface: { object, anchor (object-local hand position) }
+    this._holds = { left: null, right: null };
+    this._pending = { left: false, right: false };
+    this._active = null; // hand that moves the rig: the one that grabbed last
+
+    const bus = engine.eventBus;
+    bus.on(InputActions.GRIP_LEFT_DOWN, () => { this._pending.left = true; });
+    bus.on(InputActions.GRIP_RIGHT_DOWN, () => { this._pending.right = true; });
+    bus.on(InputActions.GRIP_LEFT_UP, () => this._release('left'));
+    bus.on(InputActions.GRIP_RIGHT_UP, () => this._release('right'));
+  }
+
+  get climbing() {
+    return this._active !== null;
+  }
+
+  /** Let go with both hands (e.g. on level load). */
+  releaseAll() {
+    this._release('left');
+    this._release('right');
+  }
+
+  update() {
+    if (!this.engine.renderer.xr.isPresenting) return;
+
+    // Grip presses are handled here, after the interaction system has seen
+    // them — holding an object takes precedence over climbing
+    for (const hand of ['left', 'right']) {
+      if (!this._pending[hand]) continue;
+      this._pending[hand] = false;
+      if (this.enabled && !this.engine.interactionSystem.getHeld(hand)) this._grab(hand);
+    }
+
+    const hold = this._active && this._holds[this._active];
+    if (!hold) return;
+
+    // Move the rig so the hand is back at its anchor on the surface
+    const rig = this.engine.cameraRig;
+    rig.updateMatrixWorld();
+    hold.object.updateWorldMatrix(true, false);
+    this._handWorld(this._active, _hand);
+    _anchor.copy(hold.anchor).applyMatrix4(hold.object.matrixWorld);
+    rig.position.add(_anchor.sub(_hand));
+  }
+
+  _grab(hand) {
+    this.engine.cameraRig.updateMatrixWorld();
+    this._handWorld(hand, _hand);
+    const object = this._findSurface(_hand);
+    if (!object) return;
+
+    object.updateWorldMatrix(true, false);
+    this._holds[hand] = { object, anchor: object.worldToLocal(_hand.clone()) };
+    this._active = hand;
+    this.engine.eventBus.emit('climb:start', { hand, object });
+  }
+
+  _release(hand) {
+    this._pending[hand] = false;
+    const hold = this._holds[hand];
+    if (!hold) return;
+    this._holds[hand] = null;
+
+    // Hand over to the other hand if it is still holding on
+    if (this._active === hand) {
+      const other = hand === 'left' ? 'right' : 'left';
+      this._active = this._holds[other] ? other : null;
+      if (this._active) this._reanchor(this._active);
+    }
+    this.engine.eventBus.emit('climb:end', { hand, object: hold.object });
+  }
+
+  // The other hand may have slipped while it wasn't moving the rig
+  _reanchor(hand) {
+    const hold = this._holds[hand];
+    this.engine.cameraRig.updateMatrixWorld();
+    this._handWorld(hand, _hand);
+    hold.anchor.copy(hold.object.worldToLocal(_hand));
+  }
+
+  _handWorld(hand, target) {
+    this.engine.vrSetup.getHandPosition(hand, target);
+    return target.applyMatrix4(this.engine.cameraRig.matrixWorld);
+  }
+
+  // Nearest climbable object whose bounds contain the hand
+  _findSurface(point) {
+    let best = null;
+    let bestDist = Infinity;
+    this.engine.scene.traverseVisible((object) => {
+      if (!object.userData.climbable) return;
+      _bounds.setFromObject(object).expandByScalar(GRAB_MARGIN);
+      if (!_bounds.containsPoint(point)) return;
+      const dist = _bounds.getCenter(_anchor).distanceToSquared(point);
+      if (dist < bestDist) {
+        bestDist = dist;
+        best = object;
+      }
+    });
+    return best;
+  }
+}
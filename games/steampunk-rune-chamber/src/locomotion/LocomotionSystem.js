@@ -1,5 +1,6 @@
 import * as THREE from 'three';
 import { InputActions } from '../input/InputActions.js';
+import { Climbing } from './Climbing.js';
 
 const _moveDir = new THREE.Vector3();
 const _forward = new THREE.Vector3();
@@ -17,6 +18,7 @@ export class LocomotionSystem {
     this.snapAngle = Math.PI / 4;
     this.snapCooldown = 0.3;
     this._snapTimer = 0;
+    this.climbing = new Climbing(engine);
 
     // Jump
     this.jumpSpeed = 4.5;
@@ -33,6 +35,7 @@ export class LocomotionSystem {
   }
 
   jump() {
+    if (this.climbing.climbing) return;
     if (this._isGrounded) {
       this._isGrounded = false;
       this._canDoubleJump = true;
@@ -47,6 +50,15 @@ export class LocomotionSystem {
   }
 
   update(dt) {
+    // Holding on to a climbable surface replaces walking and gravity
+    this.climbing.update();
+    if (this.climbing.climbing) {
+      this._canDoubleJump = false;
+      this.velocityY = 0;
+      this._updateSnapTurn(dt);
+      return;
+    }
+
     this._updateMove(dt);
     this._updateSnapTurn(dt);
     this._updateJump(dt);
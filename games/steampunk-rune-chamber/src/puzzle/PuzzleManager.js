@@ -2,7 +2,8 @@ export class PuzzleManager {
   constructor(eventBus) {
     this.eventBus = eventBus;
     this.puzzles = new Map();
-    this.order = [];
+    this.order = []; // registration order (used for linear fallback)
+    this._pending = new Set(); // delayed activation timers
 
     eventBus.on('puzzle:solved', (data) => this._onPuzzleSolved(data));
   }
@@ -12,22 +13,51 @@ export class PuzzleManager {
     this.order.push(puzzle.id);
   }
 
+  /** Dispose a single puzzle and stop tracking it. */
+  unregister(id) {
+    const puzzle = this.puzzles.get(id);
+    if (!puzzle) return;
+    puzzle.dispose();
+    this.puzzles.delete(id);
+    const idx = this.order.indexOf(id);
+    if (idx !== -1) this.order.splice(idx, 1);
+  }
+
+  /**
+   * Tear down the current level's puzzles: cancel pending activations and
+   * dispose every puzzle (meshes, interactables, colliders, timers).
+   * Called by LevelLoader when a level is unloaded.
+   */
+  clear() {
+    for (const handle of this._pending) clearTimeout(handle);
+    this._pending.clear();
+    for (const puzzle of this.puzzles.values()) {
+      puzzle.dispose();
+    }
+    this.puzzles.clear();
+    this.order.length = 0;
+  }
+
   init() {
+    // Determine activation mode: graph (if any puzzle has dependencies) or linear (legacy)
     const hasGraph = [...this.puzzles.values()].some(p => p.dependencies.length > 0);
 
     if (hasGraph) {
+      // Graph mode: activate all puzzles whose dependencies are empty (root nodes)
       for (const puzzle of this.puzzles.values()) {
         if (puzzle.dependencies.length === 0) {
           puzzle.activate();
         }
       }
     } else {
+      // Linear mode (backward compatible): activate the first registered puzzle
       if (this.order.length > 0) {
         const first = this.puzzles.get(this.order[0]);
         first.activate();
       }
     }
 
+    // Initialize all puzzles
     for (const puzzle of this.puzzles.values()) {
       puzzle.init();
     }
@@ -56,15 +86,16 @@ export class PuzzleManager {
     const nextIdx = idx + 1;
     if (nextIdx < this.order.length) {
       const next = this.puzzles.get(this.order[nextIdx]);
-      setTimeout(() => next.activate(), 1500);
+      this._schedule(() => next.activate());
     } else {
-      this.eventBus.emit('game:complete');
+      this.eventBus.emit('level:complete');
     }
   }
 
   _advanceGraph(solvedId) {
     let activated = false;
 
+    // Check each locked puzzle: if all its dependencies are now solved, activate it
     for (const puzzle of this.puzzles.values()) {
       if (puzzle.state !== 'locked') continue;
       if (puzzle.dependencies.length === 0) continue;
@@ -76,15 +107,25 @@ export class PuzzleManager {
 
       if (allMet) {
         activated = true;
-        setTimeout(() => puzzle.activate(), 1500);
+        this._schedule(() => puzzle.activate());
       }
     }
 
+    // If no puzzle was activated and all puzzles are solved → level complete
     if (!activated) {
       const allSolved = [...this.puzzles.values()].every(p => p.state === 'solved');
       if (allSolved) {
-        this.eventBus.emit('game:complete');
+        this.eventBus.emit('level:complete');
       }
     }
   }
+
+  /** Delayed activation, cancelled if the level is torn down first. */
+  _schedule(fn) {
+    const handle = setTimeout(() => {
+      this._pending.delete(handle);
+      fn();
+    }, 1500);
+    this._pending.add(handle);
+  }
 }
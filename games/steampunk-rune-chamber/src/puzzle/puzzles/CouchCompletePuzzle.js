@@ -7,16 +7,18 @@ const _playerPos = new THREE.Vector3();
  * CouchCompletePuzzle — A couch spawns after the crystal is placed on the altar.
  * The player must jump onto the couch (proximity + height check) to complete the level.
  * Uses 1_couch.glb.
+ *
+ * params: { position: [x,y,z] }
  */
 export class CouchCompletePuzzle extends PuzzleBase {
-  constructor(eventBus, engine) {
+  constructor(eventBus, engine, params = {}) {
     super('couch_complete', eventBus);
     this.engine = engine;
     this.scene = engine.scene;
     this.collisionSystem = engine.collisionSystem;
 
     this._couchModel = null;
-    this._couchPos = new THREE.Vector3(0, 0, -10);
+    this._couchPos = new THREE.Vector3(...(params.position || [0, 0, -10]));
     this._sitDistance = 1.5;
     this._couchSpawned = false;
     this._spawnAnimTimer = 0;
@@ -33,16 +35,18 @@ export class CouchCompletePuzzle extends PuzzleBase {
   async _spawnCouch() {
     this._spawning = true;
     this._spawnAnimTimer = 0;
+    const generation = this.generation;
 
     try {
       const gltf = await this.engine.assetLoader.loadGLTF('/models/1/1_couch.glb');
+      if (generation !== this.generation) return;
       this._couchModel = gltf.scene;
       this._couchModel.scale.setScalar(0.8);
 
       // Auto-ground
       const box = new THREE.Box3().setFromObject(this._couchModel);
       this._couchModel.position.copy(this._couchPos);
-      this._couchModel.position.y = -box.min.y * 0.8;
+      this._couchModel.position.y = this._couchPos.y - box.min.y * 0.8;
       // Face the player spawn direction
       this._couchModel.rotation.y = 0;
 
@@ -55,20 +59,21 @@ export class CouchCompletePuzzle extends PuzzleBase {
         }
       });
 
-      this.scene.add(this._couchModel);
+      this.addObject(this.scene, this._couchModel);
       this._couchSpawned = true;
 
       // Spawn glow effect
       this._couchGlow = new THREE.PointLight('#ffdd44', 3.0, 10);
       this._couchGlow.position.copy(this._couchPos);
       this._couchGlow.position.y += 1.5;
-      this.scene.add(this._couchGlow);
+      this.addObject(this.scene, this._couchGlow);
 
       // Add collision box for the couch
       const couchBox = new THREE.Box3().setFromObject(this._couchModel);
       const size = new THREE.Vector3();
       couchBox.getSize(size);
-      this.collisionSystem.addBoxCollider(
+      this.addBoxCollider(
+        this.collisionSystem,
         this._couchPos.x, this._couchPos.y,
         this._couchPos.z, size.x * 0.8, size.y * 0.8, size.z * 0.8
       );
@@ -76,6 +81,7 @@ export class CouchCompletePuzzle extends PuzzleBase {
       this.eventBus.emit('notification', { text: 'A mystical couch appears! Jump onto it to complete the ritual!' });
     } catch (e) {
       console.warn('Failed to load couch model:', e);
+      if (generation !== this.generation) return;
       this._createFallbackCouch();
     }
   }
@@ -129,14 +135,15 @@ export class CouchCompletePuzzle extends PuzzleBase {
       }
     });
 
-    this.scene.add(group);
+    this.addObject(this.scene, group);
     this._couchModel = group;
     this._couchSpawned = true;
     this._spawning = true;
     this._spawnAnimTimer = 0;
 
     // Collision
-    this.collisionSystem.addBoxCollider(
+    this.addBoxCollider(
+      this.collisionSystem,
       this._couchPos.x, this._couchPos.y,
       this._couchPos.z, 2.0, 0.7, 0.8
     );
@@ -145,7 +152,7 @@ export class CouchCompletePuzzle extends PuzzleBase {
     this._couchGlow = new THREE.PointLight('#ffdd44', 3.0, 10);
     this._couchGlow.position.copy(this._couchPos);
     this._couchGlow.position.y += 1.5;
-    this.scene.add(this._couchGlow);
+    this.addObject(this.scene, this._couchGlow);
 
     this.eventBus.emit('notification', { text: 'A mystical couch appears! Jump onto it to complete the ritual!' });
   }
@@ -9,9 +9,11 @@ const _worldPos = new THREE.Vector3();
  * CrystalCollectPuzzle — Grab the crystal from the high platform and place it on the altar.
  * Uses 3_crystal.glb as the collectible.
  * Placing it on the altar spawns the couch (1_couch.glb).
+ *
+ * params: { altar: [x,y,z], crystal: [x,y,z] }
  */
 export class CrystalCollectPuzzle extends PuzzleBase {
-  constructor(eventBus, engine) {
+  constructor(eventBus, engine, params = {}) {
     super('crystal_collect', eventBus);
     this.engine = engine;
     this.scene = engine.scene;
@@ -20,9 +22,11 @@ export class CrystalCollectPuzzle extends PuzzleBase {
     this._crystalModel = null;
     this._crystalInteractable = null;
     this._altarGroup = null;
-    this._altarTargetPos = new THREE.Vector3(0, 1.2, -15);
+    this._altarPos = new THREE.Vector3(...(params.altar || [0, 0, -15]));
+    this._altarTargetPos = this._altarPos.clone();
+    this._altarTargetPos.y += 1.2;
     this._snapDistance = 1.5;
-    this._crystalSpawnPos = new THREE.Vector3(-6, 9.8, -8);
+    this._crystalSpawnPos = new THREE.Vector3(...(params.crystal || [-6, 9.8, -8]));
     this._crystalSpawned = false;
 
     // Callback for when crystal is placed
@@ -36,12 +40,27 @@ export class CrystalCollectPuzzle extends PuzzleBase {
     this._crystalSpawnPos.copy(pos);
   }
 
-  onActivate() {
+  async onActivate() {
     // Build the altar on the ground floor
     this._buildAltar();
 
     // Spawn the crystal
-    this._spawnCrystal();
+    if (await this._spawnCrystal() === true) {
+      this.eventBus.emit('notification', { text: 'A glowing crystal appears on the highest platform!' });
+    }
+  }
+
+  // The spawn position is set by the lever puzzle's callback, which doesn't
+  // run again when a save is loaded
+  serialize() {
+    return { crystal: this._crystalSpawnPos.toArray() };
+  }
+
+  async onRestore(state, data) {
+    if (data?.crystal) this._crystalSpawnPos.fromArray(data.crystal);
+    this._buildAltar();
+    if (await this._spawnCrystal() === null) return;
+    if (state === 'solved') this._placeOnAltar();
   }
 
   _buildAltar() {
@@ -113,14 +132,20 @@ export class CrystalCollectPuzzle extends PuzzleBase {
     altarLight.position.y = 1.5;
     group.add(altarLight);
 
-    group.position.set(0, 0, -15);
-    this.scene.add(group);
+    group.position.copy(this._altarPos);
+    this.addObject(this.scene, group);
     this._altarGroup = group;
   }
 
+  /**
+   * @returns {Promise<boolean|null>} false if the model failed and a fallback crystal
+   *   was used, null if the puzzle was disposed while the model loaded
+   */
   async _spawnCrystal() {
+    const generation = this.generation;
     try {
       const gltf = await this.engine.assetLoader.loadGLTF('/models/1/3_crystal.glb');
+      if (generation !== this.generation) return null;
       this._crystalModel = gltf.scene;
       this._crystalModel.scale.setScalar(0.5);
 
@@ -129,14 +154,14 @@ export class CrystalCollectPuzzle extends PuzzleBase {
       this._crystalModel.position.copy(this._crystalSpawnPos);
       this._crystalModel.position.y = this._crystalSpawnPos.y - box.min.y * 0.5;
 
-      this.scene.add(this._crystalModel);
+      this.addObject(this.scene, this._crystalModel);
       this._crystalSpawned = true;
 
       // Add glow around crystal
       const crystalGlow = new THREE.PointLight('#00ffcc', 3.0, 6);
       crystalGlow.position.copy(this._crystalSpawnPos);
       crystalGlow.position.y += 0.5;
-      this.scene.add(crystalGlow);
+      this.addObject(this.scene, crystalGlow);
       this._crystalGlow = crystalGlow;
 
       // Make the crystal grabbable - find a mesh child for interaction
@@ -154,19 +179,20 @@ export class CrystalCollectPuzzle extends PuzzleBase {
             this._checkPlacement();
           },
         });
-        this.interactionSystem.register(this._crystalInteractable);
+        this.registerInteractable(this.interactionSystem, this._crystalInteractable);
       }
-
-      this.eventBus.emit('notification', { text: 'A glowing crystal appears on the highest platform!' });
+      return true;
     } catch (e) {
       console.warn('Failed to load crystal model:', e);
+      if (generation !== this.generation) return null;
       this._createFallbackCrystal();
+      return false;
     }
   }
 
   _createFallbackCrystal() {
     this._crystalModel = ObjectFactory.crystal(0.2, 0.5, 0x00ffcc, this._crystalSpawnPos.clone());
-    this.scene.add(this._crystalModel);
+    this.addObject(this.scene, this._crystalModel);
     this._crystalSpawned = true;
 
     this._crystalInteractable = new Interactable(this._crystalModel, {
@@ -175,7 +201,7 @@ export class CrystalCollectPuzzle extends PuzzleBase {
         this._checkPlacement();
       },
     });
-    this.interactionSystem.register(this._crystalInteractable);
+    this.registerInteractable(this.interactionSystem, this._crystalInteractable);
   }
 
   _checkPlacement() {
@@ -186,20 +212,23 @@ export class CrystalCollectPuzzle extends PuzzleBase {
     const dist = playerPos.distanceTo(this._altarTargetPos);
 
     if (dist < this._snapDistance + 2.0) {
-      // Snap crystal to altar
-      this._crystalModel.position.copy(this._altarTargetPos);
+      this._placeOnAltar();
+      this.solve();
+    }
+  }
 
-      // Unregister interactable
-      if (this._crystalInteractable) {
-        this.interactionSystem.unregister(this._crystalInteractable);
-      }
+  _placeOnAltar() {
+    // Snap crystal to altar
+    this._crystalModel.position.copy(this._altarTargetPos);
 
-      // Remove glow
-      if (this._crystalGlow) {
-        this.scene.remove(this._crystalGlow);
-      }
+    // Unregister interactable
+    if (this._crystalInteractable) {
+      this.interactionSystem.unregister(this._crystalInteractable);
+    }
 
-      this.solve();
+    // Remove glow
+    if (this._crystalGlow) {
+      this.scene.remove(this._crystalGlow);
     }
   }
 
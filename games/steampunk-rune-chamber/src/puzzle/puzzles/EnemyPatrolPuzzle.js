@@ -11,11 +11,13 @@ const _enemyPos = new THREE.Vector3();
  * If the player touches an enemy, they respawn at the nearest safe spot below
  * (ground level near the platforms), preserving all puzzle progress.
  *
- * Creates 4 floating platforms in a staircase pattern ascending from left to right.
- * 2-3 mushroom enemies patrol on the platforms.
+ * Creates floating platforms (default: 4 in a staircase pattern ascending from
+ * left to right). Mushroom enemies patrol the platforms flagged `hasEnemy`.
+ *
+ * params: { platforms: [{ pos, w, d, hasEnemy, isCrystalPlatform }], safeSpawn: [x,y,z], killRadius }
  */
 export class EnemyPatrolPuzzle extends PuzzleBase {
-  constructor(eventBus, engine) {
+  constructor(eventBus, engine, params = {}) {
     super('enemy_patrol', eventBus);
     this.engine = engine;
     this.scene = engine.scene;
@@ -24,16 +26,17 @@ export class EnemyPatrolPuzzle extends PuzzleBase {
     this._enemies = [];
     this._mixers = [];
     this._platforms = [];
-    this._killRadius = 1.2;
+    this._killRadius = params.killRadius ?? 1.2;
     this._active = false;
     this._respawnCooldown = 0;
 
     // Safe respawn point: ground level near the base of the platform staircase
-    this._safeSpawn = new THREE.Vector3(8, 0, 8);
+    this._safeSpawn = new THREE.Vector3(...(params.safeSpawn || [8, 0, 8]));
 
-    // Platform definitions: 4 platforms in ascending staircase pattern
-    // Arranged from right side going up and slightly forward
-    this._platformDefs = [
+    // Platform definitions (copied — _buildPlatforms stores runtime refs on them).
+    // Default: 4 platforms in ascending staircase pattern,
+    // arranged from right side going up and slightly forward
+    this._platformDefs = params.platforms ? params.platforms.map(d => ({ ...d })) : [
       // Step 1: Low platform (easy first jump from ground)
       { pos: [8, 2.0, 5], w: 3.5, d: 3.5, hasEnemy: false },
       // Step 2: Mid-low platform with first enemy
@@ -70,6 +73,7 @@ export class EnemyPatrolPuzzle extends PuzzleBase {
         })
       );
       top.position.y = 0;
+      top.userData.climbable = true; // VR players can grab the edge and pull up
       group.add(top);
 
       // Teal emissive trim on edges
@@ -124,11 +128,12 @@ export class EnemyPatrolPuzzle extends PuzzleBase {
       group.add(underside);
 
       group.position.set(def.pos[0], def.pos[1], def.pos[2]);
-      this.scene.add(group);
+      this.addObject(this.scene, group);
       this._platforms.push({ group, def });
 
       // Add collision box for the platform
-      this.collisionSystem.addBoxCollider(
+      this.addBoxCollider(
+        this.collisionSystem,
         def.pos[0], def.pos[1] - h / 2,
         def.pos[2], w, h, d
       );
@@ -137,7 +142,7 @@ export class EnemyPatrolPuzzle extends PuzzleBase {
       if (def.isCrystalPlatform) {
         const glow = new THREE.PointLight('#00ffaa', 2.0, 8);
         glow.position.set(def.pos[0], def.pos[1] + 1, def.pos[2]);
-        this.scene.add(glow);
+        this.addObject(this.scene, glow);
         this._crystalPlatformGlow = glow;
       }
     }
@@ -148,6 +153,7 @@ export class EnemyPatrolPuzzle extends PuzzleBase {
 
     // Load the mushroom GLB once, then clone for each enemy
     let sourceGltf = null;
+    const generation = this.generation;
     try {
       sourceGltf = await this.engine.assetLoader.loadGLTF('/models/1/4_mushroom.glb');
       console.log(`Mushroom model loaded: ${sourceGltf.animations.length} animation(s)`);
@@ -158,6 +164,7 @@ export class EnemyPatrolPuzzle extends PuzzleBase {
       console.warn('Failed to load mushroom enemy model:', e);
       return;
     }
+    if (generation !== this.generation) return;
 
     for (const def of enemyDefs) {
       // Clone the model properly (SkeletonUtils handles SkinnedMesh + skeleton)
@@ -169,7 +176,7 @@ export class EnemyPatrolPuzzle extends PuzzleBase {
       const platformTop = def.pos[1] + 0.15;
       model.position.set(def.pos[0], platformTop - box.min.y * 0.6, def.pos[2]);
 
-      this.scene.add(model);
+      this.addObject(this.scene, model);
 
       // Set up AnimationMixer -- strip root position tracks so it plays in-place
       const mixer = new THREE.AnimationMixer(model);
@@ -181,11 +188,21 @@ export class EnemyPatrolPuzzle extends PuzzleBase {
       }
       this._mixers.push(mixer);
 
+      // Low drone that gives away where the enemy is
+      const sound = this.addSound(this.engine.audioManager, model, {
+        type: 'hum',
+        frequency: 60 + Math.random() * 20,
+        volume: 0.25,
+        refDistance: 1.5,
+        maxDistance: 15,
+      });
+
       // Patrol path: back and forth along the platform
       const patrolHalfDist = def.w / 2 - 0.5;
       this._enemies.push({
         model,
         mixer,
+        sound,
         baseY: model.position.y,
         center: new THREE.Vector3(def.pos[0], model.position.y, def.pos[2]),
         patrolHalfDist,
@@ -260,6 +277,8 @@ export class EnemyPatrolPuzzle extends PuzzleBase {
 
   _onPlayerHit() {
     this.eventBus.emit('notification', { text: 'A steampunk mushroom got you! Respawning nearby...' });
+    // Before moving the player, so session reports record where it happened
+    this.eventBus.emit('player:respawned', { reason: 'enemy' });
 
     // Respawn at safe spot near the base of the platforms (keep all progress)
     this.engine.cameraRig.position.copy(this._safeSpawn);
@@ -312,6 +331,8 @@ export class EnemyPatrolPuzzle extends PuzzleBase {
    * Remove an enemy from the scene and internal arrays.
    */
   destroyEnemy(enemy) {
+    this.engine.audioManager.detach(enemy.sound);
+
     // Stop animations first
     const mixerIdx = this._mixers.indexOf(enemy.mixer);
     if (mixerIdx !== -1) {
@@ -1,6 +1,7 @@
 import * as THREE from 'three';
 import { PuzzleBase } from '../PuzzleBase.js';
 import { Interactable } from '../../interaction/Interactable.js';
+import { ObjectFactory } from '../../assets/ObjectFactory.js';
 
 /**
  * LeverPuzzle — Find the ancient steampunk lever and activate it.
@@ -8,14 +9,20 @@ import { Interactable } from '../../interaction/Interactable.js';
  * The entire model is treated as an interactable; on activation, a simple
  * rotation animation is applied to a detected handle part (or the model root).
  * Pulling the lever spawns the floating platforms and crystal.
+ *
+ * params: { model, position: [x,y,z], rotationY }
  */
 export class LeverPuzzle extends PuzzleBase {
-  constructor(eventBus, engine) {
+  constructor(eventBus, engine, params = {}) {
     super('lever_activation', eventBus);
     this.engine = engine;
     this.scene = engine.scene;
     this.interactionSystem = engine.interactionSystem;
 
+    this._modelPath = params.model || '/models/1/2_multipart_leveler.glb';
+    this._leverPos = new THREE.Vector3(...(params.position || [-15, 0, -15]));
+    this._leverRotY = params.rotationY ?? Math.PI / 4;
+
     this._leverModel = null;
     this._leverHandle = null;
     this._interactable = null;
@@ -30,19 +37,66 @@ export class LeverPuzzle extends PuzzleBase {
   }
 
   async onActivate() {
-    const gltf = await this.engine.assetLoader.loadGLTF('/models/1/2_multipart_leveler.glb');
-    this._leverModel = gltf.scene;
+    if (!(await this._build())) return;
+    this.eventBus.emit('notification', { text: 'Find the ancient lever in the chamber...' });
+  }
+
+  // Solved: the lever stays pulled, without re-running onLeverPulled.
+  // Saved mid-pull: the lever has to be pulled again.
+  async onRestore(state) {
+    if (!(await this._build())) return;
+    if (state === 'solved') this._setPulled();
+  }
+
+  /** @returns {Promise<boolean>} false if the puzzle was disposed while the model loaded */
+  async _build() {
+    const generation = this.generation;
+    let gltf = null;
+    try {
+      gltf = await this.engine.assetLoader.loadGLTF(this._modelPath);
+    } catch (e) {
+      console.warn('Failed to load lever model:', e);
+    }
+    if (generation !== this.generation) return false;
+
+    if (gltf) {
+      this._placeModel(gltf.scene);
+    } else {
+      this._placeFallbackLever();
+    }
+
+    if (this._leverHandle) {
+      this._startRotX = this._leverHandle.rotation.x;
+    }
 
-    // Position the lever in a corner of the room, partially hidden behind columns
-    this._leverModel.position.set(-15, 0, -15);
+    // Make the entire model interactable
+    this._interactable = new Interactable(this._leverModel, {
+      type: 'activate',
+      onActivate: () => this._onLeverActivated(),
+    });
+    this.registerInteractable(this.interactionSystem, this._interactable);
+
+    // Add a glow indicator near the lever to guide the player
+    const indicator = new THREE.PointLight('#00ffaa', 2.0, 6);
+    indicator.position.set(this._leverPos.x, this._leverPos.y + 2, this._leverPos.z);
+    this.addObject(this.scene, indicator);
+    this._indicator = indicator;
+    return true;
+  }
+
+  _placeModel(model) {
+    this._leverModel = model;
+
+    // Position the lever (default: a corner of the room, partially hidden behind columns)
+    this._leverModel.position.copy(this._leverPos);
     this._leverModel.scale.setScalar(1.0);
-    this._leverModel.rotation.y = Math.PI / 4;
+    this._leverModel.rotation.y = this._leverRotY;
 
     // Auto-ground (model has bottom-center pivot)
     const box = new THREE.Box3().setFromObject(this._leverModel);
-    this._leverModel.position.y = -box.min.y;
+    this._leverModel.position.y = this._leverPos.y - box.min.y;
 
-    this.scene.add(this._leverModel);
+    this.addObject(this.scene, this._leverModel);
 
     // Find a suitable handle part for animation.
     // Strategy: look for the highest mesh or the last mesh in traversal (often the handle).
@@ -75,25 +129,14 @@ export class LeverPuzzle extends PuzzleBase {
         : highestMesh;
       console.log(`Lever handle selected: "${this._leverHandle.name || '(unnamed)'}"`);
     }
+  }
 
-    if (this._leverHandle) {
-      this._startRotX = this._leverHandle.rotation.x;
-    }
-
-    // Make the entire model interactable
-    this._interactable = new Interactable(this._leverModel, {
-      type: 'activate',
-      onActivate: () => this._onLeverActivated(),
-    });
-    this.interactionSystem.register(this._interactable);
-
-    // Add a glow indicator near the lever to guide the player
-    const indicator = new THREE.PointLight('#00ffaa', 2.0, 6);
-    indicator.position.set(-15, 2, -15);
-    this.scene.add(indicator);
-    this._indicator = indicator;
-
-    this.eventBus.emit('notification', { text: 'Find the ancient lever in the chamber...' });
+  // Procedural lever when the model can't be loaded; its arm pivot is the handle
+  _placeFallbackLever() {
+    this._leverModel = ObjectFactory.lever(this._leverPos);
+    this._leverModel.rotation.y = this._leverRotY;
+    this.addObject(this.scene, this._leverModel);
+    this._leverHandle = this._leverModel.userData.pivot;
   }
 
   _onLeverActivated() {
@@ -127,6 +170,18 @@ export class LeverPuzzle extends PuzzleBase {
     }
   }
 
+  _setPulled() {
+    if (this._leverHandle) {
+      this._leverHandle.rotation.x = this._startRotX + this._endRotX;
+    }
+    if (this._interactable) {
+      this._interactable.setEnabled(false);
+    }
+    if (this._indicator) {
+      this.scene.remove(this._indicator);
+    }
+  }
+
   onSolved() {
     // Remove indicator glow
     if (this._indicator) {
@@ -0,0 +1,14 @@
+// Puzzle type registrations — maps `type` names used in level configs'
+// `puzzles` arrays to factories. Add one register() call per puzzle class.
+
+import { LeverPuzzle } from './LeverPuzzle.js';
+import { EnemyPatrolPuzzle } from './EnemyPatrolPuzzle.js';
+import { CrystalCollectPuzzle } from './CrystalCollectPuzzle.js';
+import { CouchCompletePuzzle } from './CouchCompletePuzzle.js';
+
+export function registerPuzzles(registry) {
+  registry.register('lever', (engine, def) => new LeverPuzzle(engine.eventBus, engine, def.params));
+  registry.register('enemyPatrol', (engine, def) => new EnemyPatrolPuzzle(engine.eventBus, engine, def.params));
+  registry.register('crystalCollect', (engine, def) => new CrystalCollectPuzzle(engine.eventBus, engine, def.params));
+  registry.register('couchComplete', (engine, def) => new CouchCompletePuzzle(engine.eventBus, engine, def.params));
+}
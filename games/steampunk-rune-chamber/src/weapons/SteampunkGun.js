@@ -4,6 +4,8 @@ import { Interactable } from '../interaction/Interactable.js';
 const _dir = new THREE.Vector3();
 const _origin = new THREE.Vector3();
 
+const SFX_VOLUME = 2; // makes up for the AudioManager's master volume of 0.5
+
 export class SteampunkGun {
   constructor(engine) {
     this.engine = engine;
@@ -20,8 +22,9 @@ export class SteampunkGun {
     this._muzzleFlashes = [];
     this._enemyPuzzle = null;
 
-    // Audio context (lazy init on first interaction)
-    this._audioCtx = null;
+    // Sounds go through the engine's AudioManager so they come from the gun and the hit
+    this.audio = engine.audioManager;
+    this._coreHum = null;
     this._explosionBuffer = null;
   }
 
@@ -117,6 +120,15 @@ export class SteampunkGun {
       onActivate: (hand) => this._onPickup(hand),
     });
     this.engine.interactionSystem.register(this._interactable);
+
+    // Faint hum from the energy core, to find it by ear
+    this._coreHum = this.audio.attach(this.gunGroup, {
+      type: 'hum',
+      frequency: 220,
+      volume: 0.05,
+      refDistance: 0.5,
+      maxDistance: 10,
+    });
   }
 
   _buildAimLine() {
@@ -170,6 +182,8 @@ export class SteampunkGun {
       this._hintLight.dispose?.();
       this._hintLight = null;
     }
+    this.audio.detach(this._coreHum);
+    this._coreHum = null;
 
     this.eventBus.emit('gun:armed');
     this.eventBus.emit('notification', { text: 'You found a steampunk pistol! Shoot the mushrooms!' });
@@ -265,7 +279,7 @@ export class SteampunkGun {
               const hitPos = model.position.clone();
               this._enemyPuzzle.destroyEnemy(enemy);
               this._spawnExplosion(hitPos);
-              this._playExplosionSFX();
+              this._playExplosionSFX(hitPos);
               this._removeProjectile(i);
               break;
             }
@@ -414,15 +428,9 @@ export class SteampunkGun {
 
   // ─── Procedural Audio ─────────────────────────────────
 
-  _getAudioCtx() {
-    if (!this._audioCtx) {
-      this._audioCtx = new (window.AudioContext || window.webkitAudioContext)();
-    }
-    return this._audioCtx;
-  }
-
   _pregenExplosionBuffer() {
-    const ctx = this._getAudioCtx();
+    const ctx = this.audio.context;
+    if (!ctx) return;
     const bufferSize = ctx.sampleRate * 0.3;
     this._explosionBuffer = ctx.createBuffer(1, bufferSize, ctx.sampleRate);
     const data = this._explosionBuffer.getChannelData(0);
@@ -432,7 +440,9 @@ export class SteampunkGun {
   }
 
   _playShootSFX() {
-    const ctx = this._getAudioCtx();
+    const output = this.audio.outputAt(this.gunGroup, { volume: SFX_VOLUME, refDistance: 0.5 });
+    if (!output) return;
+    const ctx = this.audio.context;
     const now = ctx.currentTime;
 
     const osc = ctx.createOscillator();
@@ -444,13 +454,15 @@ export class SteampunkGun {
     gain.gain.setValueAtTime(0.15, now);
     gain.gain.exponentialRampToValueAtTime(0.001, now + 0.15);
 
-    osc.connect(gain).connect(ctx.destination);
+    osc.connect(gain).connect(output);
     osc.start(now);
     osc.stop(now + 0.15);
   }
 
-  _playExplosionSFX() {
-    const ctx = this._getAudioCtx();
+  _playExplosionSFX(position) {
+    const output = this.audio.outputAt(position, { volume: SFX_VOLUME, refDistance: 3 });
+    if (!output) return;
+    const ctx = this.audio.context;
     const now = ctx.currentTime;
 
     // Reuse pre-generated noise buffer
@@ -460,7 +472,7 @@ export class SteampunkGun {
       const noiseGain = ctx.createGain();
       noiseGain.gain.setValueAtTime(0.2, now);
       noiseGain.gain.exponentialRampToValueAtTime(0.001, now + 0.3);
-      noise.connect(noiseGain).connect(ctx.destination);
+      noise.connect(noiseGain).connect(output);
       noise.start(now);
     }
 
@@ -474,13 +486,15 @@ export class SteampunkGun {
     thumpGain.gain.setValueAtTime(0.25, now);
     thumpGain.gain.exponentialRampToValueAtTime(0.001, now + 0.25);
 
-    osc.connect(thumpGain).connect(ctx.destination);
+    osc.connect(thumpGain).connect(output);
     osc.start(now);
     osc.stop(now + 0.25);
   }
 
   _playPickupSFX() {
-    const ctx = this._getAudioCtx();
+    const output = this.audio.outputAt(this.gunGroup, { volume: SFX_VOLUME, refDistance: 0.5 });
+    if (!output) return;
+    const ctx = this.audio.context;
     const now = ctx.currentTime;
 
     const osc = ctx.createOscillator();
@@ -493,7 +507,7 @@ export class SteampunkGun {
     gain.gain.linearRampToValueAtTime(0.15, now + 0.15);
     gain.gain.exponentialRampToValueAtTime(0.001, now + 0.4);
 
-    osc.connect(gain).connect(ctx.destination);
+    osc.connect(gain).connect(output);
     osc.start(now);
     osc.stop(now + 0.4);
   }